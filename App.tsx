@@ -15,6 +15,7 @@ import HistoryPage from './pages/HistoryPage';
 import SettingsPage from './pages/SettingsPage';
 import ConsolePage from './pages/ConsolePage';
 import BacktestingPage from './pages/BacktestingPage';
+import ReplayPage from './pages/ReplayPage';
 
 const AppRoutes: React.FC = () => {
   const { isAuthenticated } = useAuth();
@@ -34,6 +35,7 @@ const AppRoutes: React.FC = () => {
                 <Route path="/settings" element={<SettingsPage />} />
                 <Route path="/console" element={<ConsolePage />} />
                 <Route path="/backtesting" element={<BacktestingPage />} />
+                <Route path="/replay" element={<ReplayPage />} />
                 <Route path="*" element={<Navigate to="/dashboard" />} />
               </Routes>
             </Layout>
@@ -0,0 +1,99 @@
+import { splitSymbol } from './QuoteAssetService.js';
+
+const CORRELATION_INTERVAL = '15m';
+const MIN_RETURNS_FOR_CORRELATION = 20;
+
+// Default sector map (base asset -> sector). Editable by the user through /api/sectors.
+export const DEFAULT_SECTOR_MAP = {
+    ETH: 'L1', SOL: 'L1', ADA: 'L1', AVAX: 'L1', DOT: 'L1', NEAR: 'L1', ATOM: 'L1', APT: 'L1', SUI: 'L1', SEI: 'L1', TRX: 'L1', TON: 'L1',
+    ARB: 'L2', OP: 'L2', POL: 'L2', MATIC: 'L2', STRK: 'L2', IMX: 'L2', MNT: 'L2',
+    UNI: 'DEFI', AAVE: 'DEFI', MKR: 'DEFI', CRV: 'DEFI', LDO: 'DEFI', COMP: 'DEFI', SNX: 'DEFI', PENDLE: 'DEFI', JUP: 'DEFI',
+    DOGE: 'MEME', SHIB: 'MEME', PEPE: 'MEME', WIF: 'MEME', BONK: 'MEME', FLOKI: 'MEME',
+    FET: 'AI', RENDER: 'AI', TAO: 'AI', WLD: 'AI', ARKM: 'AI',
+    LINK: 'ORACLE', PYTH: 'ORACLE',
+    FIL: 'STORAGE', AR: 'STORAGE',
+};
+
+const getBaseAsset = (symbol) => splitSymbol(symbol).baseAsset;
+
+const toReturns = (klines) => {
+    const returns = [];
+    for (let i = 1; i < klines.length; i++) {
+        const prevClose = klines[i - 1].close;
+        if (prevClose > 0) returns.push((klines[i].close - prevClose) / prevClose);
+    }
+    return returns;
+};
+
+const pearson = (a, b) => {
+    const n = Math.min(a.length, b.length);
+    if (n < MIN_RETURNS_FOR_CORRELATION) return null;
+    const x = a.slice(-n);
+    const y = b.slice(-n);
+    const meanX = x.reduce((sum, v) => sum + v, 0) / n;
+    const meanY = y.reduce((sum, v) => sum + v, 0) / n;
+    let cov = 0, varX = 0, varY = 0;
+    for (let i = 0; i < n; i++) {
+        const dx = x[i] - meanX;
+        const dy = y[i] - meanY;
+        cov += dx * dy;
+        varX += dx * dx;
+        varY += dy * dy;
+    }
+    if (varX === 0 || varY === 0) return null;
+    return cov / Math.sqrt(varX * varY);
+};
+
+export class CorrelationService {
+    constructor(log, getKlines, getSectorMap) {
+        this.log = log;
+        this.getKlines = getKlines;
+        this.getSectorMap = getSectorMap;
+    }
+
+    getSector(symbol) {
+        const sectorMap = this.getSectorMap() || {};
+        return sectorMap[getBaseAsset(symbol)] || null;
+    }
+
+    getCorrelation(symbolA, symbolB, lookback) {
+        const klinesA = this.getKlines(symbolA, CORRELATION_INTERVAL);
+        const klinesB = this.getKlines(symbolB, CORRELATION_INTERVAL);
+        if (!klinesA || !klinesB) return null;
+        return pearson(toReturns(klinesA.slice(-(lookback + 1))), toReturns(klinesB.slice(-(lookback + 1))));
+    }
+
+    // Returns { allowed, reason } so the trading engine can log why an entry was refused.
+    checkNewEntry(symbol, activePositions, settings) {
+        const openSymbols = activePositions.map(p => p.symbol).filter(s => s !== symbol);
+        if (openSymbols.length === 0) return { allowed: true };
+
+        const maxCorrelated = settings.MAX_CORRELATED_TRADES;
+        if (settings.USE_SECTOR_CORRELATION_FILTER) {
+            // Positions of one sector count against the same limit as correlated ones (one per sector when it is disabled).
+            const maxSameSector = maxCorrelated > 0 ? maxCorrelated : 1;
+            const sector = this.getSector(symbol);
+            const sameSector = sector ? openSymbols.filter(s => this.getSector(s) === sector) : [];
+            if (sameSector.length >= maxSameSector) {
+                return { allowed: false, reason: `limite de ${maxSameSector} trade(s) dans le secteur ${sector} atteinte (${sameSector.join(', ')})` };
+            }
+        }
+
+        if (maxCorrelated > 0) {
+            const threshold = settings.CORRELATION_THRESHOLD || 0.7;
+            const lookback = settings.CORRELATION_LOOKBACK_CANDLES || 96;
+            const correlated = [];
+            openSymbols.forEach(openSymbol => {
+                const correlation = this.getCorrelation(symbol, openSymbol, lookback);
+                if (correlation !== null && correlation >= threshold) {
+                    correlated.push(`${openSymbol} (${correlation.toFixed(2)})`);
+                }
+            });
+            if (correlated.length >= maxCorrelated) {
+                return { allowed: false, reason: `limite de ${maxCorrelated} trades corrélés atteinte (${correlated.join(', ')})` };
+            }
+        }
+
+        return { allowed: true };
+    }
+}
@@ -0,0 +1,162 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getExchange } from './exchanges/index.js';
+
+export const INTERVAL_MS = {
+    '1m': 60000, '3m': 180000, '5m': 300000, '15m': 900000, '30m': 1800000,
+    '1h': 3600000, '2h': 7200000, '4h': 14400000, '1d': 86400000,
+};
+export const KLINE_PAGE_LIMIT = 1000; // Binance maximum per klines request
+const MAX_STORED_CANDLES = 1000; // Per symbol and interval, the oldest are dropped when the file is rewritten
+const COMPACTION_RATIO = 1.2; // Appended candles beyond MAX_STORED_CANDLES * ratio trigger a rewrite
+
+// Closed klines persisted on disk, one JSON Lines file per symbol and interval (raw Binance arrays).
+// Reads backfill the missing candles of the requested window with paged startTime requests, so that
+// restarts and stream reconnects only fetch what is not on disk yet.
+export class KlineRepository {
+    constructor(log, dataDir, clock = Date.now) {
+        this.log = log;
+        this.dataDir = dataDir;
+        this.clock = clock;
+        this.locks = new Map(); // `${symbol}_${interval}` -> promise of the running operation
+        this.files = new Map(); // `${symbol}_${interval}` -> { lastOpenTime, count } of the stored candles
+        this.emptyRanges = new Map(); // `${symbol}_${interval}` -> [from, to] ranges the exchange has no candles for
+    }
+
+    // Last `limit` closed klines, oldest first. Intervals the store does not align (e.g. 1w) go straight to the exchange.
+    async getKlines(symbol, interval, limit = 201) {
+        const intervalMs = INTERVAL_MS[interval];
+        if (!intervalMs) return getExchange().getKlines(symbol, interval, { limit });
+
+        return this._withLock(`${symbol}_${interval}`, async (key) => {
+            const stored = await this._load(key);
+            const byOpenTime = new Map(stored.map(k => [k[0], k]));
+            const lastClosedOpen = Math.max(Math.floor(this.clock() / intervalMs) * intervalMs - intervalMs, stored.length > 0 ? stored[stored.length - 1][0] : 0);
+            const from = lastClosedOpen - (limit - 1) * intervalMs;
+
+            let added = 0;
+            for (const [gapStart, gapEnd] of this._findGaps(key, byOpenTime, from, lastClosedOpen, intervalMs)) {
+                try {
+                    const fetched = await this._fetchRange(symbol, interval, gapStart, gapEnd);
+                    fetched.forEach(k => {
+                        if (!byOpenTime.has(k[0])) added++;
+                        byOpenTime.set(k[0], k);
+                    });
+                    this._markEmpty(key, byOpenTime, gapStart, gapEnd, intervalMs);
+                } catch (error) {
+                    this.log('WARN', `Could not fetch klines for ${symbol} (${interval}): ${error.message}`);
+                }
+            }
+
+            const candles = [...byOpenTime.values()].sort((a, b) => a[0] - b[0]);
+            if (added > 0 || stored.length > MAX_STORED_CANDLES * COMPACTION_RATIO) await this._save(key, candles.slice(-Math.max(MAX_STORED_CANDLES, limit)));
+            return candles.filter(k => k[0] >= from && k[0] <= lastClosedOpen);
+        });
+    }
+
+    // Closed kline from the stream (Binance kline event payload `k`). Candles missed before it are backfilled by the next read.
+    async appendKline(symbol, interval, kline) {
+        if (!INTERVAL_MS[interval]) return;
+        await this._withLock(`${symbol}_${interval}`, async (key) => {
+            if (!this.files.has(key)) await this._load(key);
+            const file = this.files.get(key);
+            if (kline.t <= file.lastOpenTime) return;
+            const row = [kline.t, kline.o, kline.h, kline.l, kline.c, kline.v, kline.T, kline.q, kline.n, kline.V, kline.Q, '0'];
+            try {
+                await fs.appendFile(this._filePath(key), `${JSON.stringify(row)}\n`);
+                this.files.set(key, { lastOpenTime: kline.t, count: file.count + 1 });
+            } catch (e) {
+                this.log('ERROR', `Could not store ${interval} kline of ${symbol}: ${e.message}`);
+                return;
+            }
+            if (file.count + 1 > MAX_STORED_CANDLES * COMPACTION_RATIO) await this._save(key, (await this._load(key)).slice(-MAX_STORED_CANDLES));
+        });
+    }
+
+    _findGaps(key, byOpenTime, from, to, intervalMs) {
+        const empty = this.emptyRanges.get(key) || [];
+        const gaps = [];
+        for (let time = from; time <= to; time += intervalMs) {
+            if (byOpenTime.has(time) || empty.some(([start, end]) => time >= start && time <= end)) continue;
+            const last = gaps[gaps.length - 1];
+            if (last && last[1] === time - intervalMs) last[1] = time;
+            else gaps.push([time, time]);
+        }
+        return gaps;
+    }
+
+    // Candles still missing before a newer one do not exist on the exchange (listing, maintenance) and are not asked for again.
+    _markEmpty(key, byOpenTime, from, to, intervalMs) {
+        const newest = Math.max(...byOpenTime.keys());
+        const ranges = this.emptyRanges.get(key) || [];
+        for (let time = from; time <= Math.min(to, newest); time += intervalMs) {
+            if (byOpenTime.has(time)) continue;
+            const last = ranges[ranges.length - 1];
+            if (last && last[1] === time - intervalMs) last[1] = time;
+            else ranges.push([time, time]);
+        }
+        this.emptyRanges.set(key, ranges);
+    }
+
+    async _fetchRange(symbol, interval, from, to) {
+        const klines = [];
+        let startTime = from;
+        while (startTime <= to) {
+            const limit = Math.min(KLINE_PAGE_LIMIT, Math.floor((to - startTime) / INTERVAL_MS[interval]) + 1);
+            const page = await getExchange().getKlines(symbol, interval, { startTime, limit });
+            page.forEach(k => { if (k[0] <= to && k[6] < this.clock()) klines.push(k); });
+            if (page.length < limit) break;
+            startTime = page[page.length - 1][0] + INTERVAL_MS[interval];
+        }
+        return klines;
+    }
+
+    async _load(key) {
+        let content = '';
+        try {
+            content = await fs.readFile(this._filePath(key), 'utf-8');
+        } catch (e) {
+            if (e.code !== 'ENOENT') this.log('WARN', `Could not read kline file ${key}: ${e.message}`);
+        }
+        const byOpenTime = new Map();
+        content.split('\n').forEach(line => {
+            if (!line) return;
+            try {
+                const kline = JSON.parse(line);
+                byOpenTime.set(kline[0], kline);
+            } catch {
+                // Line cut by an interrupted write, the candle is backfilled on the next read
+            }
+        });
+        const klines = [...byOpenTime.values()].sort((a, b) => a[0] - b[0]);
+        this._setFile(key, klines);
+        return klines;
+    }
+
+    async _save(key, klines) {
+        try {
+            await fs.mkdir(this.dataDir, { recursive: true });
+            await fs.writeFile(this._filePath(key), klines.map(k => JSON.stringify(k)).join('\n') + '\n');
+            this._setFile(key, klines);
+        } catch (e) {
+            this.log('ERROR', `Could not write kline file ${key}: ${e.message}`);
+        }
+    }
+
+    _setFile(key, klines) {
+        this.files.set(key, { lastOpenTime: klines.length > 0 ? klines[klines.length - 1][0] : -1, count: klines.length });
+    }
+
+    _filePath(key) {
+        return path.join(this.dataDir, `${key}.jsonl`);
+    }
+
+    // Serializes the operations on one file.
+    _withLock(key, operation) {
+        const previous = this.locks.get(key) || Promise.resolve();
+        const run = previous.catch(() => {}).then(() => operation(key));
+        this.locks.set(key, run);
+        run.finally(() => { if (this.locks.get(key) === run) this.locks.delete(key); }).catch(() => {});
+        return run;
+    }
+}
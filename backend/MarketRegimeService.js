@@ -0,0 +1,116 @@
+import { EMA, ATR } from 'technicalindicators';
+import { BTC_SYMBOL } from './RiskGuardService.js';
+import { STRATEGIES, getStrategy } from './strategies/index.js';
+
+const KLINE_LIMIT = 120;
+const MIN_PAIRS_FOR_BREADTH = 10; // Below this the scanner sample says nothing about the market
+
+const REGIME_LABELS = { BULL: 'HAUSSIER', BEAR: 'BAISSIER', RANGE: 'RANGE', RISK_OFF: 'RISK-OFF' };
+export const MARKET_REGIMES = Object.keys(REGIME_LABELS);
+
+// Classifies the whole market from BTC's 4h/1d trend and volatility plus the breadth of the monitored pairs.
+export class MarketRegimeService {
+    constructor(botState, log, broadcast, fetchKlines, clock = Date.now) {
+        this.botState = botState;
+        this.log = log;
+        this.broadcast = broadcast;
+        this.fetchKlines = fetchKlines; // (symbol, interval, limit) => raw Binance klines
+        this.clock = clock;
+    }
+
+    get regime() {
+        return this.botState.marketRegime || null;
+    }
+
+    async update() {
+        let btc;
+        try {
+            const [klines4h, klines1d] = await Promise.all([
+                this.fetchKlines(BTC_SYMBOL, '4h', KLINE_LIMIT),
+                this.fetchKlines(BTC_SYMBOL, '1d', KLINE_LIMIT),
+            ]);
+            btc = this._analyzeBtc(klines4h, klines1d);
+        } catch (e) {
+            this.log('WARN', `Could not update market regime: ${e.message}`);
+            return this.regime;
+        }
+
+        const breadthPct = this._getBreadthPct();
+        const regime = {
+            regime: this._classify(btc, breadthPct),
+            btc_above_ema50_4h: btc.aboveEma50_4h,
+            btc_above_ema50_1d: btc.aboveEma50_1d,
+            btc_atr_pct_4h: btc.atrPct4h,
+            breadth_pct: breadthPct,
+            timestamp: new Date(this.clock()).toISOString(),
+        };
+
+        const previous = this.regime?.regime;
+        this.botState.marketRegime = regime;
+        if (regime.regime !== previous) {
+            const breadthInfo = breadthPct === null ? 'N/A' : `${breadthPct.toFixed(0)}%`;
+            this.log(regime.regime === 'BULL' ? 'INFO' : 'WARN', `Régime de marché: ${REGIME_LABELS[previous] || 'N/A'} -> ${REGIME_LABELS[regime.regime]} (BTC > EMA50 4h: ${btc.aboveEma50_4h}, BTC > EMA50 1j: ${btc.aboveEma50_1d}, ATR 4h: ${btc.atrPct4h.toFixed(2)}%, paires > EMA50 4h: ${breadthInfo}).`);
+        }
+        this.broadcast({ type: 'MARKET_REGIME_UPDATE', payload: regime });
+        return regime;
+    }
+
+    _analyzeBtc(klines4h, klines1d) {
+        const toSeries = (klines) => ({
+            closes: klines.map(k => parseFloat(k[4])),
+            highs: klines.map(k => parseFloat(k[2])),
+            lows: klines.map(k => parseFloat(k[3])),
+        });
+        const series4h = toSeries(klines4h);
+        const series1d = toSeries(klines1d);
+        if (series4h.closes.length < 51 || series1d.closes.length < 51) throw new Error('not enough BTC klines');
+
+        const lastClose4h = series4h.closes[series4h.closes.length - 1];
+        const lastClose1d = series1d.closes[series1d.closes.length - 1];
+        const atr4h = ATR.calculate({ high: series4h.highs, low: series4h.lows, close: series4h.closes, period: 14 }).pop();
+        return {
+            aboveEma50_4h: lastClose4h > EMA.calculate({ period: 50, values: series4h.closes }).pop(),
+            aboveEma50_1d: lastClose1d > EMA.calculate({ period: 50, values: series1d.closes }).pop(),
+            atrPct4h: (atr4h / lastClose4h) * 100,
+        };
+    }
+
+    // Share of the monitored pairs trading above their 4h EMA50.
+    _getBreadthPct() {
+        const pairs = (this.botState.scannerCache || []).filter(p => typeof p.price_above_ema50_4h === 'boolean');
+        if (pairs.length < MIN_PAIRS_FOR_BREADTH) return null;
+        return (pairs.filter(p => p.price_above_ema50_4h).length / pairs.length) * 100;
+    }
+
+    _classify(btc, breadthPct) {
+        const { settings } = this.botState;
+        const breadthKnown = breadthPct !== null;
+
+        // A volatile BTC sell-off drags everything down, whatever the trend says.
+        if (!btc.aboveEma50_4h && btc.atrPct4h >= settings.MARKET_REGIME_RISK_OFF_ATR_PCT) return 'RISK_OFF';
+        if (breadthKnown && breadthPct < settings.MARKET_REGIME_BEAR_BREADTH_PCT && !btc.aboveEma50_4h) return 'RISK_OFF';
+
+        if (btc.aboveEma50_4h && btc.aboveEma50_1d && (!breadthKnown || breadthPct >= settings.MARKET_REGIME_BULL_BREADTH_PCT)) return 'BULL';
+        if (!btc.aboveEma50_4h && !btc.aboveEma50_1d && (!breadthKnown || breadthPct < settings.MARKET_REGIME_BULL_BREADTH_PCT)) return 'BEAR';
+        return 'RANGE';
+    }
+
+    // Returns { allowed, reason, sizeMultiplier } for a new signal of the given strategy.
+    // Each strategy declares its allowed regimes; RANGE positions are scaled by MARKET_REGIME_RANGE_SIZE_MULTIPLIER.
+    getEntryDecision(strategyType) {
+        const { settings } = this.botState;
+        const regime = this.regime?.regime;
+        if (!settings.USE_MARKET_REGIME_FILTER || !regime) return { allowed: true, sizeMultiplier: 1 };
+
+        // Manual entries belong to no strategy: they are allowed in the regimes where at least one strategy may enter.
+        const allowedRegimes = getStrategy(strategyType)?.allowedRegimes ?? STRATEGIES.flatMap(s => s.allowedRegimes);
+        if (!allowedRegimes.includes(regime)) {
+            const reason = !STRATEGIES.some(s => s.allowedRegimes.includes(regime))
+                ? `régime de marché ${REGIME_LABELS[regime]}, aucune entrée autorisée`
+                : `régime de marché ${REGIME_LABELS[regime]}, stratégie ${strategyType} non autorisée`;
+            return { allowed: false, reason };
+        }
+        const sizeMultiplier = regime === 'RANGE' ? (settings.MARKET_REGIME_RANGE_SIZE_MULTIPLIER ?? 0.5) : 1;
+        return { allowed: true, sizeMultiplier };
+    }
+}
@@ -0,0 +1,50 @@
+import { BTC_SYMBOL } from './RiskGuardService.js';
+
+export const KLINE_STREAM_INTERVALS = ['1m', '5m', '15m'];
+
+// Routes one combined-stream message (tickers and closed klines) through the analyzer and the trading engine.
+// Shared by the live exchange stream and the replays. The returned promise settles once the message is fully processed.
+export function createMarketMessageHandler({ botState, log, broadcast, riskGuard, realtimeAnalyzer, tradingEngine }) {
+    return (data) => {
+        const tasks = [];
+        try {
+            const { stream, data: payload } = JSON.parse(data);
+            if (stream === '!ticker@arr') {
+                payload.forEach(ticker => {
+                    botState.priceCache.set(ticker.s, { price: parseFloat(ticker.c), bid: parseFloat(ticker.b), ask: parseFloat(ticker.a), quoteVolume: parseFloat(ticker.q) });
+                    broadcast({ type: 'PRICE_UPDATE', payload: { symbol: ticker.s, price: parseFloat(ticker.c) } });
+                });
+                const btcPrice = botState.priceCache.get(BTC_SYMBOL)?.price;
+                if (btcPrice) riskGuard.handleBtcPrice(btcPrice);
+                tasks.push(tradingEngine.checkAllPositions());
+            } else if (payload.e === 'kline') {
+                const { s: symbol, k: kline } = payload;
+                const isClosed = kline.x;
+                if(isClosed) {
+                    tasks.push(realtimeAnalyzer.handleNewKline(symbol, kline.i, kline).then(updatedPair => {
+                        if(updatedPair) {
+                            const cacheIndex = botState.scannerCache.findIndex(p => p.symbol === symbol);
+                            if (cacheIndex !== -1) botState.scannerCache[cacheIndex] = updatedPair;
+                            else botState.scannerCache.push(updatedPair);
+
+                            broadcast({ type: 'SCANNER_UPDATE', payload: updatedPair });
+                            // Let the trading engine decide what to do with the new analysis
+                            return tradingEngine.processAnalyzedPair(updatedPair);
+                        }
+                    }));
+                    // If a 5m kline closes, check for pending confirmations
+                    if (kline.i === '5m') {
+                        tasks.push(tradingEngine.checkConfirmationsOn5mClose(symbol, kline));
+                    }
+                    // A closed 1m candle can confirm the next scaling-in tranche
+                    if (kline.i === '1m') {
+                        tasks.push(tradingEngine.checkScalingInOnKlineClose(symbol, kline));
+                    }
+                }
+            }
+        } catch(e) {
+            log('ERROR', `Failed to process market stream message: ${e.message}`);
+        }
+        return Promise.all(tasks).catch(e => log('ERROR', `Failed to process market stream message: ${e.message}`));
+    };
+}
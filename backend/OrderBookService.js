@@ -0,0 +1,119 @@
+import { getExchange } from './exchanges/index.js';
+
+const DEPTH_LIMIT = 500;
+const MIN_DOWNSIZE_RATIO = 0.25; // Below this share of the intended size, a downsized trade is not worth taking
+
+// Walks one side of the book (asks for a buy, bids for a sell) to estimate the average fill price of a market order.
+const estimateFill = (levels, quantity) => {
+    let remaining = quantity;
+    let cost = 0;
+    for (const [price, qty] of levels) {
+        const filled = Math.min(remaining, qty);
+        cost += filled * price;
+        remaining -= filled;
+        if (remaining <= 0) break;
+    }
+    if (remaining > 0) return null; // Not enough depth in the snapshot
+    return cost / quantity;
+};
+
+export class OrderBookService {
+    constructor(log, quoteAssets) {
+        this.log = log;
+        this.quoteAssets = quoteAssets;
+    }
+
+    async fetchDepth(symbol) {
+        const depth = await getExchange().getDepth(symbol, DEPTH_LIMIT);
+        if (!Array.isArray(depth.bids) || !Array.isArray(depth.asks)) throw new Error(`Depth response for ${symbol} is invalid.`);
+        return {
+            bids: depth.bids.map(([p, q]) => [parseFloat(p), parseFloat(q)]),
+            asks: depth.asks.map(([p, q]) => [parseFloat(p), parseFloat(q)]),
+        };
+    }
+
+    async simulateMarketFill(symbol, side, quantity) {
+        const depth = await this.fetchDepth(symbol);
+        const fillPrice = estimateFill(side === 'BUY' ? depth.asks : depth.bids, quantity);
+        if (!fillPrice) throw new Error(`profondeur insuffisante pour ${quantity} ${symbol}`);
+        return fillPrice;
+    }
+
+    // Book prices are in the quote asset of the symbol; usdRate values the liquidity in USD.
+    analyzeDepth(depth, quantity, settings, usdRate = 1) {
+        const { bids, asks } = depth;
+        if (bids.length === 0 || asks.length === 0) return null;
+
+        const bestBid = bids[0][0];
+        const bestAsk = asks[0][0];
+        const midPrice = (bestBid + bestAsk) / 2;
+        const rangePct = settings.ORDER_BOOK_DEPTH_RANGE_PCT || 0.5;
+        const lowerBound = midPrice * (1 - rangePct / 100);
+        const upperBound = midPrice * (1 + rangePct / 100);
+
+        const bidLiquidityUsd = bids.filter(([p]) => p >= lowerBound).reduce((sum, [p, q]) => sum + p * q, 0) * usdRate;
+        const askLiquidityUsd = asks.filter(([p]) => p <= upperBound).reduce((sum, [p, q]) => sum + p * q, 0) * usdRate;
+        const avgFillPrice = estimateFill(asks, quantity);
+
+        return {
+            timestamp: new Date().toISOString(),
+            mid_price: midPrice,
+            spread_pct: ((bestAsk - bestBid) / midPrice) * 100,
+            range_pct: rangePct,
+            bid_liquidity_usd: bidLiquidityUsd,
+            ask_liquidity_usd: askLiquidityUsd,
+            estimated_fill_price: avgFillPrice,
+            estimated_slippage_pct: avgFillPrice ? ((avgFillPrice - midPrice) / midPrice) * 100 : Infinity,
+        };
+    }
+
+    // Largest quantity (<= requested) whose estimated slippage stays within the allowed limit.
+    findMaxQuantity(asks, quantity, midPrice, maxSlippagePct) {
+        let low = 0;
+        let high = quantity;
+        for (let i = 0; i < 30; i++) {
+            const candidate = (low + high) / 2;
+            const fill = estimateFill(asks, candidate);
+            if (fill && ((fill - midPrice) / midPrice) * 100 <= maxSlippagePct) low = candidate;
+            else high = candidate;
+        }
+        return low;
+    }
+
+    // Returns { allowed, quantity, report, reason }. The quantity may be reduced when the book is too thin for the full size.
+    async checkLiquidity(symbol, quantity, settings) {
+        let depth;
+        try {
+            depth = await this.fetchDepth(symbol);
+        } catch (e) {
+            return { allowed: false, reason: `carnet d'ordres indisponible (${e.message})` };
+        }
+
+        const { quoteAsset } = this.quoteAssets.getAssets(symbol);
+        const usdRate = this.quoteAssets.getUsdRate(quoteAsset);
+        if (usdRate === null) return { allowed: false, reason: `cours USD de ${quoteAsset} inconnu, liquidité non évaluable` };
+
+        const report = this.analyzeDepth(depth, quantity, settings, usdRate);
+        if (!report) return { allowed: false, reason: 'carnet d\'ordres vide' };
+
+        const minLiquidity = settings.MIN_ORDER_BOOK_LIQUIDITY_USD || 0;
+        const thinnestSide = Math.min(report.bid_liquidity_usd, report.ask_liquidity_usd);
+        if (thinnestSide < minLiquidity) {
+            return { allowed: false, report, reason: `liquidité insuffisante ($${thinnestSide.toFixed(0)} < $${minLiquidity} dans ±${report.range_pct}%)` };
+        }
+
+        const maxSlippagePct = settings.MAX_ENTRY_SLIPPAGE_PCT || 0.3;
+        if (report.estimated_slippage_pct <= maxSlippagePct) {
+            return { allowed: true, quantity, report };
+        }
+
+        const reducedQuantity = this.findMaxQuantity(depth.asks, quantity, report.mid_price, maxSlippagePct);
+        if (reducedQuantity < quantity * MIN_DOWNSIZE_RATIO) {
+            return { allowed: false, report, reason: `slippage estimé trop élevé (${report.estimated_slippage_pct.toFixed(3)}% > ${maxSlippagePct}%)` };
+        }
+
+        const reducedReport = { ...this.analyzeDepth(depth, reducedQuantity, settings, usdRate), downsized_from_quantity: quantity };
+        this.log('TRADE', `[${symbol}] Carnet d'ordres trop mince pour la taille prévue. Quantité réduite de ${quantity} à ${reducedQuantity} (slippage estimé ${reducedReport.estimated_slippage_pct.toFixed(3)}%).`);
+        return { allowed: true, quantity: reducedQuantity, report: reducedReport };
+    }
+}
@@ -0,0 +1,106 @@
+import { getExchange } from './exchanges/index.js';
+
+export const USD_QUOTE_ASSET = 'USDT'; // Reference currency of balances, volume filters and risk limits
+const USD_STABLECOINS = ['USDT', 'USDC', 'FDUSD', 'TUSD', 'BUSD', 'USDP', 'DAI'];
+// Used to split a symbol before exchange info is loaded. Longest suffixes first.
+const KNOWN_QUOTE_ASSETS = ['FDUSD', 'USDT', 'USDC', 'TUSD', 'BUSD', 'BTC', 'ETH', 'BNB', 'EUR', 'TRY', 'BRL'];
+const EXCHANGE_INFO_TTL = 24 * 60 * 60 * 1000;
+
+export const isUsdStablecoin = (asset) => USD_STABLECOINS.includes(asset);
+
+export const parseQuoteAssets = (settings) => {
+    const assets = String(settings.QUOTE_ASSETS || USD_QUOTE_ASSET).split(',').map(a => a.trim().toUpperCase()).filter(Boolean);
+    return assets.length > 0 ? [...new Set(assets)] : [USD_QUOTE_ASSET];
+};
+
+// "USDC:5000,BTC:0.1" -> { USDC: 5000, BTC: 0.1 }. USDT is funded by INITIAL_VIRTUAL_BALANCE.
+export const parseQuoteBalances = (config) => {
+    const balances = {};
+    String(config || '').split(',').forEach(entry => {
+        const [asset, amount] = entry.split(':').map(part => part?.trim());
+        const value = parseFloat(amount);
+        if (asset && asset.toUpperCase() !== USD_QUOTE_ASSET && value >= 0) balances[asset.toUpperCase()] = value;
+    });
+    return balances;
+};
+
+// USD value of one unit of asset from its USDT market (or the inverse one). Unlisted stablecoins count as 1, anything else unpriced is null.
+export const getUsdRate = (asset, getPrice) => {
+    if (asset === USD_QUOTE_ASSET) return 1;
+    const direct = getPrice(`${asset}${USD_QUOTE_ASSET}`);
+    if (direct > 0) return direct;
+    const inverse = getPrice(`${USD_QUOTE_ASSET}${asset}`);
+    if (inverse > 0) return 1 / inverse;
+    return isUsdStablecoin(asset) ? 1 : null;
+};
+
+export const splitSymbol = (symbol) => {
+    const quoteAsset = KNOWN_QUOTE_ASSETS.find(q => symbol.endsWith(q) && symbol.length > q.length) || USD_QUOTE_ASSET;
+    return { baseAsset: symbol.slice(0, -quoteAsset.length), quoteAsset };
+};
+
+// Splits symbols into base/quote with Binance exchange info and keeps the per-quote balances of the engine.
+// USDT stays in botState.balance; the other quote assets live in botState.quoteBalances, in their own units.
+export class QuoteAssetService {
+    constructor(botState, log) {
+        this.botState = botState;
+        this.log = log;
+        this.symbols = new Map(); // symbol -> { baseAsset, quoteAsset, status }
+        this.symbolsLoadedAt = 0;
+    }
+
+    get quoteAssets() {
+        return parseQuoteAssets(this.botState.settings);
+    }
+
+    setSymbols(exchangeSymbols) {
+        this.symbols.clear();
+        exchangeSymbols.forEach(s => this.symbols.set(s.symbol, { baseAsset: s.baseAsset, quoteAsset: s.quoteAsset, status: s.status }));
+        this.symbolsLoadedAt = Date.now();
+    }
+
+    async loadSymbols() {
+        if (this.symbols.size > 0 && Date.now() - this.symbolsLoadedAt < EXCHANGE_INFO_TTL) return this.symbols;
+        const exchangeInfo = await getExchange().getExchangeInfo();
+        this.setSymbols(exchangeInfo.symbols || []);
+        this.log('BINANCE_API', `Exchange info loaded for ${this.symbols.size} symbols.`);
+        return this.symbols;
+    }
+
+    getAssets(symbol) {
+        const info = this.symbols.get(symbol);
+        return info ? { baseAsset: info.baseAsset, quoteAsset: info.quoteAsset } : splitSymbol(symbol);
+    }
+
+    getUsdRate(asset) {
+        return getUsdRate(asset, (symbol) => this.botState.priceCache.get(symbol)?.price);
+    }
+
+    getBalance(asset) {
+        if (asset === USD_QUOTE_ASSET) return this.botState.balance;
+        return this.botState.quoteBalances?.[asset] || 0;
+    }
+
+    adjustBalance(asset, delta) {
+        if (asset === USD_QUOTE_ASSET) {
+            this.botState.balance += delta;
+            return;
+        }
+        this.botState.quoteBalances = this.botState.quoteBalances || {};
+        this.botState.quoteBalances[asset] = (this.botState.quoteBalances[asset] || 0) + delta;
+    }
+
+    // Every quote balance valued in USD. Quotes without a known rate are left out.
+    getTotalBalanceUsd() {
+        return Object.entries(this.botState.quoteBalances || {}).reduce((total, [asset, amount]) => {
+            const rate = this.getUsdRate(asset);
+            return rate === null ? total : total + amount * rate;
+        }, this.botState.balance);
+    }
+
+    resetVirtualBalances() {
+        const { settings } = this.botState;
+        this.botState.balance = settings.INITIAL_VIRTUAL_BALANCE;
+        this.botState.quoteBalances = parseQuoteBalances(settings.INITIAL_VIRTUAL_QUOTE_BALANCES);
+    }
+}
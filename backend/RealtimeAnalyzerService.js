@@ -1,7 +1,17 @@
-import { RSI, ADX, ATR, BollingerBands, EMA, OBV, SMA } from 'technicalindicators';
 import { ScannerService } from './ScannerService.js';
+import { getExchange } from './exchanges/index.js';
+import { getEnabledStrategies, getRequiredTimeframes } from './strategies/index.js';
+import { TimeframeIndicatorState } from './indicators/index.js';
+import { INTERVAL_MS } from './KlineRepository.js';
 
-const scanner = new ScannerService(() => {}); // Dummy log
+const scanner = new ScannerService(() => {}); // Dummy log, direct exchange requests when no kline store is given
+
+const WHALE_MIN_SPIKE_MOVE_PCT = 1.0; // Minimum 1m candle move for a volume spike to count as a price spike
+const WHALE_REVERSAL_CANDLES = 3; // Candles after the spike in which a reversal is looked for
+const WHALE_REVERSAL_RETRACE = 0.5; // Share of the spike move that must be given back
+export const BASE_TIMEFRAMES = ['1m', '5m', '15m', '1h', '4h']; // Shared conditions, whale detection and the engine's profile selection
+const PAIR_TIMEFRAMES = ['15m', '1h', '4h']; // Analysis kept on the pair (scanner cache, entry snapshots)
+export const KLINE_HISTORY_LENGTH = 201; // Candles kept per symbol and timeframe
 
 function calculateCVD(klines) {
     if (!klines || klines.length === 0) return 0;
@@ -15,11 +25,15 @@ function calculateCVD(klines) {
 }
 
 export class RealtimeAnalyzerService {
-    constructor(log, getBotState) {
+    constructor(log, getBotState, clock = Date.now, klineRepository = null) {
         this.log = log;
         this.getBotState = getBotState;
+        this.clock = clock;
+        this.klineRepository = klineRepository;
         this.settings = {};
         this.klineData = new Map();
+        this.indicatorStates = new Map(); // `${symbol}_${interval}` -> TimeframeIndicatorState of the klineData series
+        this.manipulationFlags = new Map(); // symbol -> { score, reasons, until }
     }
 
     updateSettings(settings) {
@@ -30,7 +44,7 @@ export class RealtimeAnalyzerService {
         try {
             const klines15m = await this.fetchKlines(symbol, '15m');
             if (klines15m.length < 50) return null;
-            const analysis15m = this.analyzeTimeframe(klines15m, '15m');
+            const analysis15m = this.analyzeTimeframe(klines15m, '15m', this.getIndicatorState(symbol, '15m', klines15m));
             return { ...baseData, ...analysis15m };
         } catch (e) {
             this.log('WARN', `Failed to hydrate ${symbol}: ${e.message}`);
@@ -40,132 +54,142 @@ export class RealtimeAnalyzerService {
 
     async handleNewKline(symbol, interval, kline) {
         const formattedKline = {
+            openTime: kline.t,
             open: parseFloat(kline.o), high: parseFloat(kline.h),
             low: parseFloat(kline.l), close: parseFloat(kline.c),
             volume: parseFloat(kline.v),
         };
 
         const key = `${symbol}_${interval}`;
+        if (this.klineRepository) {
+            await this.klineRepository.appendKline(symbol, interval, kline);
+            // A candle missed by the stream (e.g. during a reconnect) reloads the series from the store, which backfills it
+            const lastKline = this.klineData.get(key)?.at(-1);
+            if (lastKline?.openTime !== undefined && formattedKline.openTime > lastKline.openTime + INTERVAL_MS[interval]) {
+                this.log('WARN', `Gap in the ${interval} klines of ${symbol}, reloading them from the kline store.`);
+                this.klineData.delete(key);
+                this.indicatorStates.delete(key);
+            }
+        }
         if (!this.klineData.has(key)) {
-            const historicalKlines = await this.fetchKlines(symbol, interval, 200);
+            const historicalKlines = await this.fetchKlines(symbol, interval);
             this.klineData.set(key, historicalKlines);
         }
         
         const klines = this.klineData.get(key);
+        if (klines[klines.length - 1]?.openTime >= formattedKline.openTime) return this.runFullAnalysis(symbol); // Already in the fetched history
+        const state = this.indicatorStates.get(key);
+        if (state && state.lastKline === klines[klines.length - 1]) state.update(formattedKline);
         klines.push(formattedKline);
-        if (klines.length > 201) klines.shift();
+        if (klines.length > KLINE_HISTORY_LENGTH) klines.shift();
         
         return this.runFullAnalysis(symbol);
     }
 
     async runFullAnalysis(symbol) {
         try {
-            const [baseData, klines1m, klines5m, klines15m, klines1h, klines4h] = await Promise.all([
-                this.getBaseData(symbol), this.fetchKlines(symbol, '1m'),
-                this.fetchKlines(symbol, '5m'), this.fetchKlines(symbol, '15m'),
-                this.fetchKlines(symbol, '1h'), this.fetchKlines(symbol, '4h'),
+            const timeframes = getRequiredTimeframes(this.settings, BASE_TIMEFRAMES);
+            const [baseData, ...klineSets] = await Promise.all([
+                this.getBaseData(symbol), ...timeframes.map(tf => this.fetchKlines(symbol, tf)),
             ]);
+            const klines = Object.fromEntries(timeframes.map((tf, i) => [tf, klineSets[i]]));
+
+            if (klines['15m'].length < 50 || klines['1h'].length < 21 || klines['4h'].length < 51 || klines['1m'].length < 21) return null;
 
-            if (klines15m.length < 50 || klines1h.length < 21 || klines4h.length < 51 || klines1m.length < 21) return null;
+            const analysisByTimeframe = Object.fromEntries(timeframes.map(tf => [tf, this.analyzeTimeframe(klines[tf], tf, this.getIndicatorState(symbol, tf, klines[tf]))]));
+            const analysis = Object.assign({}, ...Object.values(analysisByTimeframe));
 
-            const analysis1m = this.analyzeTimeframe(klines1m, '1m');
-            const analysis5m = this.analyzeTimeframe(klines5m, '5m');
-            const analysis15m = this.analyzeTimeframe(klines15m, '15m');
-            const analysis1h = this.analyzeTimeframe(klines1h, '1h');
-            const analysis4h = this.analyzeTimeframe(klines4h, '4h');
-            
-            const combined = { symbol, price: baseData.price, volume: baseData.volume, priceDirection: 'neutral', ...analysis15m, ...analysis1h, ...analysis4h };
-            return this.evaluateStrategy(combined, analysis1m, analysis5m, klines1m, klines15m);
+            const combined = { symbol, price: baseData.price, volume: baseData.volume, priceDirection: 'neutral', ...Object.assign({}, ...PAIR_TIMEFRAMES.map(tf => analysisByTimeframe[tf])) };
+            combined.manipulation_score = this.updateManipulationScore(symbol, klines['1m'], klines['5m']);
+            combined.price_extension_pct_1m = this.getPriceExtensionPct(klines['1m'], this.settings.PARABOLIC_FILTER_PERIOD_MINUTES);
+            return this.evaluateStrategy(combined, analysis, klines);
         } catch (e) {
             this.log('ERROR', `Full analysis for ${symbol} failed: ${e.message}`);
             return null;
         }
     }
 
-    analyzeTimeframe(klines, interval) {
+    // Incremental state of the klineData series. It is rebuilt from the candles when the series was replaced (REST refetch, replay seeding).
+    getIndicatorState(symbol, interval, klines) {
+        const key = `${symbol}_${interval}`;
+        let state = this.indicatorStates.get(key);
+        if (!state || state.lastKline !== klines[klines.length - 1]) {
+            state = TimeframeIndicatorState.fromKlines(interval, klines, KLINE_HISTORY_LENGTH);
+            this.indicatorStates.set(key, state);
+        }
+        return state;
+    }
+
+    analyzeTimeframe(klines, interval, state = TimeframeIndicatorState.fromKlines(interval, klines, KLINE_HISTORY_LENGTH)) {
         if (klines.length < 21) return {};
-        const closes = klines.map(k => k.close);
-        const highs = klines.map(k => k.high);
-        const lows = klines.map(k => k.low);
-        const volumes = klines.map(k => k.volume);
+        const { ema9, volumeSma20, obv, bollinger, rsi14, adx14, atr14, ema50 } = state.indicators;
+        const lastCandle = klines[klines.length - 1];
         const result = {};
 
         switch (interval) {
             case '1m':
-                result.ema9_1m = EMA.calculate({ period: 9, values: closes }).pop();
-                result.volume_avg_1m = SMA.calculate({ period: 20, values: volumes }).pop();
-                result.obv_1m_slope = this.getObvSlope(klines);
+                result.ema9_1m = ema9.value;
+                result.volume_avg_1m = volumeSma20.value;
+                result.obv_1m_slope = obv.slope;
                 break;
             case '5m':
                 result.cvd_5m_trending_up = this.getCvdSlope(klines) > 0;
-                result.obv_5m_slope = this.getObvSlope(klines);
-                const lastCandle5m = klines[klines.length - 1];
-                const avgVolume5m = SMA.calculate({ period: 20, values: volumes }).pop();
-                result.momentum_confirmation_5m = lastCandle5m.close > lastCandle5m.open && lastCandle5m.volume > avgVolume5m;
+                result.obv_5m_slope = obv.slope;
+                result.momentum_confirmation_5m = lastCandle.close > lastCandle.open && lastCandle.volume > volumeSma20.value;
                 break;
             case '15m':
-                const bb = BollingerBands.calculate({ period: 20, values: closes, stdDev: 2 });
-                const lastBB = bb[bb.length-1] || { upper: 0, middle: 0, lower: 0 };
-                const bbWidths = bb.map(b => ((b.upper - b.lower) / b.middle) * 100).filter(v => !isNaN(v));
-                const lastWidth = bbWidths[bbWidths.length-1];
-                bbWidths.sort((a, b) => a - b);
-                const squeezeThreshold = bbWidths[Math.floor(bbWidths.length * 0.25)];
-                result.bollinger_bands_15m = { ...lastBB, width_pct: lastWidth };
+                const lastWidth = state.bollingerWidthPct;
+                const squeezeThreshold = state.bollingerWidths.percentile(0.25);
+                result.bollinger_bands_15m = { ...(bollinger.value || { upper: 0, middle: 0, lower: 0 }), width_pct: lastWidth };
                 result.is_in_squeeze_15m = lastWidth < squeezeThreshold;
-                result.rsi_15m = RSI.calculate({ period: 14, values: closes }).pop();
-                result.adx_15m = ADX.calculate({ high, low, close: closes, period: 14 }).pop()?.adx;
-                const atr = ATR.calculate({ high, low, close: closes, period: 14 }).pop();
+                result.rsi_15m = rsi14.value;
+                result.adx_15m = adx14.value?.adx;
+                const atr = atr14.value;
                 result.atr_15m = atr;
-                result.atr_pct_15m = (atr / closes[closes.length - 1]) * 100;
-                const lastCandle15m = klines[klines.length - 1];
-                const avgVolume15m = SMA.calculate({ period: 20, values: volumes }).pop();
-                const candleRange = lastCandle15m.high - lastCandle15m.low;
-                const bodySize = Math.abs(lastCandle15m.close - lastCandle15m.open);
-                result.momentum_impulse_15m = candleRange > 0 && (bodySize / candleRange > 0.7) && (lastCandle15m.volume > (avgVolume15m * 2)) && (lastCandle15m.close > lastCandle15m.open);
+                result.atr_pct_15m = (atr / lastCandle.close) * 100;
+                const candleRange = lastCandle.high - lastCandle.low;
+                const bodySize = Math.abs(lastCandle.close - lastCandle.open);
+                result.momentum_impulse_15m = candleRange > 0 && (bodySize / candleRange > 0.7) && (lastCandle.volume > (volumeSma20.value * 2)) && (lastCandle.close > lastCandle.open);
                 break;
             case '1h':
-                result.rsi_1h = RSI.calculate({ period: 14, values: closes }).pop();
+                result.rsi_1h = rsi14.value;
                 break;
             case '4h':
-                result.price_above_ema50_4h = closes[closes.length - 1] > EMA.calculate({ period: 50, values: closes }).pop();
+                result.price_above_ema50_4h = lastCandle.close > ema50.value;
                 break;
         }
         return result;
     }
 
-    evaluateStrategy(pair, analysis1m, analysis5m, klines1m) {
-        let conditions = { trend: false, squeeze: false, breakout: false, volume: false, safety: false, obv: false, rsi_mtf: false, cvd_5m_trending_up: false, wick_detection: false, obv_5m: false, momentum_impulse: false, momentum_confirmation: false };
+    // Runs every enabled strategy of the registry and keeps the one with the highest score_value.
+    evaluateStrategy(pair, analysis, klines) {
+        let conditions = { trend: false, squeeze: false, breakout: false, volume: false, safety: false, obv: false, rsi_mtf: false, cvd_5m_trending_up: false, wick_detection: false, obv_5m: false, momentum_impulse: false, momentum_confirmation: false, whale_detection: false, parabolic: false };
         const shared = this.evaluateSharedConditions(pair, conditions);
-        
-        const ignitionResult = this.evaluateIgnitionStrategy(pair, klines1m, shared.conditions);
-        const momentumResult = this.evaluateMomentumStrategy(pair, analysis5m, shared.conditions);
-        const precisionResult = this.evaluatePrecisionStrategy(pair, analysis1m, analysis5m, klines1m, shared.conditions);
+        const context = { pair, conditions: shared.conditions, analysis, klines, settings: this.settings, log: this.log };
 
-        let finalResult = precisionResult;
-        if (momentumResult.score_value > finalResult.score_value) finalResult = momentumResult;
-        if (ignitionResult.score_value > finalResult.score_value) finalResult = ignitionResult;
-        
-        let relevantConditions, metCount = 0, totalConditions = 0;
-
-        if (finalResult.strategy_type === 'PRECISION') {
-            relevantConditions = ['trend', 'squeeze', 'breakout', 'volume', 'safety', 'obv', 'rsi_mtf', 'cvd_5m_trending_up', 'wick_detection', 'obv_5m'];
-        } else if (finalResult.strategy_type === 'MOMENTUM') {
-            relevantConditions = ['trend', 'safety', 'rsi_mtf', 'momentum_impulse', 'momentum_confirmation'];
-        } else { 
-            relevantConditions = ['trend'];
+        let finalResult = null, finalStrategy = null, isOnHotlist = false;
+        for (const strategy of getEnabledStrategies(this.settings)) {
+            const result = strategy.evaluate(context);
+            if (result.is_on_hotlist) isOnHotlist = true;
+            if (!finalResult || result.score_value > finalResult.score_value) {
+                finalResult = result;
+                finalStrategy = strategy;
+            }
         }
 
-        totalConditions = relevantConditions.length;
+        const relevantConditions = finalStrategy ? finalStrategy.getConditions(this.settings) : [];
+        let metCount = 0;
         relevantConditions.forEach(key => {
             if (finalResult.conditions[key] === true) metCount++;
         });
         
-        pair.conditions = finalResult.conditions;
+        pair.conditions = finalResult?.conditions || shared.conditions;
         pair.conditions_met_count = metCount;
-        pair.conditions_total_count = totalConditions;
-        pair.score = finalResult.score;
-        pair.score_value = finalResult.score_value;
-        pair.strategy_type = finalResult.strategy_type;
+        pair.conditions_total_count = relevantConditions.length;
+        pair.score = finalResult?.score || 'HOLD';
+        pair.score_value = finalResult?.score_value || 0;
+        pair.strategy_type = finalStrategy?.name || null;
+        pair.is_on_hotlist = isOnHotlist;
 
         return pair;
     }
@@ -174,101 +198,114 @@ export class RealtimeAnalyzerService {
         conditions.trend = pair.price_above_ema50_4h;
         conditions.safety = this.settings.USE_RSI_SAFETY_FILTER ? (pair.rsi_1h || 0) < this.settings.RSI_OVERBOUGHT_THRESHOLD : true;
         conditions.rsi_mtf = this.settings.USE_RSI_MTF_FILTER ? (pair.rsi_15m || 0) < this.settings.RSI_15M_OVERBOUGHT_THRESHOLD : true;
+        conditions.whale_detection = this.settings.USE_WHALE_MANIPULATION_FILTER ? !(pair.manipulation_score > 0) : true;
+        conditions.parabolic = this.settings.USE_PARABOLIC_FILTER ? (pair.price_extension_pct_1m || 0) <= this.settings.PARABOLIC_FILTER_THRESHOLD_PCT : true;
         return { conditions };
     }
 
-    evaluateIgnitionStrategy(pair, klines1m, conditions) {
-        let result = { score: 'HOLD', score_value: 0, strategy_type: 'IGNITION', conditions };
-        if (this.settings.USE_IGNITION_STRATEGY && conditions.trend) {
-            const lastCandle1m = klines1m[klines1m.length - 1];
-            const prevCandle1m = klines1m[klines1m.length - 2];
-            const avgVolume1m = SMA.calculate({ period: 20, values: klines1m.map(k=>k.volume) }).pop();
-            if (lastCandle1m && prevCandle1m && avgVolume1m > 0) {
-                const priceSpikePct = ((lastCandle1m.close - prevCandle1m.close) / prevCandle1m.close) * 100;
-                const volumeMultiple = lastCandle1m.volume / avgVolume1m;
-                if (priceSpikePct >= this.settings.IGNITION_PRICE_SPIKE_PCT && volumeMultiple >= this.settings.IGNITION_VOLUME_MULTIPLE) {
-                    result.score = 'IGNITION_DETECTED';
-                    result.score_value = 100;
-                    this.log('SCANNER', `🚀 IGNITION DETECTED for ${pair.symbol}: Price Spike: ${priceSpikePct.toFixed(2)}%, Volume x${volumeMultiple.toFixed(1)}`);
-                }
-            }
+    // Rise (%) of the last 1m close over the close just before the last `periodMinutes` candles.
+    getPriceExtensionPct(klines1m, periodMinutes) {
+        const period = Math.max(1, periodMinutes || 5);
+        if (klines1m.length <= period) return 0;
+        const referenceClose = klines1m[klines1m.length - 1 - period].close;
+        const lastClose = klines1m[klines1m.length - 1].close;
+        return referenceClose > 0 ? ((lastClose - referenceClose) / referenceClose) * 100 : 0;
+    }
+
+    // Flags the symbol for WHALE_COOLDOWN_MINUTES when a pump-and-reversal or an abnormal wick is seen on 1m/5m.
+    updateManipulationScore(symbol, klines1m, klines5m) {
+        const existing = this.manipulationFlags.get(symbol);
+        if (existing && this.clock() >= existing.until) this.manipulationFlags.delete(symbol);
+        if (!this.settings.USE_WHALE_MANIPULATION_FILTER) return 0;
+
+        const reasons = [];
+        let score = 0;
+
+        const spike = this.detectSpikeAndReversal(klines1m);
+        if (spike) {
+            score += 60;
+            reasons.push(spike);
         }
-        return result;
+        const wick = this.detectAbnormalWick(klines1m.slice(-5), '1m') || this.detectAbnormalWick(klines5m.slice(-3), '5m');
+        if (wick) {
+            score += 40;
+            reasons.push(wick);
+        }
+
+        if (score > 0) {
+            const cooldownMs = (this.settings.WHALE_COOLDOWN_MINUTES || 30) * 60 * 1000;
+            const previous = this.manipulationFlags.get(symbol);
+            this.manipulationFlags.set(symbol, { score: Math.min(100, Math.max(score, previous?.score || 0)), reasons, until: this.clock() + cooldownMs });
+            if (!previous) this.log('SCANNER', `🐋 Possible manipulation on ${symbol} (score ${Math.min(100, score)}): ${reasons.join('; ')}`);
+        }
+        return this.manipulationFlags.get(symbol)?.score || 0;
     }
-    
-    evaluateMomentumStrategy(pair, analysis5m, conditions) {
-        let result = { score: 'HOLD', score_value: 0, strategy_type: 'MOMENTUM', conditions: { ...conditions } };
-        result.conditions.momentum_impulse = pair.momentum_impulse_15m;
-        result.conditions.momentum_confirmation = analysis5m.momentum_confirmation_5m;
-
-        if (conditions.trend && result.conditions.momentum_impulse && result.conditions.momentum_confirmation && conditions.safety && conditions.rsi_mtf) {
-            result.score = 'MOMENTUM_BUY';
-            result.score_value = 90;
+
+    detectSpikeAndReversal(klines1m) {
+        if (klines1m.length < 61 + WHALE_REVERSAL_CANDLES) return null;
+        const thresholdPct = this.settings.WHALE_SPIKE_THRESHOLD_PCT || 5;
+        const lookbackStart = klines1m.length - 10 - WHALE_REVERSAL_CANDLES;
+
+        for (let i = lookbackStart; i < klines1m.length - 1; i++) {
+            const candle = klines1m[i];
+            // WHALE_SPIKE_THRESHOLD_PCT is a share of the total volume of the previous 60 candles: 5% is 3x their average volume.
+            const priorVolumes = klines1m.slice(i - 60, i).map(k => k.volume);
+            const lastHourVolume = priorVolumes.reduce((sum, v) => sum + v, 0);
+            if (lastHourVolume <= 0) continue;
+
+            const volumeShare = (candle.volume / lastHourVolume) * 100;
+            const movePct = ((candle.close - candle.open) / candle.open) * 100;
+            if (volumeShare < thresholdPct || Math.abs(movePct) < WHALE_MIN_SPIKE_MOVE_PCT) continue;
+
+            const following = klines1m.slice(i + 1, i + 1 + WHALE_REVERSAL_CANDLES);
+            const retrace = movePct > 0
+                ? candle.close - Math.min(...following.map(k => k.low))
+                : Math.max(...following.map(k => k.high)) - candle.close;
+            if (retrace >= Math.abs(candle.close - candle.open) * WHALE_REVERSAL_RETRACE) {
+                return `1m spike ${movePct.toFixed(2)}% on ${volumeShare.toFixed(1)}% of the last hour's volume, then reversed`;
+            }
         }
-        return result;
+        return null;
     }
 
-    evaluatePrecisionStrategy(pair, analysis1m, analysis5m, klines1m, conditions) {
-        let result = { score: 'HOLD', score_value: 50, strategy_type: 'PRECISION', conditions: { ...conditions } };
-        result.conditions.squeeze = pair.is_in_squeeze_15m;
-
-        if (conditions.trend && result.conditions.squeeze) {
-            pair.is_on_hotlist = true;
-            result.score = 'COMPRESSION';
-            result.score_value = 70;
-            const lastCandle1m = klines1m[klines1m.length - 1];
-            if (lastCandle1m) {
-                const candleRange = lastCandle1m.high - lastCandle1m.low;
-                const upperWick = lastCandle1m.high - Math.max(lastCandle1m.open, lastCandle1m.close);
-                const wickPct = candleRange > 0 ? (upperWick / candleRange) * 100 : 100;
-
-                result.conditions.breakout = lastCandle1m.close > (analysis1m.ema9_1m || 0);
-                result.conditions.volume = this.settings.USE_VOLUME_CONFIRMATION ? lastCandle1m.volume > ((analysis1m.volume_avg_1m || 0) * 1.5) : true;
-                result.conditions.obv = this.settings.USE_OBV_VALIDATION ? (analysis1m.obv_1m_slope || 0) > 0 : true;
-                result.conditions.cvd_5m_trending_up = this.settings.USE_CVD_FILTER ? analysis5m.cvd_5m_trending_up : true;
-                result.conditions.wick_detection = this.settings.USE_WICK_DETECTION_FILTER ? wickPct <= this.settings.MAX_UPPER_WICK_PCT : true;
-                result.conditions.obv_5m = this.settings.USE_OBV_5M_VALIDATION ? (analysis5m.obv_5m_slope || 0) > 0 : true;
-
-                if (result.conditions.breakout && result.conditions.volume && result.conditions.obv && result.conditions.cvd_5m_trending_up && conditions.safety && conditions.rsi_mtf && result.conditions.wick_detection && result.conditions.obv_5m) {
-                    result.score = 'PENDING_CONFIRMATION';
-                    result.score_value = 80;
-                }
+    detectAbnormalWick(klines, interval) {
+        const thresholdPct = this.settings.WHALE_WICK_THRESHOLD_PCT || 3;
+        for (const candle of klines) {
+            const bodyTop = Math.max(candle.open, candle.close);
+            const bodyBottom = Math.min(candle.open, candle.close);
+            const upperWickPct = bodyTop > 0 ? ((candle.high - bodyTop) / bodyTop) * 100 : 0;
+            const lowerWickPct = bodyBottom > 0 ? ((bodyBottom - candle.low) / bodyBottom) * 100 : 0;
+            if (upperWickPct >= thresholdPct || lowerWickPct >= thresholdPct) {
+                return `${interval} wick of ${Math.max(upperWickPct, lowerWickPct).toFixed(2)}%`;
             }
-        } else {
-            pair.is_on_hotlist = false;
         }
-        return result;
+        return null;
     }
 
-    async fetchKlines(symbol, interval, limit = 201) {
+    async fetchKlines(symbol, interval, limit = KLINE_HISTORY_LENGTH) {
         const key = `${symbol}_${interval}`;
         const cachedKlines = this.klineData.get(key);
         if (cachedKlines && cachedKlines.length >= limit) return cachedKlines;
         
-        const klines = await scanner.fetchKlinesFromBinance(symbol, interval, 0, limit);
-        const formattedKlines = klines.map(k => ({ open: parseFloat(k[1]), high: parseFloat(k[2]), low: parseFloat(k[3]), close: parseFloat(k[4]), volume: parseFloat(k[5]) }));
+        const klines = this.klineRepository ? await this.klineRepository.getKlines(symbol, interval, limit) : await scanner.fetchKlines(symbol, interval, 0, limit);
+        const formattedKlines = klines.map(k => ({ openTime: k[0], open: parseFloat(k[1]), high: parseFloat(k[2]), low: parseFloat(k[3]), close: parseFloat(k[4]), volume: parseFloat(k[5]) }));
         this.klineData.set(key, formattedKlines);
         return formattedKlines;
     }
 
     async getBaseData(symbol) {
         const { priceCache } = this.getBotState();
-        const price = priceCache.get(symbol)?.price || 0;
+        const cached = priceCache.get(symbol);
+        const price = cached?.price || 0;
+        if (cached?.quoteVolume > 0) return { price, volume: cached.quoteVolume }; // Kept current by the ticker stream
         try {
-            const response = await fetch(`https://api.binance.com/api/v3/ticker/24hr?symbol=${symbol}`);
-            const data = await response.json();
+            const data = await getExchange().getTicker24h(symbol);
             return { price, volume: parseFloat(data.quoteVolume) };
         } catch(e) {
             return { price, volume: 0 };
         }
     }
     
-    getObvSlope(klines) {
-        if (klines.length < 2) return 0;
-        const obv = OBV.calculate({ close: klines.map(k => k.close), volume: klines.map(k => k.volume) });
-        return obv.length < 2 ? 0 : obv[obv.length - 1] - obv[obv.length - 2];
-    }
-    
     getCvdSlope(klines) {
         if (klines.length < 10) return 0;
         return calculateCVD(klines.slice(-5)) - calculateCVD(klines.slice(-10, -5));
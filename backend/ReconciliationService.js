@@ -0,0 +1,170 @@
+import { USD_QUOTE_ASSET, splitSymbol } from './QuoteAssetService.js';
+
+const QUANTITY_TOLERANCE_PCT = 1; // Rounding and commissions paid in the base asset leave small differences
+const DUST_VALUE_USD = 1; // Below this value a holding is considered gone
+const MIN_ORPHAN_VALUE_USD = 10; // Smaller unexplained holdings are ignored
+
+const parseAssetList = (value) => String(value || '').split(',').map(a => a.trim().toUpperCase()).filter(Boolean);
+
+// Compares the live positions recorded in state.json with the balances actually held on Binance.
+export class ReconciliationService {
+    constructor(botState, log, broadcast, saveData, tradingEngine) {
+        this.botState = botState;
+        this.log = log;
+        this.broadcast = broadcast;
+        this.saveData = saveData;
+        this.tradingEngine = tradingEngine;
+    }
+
+    get report() {
+        return this.botState.reconciliation || null;
+    }
+
+    async run(apiClient) {
+        this.log('INFO', 'Réconciliation des positions RÉELLES avec le compte Binance...');
+        let report;
+        try {
+            const [account, tickerPrices] = await Promise.all([apiClient.getAccountInfo(), apiClient.getTickerPrices()]);
+            report = this._buildReport(account, new Map(tickerPrices.map(t => [t.symbol, parseFloat(t.price)])));
+        } catch (e) {
+            report = {
+                timestamp: new Date().toISOString(),
+                status: 'PENDING_ACK',
+                error: `Réconciliation impossible: ${e.message}`,
+                discrepancies: [],
+                quote_balance: null,
+            };
+        }
+
+        if (report.error) {
+            this.log('ERROR', `${report.error}. Trading RÉEL en pause jusqu'à validation.`);
+        } else if (report.discrepancies.length > 0) {
+            report.discrepancies.forEach(d => this.log('WARN', `[RÉCONCILIATION] ${d.message}`));
+            this.log('WARN', `Réconciliation: ${report.discrepancies.length} écart(s) détecté(s). Trading RÉEL en pause jusqu'à validation (POST /api/reconciliation/acknowledge).`);
+        } else {
+            this.log('INFO', 'Réconciliation terminée: positions et soldes conformes au compte Binance.');
+        }
+
+        this.botState.reconciliation = report;
+        await this.saveData('state');
+        this.broadcast({ type: 'RECONCILIATION_UPDATE', payload: report });
+        return report;
+    }
+
+    _buildReport(account, prices) {
+        const holdings = new Map(account.balances.map(b => [b.asset, parseFloat(b.free) + parseFloat(b.locked)]));
+        const livePositions = this.botState.activePositions.filter(p => p.mode === 'REAL_LIVE');
+        const discrepancies = [];
+
+        // Positions on one base asset (e.g. ETHUSDT and ETHBTC) share its balance: it is compared with their total quantity,
+        // then handed out to them in order so that a shortfall shows on the positions it leaves uncovered.
+        const positionsByAsset = new Map();
+        livePositions.forEach(position => {
+            const { baseAsset: asset, quoteAsset } = position.base_asset ? { baseAsset: position.base_asset, quoteAsset: position.quote_asset } : splitSymbol(position.symbol);
+            if (!positionsByAsset.has(asset)) positionsByAsset.set(asset, []);
+            positionsByAsset.get(asset).push({ position, quoteAsset });
+        });
+
+        positionsByAsset.forEach((positions, asset) => {
+            const held = holdings.get(asset) || 0;
+            const recordedTotal = positions.reduce((sum, { position }) => sum + position.quantity, 0);
+            holdings.delete(asset);
+            if (Math.abs((held - recordedTotal) / recordedTotal) * 100 <= QUANTITY_TOLERANCE_PCT) return;
+
+            let unallocated = held;
+            positions.forEach(({ position, quoteAsset }, index) => {
+                const price = prices.get(position.symbol) || position.average_entry_price;
+                // Prices of non-USDT markets are in their quote asset; the dust and orphan thresholds are in USD.
+                const usdRate = quoteAsset === USD_QUOTE_ASSET ? 1 : prices.get(`${quoteAsset}${USD_QUOTE_ASSET}`) || 1;
+                // The last position also takes any surplus.
+                const allocated = index === positions.length - 1 ? unallocated : Math.min(unallocated, position.quantity);
+                unallocated = parseFloat((unallocated - allocated).toFixed(8)); // Binance quantities have at most 8 decimals
+                const base = { symbol: position.symbol, asset, position_id: position.id, recorded_quantity: position.quantity, exchange_quantity: allocated, price };
+
+                if (allocated * price * usdRate < DUST_VALUE_USD) {
+                    discrepancies.push({ ...base, type: 'CLOSED_EXTERNALLY', message: `${position.symbol}: position #${position.id} (${position.quantity}) introuvable sur Binance, clôturée hors du bot.` });
+                    return;
+                }
+                const diffPct = ((allocated - position.quantity) / position.quantity) * 100;
+                if (diffPct < -QUANTITY_TOLERANCE_PCT) {
+                    discrepancies.push({ ...base, type: 'RESIZED', message: `${position.symbol}: position #${position.id} réduite hors du bot (${position.quantity} -> ${allocated}).` });
+                } else if (diffPct > QUANTITY_TOLERANCE_PCT && (allocated - position.quantity) * price * usdRate >= MIN_ORPHAN_VALUE_USD) {
+                    discrepancies.push({ ...base, type: 'SURPLUS', message: `${position.symbol}: ${allocated - position.quantity} ${asset} détenus en plus de la position #${position.id}.` });
+                }
+            });
+        });
+
+        // Assets kept on purpose (BNB for the fees, long-term holdings) are not orphans.
+        const ignoredAssets = parseAssetList(this.botState.settings.RECONCILIATION_IGNORED_ASSETS);
+        const quoteAssets = [USD_QUOTE_ASSET, ...Object.keys(this.botState.quoteBalances || {})];
+        holdings.forEach((held, asset) => {
+            const symbol = `${asset}${USD_QUOTE_ASSET}`;
+            const price = prices.get(symbol);
+            if (quoteAssets.includes(asset) || ignoredAssets.includes(asset) || !price || held * price < MIN_ORPHAN_VALUE_USD) return;
+            discrepancies.push({
+                type: 'ORPHAN_HOLDING', symbol, asset, position_id: null, recorded_quantity: 0, exchange_quantity: held, price,
+                message: `${symbol}: ${held} ${asset} (~$${(held * price).toFixed(2)}) détenus sans position correspondante.`,
+            });
+        });
+
+        const getFree = (asset) => parseFloat(account.balances.find(b => b.asset === asset)?.free || 0);
+        const exchangeFree = getFree(USD_QUOTE_ASSET);
+        if (this.botState.balance > exchangeFree + DUST_VALUE_USD) {
+            discrepancies.push({
+                type: 'BALANCE_MISMATCH', symbol: null, asset: USD_QUOTE_ASSET, position_id: null, recorded_quantity: this.botState.balance, exchange_quantity: exchangeFree, price: 1,
+                message: `Solde enregistré ($${this.botState.balance.toFixed(2)}) supérieur au ${USD_QUOTE_ASSET} disponible sur Binance ($${exchangeFree.toFixed(2)}).`,
+            });
+        }
+        Object.entries(this.botState.quoteBalances || {}).forEach(([asset, recorded]) => {
+            const free = getFree(asset);
+            const price = prices.get(`${asset}${USD_QUOTE_ASSET}`) || 0;
+            if ((recorded - free) * price <= DUST_VALUE_USD) return;
+            discrepancies.push({
+                type: 'BALANCE_MISMATCH', symbol: null, asset, position_id: null, recorded_quantity: recorded, exchange_quantity: free, price,
+                message: `Solde enregistré (${recorded} ${asset}) supérieur au ${asset} disponible sur Binance (${free} ${asset}).`,
+            });
+        });
+
+        return {
+            timestamp: new Date().toISOString(),
+            status: discrepancies.length > 0 ? 'PENDING_ACK' : 'OK',
+            discrepancies,
+            quote_balance: { recorded: this.botState.balance, exchange_free: exchangeFree },
+        };
+    }
+
+    // Applies the report: externally closed positions are archived, resized ones follow the exchange, orphans are adopted on request.
+    // Recorded balances higher than the funds available on Binance are then lowered to them, so that later entries are not sized on missing funds.
+    async acknowledge({ adoptOrphans = false } = {}) {
+        const report = this.report;
+        if (!report || report.status !== 'PENDING_ACK') return report;
+
+        for (const discrepancy of report.discrepancies) {
+            const position = this.botState.activePositions.find(p => p.id === discrepancy.position_id);
+            if (discrepancy.type === 'CLOSED_EXTERNALLY' && position) {
+                await this.tradingEngine.archiveExternallyClosedPosition(position, discrepancy.price);
+            } else if (discrepancy.type === 'RESIZED' && position) {
+                await this.tradingEngine.resizePosition(position, discrepancy.exchange_quantity, discrepancy.price);
+            } else if (discrepancy.type === 'SURPLUS' && position && adoptOrphans) {
+                await this.tradingEngine.resizePosition(position, discrepancy.exchange_quantity, discrepancy.price);
+            } else if (discrepancy.type === 'ORPHAN_HOLDING' && adoptOrphans) {
+                await this.tradingEngine.adoptPosition(discrepancy.symbol, this.tradingEngine.formatQuantity(discrepancy.symbol, discrepancy.exchange_quantity), discrepancy.price);
+            }
+        }
+        report.discrepancies.filter(d => d.type === 'BALANCE_MISMATCH').forEach(({ asset, exchange_quantity }) => {
+            if (asset === USD_QUOTE_ASSET) this.botState.balance = exchange_quantity;
+            else this.botState.quoteBalances = { ...this.botState.quoteBalances, [asset]: exchange_quantity };
+            this.log('INFO', `Solde ${asset} enregistré aligné sur le disponible Binance: ${exchange_quantity}.`);
+        });
+
+        report.status = 'ACKNOWLEDGED';
+        report.acknowledged_at = new Date().toISOString();
+        report.orphans_adopted = adoptOrphans;
+        this.log('INFO', `Écarts de réconciliation validés${adoptOrphans ? ' (avoirs orphelins adoptés)' : ''}. Trading RÉEL réactivé.`);
+
+        await this.saveData('state');
+        this.broadcast({ type: 'RECONCILIATION_UPDATE', payload: report });
+        this.broadcast({ type: 'POSITIONS_UPDATED' });
+        return report;
+    }
+}
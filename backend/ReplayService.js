@@ -0,0 +1,440 @@
+import { RealtimeAnalyzerService, BASE_TIMEFRAMES, KLINE_HISTORY_LENGTH } from './RealtimeAnalyzerService.js';
+import { TradingEngineService } from './TradingEngineService.js';
+import { RiskGuardService, BTC_SYMBOL } from './RiskGuardService.js';
+import { CorrelationService } from './CorrelationService.js';
+import { OrderBookService } from './OrderBookService.js';
+import { MarketRegimeService } from './MarketRegimeService.js';
+import { QuoteAssetService, parseQuoteBalances } from './QuoteAssetService.js';
+import { createMarketMessageHandler, KLINE_STREAM_INTERVALS } from './MarketStreamHandler.js';
+import { INTERVAL_MS, KLINE_PAGE_LIMIT } from './KlineRepository.js';
+import { getExchange } from './exchanges/index.js';
+import { getRequiredTimeframes } from './strategies/index.js';
+
+const MINUTE_MS = INTERVAL_MS['1m'];
+const DAY_MS = INTERVAL_MS['1d'];
+const MAX_REPLAY_DURATION_MS = 3 * DAY_MS;
+const MAX_REPLAY_SYMBOLS = 20;
+const REGIME_TIMEFRAMES = ['4h', '1d'];
+const REGIME_KLINE_LIMIT = 120; // Same depth as the live MarketRegimeService
+const MARKET_REGIME_REFRESH_MS = 15 * 60 * 1000;
+const TICKS_PER_MINUTE = 4; // open, first extreme, second extreme, close
+const STATUS_BROADCAST_INTERVAL_MS = 500;
+export const DEFAULT_REPLAY_SPEED = 60; // Simulated time per real time: one 1m candle per second
+
+// Number of candles opened at or before `time` (candles sorted by openTime).
+const countUpTo = (candles, time) => {
+    let low = 0, high = candles.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (candles[mid].openTime <= time) low = mid + 1;
+        else high = mid;
+    }
+    return low;
+};
+
+const toCandle = (k) => ({
+    openTime: k[0], open: parseFloat(k[1]), high: parseFloat(k[2]), low: parseFloat(k[3]), close: parseFloat(k[4]),
+    volume: parseFloat(k[5]), quoteVolume: parseFloat(k[7]),
+});
+
+// Replays stored market data through the live pipeline (createMarketMessageHandler -> analyzer -> engine)
+// with a simulated clock. Each replay runs its own analyzer, risk guard and VIRTUAL engine on a separate ledger,
+// so the live state, balances and history are never touched.
+export class ReplayService {
+    constructor(botState, log, broadcast, symbolRules, quoteAssets) {
+        this.botState = botState;
+        this.log = log;
+        this.broadcast = broadcast;
+        this.symbolRules = symbolRules;
+        this.quoteAssets = quoteAssets;
+
+        this.status = 'IDLE'; // IDLE | LOADING | RUNNING | PAUSED | FINISHED | STOPPED | ERROR
+        this.session = null; // { symbols, startTime, endTime, speed }
+        this.klines = new Map(); // `${symbol}_${interval}` -> candles sorted by openTime
+        this.quoteVolumeSums = new Map(); // symbol -> running sums of the 1m quote volumes, for the 24h ticker volume
+        this.clock = 0;
+        this.cursor = 0; // openTime of the next 1m candle to replay
+        this.pipeline = null;
+        this.runId = 0;
+        this.currentStep = Promise.resolve();
+        this.lastRegimeUpdate = 0;
+        this.lastStatusBroadcast = 0;
+        this.error = null;
+    }
+
+    // --- Controls ---
+    async start({ symbols, startTime, endTime, speed = DEFAULT_REPLAY_SPEED }) {
+        if (this.status === 'LOADING') throw new Error('Un replay est déjà en cours de chargement.');
+        const start = Math.floor(new Date(startTime).getTime() / MINUTE_MS) * MINUTE_MS;
+        const end = Math.floor(new Date(endTime).getTime() / MINUTE_MS) * MINUTE_MS;
+        const replaySymbols = [...new Set((symbols || []).map(s => String(s).toUpperCase()))];
+        if (!(start > 0) || !(end > start)) throw new Error('Période de replay invalide.');
+        if (end > Date.now()) throw new Error('La fin du replay doit être dans le passé.');
+        if (end - start > MAX_REPLAY_DURATION_MS) throw new Error(`Un replay est limité à ${MAX_REPLAY_DURATION_MS / DAY_MS} jours.`);
+        if (replaySymbols.length === 0 || replaySymbols.length > MAX_REPLAY_SYMBOLS) throw new Error(`Choisissez entre 1 et ${MAX_REPLAY_SYMBOLS} symboles.`);
+
+        await this._halt();
+        this.session = { symbols: replaySymbols, startTime: start, endTime: end, speed: this._parseSpeed(speed) };
+        this.error = null;
+        this.pipeline = null;
+        this.klines.clear();
+        this.quoteVolumeSums.clear();
+        this._setStatus('LOADING');
+        try {
+            await this._loadKlines();
+        } catch (e) {
+            this.error = e.message;
+            this._setStatus('ERROR');
+            this.log('ERROR', `[REPLAY] Chargement des données impossible: ${e.message}`);
+            throw e;
+        }
+        if (this.session.symbols.length === 0) {
+            this.error = 'Aucun symbole ne dispose de l\'historique nécessaire sur cette période.';
+            this._setStatus('ERROR');
+            throw new Error(this.error);
+        }
+
+        this._resetPipeline(start);
+        this.log('INFO', `[REPLAY] Démarrage du replay de ${this.session.symbols.join(', ')} du ${new Date(start).toISOString()} au ${new Date(end).toISOString()} (x${this.session.speed || 'max'}).`);
+        this.resume();
+        return this.getStatus();
+    }
+
+    pause() {
+        if (this.status !== 'RUNNING') return this.getStatus();
+        this._setStatus('PAUSED');
+        return this.getStatus();
+    }
+
+    resume() {
+        if (!this.pipeline || !['PAUSED', 'LOADING'].includes(this.status)) return this.getStatus();
+        this._setStatus('RUNNING');
+        this._run(++this.runId);
+        return this.getStatus();
+    }
+
+    setSpeed(speed) {
+        if (!this.session) return this.getStatus();
+        this.session.speed = this._parseSpeed(speed);
+        this._broadcastStatus(true);
+        return this.getStatus();
+    }
+
+    // A forward seek skips the candles in between: open positions keep running and are checked at the new prices.
+    // A backward seek starts over with an empty ledger, since the trades after the target have not happened yet.
+    async seek(time) {
+        if (!this.pipeline || !['RUNNING', 'PAUSED', 'FINISHED'].includes(this.status)) throw new Error('Aucun replay à repositionner.');
+        const { startTime, endTime } = this.session;
+        const target = Math.min(Math.max(Math.floor(new Date(time).getTime() / MINUTE_MS) * MINUTE_MS, startTime), endTime);
+        if (Number.isNaN(target)) throw new Error('Date de repositionnement invalide.');
+
+        const wasRunning = this.status === 'RUNNING';
+        await this._halt();
+        if (target < this.cursor) {
+            this._resetPipeline(target);
+        } else {
+            this.clock = target;
+            this.cursor = target;
+            this._seedAnalyzer(target);
+        }
+        this.log('INFO', `[REPLAY] Repositionnement au ${new Date(target).toISOString()}.`);
+        this._setStatus('PAUSED');
+        if (wasRunning) this.resume();
+        return this.getStatus();
+    }
+
+    async stop() {
+        if (!this.pipeline || ['IDLE', 'STOPPED'].includes(this.status)) return this.getStatus();
+        await this._halt();
+        this._setStatus('STOPPED');
+        this.log('INFO', `[REPLAY] Replay arrêté au ${new Date(this.clock).toISOString()}.`);
+        return this.getStatus();
+    }
+
+    getStatus() {
+        const ledger = this.pipeline?.ledger;
+        const { startTime, endTime } = this.session || {};
+        return {
+            status: this.status,
+            symbols: this.session?.symbols || [],
+            start_time: startTime ?? null,
+            end_time: endTime ?? null,
+            current_time: this.session ? this.clock : null,
+            speed: this.session?.speed ?? DEFAULT_REPLAY_SPEED,
+            progress_pct: this.session ? ((this.cursor - startTime) / (endTime - startTime)) * 100 : 0,
+            balance: ledger?.balance ?? null,
+            quote_balances: ledger?.quoteBalances || {},
+            total_pnl_usd: ledger ? ledger.tradeHistory.reduce((sum, t) => sum + (t.pnl_usd ?? t.pnl ?? 0), 0) : 0,
+            open_positions: ledger ? ledger.activePositions.length + ledger.pendingOrders.length : 0,
+            closed_trades: ledger?.tradeHistory.length || 0,
+            error: this.error,
+        };
+    }
+
+    getLedger() {
+        const ledger = this.pipeline?.ledger;
+        return {
+            ...this.getStatus(),
+            positions: ledger ? [...ledger.activePositions, ...ledger.pendingOrders] : [],
+            history: ledger?.tradeHistory || [],
+        };
+    }
+
+    // --- Replay loop ---
+    _parseSpeed(speed) {
+        const value = parseFloat(speed);
+        return value > 0 ? value : 0; // 0: as fast as possible
+    }
+
+    async _halt() {
+        this.runId++;
+        await this.currentStep;
+    }
+
+    async _run(runId) {
+        await this.currentStep; // A step of the previous loop may still be in flight after a pause/resume
+        while (runId === this.runId && this.status === 'RUNNING') {
+            if (this.cursor >= this.session.endTime) {
+                this.clock = this.session.endTime;
+                this._setStatus('FINISHED');
+                const { closed_trades, total_pnl_usd } = this.getStatus();
+                this.log('INFO', `[REPLAY] Replay terminé: ${closed_trades} trade(s) clôturé(s), PnL $${total_pnl_usd.toFixed(2)}.`);
+                return;
+            }
+            const startedAt = Date.now();
+            this.currentStep = this._replayMinute(this.cursor).catch(e => this.log('ERROR', `[REPLAY] ${e.message}`));
+            await this.currentStep;
+            this.cursor += MINUTE_MS;
+            this._broadcastStatus();
+
+            const delay = this.session.speed > 0 ? MINUTE_MS / this.session.speed - (Date.now() - startedAt) : 0;
+            await new Promise(resolve => delay > 0 ? setTimeout(resolve, delay) : setImmediate(resolve));
+        }
+    }
+
+    // One minute of market: TICKS_PER_MINUTE ticker batches along each candle's path, then the klines closing at its end.
+    async _replayMinute(openTime) {
+        const { handleMessage, regime } = this.pipeline;
+        this.clock = openTime;
+        if (this.clock - this.lastRegimeUpdate >= MARKET_REGIME_REFRESH_MS) {
+            this.lastRegimeUpdate = this.clock;
+            await regime.update();
+        }
+
+        const candles = this._getStreamSymbols()
+            .map(symbol => ({ symbol, candle: this._getCandle(symbol, '1m', openTime), quoteVolume: this._get24hQuoteVolume(symbol, openTime) }))
+            .filter(c => c.candle);
+
+        for (let tick = 0; tick < TICKS_PER_MINUTE; tick++) {
+            this.clock = openTime + (tick * MINUTE_MS) / TICKS_PER_MINUTE;
+            if (candles.length === 0) continue;
+            const tickers = candles.map(({ symbol, candle, quoteVolume }) => this._toTicker(symbol, candle, tick, quoteVolume));
+            await this._dispatch(handleMessage, { stream: '!ticker@arr', data: tickers });
+        }
+
+        this.clock = openTime + MINUTE_MS;
+        for (const interval of KLINE_STREAM_INTERVALS) {
+            const intervalMs = INTERVAL_MS[interval];
+            if (this.clock % intervalMs !== 0) continue;
+            for (const symbol of this.session.symbols) {
+                const candle = this._getCandle(symbol, interval, this.clock - intervalMs);
+                if (candle) await this._dispatch(handleMessage, this._toKlineMessage(symbol, interval, candle));
+            }
+        }
+    }
+
+    // Waits for the handler, then lets the engine's detached promises (entries, exits) settle before the clock moves on.
+    async _dispatch(handleMessage, message) {
+        await handleMessage(JSON.stringify(message));
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    // Bullish candles go open -> low -> high -> close, bearish ones open -> high -> low -> close.
+    _toTicker(symbol, candle, tick, quoteVolume) {
+        const path = candle.close >= candle.open
+            ? [candle.open, candle.low, candle.high, candle.close]
+            : [candle.open, candle.high, candle.low, candle.close];
+        const price = String(path[tick]);
+        return { e: '24hrTicker', E: this.clock, s: symbol, c: price, b: price, a: price, q: String(quoteVolume) };
+    }
+
+    _toKlineMessage(symbol, interval, candle) {
+        const closeTime = candle.openTime + INTERVAL_MS[interval] - 1;
+        return {
+            stream: `${symbol.toLowerCase()}@kline_${interval}`,
+            data: {
+                e: 'kline', E: this.clock, s: symbol,
+                k: {
+                    t: candle.openTime, T: closeTime, s: symbol, i: interval,
+                    o: String(candle.open), c: String(candle.close), h: String(candle.high), l: String(candle.low),
+                    v: String(candle.volume), q: String(candle.quoteVolume), x: true,
+                },
+            },
+        };
+    }
+
+    // --- Pipeline ---
+    _getStreamSymbols() {
+        return [...new Set([...this.session.symbols, BTC_SYMBOL])];
+    }
+
+    _resetPipeline(at) {
+        this.clock = at;
+        this.cursor = at;
+        this.lastRegimeUpdate = -Infinity;
+        this.pipeline = this._createPipeline();
+        this._seedAnalyzer(at);
+    }
+
+    _createLedger() {
+        const { settings, sectorMap } = this.botState;
+        return {
+            // The live order book says nothing about the past, so the liquidity filter is left out of replays.
+            settings: { ...settings, USE_ORDER_BOOK_LIQUIDITY_FILTER: false },
+            balance: settings.INITIAL_VIRTUAL_BALANCE, quoteBalances: parseQuoteBalances(settings.INITIAL_VIRTUAL_QUOTE_BALANCES),
+            activePositions: [], pendingOrders: [], tradeHistory: [], tradeIdCounter: 1,
+            scannerCache: [], isRunning: true, tradingMode: 'VIRTUAL',
+            recentlyLostSymbols: new Map(), hotlist: new Set(), pendingConfirmation: new Map(),
+            priceCache: new Map(), circuitBreakerStatus: 'NONE', dayStartBalance: settings.INITIAL_VIRTUAL_BALANCE,
+            dailyPnl: 0, consecutiveLosses: 0, consecutiveWins: 0, lossStreakPausedUntil: null,
+            currentTradingDay: new Date(this.clock).toISOString().split('T')[0],
+            fearAndGreed: null, // No sentiment history: sentiment filters stay neutral
+            marketRegime: null, sectorMap,
+        };
+    }
+
+    _createPipeline() {
+        const ledger = this._createLedger();
+        const clock = () => this.clock;
+        const log = (level, message) => this.log(level, `[REPLAY] ${message}`);
+        const saveData = async () => {};
+        const broadcast = (message) => {
+            if (message.type === 'POSITIONS_UPDATED') this._broadcastStatus(true);
+        };
+
+        let tradingEngine;
+        const quoteAssets = new QuoteAssetService(ledger, log);
+        quoteAssets.symbols = this.quoteAssets.symbols;
+        const riskGuard = new RiskGuardService(ledger, log, broadcast, saveData, () => tradingEngine.closeAllPositions('Disjoncteur BTC'), quoteAssets, clock);
+        const realtimeAnalyzer = new RealtimeAnalyzerService(log, () => ledger, clock);
+        realtimeAnalyzer.updateSettings(ledger.settings);
+        const correlationService = new CorrelationService(log, (symbol, interval) => realtimeAnalyzer.klineData.get(`${symbol}_${interval}`), () => ledger.sectorMap);
+        const regime = new MarketRegimeService(ledger, log, broadcast, (symbol, interval, limit) => this._getClosedKlines(symbol, interval, limit), clock);
+        tradingEngine = new TradingEngineService(ledger, log, broadcast, saveData, null, this.symbolRules, riskGuard, correlationService, new OrderBookService(log, quoteAssets), regime, quoteAssets, clock);
+
+        const handleMessage = createMarketMessageHandler({ botState: ledger, log, broadcast, riskGuard, realtimeAnalyzer, tradingEngine });
+        return { ledger, riskGuard, realtimeAnalyzer, tradingEngine, regime, handleMessage };
+    }
+
+    // Fills the analyzer with the candles closed before `at`, as hydration does at live startup.
+    _seedAnalyzer(at) {
+        const { realtimeAnalyzer } = this.pipeline;
+        this._getAnalyzerTimeframes().forEach(interval => {
+            this.session.symbols.forEach(symbol => {
+                const candles = this._getClosedCandles(symbol, interval, at, KLINE_HISTORY_LENGTH);
+                realtimeAnalyzer.klineData.set(`${symbol}_${interval}`, candles.map(({ openTime, open, high, low, close, volume }) => ({ openTime, open, high, low, close, volume })));
+            });
+        });
+    }
+
+    _getAnalyzerTimeframes() {
+        return getRequiredTimeframes(this.botState.settings, BASE_TIMEFRAMES);
+    }
+
+    // --- Market data ---
+    // Everything the replay needs is loaded up front: the analyzer history before the start, the 1m candles
+    // for the last 24h volume of the tickers, and BTC's 4h/1d candles for the market regime.
+    async _loadKlines() {
+        const { startTime, endTime } = this.session;
+        const timeframes = [...new Set([...this._getAnalyzerTimeframes(), ...KLINE_STREAM_INTERVALS])];
+        const requests = [];
+        this._getStreamSymbols().forEach(symbol => {
+            const isReplayed = this.session.symbols.includes(symbol);
+            const symbolTimeframes = isReplayed ? timeframes : ['1m'];
+            symbolTimeframes.forEach(interval => {
+                const history = Math.max(interval === '1m' ? DAY_MS : 0, (KLINE_HISTORY_LENGTH + 1) * INTERVAL_MS[interval]); // +1: the first candle may start after `from`
+                requests.push({ symbol, interval, from: startTime - history });
+            });
+        });
+        REGIME_TIMEFRAMES.forEach(interval => requests.push({ symbol: BTC_SYMBOL, interval, from: startTime - REGIME_KLINE_LIMIT * INTERVAL_MS[interval] }));
+
+        for (const [index, { symbol, interval, from }] of requests.entries()) {
+            const key = `${symbol}_${interval}`;
+            if (!this.klines.has(key)) {
+                try {
+                    this.klines.set(key, await this._fetchRange(symbol, interval, from, endTime));
+                } catch (e) {
+                    this.log('WARN', `[REPLAY] Bougies ${interval} indisponibles pour ${symbol}: ${e.message}`);
+                    this.klines.set(key, []);
+                }
+            }
+            if (interval === '1m') {
+                const sums = [0];
+                this.klines.get(key).forEach(c => sums.push(sums[sums.length - 1] + c.quoteVolume));
+                this.quoteVolumeSums.set(symbol, sums);
+            }
+            this._broadcastStatus(false, { loading_pct: ((index + 1) / requests.length) * 100 });
+        }
+
+        // A symbol without a full analyzer history would make the analyzer fetch live candles in the middle of the past.
+        this.session.symbols = this.session.symbols.filter(symbol => {
+            const missing = this._getAnalyzerTimeframes().filter(interval => this._getClosedCandles(symbol, interval, startTime, KLINE_HISTORY_LENGTH).length < KLINE_HISTORY_LENGTH);
+            if (missing.length > 0) this.log('WARN', `[REPLAY] ${symbol} ignoré: historique insuffisant en ${missing.join(', ')}.`);
+            return missing.length === 0;
+        });
+    }
+
+    async _fetchRange(symbol, interval, from, to) {
+        const candles = [];
+        let startTime = from;
+        while (startTime < to) {
+            const page = await getExchange().getKlines(symbol, interval, { startTime, limit: KLINE_PAGE_LIMIT });
+            page.forEach(k => { if (k[0] < to) candles.push(toCandle(k)); });
+            if (page.length < KLINE_PAGE_LIMIT) break;
+            startTime = page[page.length - 1][0] + INTERVAL_MS[interval];
+        }
+        return candles;
+    }
+
+    _getCandle(symbol, interval, openTime) {
+        const candles = this.klines.get(`${symbol}_${interval}`);
+        if (!candles || candles.length === 0) return null;
+        const index = (openTime - candles[0].openTime) / INTERVAL_MS[interval];
+        const candle = candles[index];
+        if (candle?.openTime === openTime) return candle;
+        return candles.find(c => c.openTime === openTime) || null; // Gaps in the exchange data shift the indexes
+    }
+
+    _getClosedCandles(symbol, interval, at, limit) {
+        const candles = this.klines.get(`${symbol}_${interval}`) || [];
+        const closed = candles.filter(c => c.openTime + INTERVAL_MS[interval] <= at);
+        return closed.slice(-limit);
+    }
+
+    // Raw Binance klines closed at the simulated time, for the MarketRegimeService.
+    async _getClosedKlines(symbol, interval, limit) {
+        return this._getClosedCandles(symbol, interval, this.clock, limit).map(c => [
+            c.openTime, String(c.open), String(c.high), String(c.low), String(c.close), String(c.volume),
+            c.openTime + INTERVAL_MS[interval] - 1, String(c.quoteVolume),
+        ]);
+    }
+
+    _get24hQuoteVolume(symbol, openTime) {
+        const candles = this.klines.get(`${symbol}_1m`) || [];
+        const sums = this.quoteVolumeSums.get(symbol) || [0];
+        return sums[countUpTo(candles, openTime)] - sums[countUpTo(candles, openTime - DAY_MS)];
+    }
+
+    // --- Status ---
+    _setStatus(status) {
+        this.status = status;
+        this._broadcastStatus(true);
+    }
+
+    _broadcastStatus(force = false, extra = {}) {
+        const now = Date.now();
+        if (!force && now - this.lastStatusBroadcast < STATUS_BROADCAST_INTERVAL_MS) return;
+        this.lastStatusBroadcast = now;
+        this.broadcast({ type: 'REPLAY_STATUS', payload: { ...this.getStatus(), ...extra } });
+    }
+}
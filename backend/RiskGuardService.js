@@ -0,0 +1,149 @@
+export const BTC_SYMBOL = 'BTCUSDT';
+const BTC_DROP_WINDOW_MS = 5 * 60 * 1000; // Les seuils de chute BTC sont exprimés sur 5 minutes
+const WARNING_POSITION_SIZE_MULTIPLIER = 0.5;
+const BLOCKING_STATUSES = ['HALTED_DRAWDOWN', 'HALTED_BTC_DROP', 'PAUSED_LOSS_STREAK', 'PAUSED_EXTREME_SENTIMENT'];
+
+const getTradingDay = (now) => new Date(now).toISOString().split('T')[0];
+
+export class RiskGuardService {
+    constructor(botState, log, broadcast, saveData, onEmergencyHalt, quoteAssets, clock = Date.now) {
+        this.botState = botState;
+        this.log = log;
+        this.broadcast = broadcast;
+        this.saveData = saveData;
+        this.onEmergencyHalt = onEmergencyHalt;
+        this.quoteAssets = quoteAssets;
+        this.clock = clock;
+        this.btcPriceHistory = [];
+        this.btcDropPct = 0;
+    }
+
+    get status() {
+        return this.botState.circuitBreakerStatus || 'NONE';
+    }
+
+    canOpenNewTrade() {
+        this.rollTradingDay();
+        this.refreshStatus();
+        return !BLOCKING_STATUSES.includes(this.status);
+    }
+
+    getPositionSizeMultiplier() {
+        const btcMultiplier = this.status === 'WARNING_BTC_DROP' ? WARNING_POSITION_SIZE_MULTIPLIER : 1;
+        return btcMultiplier * this.getSentimentSizeMultiplier();
+    }
+
+    // Shrinks positions linearly as the Fear & Greed index moves from neutral (50) towards the extreme bands.
+    getSentimentSizeMultiplier() {
+        const { settings, fearAndGreed } = this.botState;
+        if (!settings.USE_FEAR_AND_GREED_POSITION_SCALING || !fearAndGreed) return 1;
+
+        const minMultiplier = settings.FEAR_GREED_MIN_SIZE_MULTIPLIER ?? 0.5;
+        const { fear, greed } = this._getSentimentBands();
+        const value = fearAndGreed.value;
+        const distanceToExtreme = value < 50 ? (50 - value) / (50 - fear) : (value - 50) / (greed - 50);
+        const ratio = Math.min(Math.max(distanceToExtreme, 0), 1);
+        return 1 - ratio * (1 - minMultiplier);
+    }
+
+    rollTradingDay() {
+        const today = getTradingDay(this.clock());
+        if (this.botState.currentTradingDay === today) return false;
+
+        // The daily PnL adds up trades of every quote asset in USD: the drawdown is measured against all the quote balances.
+        const dayStartBalance = this.quoteAssets.getTotalBalanceUsd();
+        this.log('INFO', `Nouvelle journée de trading (${today}). Solde de départ: $${dayStartBalance.toFixed(2)}. PnL de la veille: $${(this.botState.dailyPnl || 0).toFixed(2)}.`);
+        this.botState.currentTradingDay = today;
+        this.botState.dayStartBalance = dayStartBalance;
+        this.botState.dailyPnl = 0;
+        return true;
+    }
+
+    recordTradeResult(pnl) {
+        const { settings } = this.botState;
+        this.rollTradingDay();
+        this.botState.dailyPnl = (this.botState.dailyPnl || 0) + pnl;
+
+        if (pnl < 0) {
+            this.botState.consecutiveLosses = (this.botState.consecutiveLosses || 0) + 1;
+            this.botState.consecutiveWins = 0;
+        } else {
+            this.botState.consecutiveWins = (this.botState.consecutiveWins || 0) + 1;
+            this.botState.consecutiveLosses = 0;
+        }
+
+        if (settings.CONSECUTIVE_LOSS_LIMIT > 0 && this.botState.consecutiveLosses >= settings.CONSECUTIVE_LOSS_LIMIT) {
+            const pauseHours = settings.LOSS_STREAK_PAUSE_HOURS || 4;
+            this.botState.lossStreakPausedUntil = this.clock() + pauseHours * 60 * 60 * 1000;
+            this.log('WARN', `${this.botState.consecutiveLosses} pertes consécutives. Trading en pause pour ${pauseHours}h.`);
+            this.botState.consecutiveLosses = 0;
+        }
+
+        this.refreshStatus();
+    }
+
+    handleBtcPrice(price) {
+        const now = this.clock();
+        this.btcPriceHistory.push({ timestamp: now, price });
+        while (this.btcPriceHistory.length > 0 && this.btcPriceHistory[0].timestamp < now - BTC_DROP_WINDOW_MS) {
+            this.btcPriceHistory.shift();
+        }
+
+        const windowHigh = this.btcPriceHistory.reduce((max, p) => Math.max(max, p.price), 0);
+        this.btcDropPct = windowHigh > 0 ? ((windowHigh - price) / windowHigh) * 100 : 0;
+
+        this.rollTradingDay();
+        this.refreshStatus();
+    }
+
+    resumeFromLossStreak() {
+        this.botState.lossStreakPausedUntil = null;
+        this.botState.consecutiveLosses = 0;
+        this.log('INFO', 'Pause pour série de pertes levée manuellement.');
+        this.refreshStatus();
+    }
+
+    isSentimentExtreme() {
+        const { settings, fearAndGreed } = this.botState;
+        if (!settings.USE_FEAR_AND_GREED_FILTER || !fearAndGreed) return false;
+        const { fear, greed } = this._getSentimentBands();
+        return fearAndGreed.value <= fear || fearAndGreed.value >= greed;
+    }
+
+    refreshStatus() {
+        const previousStatus = this.status;
+        const newStatus = this._computeStatus();
+        if (newStatus === previousStatus) return;
+
+        this.botState.circuitBreakerStatus = newStatus;
+        const level = newStatus === 'NONE' ? 'INFO' : 'WARN';
+        this.log(level, `Disjoncteur: ${previousStatus} -> ${newStatus} (Chute BTC 5m: ${this.btcDropPct.toFixed(2)}%, PnL journalier: $${(this.botState.dailyPnl || 0).toFixed(2)}, Fear & Greed: ${this.botState.fearAndGreed?.value ?? 'N/A'}).`);
+        this.broadcast({ type: 'CIRCUIT_BREAKER_UPDATE', payload: { status: newStatus } });
+
+        // Liquidating on a crash is opt-in: by default the open positions keep their own stop losses.
+        if (newStatus === 'HALTED_BTC_DROP' && this.botState.settings.CLOSE_POSITIONS_ON_BTC_HALT && this.onEmergencyHalt) {
+            this.onEmergencyHalt();
+        }
+        this.saveData('state').catch(e => this.log('ERROR', `Failed to save state after circuit breaker update: ${e.message}`));
+    }
+
+    _computeStatus() {
+        const { settings, dayStartBalance, dailyPnl, lossStreakPausedUntil } = this.botState;
+
+        const dailyDrawdownPct = dayStartBalance > 0 ? (-(dailyPnl || 0) / dayStartBalance) * 100 : 0;
+        if (settings.DAILY_DRAWDOWN_LIMIT_PCT > 0 && dailyDrawdownPct >= settings.DAILY_DRAWDOWN_LIMIT_PCT) return 'HALTED_DRAWDOWN';
+        if (settings.CIRCUIT_BREAKER_HALT_THRESHOLD_PCT > 0 && this.btcDropPct >= settings.CIRCUIT_BREAKER_HALT_THRESHOLD_PCT) return 'HALTED_BTC_DROP';
+        if (lossStreakPausedUntil && this.clock() < lossStreakPausedUntil) return 'PAUSED_LOSS_STREAK';
+        if (this.isSentimentExtreme()) return 'PAUSED_EXTREME_SENTIMENT';
+        if (settings.CIRCUIT_BREAKER_WARN_THRESHOLD_PCT > 0 && this.btcDropPct >= settings.CIRCUIT_BREAKER_WARN_THRESHOLD_PCT) return 'WARNING_BTC_DROP';
+        return 'NONE';
+    }
+
+    _getSentimentBands() {
+        const { settings } = this.botState;
+        return {
+            fear: settings.FEAR_GREED_EXTREME_FEAR_THRESHOLD ?? 20,
+            greed: settings.FEAR_GREED_EXTREME_GREED_THRESHOLD ?? 80,
+        };
+    }
+}
@@ -1,14 +1,16 @@
 import fs from 'fs/promises';
 import path from 'path';
-import fetch from 'node-fetch';
 import { SMA, ADX, MACD, RSI, EMA } from 'technicalindicators';
+import { getUsdRate, isUsdStablecoin } from './QuoteAssetService.js';
+import { getExchange } from './exchanges/index.js';
 
 const FIAT_CURRENCIES = ['EUR', 'GBP', 'JPY', 'AUD', 'CAD', 'CHF', 'CNY', 'HKD', 'NZD', 'SEK', 'KRW', 'SGD', 'NOK', 'MXN', 'INR', 'RUB', 'ZAR', 'TRY', 'BRL'];
 
 export class ScannerService {
-    constructor(log, klineDataDir) {
+    constructor(log, klineRepository, quoteAssets) {
         this.log = log;
-        this.klineDataDir = klineDataDir;
+        this.klineRepository = klineRepository; // Closed klines on disk; without it, klines are requested from the exchange
+        this.quoteAssets = quoteAssets;
         this.cache = new Map(); // Cache in-memory pour les analyses de fond
         this.cacheTTL = 60 * 60 * 1000; // 1 heure
     }
@@ -16,7 +18,7 @@ export class ScannerService {
     async runScan(settings) {
         this.log('SCANNER', 'Starting new discovery cycle for breakout strategy...');
         try {
-            const binancePairs = await this.discoverAndFilterPairsFromBinance(settings);
+            const binancePairs = await this.discoverAndFilterPairs(settings);
             if (binancePairs.length === 0) {
                 this.log('WARN', 'No pairs found meeting volume/exclusion criteria.');
                 return [];
@@ -43,30 +45,36 @@ export class ScannerService {
         }
     }
 
-    async discoverAndFilterPairsFromBinance(settings) {
-        this.log('BINANCE_API', 'Fetching all 24hr ticker data from Binance...');
+    async discoverAndFilterPairs(settings) {
+        this.log('BINANCE_API', 'Fetching all 24hr ticker data from the exchange...');
         try {
-            const response = await fetch('https://api.binance.com/api/v3/ticker/24hr');
-            if (!response.ok) throw new Error(`Binance API error! status: ${response.status}`);
-            const allTickers = await response.json();
-            if (!Array.isArray(allTickers)) throw new Error('Binance API did not return an array.');
+            const allTickers = await getExchange().getTickers24h();
 
+            const symbols = await this.quoteAssets.loadSymbols();
+            const allowedQuotes = this.quoteAssets.quoteAssets;
             const excluded = settings.EXCLUDED_PAIRS.split(',').map(p => p.trim());
-            const containsFiat = (symbol) => {
-                const base = symbol.replace('USDT', '');
-                return FIAT_CURRENCIES.includes(base);
-            };
+            // Volumes of non-USDT markets are converted with the same tickers so that MIN_VOLUME_USD means the same everywhere.
+            const prices = new Map(allTickers.map(t => [t.symbol, parseFloat(t.lastPrice)]));
+            const usdRates = new Map(allowedQuotes.map(q => [q, getUsdRate(q, (symbol) => prices.get(symbol))]));
+            usdRates.forEach((rate, quote) => {
+                if (rate === null) this.log('WARN', `No USD conversion rate for quote asset ${quote}, its pairs are skipped.`);
+            });
 
             return allTickers
-                .filter(ticker => 
-                    ticker.symbol.endsWith('USDT') &&
-                    !containsFiat(ticker.symbol) &&
-                    parseFloat(ticker.quoteVolume) > settings.MIN_VOLUME_USD &&
+                .map(ticker => ({ ticker, info: symbols.get(ticker.symbol) }))
+                .filter(({ ticker, info }) =>
+                    info && info.status === 'TRADING' &&
+                    usdRates.get(info.quoteAsset) > 0 &&
+                    !FIAT_CURRENCIES.includes(info.baseAsset) &&
+                    !isUsdStablecoin(info.baseAsset) &&
+                    parseFloat(ticker.quoteVolume) * usdRates.get(info.quoteAsset) > settings.MIN_VOLUME_USD &&
                     !excluded.includes(ticker.symbol)
                 )
-                .map(ticker => ({
+                .map(({ ticker, info }) => ({
                     symbol: ticker.symbol,
-                    volume: parseFloat(ticker.quoteVolume),
+                    base_asset: info.baseAsset,
+                    quote_asset: info.quoteAsset,
+                    volume: parseFloat(ticker.quoteVolume) * usdRates.get(info.quoteAsset),
                     price: parseFloat(ticker.lastPrice),
                 }));
         } catch (error) {
@@ -83,10 +91,10 @@ export class ScannerService {
         this.log('SCANNER', `Performing long-term analysis for ${symbol}...`);
 
         // --- Fetch Data ---
-        const klines4h = await this.fetchKlinesFromBinance(symbol, '4h', 0, 100);
+        const klines4h = await this.fetchKlines(symbol, '4h', 0, 100);
         if (klines4h.length < 50) return null;
         
-        const klines1h = await this.fetchKlinesFromBinance(symbol, '1h', 0, 100);
+        const klines1h = await this.fetchKlines(symbol, '1h', 0, 100);
         if (klines1h.length < 21) return null;
 
         // --- 4h ANALYSIS (MACRO TREND) ---
@@ -135,16 +143,10 @@ export class ScannerService {
         return analysisData;
     }
 
-    async fetchKlinesFromBinance(symbol, interval, startTime = 0, limit = 201) {
-        let url = `https://api.binance.com/api/v3/klines?symbol=${symbol}&interval=${interval}&limit=${limit}`;
-        if (startTime > 0) url += `&startTime=${startTime + 1}`;
-        
+    async fetchKlines(symbol, interval, startTime = 0, limit = 201) {
         try {
-            const response = await fetch(url);
-            if (!response.ok) throw new Error(`Failed to fetch klines for ${symbol} (${interval}). Status: ${response.status}`);
-            const klines = await response.json();
-            if (!Array.isArray(klines)) throw new Error(`Binance klines response for ${symbol} is not an array.`);
-            return klines;
+            if (this.klineRepository && startTime === 0) return await this.klineRepository.getKlines(symbol, interval, limit);
+            return await getExchange().getKlines(symbol, interval, { startTime: startTime > 0 ? startTime + 1 : 0, limit });
         } catch (error) {
             this.log('WARN', `Could not fetch klines for ${symbol} (${interval}): ${error.message}`);
             return [];
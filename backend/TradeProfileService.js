@@ -0,0 +1,217 @@
+import { STRATEGIES } from './strategies/index.js';
+import { MARKET_REGIMES } from './MarketRegimeService.js';
+
+// Every trade profile carries the full set of trade_params, snapshotted onto each trade it opens.
+const PROFILE_FIELDS = {
+    riskRewardRatio: { type: 'number', min: 0, exclusiveMin: true },
+    useAtrSl: { type: 'boolean' },
+    atrMultiplier: { type: 'number', min: 0, exclusiveMin: true },
+    stopLossPct: { type: 'number', min: 0, max: 100, exclusiveMin: true },
+    usePartialTp: { type: 'boolean' },
+    useAutoBreakeven: { type: 'boolean' },
+    useAdaptiveTs: { type: 'boolean' },
+    breakevenTriggerR: { type: 'number', min: 0 },
+    partialTpTriggerPct: { type: 'number', min: 0 },
+    partialTpSellQtyPct: { type: 'number', min: 0, max: 100, exclusiveMin: true },
+    trailingStopTightenThresholdR: { type: 'number', min: 0 },
+    trailingStopTightenMultiplierReduction: { type: 'number', min: 0 },
+    maxHoldingHours: { type: 'number', min: 0 },
+    noProgressCandles: { type: 'number', min: 0 },
+    noProgressMinR: { type: 'number', min: 0 },
+    exitOnTrendFlip: { type: 'boolean' },
+};
+
+const RULE_BOUNDS = ['adxMin', 'adxMax', 'atrPctMin', 'atrPctMax'];
+const PROFILE_NAME_PATTERN = /^[A-Z0-9_]{2,32}$/;
+const RESERVED_PROFILE_NAMES = ['MANUAL']; // Name of the manual settings used when no profile applies
+
+// Builds the three historical profiles from the manual settings they used to inherit from.
+export function buildDefaultTradeProfiles(settings) {
+    const base = {
+        riskRewardRatio: settings.RISK_REWARD_RATIO,
+        useAtrSl: settings.USE_ATR_STOP_LOSS,
+        atrMultiplier: settings.ATR_MULTIPLIER,
+        stopLossPct: settings.STOP_LOSS_PCT,
+        usePartialTp: settings.USE_PARTIAL_TAKE_PROFIT,
+        useAutoBreakeven: settings.USE_AUTO_BREAKEVEN,
+        useAdaptiveTs: settings.USE_ADAPTIVE_TRAILING_STOP,
+        breakevenTriggerR: settings.BREAKEVEN_TRIGGER_R,
+        partialTpTriggerPct: settings.PARTIAL_TP_TRIGGER_PCT,
+        partialTpSellQtyPct: settings.PARTIAL_TP_SELL_QTY_PCT,
+        trailingStopTightenThresholdR: settings.TRAILING_STOP_TIGHTEN_THRESHOLD_R,
+        trailingStopTightenMultiplierReduction: settings.TRAILING_STOP_TIGHTEN_MULTIPLIER_REDUCTION,
+        maxHoldingHours: settings.MAX_HOLDING_HOURS,
+        noProgressCandles: settings.NO_PROGRESS_EXIT_CANDLES,
+        noProgressMinR: settings.NO_PROGRESS_MIN_R,
+        exitOnTrendFlip: settings.USE_TREND_INVALIDATION_EXIT,
+    };
+    return [
+        { ...base, name: 'SCALPER', riskRewardRatio: 0.75, useAtrSl: false, stopLossPct: 2.0, usePartialTp: false, useAutoBreakeven: false, useAdaptiveTs: false },
+        { ...base, name: 'VOLATILITY_HUNTER', riskRewardRatio: 3.0, useAtrSl: true, atrMultiplier: 2.0, usePartialTp: false, useAutoBreakeven: true, useAdaptiveTs: true },
+        { ...base, name: 'SNIPER', riskRewardRatio: 5.0, useAtrSl: true, atrMultiplier: 1.5, usePartialTp: true, useAutoBreakeven: true, useAdaptiveTs: true },
+    ];
+}
+
+// Reproduces the historical selector: range market -> SCALPER, volatile market -> VOLATILITY_HUNTER, otherwise SNIPER.
+export function buildDefaultSelectionRules(settings) {
+    return [
+        { profile: 'SCALPER', strategyTypes: [], regimes: [], adxMin: null, adxMax: settings.ADX_THRESHOLD_RANGE, atrPctMin: null, atrPctMax: null },
+        { profile: 'VOLATILITY_HUNTER', strategyTypes: [], regimes: [], adxMin: null, adxMax: null, atrPctMin: settings.ATR_PCT_THRESHOLD_VOLATILE, atrPctMax: null },
+        { profile: 'SNIPER', strategyTypes: [], regimes: [], adxMin: null, adxMax: null, atrPctMin: null, atrPctMax: null },
+    ];
+}
+
+export function getTradeProfile(settings, name) {
+    return (settings.TRADE_PROFILES || []).find(p => p.name === name) || null;
+}
+
+// A bound set on a rule never matches a missing value. Minimums are inclusive, maximums exclusive.
+const inRange = (value, min, max) => {
+    if (min === null && max === null) return true;
+    if (typeof value !== 'number' || isNaN(value)) return false;
+    return (min === null || value >= min) && (max === null || value < max);
+};
+
+// Returns { profile, ruleIndex } for the first selection rule matching the pair, or null.
+export function selectTradeProfile(settings, pair, regime) {
+    const rules = settings.PROFILE_SELECTION_RULES || [];
+    for (let i = 0; i < rules.length; i++) {
+        const rule = rules[i];
+        if (rule.strategyTypes.length > 0 && !rule.strategyTypes.includes(pair.strategy_type)) continue;
+        if (rule.regimes.length > 0 && !rule.regimes.includes(regime)) continue;
+        if (!inRange(pair.adx_15m, rule.adxMin, rule.adxMax)) continue;
+        if (!inRange(pair.atr_pct_15m, rule.atrPctMin, rule.atrPctMax)) continue;
+        const profile = getTradeProfile(settings, rule.profile);
+        if (profile) return { profile, ruleIndex: i };
+    }
+    return null;
+}
+
+export class TradeProfileService {
+    constructor(botState, log, saveData) {
+        this.botState = botState;
+        this.log = log;
+        this.saveData = saveData;
+    }
+
+    get profiles() {
+        return this.botState.settings.TRADE_PROFILES;
+    }
+
+    get rules() {
+        return this.botState.settings.PROFILE_SELECTION_RULES;
+    }
+
+    // Settings saved before profiles existed get the historical profiles and rules.
+    async ensureDefaults() {
+        const { settings } = this.botState;
+        if (Array.isArray(settings.TRADE_PROFILES) && Array.isArray(settings.PROFILE_SELECTION_RULES)) return;
+        if (!Array.isArray(settings.TRADE_PROFILES)) settings.TRADE_PROFILES = buildDefaultTradeProfiles(settings);
+        if (!Array.isArray(settings.PROFILE_SELECTION_RULES)) settings.PROFILE_SELECTION_RULES = buildDefaultSelectionRules(settings);
+        this.log('INFO', 'Trade profiles initialized with the default SCALPER, VOLATILITY_HUNTER and SNIPER profiles.');
+        await this.saveData('settings');
+    }
+
+    _validateProfile(profile) {
+        if (!profile || typeof profile !== 'object' || Array.isArray(profile)) return 'Profile must be an object.';
+        if (typeof profile.name !== 'string' || !PROFILE_NAME_PATTERN.test(profile.name)) {
+            return 'Profile name must be 2 to 32 uppercase letters, digits or underscores.';
+        }
+        if (RESERVED_PROFILE_NAMES.includes(profile.name)) return `Profile name ${profile.name} is reserved.`;
+        for (const [field, rule] of Object.entries(PROFILE_FIELDS)) {
+            const value = profile[field];
+            if (rule.type === 'boolean') {
+                if (typeof value !== 'boolean') return `${field} must be a boolean.`;
+                continue;
+            }
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `${field} must be a number.`;
+            if (rule.exclusiveMin ? value <= rule.min : value < rule.min) return `${field} must be ${rule.exclusiveMin ? 'greater than' : 'at least'} ${rule.min}.`;
+            if (rule.max !== undefined && value > rule.max) return `${field} must be at most ${rule.max}.`;
+        }
+        return null;
+    }
+
+    // Keeps only the known fields so that stray keys never reach trade_params.
+    _normalizeProfile(profile) {
+        return Object.fromEntries([['name', profile.name], ...Object.keys(PROFILE_FIELDS).map(field => [field, profile[field]])]);
+    }
+
+    _validateRule(rule, profileNames) {
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return 'Each rule must be an object.';
+        if (!profileNames.includes(rule.profile)) return `Unknown profile ${rule.profile}.`;
+        const strategyNames = STRATEGIES.map(s => s.name);
+        if (!Array.isArray(rule.strategyTypes) || rule.strategyTypes.some(s => !strategyNames.includes(s))) {
+            return `strategyTypes must be a list of: ${strategyNames.join(', ')}.`;
+        }
+        if (!Array.isArray(rule.regimes) || rule.regimes.some(r => !MARKET_REGIMES.includes(r))) {
+            return `regimes must be a list of: ${MARKET_REGIMES.join(', ')}.`;
+        }
+        for (const bound of RULE_BOUNDS) {
+            if (rule[bound] !== null && (typeof rule[bound] !== 'number' || !Number.isFinite(rule[bound]) || rule[bound] < 0)) {
+                return `${bound} must be null or a positive number.`;
+            }
+        }
+        if (rule.adxMin !== null && rule.adxMax !== null && rule.adxMin >= rule.adxMax) return 'adxMin must be lower than adxMax.';
+        if (rule.atrPctMin !== null && rule.atrPctMax !== null && rule.atrPctMin >= rule.atrPctMax) return 'atrPctMin must be lower than atrPctMax.';
+        return null;
+    }
+
+    async createProfile(profile) {
+        const candidate = { ...profile, name: typeof profile?.name === 'string' ? profile.name.trim().toUpperCase() : profile?.name };
+        const error = this._validateProfile(candidate);
+        if (error) return { success: false, message: error };
+        if (getTradeProfile(this.botState.settings, candidate.name)) return { success: false, message: `Profile ${candidate.name} already exists.` };
+
+        const created = this._normalizeProfile(candidate);
+        this.botState.settings.TRADE_PROFILES = [...this.profiles, created];
+        await this.saveData('settings');
+        this.log('INFO', `Trade profile ${created.name} created.`);
+        return { success: true, profile: created };
+    }
+
+    async updateProfile(name, changes) {
+        const existing = getTradeProfile(this.botState.settings, name);
+        if (!existing) return { success: false, notFound: true, message: `Profile ${name} not found.` };
+
+        const candidate = { ...existing, ...changes, name };
+        const error = this._validateProfile(candidate);
+        if (error) return { success: false, message: error };
+
+        const updated = this._normalizeProfile(candidate);
+        this.botState.settings.TRADE_PROFILES = this.profiles.map(p => p.name === name ? updated : p);
+        await this.saveData('settings');
+        this.log('INFO', `Trade profile ${name} updated.`);
+        return { success: true, profile: updated };
+    }
+
+    async deleteProfile(name) {
+        if (!getTradeProfile(this.botState.settings, name)) return { success: false, notFound: true, message: `Profile ${name} not found.` };
+        const usedBy = this.rules.findIndex(r => r.profile === name);
+        if (usedBy !== -1) return { success: false, message: `Profile ${name} is used by selection rule #${usedBy + 1}.` };
+
+        this.botState.settings.TRADE_PROFILES = this.profiles.filter(p => p.name !== name);
+        await this.saveData('settings');
+        this.log('INFO', `Trade profile ${name} deleted.`);
+        return { success: true };
+    }
+
+    async setRules(rules) {
+        if (!Array.isArray(rules)) return { success: false, message: 'Rules must be a list.' };
+        const profileNames = this.profiles.map(p => p.name);
+        const normalized = rules.map(rule => ({
+            profile: rule?.profile,
+            strategyTypes: rule?.strategyTypes ?? [],
+            regimes: rule?.regimes ?? [],
+            ...Object.fromEntries(RULE_BOUNDS.map(bound => [bound, rule?.[bound] ?? null])),
+        }));
+        for (let i = 0; i < normalized.length; i++) {
+            const error = this._validateRule(normalized[i], profileNames);
+            if (error) return { success: false, message: `Rule #${i + 1}: ${error}` };
+        }
+
+        this.botState.settings.PROFILE_SELECTION_RULES = normalized;
+        await this.saveData('settings');
+        this.log('INFO', `Profile selection rules updated (${normalized.length} rule(s)).`);
+        return { success: true, rules: normalized };
+    }
+}
@@ -1,13 +1,39 @@
+import { getStrategy } from './strategies/index.js';
+import { getTradeProfile, selectTradeProfile } from './TradeProfileService.js';
+import { USD_QUOTE_ASSET } from './QuoteAssetService.js';
 
+const PROTECTIVE_STOP_LIMIT_OFFSET_PCT = 0.5; // The stop-loss-limit leg sells down to this far below its trigger
+const PROTECTIVE_ORDER_MIN_UPDATE_MS = 5000; // Trailing stops move on every tick; the exchange order is replaced at most this often
+const LIMIT_ENTRY_POLL_MS = 3000; // Minimum delay between two status queries of a live limit entry
+const NO_PROGRESS_CANDLE_MS = 15 * 60 * 1000; // The no-progress exit counts 15m candles, the timeframe the profiles are chosen on
+const CLOSE_RETRY_DELAY_MS = 30000; // After a refused live exit order, the exit conditions are checked again after this delay
+
+const floorToStep = (value, step) => {
+    if (!step) return parseFloat(value.toFixed(8));
+    const precision = Math.max(0, Math.round(-Math.log10(step)));
+    return parseFloat((Math.floor(value / step + 1e-9) * step).toFixed(precision));
+};
 
 export class TradingEngineService {
-    constructor(botState, log, broadcast, saveData, binanceApiClient, symbolRules) {
+    constructor(botState, log, broadcast, saveData, binanceApiClient, symbolRules, riskGuard, correlationService, orderBookService, marketRegimeService, quoteAssets, clock = Date.now) {
         this.botState = botState;
         this.log = log;
         this.broadcast = broadcast;
         this.saveData = saveData;
         this.apiClient = binanceApiClient;
         this.symbolRules = symbolRules;
+        this.riskGuard = riskGuard;
+        this.correlationService = correlationService;
+        this.orderBookService = orderBookService;
+        this.marketRegimeService = marketRegimeService;
+        this.quoteAssets = quoteAssets;
+        this.clock = clock; // () => ms. Replays drive the engine with a simulated clock
+        this.scalingInProgress = new Set();
+        this.pendingEntries = new Set(); // Symbols whose entry is being validated or sent
+        this.protectiveOrderUpdates = new Map(); // position.id -> in-flight cancel/replace of the exchange-side stop
+        this.pendingOrderChecks = new Set(); // Ids of the limit entries being checked, repriced or cancelled
+        this.partialSells = new Map(); // position.id -> in-flight partial sell, exits wait for it
+        this.closeRetryAfter = new Map(); // position.id -> time before which a failed live exit is not retried
     }
 
     updateSettings(settings) {
@@ -20,23 +46,20 @@ export class TradingEngineService {
 
     processAnalyzedPair(pair) {
         if (!this.botState.isRunning) return;
+        this.checkTrendInvalidation(pair);
 
-        switch (pair.score) {
-            case 'STRONG BUY':
-            case 'MOMENTUM_BUY':
-            case 'IGNITION_DETECTED':
-                this.evaluateSignal(pair);
-                break;
-            case 'PENDING_CONFIRMATION':
-                if (this.botState.settings.USE_MTF_VALIDATION) {
-                    this.log('TRADE', `Signal de Précision pour ${pair.symbol} mis en attente de confirmation 5m.`);
-                    this.botState.pendingConfirmation.set(pair.symbol, { pair, timestamp: Date.now() });
-                } else {
-                    this.evaluateSignal({ ...pair, score: 'STRONG BUY' });
-                }
-                break;
-            default:
-                break;
+        const strategy = getStrategy(pair.strategy_type);
+        if (!strategy) return;
+
+        if (strategy.entryScores.includes(pair.score)) {
+            return this.evaluateSignal(pair);
+        } else if (strategy.confirmationScores.includes(pair.score)) {
+            if (this.botState.settings.USE_MTF_VALIDATION) {
+                this.log('TRADE', `Signal de ${strategy.label} pour ${pair.symbol} mis en attente de confirmation 5m.`);
+                this.botState.pendingConfirmation.set(pair.symbol, { pair, timestamp: this.clock() });
+            } else {
+                return this.evaluateSignal({ ...pair, score: strategy.entryScores[0] });
+            }
         }
     }
 
@@ -50,17 +73,15 @@ export class TradingEngineService {
 
         if (isBullishConfirmation) {
             this.log('TRADE', `Confirmation 5m RÉUSSIE pour ${symbol}. Évaluation finale pour entrée.`);
-            this.evaluateSignal({ ...pair, score: 'STRONG BUY' });
+            return this.evaluateSignal({ ...pair, score: getStrategy(pair.strategy_type).entryScores[0] });
         } else {
             this.log('TRADE', `Confirmation 5m ÉCHOUÉE pour ${symbol}. Signal invalidé.`);
         }
     }
 
-    _getTradeParameters(pair) {
+    _getDefaultTradeParameters() {
         const { settings } = this.botState;
-        const { strategy_type, adx_15m, atr_pct_15m } = pair;
-
-        let params = {
+        return {
             name: 'MANUAL',
             riskRewardRatio: settings.RISK_REWARD_RATIO,
             useAtrSl: settings.USE_ATR_STOP_LOSS,
@@ -74,55 +95,97 @@ export class TradingEngineService {
             partialTpSellQtyPct: settings.PARTIAL_TP_SELL_QTY_PCT,
             trailingStopTightenThresholdR: settings.TRAILING_STOP_TIGHTEN_THRESHOLD_R,
             trailingStopTightenMultiplierReduction: settings.TRAILING_STOP_TIGHTEN_MULTIPLIER_REDUCTION,
+            maxHoldingHours: settings.MAX_HOLDING_HOURS,
+            noProgressCandles: settings.NO_PROGRESS_EXIT_CANDLES,
+            noProgressMinR: settings.NO_PROGRESS_MIN_R,
+            exitOnTrendFlip: settings.USE_TREND_INVALIDATION_EXIT,
         };
+    }
+
+    _getTradeParameters(pair) {
+        const { settings } = this.botState;
+        const { strategy_type, adx_15m, atr_pct_15m } = pair;
+
+        let params = this._getDefaultTradeParameters();
 
-        if (strategy_type === 'IGNITION') {
-            params.name = 'IGNITION';
-            return params;
+        const strategy = getStrategy(strategy_type);
+        if (strategy?.defaultProfile) {
+            const profile = getTradeProfile(settings, strategy.defaultProfile);
+            return profile ? { ...profile } : { ...params, name: strategy.defaultProfile };
         }
 
         if (settings.USE_DYNAMIC_PROFILE_SELECTOR) {
-            if (adx_15m < settings.ADX_THRESHOLD_RANGE) {
-                this.log('TRADE', `[${pair.symbol}] Marché en RANGE (ADX: ${adx_15m.toFixed(1)}). Application du profil SCALPEUR.`);
-                Object.assign(params, { name: 'SCALPER', riskRewardRatio: 0.75, useAtrSl: false, stopLossPct: 2.0, usePartialTp: false, useAutoBreakeven: false, useAdaptiveTs: false });
-            } else if (atr_pct_15m > settings.ATR_PCT_THRESHOLD_VOLATILE) {
-                this.log('TRADE', `[${pair.symbol}] Marché VOLATIL (ATR: ${atr_pct_15m.toFixed(2)}%). Application du profil CHASSEUR DE VOLATILITÉ.`);
-                Object.assign(params, { name: 'VOLATILITY_HUNTER', riskRewardRatio: 3.0, useAtrSl: true, atrMultiplier: 2.0, usePartialTp: false, useAutoBreakeven: true, useAdaptiveTs: true });
-            } else {
-                this.log('TRADE', `[${pair.symbol}] Marché en TENDANCE (ADX: ${adx_15m.toFixed(1)}). Application du profil SNIPER.`);
-                Object.assign(params, { name: 'SNIPER', riskRewardRatio: 5.0, useAtrSl: true, atrMultiplier: 1.5, usePartialTp: true, useAutoBreakeven: true, useAdaptiveTs: true });
+            const selection = selectTradeProfile(settings, pair, this.marketRegimeService.regime?.regime);
+            if (selection) {
+                this.log('TRADE', `[${pair.symbol}] Règle de sélection #${selection.ruleIndex + 1} (ADX: ${adx_15m?.toFixed(1) ?? 'N/A'}, ATR: ${atr_pct_15m?.toFixed(2) ?? 'N/A'}%). Application du profil ${selection.profile.name}.`);
+                return { ...selection.profile };
             }
+            this.log('TRADE', `[${pair.symbol}] Aucune règle de sélection ne correspond. Utilisation des paramètres manuels.`);
         } else {
             this.log('TRADE', `[${pair.symbol}] Sélecteur de profil dynamique désactivé. Utilisation des paramètres manuels.`);
         }
         return params;
     }
 
-    evaluateSignal(pair) {
-        const { settings, activePositions, recentlyLostSymbols } = this.botState;
+    // Portfolio checks shared by signal and manual entries. Returns the reason of the refusal, or null.
+    _getEntryRejection(symbol) {
+        const { settings, activePositions, pendingOrders, recentlyLostSymbols } = this.botState;
+        if (activePositions.length + pendingOrders.length + this.pendingEntries.size >= settings.MAX_OPEN_POSITIONS) {
+            return `nombre maximum de positions atteint (${settings.MAX_OPEN_POSITIONS})`;
+        }
+        if ([...activePositions, ...pendingOrders].some(p => p.symbol === symbol) || this.pendingEntries.has(symbol)) return 'une position est déjà ouverte sur ce symbole';
+        if (recentlyLostSymbols.has(symbol) && this.clock() < recentlyLostSymbols.get(symbol)) return 'symbole en période de refroidissement après une perte';
+        if (!this.riskGuard.canOpenNewTrade()) return `nouvelles entrées suspendues par le disjoncteur (${this.botState.circuitBreakerStatus})`;
+        if (this.botState.tradingMode === 'REAL_LIVE' && this.botState.reconciliation?.status === 'PENDING_ACK') return 'réconciliation avec Binance en attente de validation';
+        return null;
+    }
+
+    _checkCorrelation(symbol) {
+        const { settings, activePositions, pendingOrders } = this.botState;
+        return this.correlationService.checkNewEntry(symbol, [...activePositions, ...pendingOrders], settings);
+    }
+
+    // Market checks shared by signal and manual entries once their size is known: the regime may refuse or shrink
+    // the entry, the order book may cap it. Returns { rejection } or the { pair, quantity } to open.
+    async _applyEntryFilters(pair, quantity, scaleToRegime = true) {
+        const { settings } = this.botState;
+        const { symbol } = pair;
+
+        const regimeDecision = this.marketRegimeService.getEntryDecision(pair.strategy_type);
+        if (!regimeDecision.allowed) return { rejection: regimeDecision.reason };
+        if (scaleToRegime && regimeDecision.sizeMultiplier < 1) {
+            quantity *= regimeDecision.sizeMultiplier;
+            this.log('TRADE', `[${symbol}] Marché en RANGE: taille de position réduite à ${(regimeDecision.sizeMultiplier * 100).toFixed(0)}%.`);
+        }
+
+        if (!settings.USE_ORDER_BOOK_LIQUIDITY_FILTER) return { pair, quantity };
+        const liquidity = await this.orderBookService.checkLiquidity(symbol, quantity, settings);
+        if (!liquidity.allowed) return { rejection: liquidity.reason };
+        return { pair: { ...pair, order_book: liquidity.report }, quantity: liquidity.quantity };
+    }
+
+    _getStopLossPrice(price, params, atr) {
+        if (params.useAtrSl && atr) return price - (atr * params.atrMultiplier);
+        return price * (1 - params.stopLossPct / 100);
+    }
+
+    async evaluateSignal(pair) {
+        const { settings } = this.botState;
         const { symbol, score, atr_15m, price } = pair;
 
-        if (!['STRONG BUY', 'IGNITION_DETECTED', 'MOMENTUM_BUY'].includes(score)) return;
-        if (activePositions.length >= settings.MAX_OPEN_POSITIONS) return;
-        if (activePositions.some(p => p.symbol === symbol)) return;
-        if (recentlyLostSymbols.has(symbol) && Date.now() < recentlyLostSymbols.get(symbol)) return;
+        if (!getStrategy(pair.strategy_type)?.entryScores.includes(score)) return;
+        if (this._getEntryRejection(symbol)) return;
+
+        const correlationCheck = this._checkCorrelation(symbol);
+        if (!correlationCheck.allowed) {
+            this.log('TRADE', `Entrée refusée pour ${symbol}: ${correlationCheck.reason}.`);
+            return;
+        }
 
         const params = this._getTradeParameters(pair);
         this.log('TRADE', `Signal [${score}] pour ${symbol} avec profil [${params.name}]. Évaluation des conditions d'entrée.`);
         
-        let positionSizePct = settings.POSITION_SIZE_PCT;
-        if (settings.USE_DYNAMIC_POSITION_SIZING && score === 'STRONG BUY') {
-            positionSizePct = settings.STRONG_BUY_POSITION_SIZE_PCT;
-        }
-        const positionSizeUSD = this.botState.balance * (positionSizePct / 100);
-        const quantity = positionSizeUSD / price;
-
-        let stopLossPrice;
-        if (params.useAtrSl && atr_15m) {
-            stopLossPrice = price - (atr_15m * params.atrMultiplier);
-        } else {
-            stopLossPrice = price * (1 - params.stopLossPct / 100);
-        }
+        const stopLossPrice = this._getStopLossPrice(price, params, atr_15m);
 
         const riskPerUnit = price - stopLossPrice;
         if (riskPerUnit <= 0) {
@@ -130,73 +193,799 @@ export class TradingEngineService {
             return;
         }
 
+        const quantity = this._getPositionQuantity(pair, price, riskPerUnit);
+        if (!(quantity > 0)) {
+            this.log('TRADE', `Entrée refusée pour ${symbol}: solde disponible insuffisant.`);
+            return;
+        }
+
         let takeProfitPrice;
+        let rewardRatio = params.riskRewardRatio;
         if (pair.strategy_type === 'IGNITION') {
             if (settings.USE_IGNITION_TRAILING_STOP) {
                 takeProfitPrice = Infinity; // Let TSL manage the exit
             } else {
                 // Fallback to a fixed TP if TSL is disabled for Ignition
-                takeProfitPrice = price + (riskPerUnit * settings.RISK_REWARD_RATIO); 
+                rewardRatio = settings.RISK_REWARD_RATIO;
+                takeProfitPrice = price + (riskPerUnit * rewardRatio);
             }
         } else {
             // For Precision and Momentum strategies
-            takeProfitPrice = price + (riskPerUnit * params.riskRewardRatio);
+            takeProfitPrice = price + (riskPerUnit * rewardRatio);
+        }
+
+        this.pendingEntries.add(symbol);
+        try {
+            const entry = await this._applyEntryFilters(pair, quantity);
+            if (entry.rejection) {
+                this.log('TRADE', `Entrée refusée pour ${symbol}: ${entry.rejection}.`);
+                return;
+            }
+            await this.openPosition(entry.pair, entry.quantity, stopLossPrice, takeProfitPrice, params, rewardRatio);
+        } finally {
+            this.pendingEntries.delete(symbol);
         }
+    }
+
+    // POST /api/positions. Stop, target and size are optional: the manual settings fill the gaps, as for a signal.
+    async openManualPosition({ symbol, stopLoss, takeProfit, quantity, sizeUsd }) {
+        const { settings } = this.botState;
+        symbol = symbol.toUpperCase();
+        const price = this.botState.priceCache.get(symbol)?.price;
+        if (!price) return { success: false, message: `Prix indisponible pour ${symbol}.` };
 
-        this.openPosition(pair, quantity, stopLossPrice, takeProfitPrice, params);
+        const rejection = this._getEntryRejection(symbol);
+        if (rejection) return { success: false, message: `Entrée refusée pour ${symbol}: ${rejection}.` };
+        const correlationCheck = this._checkCorrelation(symbol);
+        if (!correlationCheck.allowed) return { success: false, message: `Entrée refusée pour ${symbol}: ${correlationCheck.reason}.` };
+
+        const scannedPair = this.botState.scannerCache?.find(p => p.symbol === symbol);
+        const pair = { ...scannedPair, symbol, price, score: 'MANUAL', strategy_type: 'MANUAL' };
+        const params = this._getDefaultTradeParameters();
+
+        const stopLossPrice = stopLoss ?? this._getStopLossPrice(price, params, scannedPair?.atr_15m);
+        if (!(stopLossPrice > 0) || stopLossPrice >= price) return { success: false, message: `Le stop loss doit être inférieur au prix actuel (${price}).` };
+        const riskPerUnit = price - stopLossPrice;
+        const takeProfitPrice = takeProfit ?? price + (riskPerUnit * params.riskRewardRatio);
+        if (!(takeProfitPrice > price)) return { success: false, message: `Le take profit doit être supérieur au prix actuel (${price}).` };
+
+        const quoteAsset = this._getQuoteAsset(pair);
+        // sizeUsd is converted to the quote asset; an unpriced quote leaves NaN and fails the check below.
+        const entryQuantity = quantity ?? (sizeUsd ? sizeUsd / (this.quoteAssets.getUsdRate(quoteAsset) || NaN) / price : this._getPositionQuantity(pair, price, riskPerUnit));
+        if (!(entryQuantity > 0)) return { success: false, message: 'Taille de position invalide.' };
+        const cost = entryQuantity * price;
+        const quoteBalance = this.quoteAssets.getBalance(quoteAsset);
+        if (cost + this._getFeeUsd(cost) > quoteBalance) {
+            return { success: false, message: `Solde insuffisant (${this._formatAmount(quoteBalance, quoteAsset)} < ${this._formatAmount(cost, quoteAsset)}).` };
+        }
+
+        this.log('TRADE', `Ouverture manuelle demandée pour ${symbol}: Qté ${entryQuantity}, SL ${stopLossPrice}, TP ${takeProfitPrice}.`);
+        this.pendingEntries.add(symbol);
+        try {
+            // A size given by the user is kept as is in a RANGE market, only the risk-based one is reduced.
+            const entry = await this._applyEntryFilters(pair, entryQuantity, quantity == null && !sizeUsd);
+            if (entry.rejection) return { success: false, message: `Entrée refusée pour ${symbol}: ${entry.rejection}.` };
+            const trade = await this.openPosition(entry.pair, entry.quantity, stopLossPrice, takeProfitPrice, params, takeProfit == null ? params.riskRewardRatio : null);
+            if (!trade) return { success: false, message: `Échec de l'ouverture de la position pour ${symbol}, voir les logs.` };
+            return { success: true, trade };
+        } finally {
+            this.pendingEntries.delete(symbol);
+        }
+    }
+
+    // PATCH /api/positions/:id. Every field is optional; the exchange-side protective order follows the new levels.
+    async updatePosition(tradeId, { stopLoss, takeProfit, useAutoBreakeven, useAdaptiveTs, closeQuantity }) {
+        const position = this.botState.activePositions.find(p => p.id === tradeId);
+        if (!position) return { success: false, message: 'Position non trouvée.' };
+        const currentPrice = this.botState.priceCache.get(position.symbol)?.price || position.average_entry_price;
+
+        if (stopLoss !== undefined && (!(stopLoss > 0) || stopLoss >= currentPrice)) {
+            return { success: false, message: `Le stop loss doit être inférieur au prix actuel (${currentPrice}).` };
+        }
+        if (takeProfit !== undefined && !(takeProfit > currentPrice)) {
+            return { success: false, message: `Le take profit doit être supérieur au prix actuel (${currentPrice}).` };
+        }
+        if (closeQuantity !== undefined && !(closeQuantity > 0)) return { success: false, message: 'Quantité à clôturer invalide.' };
+
+        if (closeQuantity >= position.quantity) {
+            await this.closePosition(position, currentPrice, null, 'MANUAL');
+            return { success: true, trade: position };
+        }
+
+        const changes = [];
+        if (stopLoss !== undefined) {
+            changes.push(`SL ${position.stop_loss} -> ${stopLoss}`);
+            position.stop_loss = stopLoss;
+        }
+        if (takeProfit !== undefined) {
+            changes.push(`TP ${position.take_profit} -> ${takeProfit}`);
+            position.take_profit = takeProfit;
+            position.take_profit_rr = null;
+        }
+        if (useAutoBreakeven !== undefined) {
+            changes.push(`Break-Even ${useAutoBreakeven ? 'activé' : 'désactivé'}`);
+            position.trade_params = { ...position.trade_params, useAutoBreakeven };
+        }
+        if (useAdaptiveTs !== undefined) {
+            changes.push(`Stop suiveur adaptatif ${useAdaptiveTs ? 'activé' : 'désactivé'}`);
+            position.trade_params = { ...position.trade_params, useAdaptiveTs };
+        }
+        if (changes.length > 0) {
+            this.log('TRADE', `[${position.symbol}] Position #${position.id} modifiée manuellement: ${changes.join(', ')}.`);
+            if (stopLoss !== undefined || takeProfit !== undefined) await this._replaceProtectiveOrder(position, true);
+        }
+
+        if (closeQuantity !== undefined) {
+            const result = await this._sellPartialQuantity(position, closeQuantity, currentPrice, 'clôture partielle manuelle');
+            if (result === 'UNSELLABLE') return { success: false, message: 'La vente ou le reliquat serait sous les minimums Binance.' };
+            if (result === 'FAILED') return { success: false, message: 'Échec de la clôture partielle, voir les logs.' };
+            return { success: true, trade: position };
+        }
+
+        await this.saveData('state');
+        this.broadcast({ type: 'POSITIONS_UPDATED' });
+        return { success: true, trade: position };
     }
     
-    async openPosition(pair, quantity, stopLoss, takeProfit, tradeParams) {
-        const { symbol, price, score, strategy_type, atr_15m } = pair;
-        const newTrade = {
+    // Trade amounts (total_cost_usd, fees_usd, pnl...) are expressed in the quote asset of the trade: USDT for the historical pairs.
+    _getQuoteAsset(pairOrTrade) {
+        return pairOrTrade.quote_asset || this.quoteAssets.getAssets(pairOrTrade.symbol).quoteAsset;
+    }
+
+    _formatAmount(amount, quoteAsset) {
+        return quoteAsset === USD_QUOTE_ASSET ? `$${amount.toFixed(2)}` : `${parseFloat(amount.toPrecision(6))} ${quoteAsset}`;
+    }
+
+    // Every quote balance plus the current value of the open positions, in USD.
+    _getEquity() {
+        return this.botState.activePositions.reduce((equity, position) => {
+            const currentPrice = this.botState.priceCache.get(position.symbol)?.price || position.average_entry_price;
+            return equity + currentPrice * position.quantity * (this.quoteAssets.getUsdRate(this._getQuoteAsset(position)) ?? 0);
+        }, this.quoteAssets.getTotalBalanceUsd());
+    }
+
+    _getPositionQuantity(pair, price, riskPerUnit) {
+        const { settings } = this.botState;
+        const sizeMultiplier = this.riskGuard.getPositionSizeMultiplier();
+        const quoteAsset = this._getQuoteAsset(pair);
+        const usdRate = this.quoteAssets.getUsdRate(quoteAsset);
+        if (!usdRate) {
+            this.log('WARN', `[${pair.symbol}] Aucun taux de conversion USD pour ${quoteAsset}, taille de position impossible à calculer.`);
+            return 0;
+        }
+        const quoteBalance = this.quoteAssets.getBalance(quoteAsset);
+        let quantity;
+
+        if (settings.USE_RISK_BASED_SIZING) {
+            // The stop distance sets the size: hitting the stop loses RISK_PER_TRADE_PCT of equity.
+            const riskUsd = this._getEquity() * (settings.RISK_PER_TRADE_PCT / 100) * sizeMultiplier;
+            quantity = (riskUsd / usdRate) / riskPerUnit;
+        } else {
+            let positionSizePct = settings.POSITION_SIZE_PCT;
+            if (settings.USE_DYNAMIC_POSITION_SIZING && pair.score === 'STRONG BUY') {
+                positionSizePct = settings.STRONG_BUY_POSITION_SIZE_PCT;
+            }
+            positionSizePct *= sizeMultiplier;
+            quantity = (quoteBalance * (positionSizePct / 100)) / price;
+        }
+
+        const maxNotional = settings.MAX_TRADE_NOTIONAL_USD > 0 ? settings.MAX_TRADE_NOTIONAL_USD / usdRate : Infinity;
+        // Leave room for the entry fee so that the order never exceeds the available balance.
+        const availableNotional = quoteBalance / (1 + (settings.TRANSACTION_FEE_PCT || 0) / 100);
+        const cappedNotional = Math.min(quantity * price, maxNotional, availableNotional);
+        if (cappedNotional < quantity * price) {
+            this.log('TRADE', `[${pair.symbol}] Taille de position plafonnée à ${this._formatAmount(cappedNotional, quoteAsset)} (prévue: ${this._formatAmount(quantity * price, quoteAsset)}).`);
+        }
+        return cappedNotional / price;
+    }
+
+    _getScalingInPercents() {
+        const config = this.botState.settings.SCALING_IN_CONFIG;
+        if (!config || typeof config !== 'string') return [];
+        const percents = config.split(',').map(p => parseFloat(p.trim())).filter(p => !isNaN(p) && p > 0);
+        const total = percents.reduce((sum, p) => sum + p, 0);
+        if (percents.length < 2 || total <= 0) return [];
+        // Normalize so that the tranches always add up to the full planned size.
+        return percents.map(p => (p / total) * 100);
+    }
+
+    _getFillPrice(orderResult) {
+        const executedQty = parseFloat(orderResult.executedQty);
+        const quoteQty = parseFloat(orderResult.cummulativeQuoteQty);
+        if (executedQty > 0 && quoteQty > 0) return quoteQty / executedQty;
+        return parseFloat(orderResult.fills[0].price);
+    }
+
+    // Commissions actually charged by Binance, in the quote asset. A commission paid in the base asset reduces the quantity received.
+    _getLiveCommissions(symbol, orderResult) {
+        const { baseAsset, quoteAsset } = this.quoteAssets.getAssets(symbol);
+        const quoteUsdRate = this.quoteAssets.getUsdRate(quoteAsset);
+        let feeUsd = 0;
+        let baseCommission = 0;
+        (orderResult.fills || []).forEach(fill => {
+            const commission = parseFloat(fill.commission) || 0;
+            if (fill.commissionAsset === quoteAsset) {
+                feeUsd += commission;
+            } else if (fill.commissionAsset === baseAsset) {
+                feeUsd += commission * parseFloat(fill.price);
+                baseCommission += commission;
+            } else if (quoteUsdRate) {
+                feeUsd += (commission * (this.quoteAssets.getUsdRate(fill.commissionAsset) ?? 0)) / quoteUsdRate;
+            }
+        });
+        return { feeUsd, baseCommission };
+    }
+
+    _getFeeUsd(notional, isMaker = false) {
+        const { settings } = this.botState;
+        const feePct = isMaker ? settings.MAKER_FEE_PCT : settings.TRANSACTION_FEE_PCT;
+        return notional * ((feePct || 0) / 100);
+    }
+
+    // Slippage applied to simulated fills. The dynamic model adds the half spread and a square-root market impact:
+    // an order worth one minute of average volume costs SLIPPAGE_PCT on top of the spread.
+    _getSimulatedSlippagePct(symbol, quantity, price) {
+        const { settings } = this.botState;
+        const fixedPct = settings.SLIPPAGE_PCT || 0;
+        const ticker = this.botState.priceCache.get(symbol);
+        if (!settings.USE_DYNAMIC_SLIPPAGE || !(ticker?.bid > 0) || !(ticker?.ask > 0) || !(ticker?.quoteVolume > 0)) return fixedPct;
+
+        const halfSpreadPct = ((ticker.ask - ticker.bid) / (ticker.ask + ticker.bid)) * 100;
+        const minuteVolumeUsd = ticker.quoteVolume / 1440;
+        return halfSpreadPct + fixedPct * Math.sqrt((price * quantity) / minuteVolumeUsd);
+    }
+
+    _simulateFill(symbol, side, quantity, referencePrice) {
+        const slippagePct = this._getSimulatedSlippagePct(symbol, quantity, referencePrice);
+        const price = referencePrice * (1 + (side === 'BUY' ? slippagePct : -slippagePct) / 100);
+        return { price, quantity, fee: this._getFeeUsd(price * quantity) };
+    }
+
+    _isExchangeMode() {
+        return this.botState.tradingMode !== 'VIRTUAL' && !!this.apiClient;
+    }
+
+    _getModeLabel() {
+        return this.botState.tradingMode === 'REAL_LIVE' ? 'RÉELLE' : this.botState.tradingMode === 'REAL_PAPER' ? 'PAPER' : 'VIRTUELLE';
+    }
+
+    // Single entry point for every market order. Returns the fill as { price, quantity, fee } (fee in the quote asset).
+    async _executeMarketOrder(symbol, side, quantity, referencePrice) {
+        if (!this._isExchangeMode()) return this._simulateFill(symbol, side, quantity, referencePrice);
+
+        const filtered = this.checkOrderFilters(symbol, quantity, referencePrice);
+        if (!filtered.quantity) throw new Error(`ordre non conforme aux filtres Binance (${filtered.reason})`);
+        if (filtered.quantity < this.formatQuantity(symbol, quantity)) {
+            this.log('WARN', `[${symbol}] Quantité ajustée aux limites Binance: ${quantity} -> ${filtered.quantity}.`);
+        }
+
+        if (this.botState.tradingMode === 'REAL_LIVE') {
+            const orderResult = await this.apiClient.createOrder({ symbol, side, type: 'MARKET', quantity: filtered.quantity });
+            this.log('TRADE', `Ordre ${side} Binance réussi : ${JSON.stringify(orderResult)}`);
+            const { feeUsd, baseCommission } = this._getLiveCommissions(symbol, orderResult);
+            return { price: this._getFillPrice(orderResult), quantity: parseFloat(orderResult.executedQty) - baseCommission, fee: feeUsd };
+        }
+        return this._executePaperOrder(symbol, side, filtered.quantity, referencePrice);
+    }
+
+    // REAL_PAPER: the real order is validated by Binance (/api/v3/order/test) and against the real balance, then filled from the live book.
+    async _executePaperOrder(symbol, side, orderQuantity, referencePrice) {
+        await this.apiClient.testOrder({ symbol, side, type: 'MARKET', quantity: orderQuantity });
+
+        let fillPrice;
+        try {
+            fillPrice = await this.orderBookService.simulateMarketFill(symbol, side, orderQuantity);
+        } catch (e) {
+            fillPrice = this._simulateFill(symbol, side, orderQuantity, referencePrice).price;
+            this.log('WARN', `[PAPER] Carnet d'ordres indisponible pour ${symbol}, exécution simulée avec le slippage configuré: ${e.message}`);
+        }
+
+        if (side === 'BUY') {
+            const account = await this.apiClient.getAccountInfo();
+            const { quoteAsset } = this.quoteAssets.getAssets(symbol);
+            const freeQuote = parseFloat(account.balances?.find(b => b.asset === quoteAsset)?.free || 0);
+            const cost = fillPrice * orderQuantity;
+            if (freeQuote < cost) throw new Error(`Solde ${quoteAsset} réel insuffisant (${freeQuote} < ${cost}).`);
+        }
+
+        const fee = this._getFeeUsd(fillPrice * orderQuantity);
+        this.log('TRADE', `[PAPER] Ordre ${side} ${symbol} validé par Binance. Exécution simulée: ${orderQuantity} @ ${fillPrice} (frais: $${fee.toFixed(4)}).`);
+        return { price: fillPrice, quantity: orderQuantity, fee };
+    }
+
+    // --- Ordres de protection côté exchange (REAL_LIVE) ---
+    // An OCO (take-profit LIMIT_MAKER + STOP_LOSS_LIMIT) rests on Binance so that positions stay protected if the bot goes down.
+    _usesProtectiveOrders() {
+        return this.botState.tradingMode === 'REAL_LIVE' && !!this.apiClient;
+    }
+
+    async _placeProtectiveOrder(position) {
+        if (!this._usesProtectiveOrders() || position.mode !== 'REAL_LIVE') return;
+
+        const { symbol } = position;
+        const quantity = this.formatQuantity(symbol, position.quantity);
+        const stopPrice = this.formatPrice(symbol, position.stop_loss);
+        const stopLimitPrice = this.formatPrice(symbol, position.stop_loss * (1 - PROTECTIVE_STOP_LIMIT_OFFSET_PCT / 100));
+        const hasTakeProfit = Number.isFinite(position.take_profit) && position.strategy_type !== 'IGNITION';
+        const takeProfitPrice = hasTakeProfit ? this.formatPrice(symbol, position.take_profit) : null;
+        if (!(quantity > 0) || !(stopPrice > 0)) return;
+
+        try {
+            let protectiveOrder;
+            if (hasTakeProfit) {
+                const result = await this.apiClient.createOcoOrder({
+                    symbol, side: 'SELL', quantity,
+                    aboveType: 'LIMIT_MAKER', abovePrice: takeProfitPrice,
+                    belowType: 'STOP_LOSS_LIMIT', belowStopPrice: stopPrice, belowPrice: stopLimitPrice, belowTimeInForce: 'GTC',
+                });
+                protectiveOrder = { order_list_id: result.orderListId, order_ids: result.orders.map(o => o.orderId) };
+            } else {
+                const result = await this.apiClient.createOrder({
+                    symbol, side: 'SELL', type: 'STOP_LOSS_LIMIT', quantity,
+                    stopPrice, price: stopLimitPrice, timeInForce: 'GTC',
+                });
+                protectiveOrder = { order_list_id: null, order_ids: [result.orderId] };
+            }
+            Object.assign(protectiveOrder, { stop_price: stopPrice, take_profit_price: takeProfitPrice, quantity, updated_at: this.clock() });
+            position.protective_order = protectiveOrder;
+            this.log('TRADE', `[${symbol}] Ordre de protection placé sur Binance: SL ${stopPrice}${hasTakeProfit ? `, TP ${takeProfitPrice}` : ''}, Qté ${quantity}.`);
+        } catch (e) {
+            position.protective_order = null;
+            this.log('ERROR', `[${symbol}] Échec du placement de l'ordre de protection sur Binance: ${e.message}. La position n'est protégée que par le bot.`);
+            return;
+        }
+
+        // The position may have been closed while the order was being placed.
+        if (!this.botState.activePositions.includes(position)) {
+            await this._cancelProtectiveOrder(position);
+        }
+    }
+
+    // Returns the exchange fill { price, quantity } when the protective order had already executed, null otherwise.
+    async _cancelProtectiveOrder(position) {
+        const protectiveOrder = position.protective_order;
+        if (!protectiveOrder || !this.apiClient) return null;
+        position.protective_order = null;
+
+        const { symbol } = position;
+        try {
+            if (protectiveOrder.order_list_id !== null) {
+                await this.apiClient.cancelOrderList({ symbol, orderListId: protectiveOrder.order_list_id });
+            } else {
+                await this.apiClient.cancelOrder({ symbol, orderId: protectiveOrder.order_ids[0] });
+            }
+            this.log('TRADE', `[${symbol}] Ordre de protection Binance annulé.`);
+            return null;
+        } catch (e) {
+            const fill = await this._getProtectiveOrderFill(symbol, protectiveOrder).catch(() => null);
+            if (fill) {
+                this.log('TRADE', `[${symbol}] L'ordre de protection a été exécuté par Binance: ${fill.quantity} @ ${fill.price}.`);
+                return fill;
+            }
+            this.log('ERROR', `[${symbol}] Échec de l'annulation de l'ordre de protection Binance: ${e.message}`);
+            return null;
+        }
+    }
+
+    async _getProtectiveOrderFill(symbol, protectiveOrder) {
+        let executedQty = 0;
+        let quoteQty = 0;
+        let fee = 0;
+        for (const orderId of protectiveOrder.order_ids) {
+            const order = await this.apiClient.getOrder({ symbol, orderId });
+            const orderQuoteQty = parseFloat(order.cummulativeQuoteQty);
+            executedQty += parseFloat(order.executedQty);
+            quoteQty += orderQuoteQty;
+            // The order endpoint does not report commissions: they are estimated from the configured rates.
+            fee += this._getFeeUsd(orderQuoteQty, order.type === 'LIMIT_MAKER');
+        }
+        return executedQty > 0 ? { price: quoteQty / executedQty, quantity: executedQty, fee } : null;
+    }
+
+    _shouldUpdateProtectiveOrder(position) {
+        const protectiveOrder = position.protective_order;
+        if (!protectiveOrder || !this._usesProtectiveOrders() || this.protectiveOrderUpdates.has(position.id)) return false;
+        if (this.clock() - protectiveOrder.updated_at < PROTECTIVE_ORDER_MIN_UPDATE_MS) return false;
+        return this.formatPrice(position.symbol, position.stop_loss) > protectiveOrder.stop_price;
+    }
+
+    // Cancel/replace so that the exchange order follows breakeven and trailing stop moves (or a new quantity after scaling in).
+    _replaceProtectiveOrder(position, force = false) {
+        if (!force && !this._shouldUpdateProtectiveOrder(position)) return Promise.resolve();
+        const previousUpdate = this.protectiveOrderUpdates.get(position.id) || Promise.resolve();
+        const update = previousUpdate.then(async () => {
+            if (!this.botState.activePositions.includes(position)) return;
+            const exchangeFill = await this._cancelProtectiveOrder(position);
+            if (exchangeFill) {
+                await this.closePosition(position, exchangeFill.price, exchangeFill, 'PROTECTIVE_ORDER');
+                return;
+            }
+            await this._placeProtectiveOrder(position);
+        }).catch(e => {
+            this.log('ERROR', `[${position.symbol}] Échec de la mise à jour de l'ordre de protection: ${e.message}`);
+        }).finally(() => {
+            if (this.protectiveOrderUpdates.get(position.id) === update) this.protectiveOrderUpdates.delete(position.id);
+        });
+        this.protectiveOrderUpdates.set(position.id, update);
+        return update;
+    }
+
+    _buildTrade(pair, quantity, targetQuantity, stopLoss, takeProfit, tradeParams, scalingInPercents) {
+        const { symbol, price, strategy_type, atr_15m } = pair;
+        const isScalingIn = scalingInPercents.length > 1;
+        const { baseAsset, quoteAsset } = this.quoteAssets.getAssets(symbol);
+        return {
             id: this.botState.tradeIdCounter++,
             mode: this.botState.tradingMode,
             symbol,
+            base_asset: pair.base_asset || baseAsset,
+            quote_asset: pair.quote_asset || quoteAsset,
             side: 'BUY',
             entry_price: price,
             average_entry_price: price,
             quantity,
-            target_quantity: quantity,
+            target_quantity: targetQuantity,
             stop_loss: stopLoss,
             initial_stop_loss: stopLoss,
             take_profit: takeProfit,
-            entry_time: new Date().toISOString(),
+            entry_time: new Date(this.clock()).toISOString(),
             status: 'FILLED',
             pnl: 0,
             pnl_pct: 0,
             entry_snapshot: pair,
             highest_price_since_entry: price,
             total_cost_usd: price * quantity,
+            fees_usd: 0,
+            initial_risk_usd: (price - stopLoss) * targetQuantity,
             strategy_type,
             active_profile: tradeParams.name,
             trade_params: tradeParams,
             entry_atr: atr_15m,
             is_at_breakeven: false,
             trailing_stop_tightened: false,
+            is_scaling_in: isScalingIn,
+            current_entry_count: 1,
+            total_entries: isScalingIn ? scalingInPercents.length : 1,
+            scaling_in_percents: isScalingIn ? scalingInPercents : [100],
         };
+    }
 
-        if (this.botState.tradingMode === 'REAL_LIVE' && this.apiClient) {
-            try {
-                this.log('TRADE', `Tentative d'ouverture de position RÉELLE pour ${symbol}...`);
-                const orderParams = { symbol, side: 'BUY', type: 'MARKET', quantity: this.formatQuantity(symbol, quantity) };
-                const orderResult = await this.apiClient.createOrder(orderParams);
-                this.log('TRADE', `Ordre Binance réussi : ${JSON.stringify(orderResult)}`);
-                newTrade.entry_price = parseFloat(orderResult.fills[0].price);
-                newTrade.quantity = parseFloat(orderResult.executedQty);
-            } catch(e) {
-                this.log('ERROR', `Échec de l'ouverture de la position RÉELLE pour ${symbol}: ${e.message}`);
+    // takeProfitRR is the reward ratio the take profit was set from, null when the user chose the level.
+    async openPosition(pair, quantity, stopLoss, takeProfit, tradeParams, takeProfitRR = tradeParams.riskRewardRatio) {
+        const { symbol, price, score, strategy_type } = pair;
+        let scalingInPercents = this._getScalingInPercents();
+        if (scalingInPercents.length > 1 && this._isExchangeMode()) {
+            const firstTranche = this.checkOrderFilters(symbol, quantity * (scalingInPercents[0] / 100), price);
+            if (!firstTranche.quantity) {
+                this.log('TRADE', `[${symbol}] Première tranche non conforme aux filtres Binance (${firstTranche.reason}). Entrée en une seule fois.`);
+                scalingInPercents = [];
+            }
+        }
+        const isScalingIn = scalingInPercents.length > 1;
+        const initialQuantity = isScalingIn ? quantity * (scalingInPercents[0] / 100) : quantity;
+
+        const newTrade = this._buildTrade(pair, initialQuantity, quantity, stopLoss, takeProfit, tradeParams, scalingInPercents);
+        newTrade.take_profit_rr = takeProfitRR;
+
+        if (this.botState.settings.USE_LIMIT_ENTRY) {
+            return this._placeLimitEntry(newTrade);
+        }
+
+        let fill;
+        try {
+            if (this._isExchangeMode()) this.log('TRADE', `Tentative d'ouverture de position ${this._getModeLabel()} pour ${symbol}...`);
+            fill = await this._executeMarketOrder(symbol, 'BUY', initialQuantity, price);
+        } catch(e) {
+            this.log('ERROR', `Échec de l'ouverture de la position ${this._getModeLabel()} pour ${symbol}: ${e.message}`);
+            return null;
+        }
+        return this._activatePosition(newTrade, fill);
+    }
+
+    // Turns a trade built by _buildTrade into an open position once its entry order is filled.
+    async _activatePosition(trade, fill) {
+        trade.status = 'FILLED';
+        trade.entry_time = new Date(this.clock()).toISOString();
+        trade.entry_price = fill.price;
+        trade.average_entry_price = fill.price;
+        trade.highest_price_since_entry = Math.max(trade.highest_price_since_entry, fill.price);
+        trade.quantity = fill.quantity;
+        trade.total_cost_usd = fill.price * fill.quantity;
+        trade.fees_usd = fill.fee;
+        if (!trade.is_scaling_in) trade.target_quantity = fill.quantity;
+        trade.initial_risk_usd = (fill.price - trade.initial_stop_loss) * trade.target_quantity;
+
+        this.quoteAssets.adjustBalance(this._getQuoteAsset(trade), -(trade.total_cost_usd + trade.fees_usd));
+        this.botState.activePositions.push(trade);
+        const scalingInfo = trade.is_scaling_in ? ` (Entrée 1/${trade.total_entries})` : '';
+        this.log('TRADE', `SUCCÈS: Position ${trade.mode} ouverte pour ${trade.symbol}${scalingInfo}. Qté: ${trade.quantity}, Entrée: ${trade.entry_price}, Strat: ${trade.strategy_type}, Profil: ${trade.active_profile}`);
+        await this._placeProtectiveOrder(trade);
+        await this.saveData('state');
+        this.broadcast({ type: 'POSITIONS_UPDATED' });
+        return trade;
+    }
+
+    // --- Entrées par ordre LIMIT ---
+    // The entry rests as a PENDING trade at (or just below) the signal price, follows the market up to the chase limit and expires after the timeout.
+    async _placeLimitEntry(trade) {
+        const { settings } = this.botState;
+        const { symbol, entry_price: signalPrice } = trade;
+        const limitPrice = this.formatPrice(symbol, signalPrice * (1 - (settings.LIMIT_ENTRY_OFFSET_PCT || 0) / 100));
+        const now = this.clock();
+
+        try {
+            if (this._isExchangeMode()) this.log('TRADE', `Tentative de placement d'un ordre LIMIT ${this._getModeLabel()} pour ${symbol}...`);
+            const order = await this._submitLimitOrder(symbol, trade.quantity, limitPrice);
+            trade.quantity = order.quantity;
+            trade.limit_order = {
+                order_id: order.orderId,
+                price: limitPrice,
+                signal_price: signalPrice,
+                max_price: signalPrice * (1 + (settings.LIMIT_ENTRY_CHASE_PCT || 0) / 100),
+                placed_at: now,
+                last_reprice_at: now,
+                last_check_at: now,
+                reprices: 0,
+            };
+        } catch (e) {
+            this.log('ERROR', `Échec du placement de l'ordre LIMIT ${this._getModeLabel()} pour ${symbol}: ${e.message}`);
+            return null;
+        }
+
+        trade.status = 'PENDING';
+        this.botState.pendingOrders.push(trade);
+        this.log('TRADE', `Ordre LIMIT ${trade.mode} placé pour ${symbol}: ${trade.quantity} @ ${limitPrice} (signal: ${signalPrice}, expiration: ${settings.LIMIT_ENTRY_TIMEOUT_SECONDS}s).`);
+        await this.saveData('state');
+        this.broadcast({ type: 'POSITIONS_UPDATED' });
+        return trade;
+    }
+
+    // Returns { orderId, quantity }. Only REAL_LIVE leaves an order on the book; REAL_PAPER has it validated by Binance.
+    async _submitLimitOrder(symbol, quantity, price) {
+        if (!this._isExchangeMode()) return { orderId: null, quantity };
+
+        const filtered = this.checkOrderFilters(symbol, quantity, price);
+        if (!filtered.quantity) throw new Error(`ordre non conforme aux filtres Binance (${filtered.reason})`);
+        const params = { symbol, side: 'BUY', type: 'LIMIT', timeInForce: 'GTC', quantity: filtered.quantity, price };
+        if (this.botState.tradingMode === 'REAL_LIVE') {
+            const result = await this.apiClient.createOrder(params);
+            return { orderId: result.orderId, quantity: filtered.quantity };
+        }
+        await this.apiClient.testOrder(params);
+        return { orderId: null, quantity: filtered.quantity };
+    }
+
+    managePendingEntries() {
+        this.botState.pendingOrders.forEach(trade => {
+            if (this.pendingOrderChecks.has(trade.id)) return;
+            this.pendingOrderChecks.add(trade.id);
+            this._managePendingEntry(trade)
+                .catch(e => this.log('ERROR', `[${trade.symbol}] Échec du suivi de l'ordre LIMIT: ${e.message}`))
+                .finally(() => this.pendingOrderChecks.delete(trade.id));
+        });
+    }
+
+    async _managePendingEntry(trade) {
+        const { settings } = this.botState;
+        const order = trade.limit_order;
+        const now = this.clock();
+        const ticker = this.botState.priceCache.get(trade.symbol);
+
+        if (order.order_id !== null) {
+            if (now - order.last_check_at < LIMIT_ENTRY_POLL_MS) return;
+            order.last_check_at = now;
+            const { status, fill } = await this._queryLiveLimitEntry(trade);
+            if (status === 'FILLED') {
+                await this._fillPendingEntry(trade, fill);
+                return;
+            }
+            if (['CANCELED', 'EXPIRED', 'REJECTED', 'EXPIRED_IN_MATCH'].includes(status)) {
+                await this._removePendingEntry(trade, fill, `ordre ${status} sur Binance`);
+                return;
+            }
+        } else if (ticker) {
+            // Simulated fill: the limit is reached once the best ask (or the last price) trades at or below it.
+            const ask = ticker.ask > 0 ? ticker.ask : ticker.price;
+            if (ask <= order.price) {
+                const fill = { price: order.price, quantity: trade.quantity, fee: this._getFeeUsd(order.price * trade.quantity, true) };
+                if (this.quoteAssets.getBalance(this._getQuoteAsset(trade)) < fill.price * fill.quantity + fill.fee) {
+                    await this._removePendingEntry(trade, null, 'solde insuffisant à l\'exécution');
+                    return;
+                }
+                await this._fillPendingEntry(trade, fill);
                 return;
             }
         }
 
-        this.botState.balance -= newTrade.entry_price * newTrade.quantity;
-        this.botState.activePositions.push(newTrade);
-        this.log('TRADE', `SUCCÈS: Position ${newTrade.mode} ouverte pour ${symbol}. Qté: ${newTrade.quantity}, Entrée: ${newTrade.entry_price}, Strat: ${strategy_type}, Profil: ${tradeParams.name}`);
+        if (now - order.placed_at >= (settings.LIMIT_ENTRY_TIMEOUT_SECONDS || 0) * 1000) {
+            await this._cancelPendingEntry(trade, 'délai expiré');
+            return;
+        }
+
+        const marketPrice = ticker?.bid > 0 ? ticker.bid : ticker?.price;
+        const chaseIntervalMs = (settings.LIMIT_ENTRY_CHASE_INTERVAL_SECONDS || 0) * 1000;
+        if (marketPrice > order.price && order.price < order.max_price && now - order.last_reprice_at >= chaseIntervalMs) {
+            const newPrice = this.formatPrice(trade.symbol, Math.min(marketPrice, order.max_price));
+            if (newPrice > order.price) await this._repriceLimitEntry(trade, newPrice);
+        }
+    }
+
+    // Returns { status, fill }: fill holds what was executed so far ({ price, quantity, fee }) or null.
+    async _queryLiveLimitEntry(trade) {
+        const { symbol } = trade;
+        const orderId = trade.limit_order.order_id;
+        const order = await this.apiClient.getOrder({ symbol, orderId });
+        const executedQty = parseFloat(order.executedQty) || 0;
+        if (executedQty <= 0) return { status: order.status, fill: null };
+
+        const trades = await this.apiClient.getMyTrades({ symbol, orderId });
+        const { feeUsd, baseCommission } = this._getLiveCommissions(symbol, { fills: trades });
+        const price = parseFloat(order.cummulativeQuoteQty) / executedQty;
+        return { status: order.status, fill: { price, quantity: executedQty - baseCommission, fee: feeUsd } };
+    }
+
+    async _fillPendingEntry(trade, fill) {
+        if (!this.botState.pendingOrders.includes(trade)) return;
+        this.botState.pendingOrders = this.botState.pendingOrders.filter(t => t !== trade);
+        this.log('TRADE', `[${trade.symbol}] Ordre LIMIT exécuté: ${fill.quantity} @ ${fill.price} (frais: $${fill.fee.toFixed(4)}).`);
+        await this._activatePosition(trade, fill);
+    }
+
+    // Drops a pending entry. Whatever was partially filled becomes a position.
+    async _removePendingEntry(trade, partialFill, reason) {
+        if (!this.botState.pendingOrders.includes(trade)) return;
+        if (partialFill?.quantity > 0) {
+            this.log('TRADE', `[${trade.symbol}] Ordre LIMIT arrêté (${reason}) après une exécution partielle. Position ouverte sur la quantité exécutée.`);
+            trade.is_scaling_in = false;
+            await this._fillPendingEntry(trade, partialFill);
+            return;
+        }
+        this.botState.pendingOrders = this.botState.pendingOrders.filter(t => t !== trade);
+        this.log('TRADE', `Ordre LIMIT ${trade.mode} annulé pour ${trade.symbol} (${reason}).`);
+        await this.saveData('state');
+        this.broadcast({ type: 'POSITIONS_UPDATED' });
+    }
+
+    async _cancelPendingEntry(trade, reason) {
+        let partialFill = null;
+        if (trade.limit_order.order_id !== null && this.apiClient) {
+            let cancelError = null;
+            await this.apiClient.cancelOrder({ symbol: trade.symbol, orderId: trade.limit_order.order_id }).catch(e => { cancelError = e; });
+            const { status, fill } = await this._queryLiveLimitEntry(trade);
+            if (status === 'FILLED') {
+                await this._fillPendingEntry(trade, fill);
+                return;
+            }
+            if (cancelError && ['NEW', 'PARTIALLY_FILLED'].includes(status)) {
+                // Still on the book: it stays pending and the cancellation is retried on the next check.
+                this.log('WARN', `[${trade.symbol}] Échec de l'annulation de l'ordre LIMIT Binance: ${cancelError.message}`);
+                return;
+            }
+            partialFill = fill;
+        }
+        await this._removePendingEntry(trade, partialFill, reason);
+    }
+
+    async _repriceLimitEntry(trade, newPrice) {
+        const order = trade.limit_order;
+        order.last_reprice_at = this.clock();
+        if (order.order_id !== null) {
+            await this.apiClient.cancelOrder({ symbol: trade.symbol, orderId: order.order_id });
+            const { status, fill } = await this._queryLiveLimitEntry(trade);
+            if (fill) {
+                // Filled (fully or partly) before the cancel went through: keep what was bought instead of chasing.
+                if (status === 'FILLED') await this._fillPendingEntry(trade, fill);
+                else await this._removePendingEntry(trade, fill, 'réajustement');
+                return;
+            }
+        }
+
+        const previousPrice = order.price;
+        try {
+            const result = await this._submitLimitOrder(trade.symbol, trade.quantity, newPrice);
+            order.order_id = result.orderId;
+        } catch (e) {
+            if (order.order_id !== null) {
+                await this._removePendingEntry(trade, null, `réajustement impossible: ${e.message}`);
+                return;
+            }
+            throw e;
+        }
+        order.price = newPrice;
+        order.reprices += 1;
+        this.log('TRADE', `[${trade.symbol}] Ordre LIMIT réajusté: ${previousPrice} -> ${newPrice} (max: ${this.formatPrice(trade.symbol, order.max_price)}).`);
+        await this.saveData('state');
+        this.broadcast({ type: 'POSITIONS_UPDATED' });
+    }
+
+    async checkScalingInOnKlineClose(symbol, kline1m) {
+        if (!this.botState.isRunning) return;
+        const position = this.botState.activePositions.find(p => p.symbol === symbol && p.is_scaling_in);
+        if (!position || this.scalingInProgress.has(position.id)) return;
+
+        const closePrice = parseFloat(kline1m.c);
+        const isBullishClose = closePrice > parseFloat(kline1m.o);
+        const initialRisk = position.entry_price - position.initial_stop_loss;
+        if (!isBullishClose || initialRisk <= 0) return;
+
+        // Each additional tranche needs a further step of R-multiple progress from the first entry.
+        const progressR = (closePrice - position.entry_price) / initialRisk;
+        const requiredR = (this.botState.settings.SCALING_IN_TRIGGER_R || 0) * position.current_entry_count;
+        if (progressR < requiredR || closePrice <= position.stop_loss) return;
+
+        this.scalingInProgress.add(position.id);
+        try {
+            await this.addScalingInEntry(position, this.botState.priceCache.get(symbol)?.price || closePrice);
+        } finally {
+            this.scalingInProgress.delete(position.id);
+        }
+    }
+
+    async addScalingInEntry(position, price) {
+        const entryNumber = position.current_entry_count + 1;
+        const percent = position.scaling_in_percents[position.current_entry_count];
+        let addQuantity = position.target_quantity * (percent / 100);
+        let fillPrice = price;
+        let addFee = 0;
+
+        if (this.quoteAssets.getBalance(this._getQuoteAsset(position)) < fillPrice * addQuantity) {
+            this.log('WARN', `[${position.symbol}] Solde insuffisant pour l'entrée ${entryNumber}/${position.total_entries}. Entrées fractionnées arrêtées.`);
+            position.is_scaling_in = false;
+            return;
+        }
+
+        if (this._isExchangeMode()) {
+            const tranche = this.checkOrderFilters(position.symbol, addQuantity, price);
+            if (!tranche.quantity) {
+                this.log('WARN', `[${position.symbol}] Entrée ${entryNumber}/${position.total_entries} non conforme aux filtres Binance (${tranche.reason}). Entrées fractionnées arrêtées.`);
+                position.is_scaling_in = false;
+                return;
+            }
+        }
+
+        try {
+            if (this._isExchangeMode()) this.log('TRADE', `Tentative d'entrée fractionnée ${this._getModeLabel()} ${entryNumber}/${position.total_entries} pour ${position.symbol}...`);
+            const fill = await this._executeMarketOrder(position.symbol, 'BUY', addQuantity, price);
+            fillPrice = fill.price;
+            addQuantity = fill.quantity;
+            addFee = fill.fee;
+        } catch(e) {
+            this.log('ERROR', `Échec de l'entrée fractionnée ${this._getModeLabel()} pour ${position.symbol}: ${e.message}`);
+            return;
+        }
+
+        if (!this.botState.activePositions.includes(position)) {
+            this.log('WARN', `[${position.symbol}] Position clôturée pendant l'entrée fractionnée ${entryNumber}. Entrée ignorée.`);
+            return;
+        }
+
+        const addCost = fillPrice * addQuantity;
+        const newQuantity = position.quantity + addQuantity;
+        position.average_entry_price = (position.total_cost_usd + addCost) / newQuantity;
+        position.total_cost_usd += addCost;
+        position.quantity = newQuantity;
+        position.current_entry_count = entryNumber;
+        if (position.current_entry_count >= position.total_entries) position.is_scaling_in = false;
+
+        // The risk references follow the new average entry price. A take profit chosen by the user stays where it is.
+        if (position.take_profit !== Infinity && position.take_profit_rr) {
+            const riskPerUnit = position.average_entry_price - position.initial_stop_loss;
+            position.take_profit = position.average_entry_price + (riskPerUnit * position.take_profit_rr);
+        }
+        if (position.is_at_breakeven && position.stop_loss < position.average_entry_price) {
+            position.is_at_breakeven = false;
+        }
+
+        position.fees_usd = (position.fees_usd || 0) + addFee;
+        this.quoteAssets.adjustBalance(this._getQuoteAsset(position), -(addCost + addFee));
+        this.log('TRADE', `[${position.symbol}] ENTRÉE FRACTIONNÉE ${entryNumber}/${position.total_entries}: +${addQuantity} @ ${fillPrice}. Prix moyen: ${position.average_entry_price.toFixed(4)}, Qté totale: ${position.quantity}.`);
+        await this._replaceProtectiveOrder(position, true);
         await this.saveData('state');
         this.broadcast({ type: 'POSITIONS_UPDATED' });
     }
 
     checkAllPositions() {
+        this.managePendingEntries();
         if (!this.botState.isRunning) return;
         this.botState.activePositions.forEach(pos => this.checkPosition(pos));
     }
@@ -254,22 +1043,46 @@ export class TradingEngineService {
             }
         }
         
+        if (this._shouldUpdateProtectiveOrder(position)) {
+            this._replaceProtectiveOrder(position);
+        }
+        
+        // --- Prise de Profit Partielle ---
+        if (params.usePartialTp && !position.partial_tp_hit && params.partialTpTriggerPct > 0) {
+            const currentPnlPct = ((currentPrice - position.average_entry_price) / position.average_entry_price) * 100;
+            if (currentPnlPct >= params.partialTpTriggerPct) {
+                this.executePartialTakeProfit(position, currentPrice).catch(e => {
+                    this.log('ERROR', `[${position.symbol}] Échec de la prise de profit partielle: ${e.message}`);
+                });
+            }
+        }
+
+        // The quantity is changing: the exit conditions are checked again once the partial sell is done.
+        if (this.partialSells.has(position.id)) return;
+        if (this.clock() < (this.closeRetryAfter.get(position.id) || 0)) return;
+
         // --- Vérification de Sortie ---
         let exitReason = null;
+        let exitReasonCode = null;
         let exitPrice = currentPrice;
         let theoreticalExitPrice = 0;
         let slippage = 0;
         
         if (currentPrice <= position.stop_loss) {
             exitReason = 'Stop Loss atteint';
+            exitReasonCode = 'STOP_LOSS';
             theoreticalExitPrice = position.stop_loss;
             exitPrice = currentPrice; 
             slippage = theoreticalExitPrice - exitPrice;
         } else if (position.strategy_type !== 'IGNITION' && currentPrice >= position.take_profit && position.take_profit !== Infinity) {
             exitReason = 'Take Profit atteint';
+            exitReasonCode = 'TAKE_PROFIT';
             theoreticalExitPrice = position.take_profit;
             exitPrice = currentPrice;
             slippage = exitPrice - theoreticalExitPrice;
+        } else {
+            const timeExit = this._getTimeExit(position);
+            if (timeExit) ({ reason: exitReason, code: exitReasonCode } = timeExit);
         }
         
         if (exitReason) {
@@ -290,69 +1103,335 @@ export class TradingEngineService {
             }
 
             this.log('TRADE', `${exitReason} pour ${position.symbol} au prix de ${exitPrice}.`);
-            this.closePosition(position, exitPrice);
+            this.closePosition(position, exitPrice, null, exitReasonCode).catch(e => {
+                this.log('ERROR', `Échec de la clôture de la position pour ${position.symbol}: ${e.message}`);
+            });
+        }
+    }
+
+    // Exits for trades that tie up a slot without going anywhere. Returns { reason, code } or null.
+    _getTimeExit(position) {
+        const params = position.trade_params || {};
+        const heldMs = this.clock() - new Date(position.entry_time).getTime();
+
+        if (params.maxHoldingHours > 0 && heldMs >= params.maxHoldingHours * 60 * 60 * 1000) {
+            return { reason: `Durée de détention maximale atteinte (${params.maxHoldingHours}h)`, code: 'MAX_HOLDING_TIME' };
+        }
+
+        const initialRisk = position.average_entry_price - position.initial_stop_loss;
+        if (params.noProgressCandles > 0 && initialRisk > 0 && heldMs >= params.noProgressCandles * NO_PROGRESS_CANDLE_MS) {
+            const bestR = (position.highest_price_since_entry - position.average_entry_price) / initialRisk;
+            if (bestR < (params.noProgressMinR || 0)) {
+                return { reason: `Aucune progression après ${params.noProgressCandles} bougies 15m (meilleur: ${bestR.toFixed(2)}R)`, code: 'NO_PROGRESS' };
+            }
         }
+        return null;
+    }
+
+    // Closes the position when a fresh analysis shows the 4h trend (price above EMA50) it was opened on has flipped.
+    checkTrendInvalidation(pair) {
+        const position = this.botState.activePositions.find(p => p.symbol === pair.symbol);
+        if (!position || !position.trade_params?.exitOnTrendFlip) return;
+        if (pair.price_above_ema50_4h !== false || position.entry_snapshot?.price_above_ema50_4h !== true) return;
+        if (this.partialSells.has(position.id) || this.clock() < (this.closeRetryAfter.get(position.id) || 0)) return;
+
+        const exitPrice = this.botState.priceCache.get(pair.symbol)?.price || pair.price;
+        this.log('TRADE', `Tendance 4h invalidée (prix sous l'EMA50) pour ${pair.symbol}. Sortie au prix de ${exitPrice}.`);
+        this.closePosition(position, exitPrice, null, 'TREND_INVALIDATED').catch(e => {
+            this.log('ERROR', `Échec de la clôture de la position pour ${pair.symbol}: ${e.message}`);
+        });
+    }
+
+    async executePartialTakeProfit(position, currentPrice) {
+        const params = position.trade_params || {};
+        let sellQuantity = position.quantity * (params.partialTpSellQtyPct / 100);
+        if (!(sellQuantity > 0) || sellQuantity >= position.quantity) return;
+
+        // Flag first so that the next ticker update does not trigger a second sale while the order is in flight.
+        position.partial_tp_hit = true;
+
+        const result = await this._sellPartialQuantity(position, sellQuantity, currentPrice, 'prise de profit partielle');
+        if (result === 'UNSELLABLE') {
+            this.log('TRADE', `[${position.symbol}] Prise de profit partielle ignorée: la vente ou le reliquat serait sous les minimums Binance.`);
+        } else if (result === 'FAILED') {
+            position.partial_tp_hit = false;
+        }
+    }
+
+    // Sells part of a position at market. Returns 'SOLD', 'UNSELLABLE', 'FAILED', or 'CLOSED' when the protective order had already filled.
+    // While it runs, the position is busy: exit checks skip it and closePosition waits for the sale to be accounted for.
+    _sellPartialQuantity(position, sellQuantity, currentPrice, label) {
+        const sale = this._runPartialSell(position, sellQuantity, currentPrice, label);
+        const settled = sale.then(() => {}, () => {});
+        this.partialSells.set(position.id, settled);
+        settled.then(() => { if (this.partialSells.get(position.id) === settled) this.partialSells.delete(position.id); });
+        return sale;
     }
 
-    async closePosition(position, exitPrice) {
+    async _runPartialSell(position, sellQuantity, currentPrice, label) {
+        if (this._isExchangeMode()) {
+            sellQuantity = this._getSellablePartialQuantity(position, sellQuantity, currentPrice);
+            if (!sellQuantity) return 'UNSELLABLE';
+        }
+
+        let sellPrice = currentPrice;
+        let sellFee = 0;
+
+        // The resting exchange order locks the whole quantity: it must be cancelled before selling part of it.
+        await this.protectiveOrderUpdates.get(position.id);
+        const exchangeFill = await this._cancelProtectiveOrder(position);
+        if (exchangeFill) {
+            await this.closePosition(position, exchangeFill.price, exchangeFill, 'PROTECTIVE_ORDER');
+            return 'CLOSED';
+        }
+
+        try {
+            if (this._isExchangeMode()) this.log('TRADE', `Tentative de ${label} ${this._getModeLabel()} pour ${position.symbol}...`);
+            const fill = await this._executeMarketOrder(position.symbol, 'SELL', sellQuantity, currentPrice);
+            sellPrice = fill.price;
+            sellQuantity = fill.quantity;
+            sellFee = fill.fee;
+        } catch(e) {
+            this.log('ERROR', `Échec de la ${label} ${this._getModeLabel()} pour ${position.symbol}: ${e.message}`);
+            await this._placeProtectiveOrder(position);
+            return 'FAILED';
+        }
+
+        if (!this.botState.activePositions.includes(position)) return 'CLOSED';
+
+        const realizedPnl = (sellPrice - position.average_entry_price) * sellQuantity;
+        if (!position.initial_quantity) position.initial_quantity = position.quantity;
+        position.quantity -= sellQuantity;
+        position.realized_pnl = (position.realized_pnl || 0) + realizedPnl;
+        // No more tranches are added once profits have started to be taken.
+        position.is_scaling_in = false;
+
+        position.fees_usd = (position.fees_usd || 0) + sellFee;
+        const quoteAsset = this._getQuoteAsset(position);
+        this.quoteAssets.adjustBalance(quoteAsset, sellPrice * sellQuantity - sellFee);
+        this.log('TRADE', `[${position.symbol}] ${label.toUpperCase()}: ${sellQuantity} vendus @ ${sellPrice}. PnL réalisé: ${this._formatAmount(realizedPnl, quoteAsset)}, Qté restante: ${position.quantity}.`);
+        await this._placeProtectiveOrder(position);
+        await this.saveData('state');
+        this.broadcast({ type: 'POSITIONS_UPDATED' });
+        return 'SOLD';
+    }
+
+    // exchangeFill is set when the exchange-side protective order already sold (part of) the position.
+    // exitReason is a code stored on the closed trade (STOP_LOSS, TAKE_PROFIT, MAX_HOLDING_TIME, NO_PROGRESS, TREND_INVALIDATED, ...).
+    async closePosition(position, exitPrice, exchangeFill = null, exitReason = 'MANUAL') {
+        // An exchange fill is final; otherwise a partial sell in flight is accounted for before the rest is sold.
+        if (!exchangeFill) await this.partialSells.get(position.id);
         const positionIndex = this.botState.activePositions.findIndex(p => p.id === position.id);
         if (positionIndex === -1) return;
 
         const [closedTrade] = this.botState.activePositions.splice(positionIndex, 1);
+
+        if (!exchangeFill) {
+            await this.protectiveOrderUpdates.get(closedTrade.id);
+            exchangeFill = await this._cancelProtectiveOrder(closedTrade);
+        }
+        const soldOnExchange = Math.min(exchangeFill?.quantity || 0, closedTrade.quantity);
+        const quantityToSell = closedTrade.quantity - soldOnExchange;
+        let exitFee = exchangeFill?.fee || 0;
+        if (soldOnExchange > 0) exitPrice = exchangeFill.price;
+
+        // A remainder under the Binance minimums would be refused at every attempt: it is left on the account and written off.
+        let dustQuantity = 0;
+        const sellCheck = this._isExchangeMode() && this.formatQuantity(closedTrade.symbol, quantityToSell) > 0
+            ? this.checkOrderFilters(closedTrade.symbol, quantityToSell, exitPrice)
+            : null;
+        if (sellCheck && !sellCheck.quantity) {
+            dustQuantity = quantityToSell;
+            closedTrade.dust_quantity = dustQuantity;
+            if (soldOnExchange === 0) exitReason = 'DUST';
+            this.log('WARN', `[${closedTrade.symbol}] Reliquat de ${dustQuantity} invendable (${sellCheck.reason}). Laissé sur le compte et compté comme perdu.`);
+        } else if (this.formatQuantity(closedTrade.symbol, quantityToSell) > 0) {
+            try {
+                if (this._isExchangeMode()) this.log('TRADE', `Tentative de clôture de position ${this._getModeLabel()} pour ${closedTrade.symbol}...`);
+                const fill = await this._executeMarketOrder(closedTrade.symbol, 'SELL', quantityToSell, exitPrice);
+                exitPrice = soldOnExchange > 0
+                    ? (exchangeFill.price * soldOnExchange + fill.price * fill.quantity) / (soldOnExchange + fill.quantity)
+                    : fill.price;
+                exitFee += fill.fee;
+            } catch(e) {
+                this.log('ERROR', `Échec de la clôture de la position ${this._getModeLabel()} pour ${closedTrade.symbol}: ${e.message}`);
+                // Nothing was sold: the position is still held on Binance and stays open.
+                if (this.botState.tradingMode === 'REAL_LIVE') {
+                    await this._restoreUnsoldPosition(closedTrade, positionIndex, exchangeFill, soldOnExchange);
+                    return;
+                }
+            }
+        }
+        this.closeRetryAfter.delete(closedTrade.id);
         
         closedTrade.exit_price = exitPrice;
-        closedTrade.exit_time = new Date().toISOString();
+        closedTrade.exit_time = new Date(this.clock()).toISOString();
         closedTrade.status = 'CLOSED';
+        closedTrade.exit_reason = exitReason;
         
-        const pnl = (exitPrice - closedTrade.average_entry_price) * closedTrade.quantity;
+        // The PnL of the remaining quantity is added to what partial sells already realized.
+        // pnl is net of the fees paid on every leg (entries, partial sells and exit); gross_pnl is before fees.
+        const remainingCost = closedTrade.average_entry_price * closedTrade.quantity;
+        const remainingPnl = (exitPrice - closedTrade.average_entry_price) * (closedTrade.quantity - dustQuantity) - closedTrade.average_entry_price * dustQuantity;
+        const grossPnl = remainingPnl + (closedTrade.realized_pnl || 0);
+        closedTrade.fees_usd = (closedTrade.fees_usd || 0) + exitFee;
+        const pnl = grossPnl - closedTrade.fees_usd;
+        closedTrade.gross_pnl = grossPnl;
         closedTrade.pnl = pnl;
         closedTrade.pnl_pct = (pnl / closedTrade.total_cost_usd) * 100;
-        
-        if (this.botState.tradingMode === 'REAL_LIVE' && this.apiClient) {
-             try {
-                this.log('TRADE', `Tentative de clôture de position RÉELLE pour ${closedTrade.symbol}...`);
-                await this.apiClient.createOrder({
-                    symbol: closedTrade.symbol,
-                    side: 'SELL',
-                    type: 'MARKET',
-                    quantity: this.formatQuantity(closedTrade.symbol, closedTrade.quantity)
-                });
-                this.log('TRADE', `Ordre de VENTE Binance réussi pour ${closedTrade.symbol}`);
-            } catch(e) {
-                this.log('ERROR', `Échec de la clôture de la position RÉELLE pour ${closedTrade.symbol}: ${e.message}`);
-            }
-        }
-        
-        this.botState.balance += closedTrade.total_cost_usd + pnl;
+        if (closedTrade.initial_risk_usd > 0) closedTrade.r_multiple = pnl / closedTrade.initial_risk_usd;
+        // The daily loss limit and the history totals add up trades of every quote asset, hence the USD value.
+        const quoteAsset = this._getQuoteAsset(closedTrade);
+        const usdRate = this.quoteAssets.getUsdRate(quoteAsset);
+        closedTrade.pnl_usd = pnl * (usdRate ?? 0);
+
+        this.quoteAssets.adjustBalance(quoteAsset, remainingCost + remainingPnl - exitFee);
         this.botState.tradeHistory.push(closedTrade);
+        // Without a USD rate the result is unknown: counting it as 0 would reset a loss streak and hide a loss from the daily limit.
+        if (usdRate === null) {
+            this.log('WARN', `[${closedTrade.symbol}] Cours USD de ${quoteAsset} inconnu: ce trade n'est compté ni dans le PnL journalier ni dans la série de pertes.`);
+        } else {
+            this.riskGuard.recordTradeResult(closedTrade.pnl_usd);
+        }
 
         if (pnl < 0) {
-            const cooldownUntil = Date.now() + (this.botState.settings.LOSS_COOLDOWN_HOURS * 60 * 60 * 1000);
+            const cooldownUntil = this.clock() + (this.botState.settings.LOSS_COOLDOWN_HOURS * 60 * 60 * 1000);
             this.botState.recentlyLostSymbols.set(closedTrade.symbol, cooldownUntil);
         }
         
-        this.log('TRADE', `Position clôturée pour ${closedTrade.symbol}. PnL: $${pnl.toFixed(2)} (${closedTrade.pnl_pct.toFixed(2)}%). Nouveau Solde: $${this.botState.balance.toFixed(2)}`);
+        this.log('TRADE', `Position clôturée pour ${closedTrade.symbol}. PnL: ${this._formatAmount(pnl, quoteAsset)} (${closedTrade.pnl_pct.toFixed(2)}%), brut: ${this._formatAmount(grossPnl, quoteAsset)}, frais: ${this._formatAmount(closedTrade.fees_usd, quoteAsset)}. Nouveau Solde: ${this._formatAmount(this.quoteAssets.getBalance(quoteAsset), quoteAsset)}`);
         
         await this.saveData('state');
         this.broadcast({ type: 'POSITIONS_UPDATED' });
     }
 
+    // Puts back a position whose live exit order was refused, minus what the protective order may already have sold.
+    async _restoreUnsoldPosition(position, positionIndex, exchangeFill, soldOnExchange) {
+        const quoteAsset = this._getQuoteAsset(position);
+        if (soldOnExchange > 0) {
+            if (!position.initial_quantity) position.initial_quantity = position.quantity;
+            position.realized_pnl = (position.realized_pnl || 0) + (exchangeFill.price - position.average_entry_price) * soldOnExchange;
+            position.fees_usd = (position.fees_usd || 0) + (exchangeFill.fee || 0);
+            position.quantity -= soldOnExchange;
+            this.quoteAssets.adjustBalance(quoteAsset, exchangeFill.price * soldOnExchange - (exchangeFill.fee || 0));
+        }
+        this.botState.activePositions.splice(Math.min(positionIndex, this.botState.activePositions.length), 0, position);
+        this.closeRetryAfter.set(position.id, this.clock() + CLOSE_RETRY_DELAY_MS);
+        this.log('WARN', `[${position.symbol}] La position reste ouverte (Qté ${position.quantity}), nouvelle tentative de sortie dans ${CLOSE_RETRY_DELAY_MS / 1000}s au plus tôt.`);
+        await this._placeProtectiveOrder(position);
+        await this.saveData('state');
+        this.broadcast({ type: 'POSITIONS_UPDATED' });
+    }
+
+    async closeAllPositions(reason) {
+        for (const trade of [...this.botState.pendingOrders]) {
+            await this._cancelPendingEntry(trade, reason);
+        }
+        const positions = [...this.botState.activePositions];
+        if (positions.length === 0) return;
+        this.log('WARN', `${reason}: clôture de ${positions.length} position(s) ouverte(s).`);
+        for (const position of positions) {
+            const currentPrice = this.botState.priceCache.get(position.symbol)?.price || position.average_entry_price;
+            await this.closePosition(position, currentPrice, null, 'EMERGENCY');
+        }
+    }
+
+    // Takes over a holding found on the exchange that no position accounts for, with the manual risk settings.
+    async adoptPosition(symbol, quantity, price) {
+        const tradeParams = { ...this._getDefaultTradeParameters(), name: 'ADOPTED' };
+        const stopLoss = price * (1 - tradeParams.stopLossPct / 100);
+        const takeProfit = price + (price - stopLoss) * tradeParams.riskRewardRatio;
+        const position = this._buildTrade({ symbol, price, strategy_type: 'ADOPTED' }, quantity, quantity, stopLoss, takeProfit, tradeParams, []);
+
+        this.botState.activePositions.push(position);
+        this.log('TRADE', `[${symbol}] Avoir orphelin adopté: ${quantity} @ ${price}. SL: ${stopLoss.toFixed(4)}, TP: ${takeProfit.toFixed(4)}.`);
+        await this._placeProtectiveOrder(position);
+        return position;
+    }
+
+    // Archives a position sold outside the bot. Its exchange orders are cancelled first: they would sell a quantity
+    // the position no longer has, possibly one that belongs to another position on the same asset.
+    async archiveExternallyClosedPosition(position, price) {
+        position.closed_externally = true;
+        await this.protectiveOrderUpdates.get(position.id);
+        const exchangeFill = await this._cancelProtectiveOrder(position);
+        const exitPrice = exchangeFill?.price || price;
+        await this.closePosition(position, exitPrice, { price: exitPrice, quantity: position.quantity, fee: exchangeFill?.fee || 0 }, 'CLOSED_EXTERNALLY');
+    }
+
+    // Aligns a position on the quantity actually held on the exchange. Extra quantity is valued at the given price.
+    async resizePosition(position, quantity, price) {
+        if (quantity > position.quantity) {
+            position.total_cost_usd += (quantity - position.quantity) * price;
+            position.average_entry_price = position.total_cost_usd / quantity;
+        } else {
+            position.total_cost_usd = position.average_entry_price * quantity;
+        }
+        this.log('TRADE', `[${position.symbol}] Quantité de la position alignée sur Binance: ${position.quantity} -> ${quantity}.`);
+        position.quantity = quantity;
+        position.is_scaling_in = false;
+        await this._replaceProtectiveOrder(position, true);
+    }
+
     async manualClose(tradeId, currentPrice) {
+        const pendingTrade = this.botState.pendingOrders.find(t => t.id === tradeId);
+        if (pendingTrade) {
+            await this._cancelPendingEntry(pendingTrade, 'annulation manuelle');
+            return { success: true, trade: pendingTrade };
+        }
+
         const position = this.botState.activePositions.find(p => p.id === tradeId);
         if (!position) return { success: false, message: 'Position non trouvée.' };
         if (!currentPrice) currentPrice = position.average_entry_price;
         
-        await this.closePosition(position, currentPrice);
+        await this.closePosition(position, currentPrice, null, 'MANUAL');
         
         return { success: true, trade: position };
     }
     
+    // Adjusts a market order to the Binance filters of the symbol (MARKET_LOT_SIZE / LOT_SIZE, NOTIONAL).
+    // Returns { quantity, reason }: quantity is 0 when the order cannot comply.
+    checkOrderFilters(symbol, quantity, price) {
+        const rules = this.symbolRules.get(symbol);
+        if (!rules) return { quantity: this.formatQuantity(symbol, quantity) };
+
+        const maxQtyLimits = [rules.maxQty, rules.marketMaxQty].filter(q => q > 0);
+        let adjusted = maxQtyLimits.length > 0 ? Math.min(quantity, ...maxQtyLimits) : quantity;
+        if (rules.applyMaxToMarket && rules.maxNotional > 0) adjusted = Math.min(adjusted, rules.maxNotional / price);
+        adjusted = floorToStep(adjusted, rules.marketStepSize || rules.stepSize);
+
+        const minQty = Math.max(rules.minQty, rules.marketMinQty);
+        if (!(adjusted > 0)) return { quantity: 0, reason: `quantité ${quantity} arrondie à 0` };
+        if (adjusted < minQty) return { quantity: 0, reason: `quantité ${adjusted} < minimum ${minQty}` };
+        if (rules.applyMinToMarket && adjusted * price < rules.minNotional) {
+            return { quantity: 0, reason: `valeur $${(adjusted * price).toFixed(2)} < minimum NOTIONAL $${rules.minNotional}` };
+        }
+        return { quantity: adjusted };
+    }
+
+    // Partial sells must leave a remainder that can still be sold; the sold part is reduced when needed.
+    _getSellablePartialQuantity(position, sellQuantity, price) {
+        const { symbol, quantity } = position;
+        const isSellable = (q) => this.checkOrderFilters(symbol, q, price).quantity > 0;
+
+        let sell = this.checkOrderFilters(symbol, sellQuantity, price).quantity;
+        if (sell && !isSellable(quantity - sell)) {
+            const rules = this.symbolRules.get(symbol) || {};
+            const step = rules.marketStepSize || rules.stepSize || 0;
+            const minRemaining = Math.max(rules.minQty || 0, rules.marketMinQty || 0, rules.applyMinToMarket ? (rules.minNotional || 0) / price : 0);
+            const roundedMinRemaining = step ? Math.ceil(minRemaining / step - 1e-9) * step : minRemaining;
+            sell = this.checkOrderFilters(symbol, quantity - roundedMinRemaining, price).quantity;
+        }
+        return sell && isSellable(quantity - sell) ? sell : 0;
+    }
+
+    formatPrice(symbol, price) {
+        const rules = this.symbolRules.get(symbol);
+        return floorToStep(price, rules?.tickSize);
+    }
+
     formatQuantity(symbol, quantity) {
         const rules = this.symbolRules.get(symbol);
-        if (!rules || !rules.stepSize) return parseFloat(quantity.toFixed(8));
-        if (rules.stepSize === 1) return Math.floor(quantity);
-        const precision = Math.max(0, -Math.log10(rules.stepSize));
-        const factor = Math.pow(10, precision);
-        return Math.floor(quantity * factor) / factor;
+        return floorToStep(quantity, rules?.stepSize);
     }
 }
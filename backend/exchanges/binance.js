@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import WebSocket from 'ws';
+
+const REST_URL = 'https://api.binance.com';
+const STREAM_URL = 'wss://stream.binance.com:9443/stream';
+
+export class BinanceExchange {
+    constructor({ apiKey = '', secretKey = '', log = () => {} } = {}) {
+        this.name = 'BINANCE';
+        this.apiKey = apiKey;
+        this.secretKey = secretKey;
+        this.log = log;
+    }
+
+    get hasCredentials() {
+        return Boolean(this.apiKey && this.secretKey);
+    }
+
+    // --- Market data ---
+    async _publicRequest(endpoint, params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        const response = await fetch(`${REST_URL}${endpoint}${queryString ? `?${queryString}` : ''}`);
+        if (!response.ok) throw new Error(`Binance API error on ${endpoint}. Status: ${response.status}`);
+        return response.json();
+    }
+
+    async getTickers24h() {
+        const tickers = await this._publicRequest('/api/v3/ticker/24hr');
+        if (!Array.isArray(tickers)) throw new Error('Binance API did not return an array.');
+        return tickers;
+    }
+
+    async getTicker24h(symbol) { return this._publicRequest('/api/v3/ticker/24hr', { symbol }); }
+    async getTickerPrices() { return this._publicRequest('/api/v3/ticker/price'); }
+    async getDepth(symbol, limit) { return this._publicRequest('/api/v3/depth', { symbol, limit }); }
+
+    async getKlines(symbol, interval, { startTime = 0, limit = 500 } = {}) {
+        const params = { symbol, interval, limit };
+        if (startTime > 0) params.startTime = startTime;
+        const klines = await this._publicRequest('/api/v3/klines', params);
+        if (!Array.isArray(klines)) throw new Error(`Binance klines response for ${symbol} is not an array.`);
+        return klines;
+    }
+
+    async getExchangeInfo() {
+        try {
+            const data = await this._publicRequest('/api/v3/exchangeInfo');
+            this.log('BINANCE_API', `Successfully fetched exchange info for ${data.symbols.length} symbols.`);
+            return data;
+        } catch (error) {
+            this.log('ERROR', `[BINANCE_API] Failed to fetch exchange info: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // --- Streams ---
+    openStream(streams) {
+        return new WebSocket(`${STREAM_URL}?streams=${streams.join('/')}`);
+    }
+
+    // --- Account & orders ---
+    _getSignature(queryString) {
+        return crypto.createHmac('sha256', this.secretKey).update(queryString).digest('hex');
+    }
+
+    async _request(method, endpoint, params = {}) {
+        const timestamp = Date.now();
+        let queryString = new URLSearchParams({ ...params, timestamp }).toString();
+        const signature = this._getSignature(queryString);
+        queryString += `&signature=${signature}`;
+        const url = `${REST_URL}${endpoint}?${queryString}`;
+
+        try {
+            const response = await fetch(url, {
+                method,
+                headers: { 'X-MBX-APIKEY': this.apiKey }
+            });
+            if (response.status === 204 || response.status === 200 && response.headers.get('content-length') === '0') return {};
+            const data = await response.json();
+            if (!response.ok) throw new Error(`Binance API Error: ${data.msg || `HTTP ${response.status}`}`);
+            this.log('BINANCE_API', `[${method}] ${endpoint} successful.`);
+            return data;
+        } catch (error) {
+            this.log('ERROR', `[BINANCE_API] [${method}] ${endpoint} failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    async getAccountInfo() { return this._request('GET', '/api/v3/account'); }
+    async createOrder(params) { return this._request('POST', '/api/v3/order', params); }
+    async testOrder(params) { return this._request('POST', '/api/v3/order/test', params); }
+    async getOrder(params) { return this._request('GET', '/api/v3/order', params); }
+    async cancelOrder(params) { return this._request('DELETE', '/api/v3/order', params); }
+    async getMyTrades(params) { return this._request('GET', '/api/v3/myTrades', params); }
+    async createOcoOrder(params) { return this._request('POST', '/api/v3/orderList/oco', params); }
+    async getOrderList(params) { return this._request('GET', '/api/v3/orderList', params); }
+    async cancelOrderList(params) { return this._request('DELETE', '/api/v3/orderList', params); }
+}
@@ -0,0 +1,30 @@
+import { BinanceExchange } from './binance.js';
+import { SimulatedExchange } from './simulated.js';
+
+// Exchange adapters. Every service reaches the exchange through getExchange(), so switching adapters needs no other change.
+//
+// An adapter exposes, with Binance's parameters and response formats:
+//   name, hasCredentials     identifier (EXCHANGE setting) and whether account/order calls are available
+//   market data              getTickers24h(), getTicker24h(symbol), getTickerPrices(), getExchangeInfo(),
+//                            getKlines(symbol, interval, { startTime, limit }), getDepth(symbol, limit)
+//   streams                  openStream(streams) -> emitter of 'open' / 'message' / 'close' / 'error' with terminate();
+//                            stream names ('!ticker@arr', '<symbol>@kline_<interval>') and messages use Binance's combined format
+//   account & orders         getAccountInfo, createOrder, testOrder, getOrder, cancelOrder, getMyTrades,
+//                            createOcoOrder, getOrderList, cancelOrderList
+export const EXCHANGE_NAMES = ['BINANCE', 'SIMULATED'];
+
+let activeExchange = new BinanceExchange();
+
+export function getExchange() {
+    return activeExchange;
+}
+
+export function setExchange(exchange) {
+    activeExchange = exchange;
+}
+
+// options: { apiKey, secretKey } for Binance, { balances, feePct } for the simulated account, and log.
+export function createExchange(name, options = {}) {
+    if (name === 'SIMULATED') return new SimulatedExchange(options);
+    return new BinanceExchange(options);
+}
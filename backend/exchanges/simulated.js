@@ -0,0 +1,578 @@
+import { EventEmitter } from 'events';
+
+const INTERVAL_MS = {
+    '1m': 60000, '3m': 180000, '5m': 300000, '15m': 900000, '30m': 1800000,
+    '1h': 3600000, '2h': 7200000, '4h': 14400000, '1d': 86400000,
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HISTORY_LENGTH = 1500; // Candles generated per interval; covers the 24h window of the 1m tickers
+const TICK_MS = 1000;
+const TICK_VOLATILITY = 0.0002; // Standard deviation of the log return between two ticks
+const SPREAD_PCT = 0.02;
+const BOOK_LEVELS = 50;
+const BOOK_LEVEL_STEP_PCT = 0.01;
+const BOOK_LEVEL_SHARE = 0.1; // Each level holds this share of one minute of volume
+
+// symbol, base asset, quote asset, initial price, 24h quote volume, min notional
+const DEFAULT_MARKETS = [
+    ['BTCUSDT', 'BTC', 'USDT', 60000, 2e9, 5],
+    ['ETHUSDT', 'ETH', 'USDT', 3000, 1e9, 5],
+    ['SOLUSDT', 'SOL', 'USDT', 150, 5e8, 5],
+    ['BNBUSDT', 'BNB', 'USDT', 550, 3e8, 5],
+    ['XRPUSDT', 'XRP', 'USDT', 0.6, 3e8, 5],
+    ['DOGEUSDT', 'DOGE', 'USDT', 0.15, 2e8, 5],
+    ['ADAUSDT', 'ADA', 'USDT', 0.45, 1.5e8, 5],
+    ['LINKUSDT', 'LINK', 'USDT', 15, 1.5e8, 5],
+    ['AVAXUSDT', 'AVAX', 'USDT', 30, 1e8, 5],
+    ['ETHBTC', 'ETH', 'BTC', 0.05, 2000, 0.0001],
+];
+
+// mulberry32: a seeded exchange generates the same market on every run.
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+const stepDecimals = (step) => Math.max(0, Math.round(-Math.log10(step)));
+const formatStep = (value, step) => (Math.round(value / step) * step).toFixed(stepDecimals(step));
+const formatSize = (step) => formatStep(step, step);
+const exchangeError = (message) => new Error(`Simulated exchange error: ${message}`);
+
+class SimulatedStream extends EventEmitter {
+    constructor(exchange, streams) {
+        super();
+        this.exchange = exchange;
+        this.streams = new Set(streams);
+    }
+
+    terminate() {
+        if (!this.exchange.streams.delete(this)) return;
+        this.emit('close');
+    }
+
+    close() {
+        this.terminate();
+    }
+}
+
+// Fully local exchange: random-walk markets, a synthetic order book and an in-memory account.
+// REST responses and stream messages use Binance's formats so that the rest of the bot cannot tell the difference.
+// Orders fill completely or not at all; commissions are charged on the received asset, as on Binance without BNB.
+export class SimulatedExchange {
+    constructor({ balances = { USDT: 10000 }, markets = DEFAULT_MARKETS, seed = Date.now(), feePct = 0.1, clock = Date.now, log = () => {}, autoStart = true } = {}) {
+        this.name = 'SIMULATED';
+        this.log = log;
+        this.clock = clock;
+        this.feePct = feePct;
+        this.random = createRandom(seed);
+        this.streams = new Set();
+        this.timer = null;
+
+        this.balances = new Map(Object.entries(balances).map(([asset, free]) => [asset, { free, locked: 0 }]));
+        this.orders = new Map(); // orderId -> order
+        this.orderLists = new Map(); // orderListId -> { orderIds, lock }
+        this.trades = [];
+        this.nextOrderId = 1;
+        this.nextOrderListId = 1;
+        this.nextTradeId = 1;
+
+        const now = this.clock();
+        this.markets = new Map(markets.map(([symbol, baseAsset, quoteAsset, price, dailyQuoteVolume, minNotional]) => {
+            const magnitude = Math.floor(Math.log10(price));
+            const market = {
+                symbol, baseAsset, quoteAsset, price, dailyQuoteVolume, minNotional,
+                tickSize: 10 ** -Math.max(2, 4 - magnitude),
+                stepSize: 10 ** -Math.min(8, Math.max(0, magnitude + 1)),
+                candles: {},
+            };
+            Object.keys(INTERVAL_MS).forEach(interval => { market.candles[interval] = this._generateHistory(market, interval, now); });
+            return [symbol, market];
+        }));
+        this.log('INFO', `Simulated exchange started with ${this.markets.size} markets.`);
+        if (autoStart) this.start();
+    }
+
+    get hasCredentials() {
+        return true;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), TICK_MS);
+        this.timer.unref?.();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    _gaussian() {
+        const u = 1 - this.random();
+        const v = this.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    // Walks backwards from the current price so that every interval ends on the same open candle.
+    _generateHistory(market, interval, now) {
+        const intervalMs = INTERVAL_MS[interval];
+        const sigma = TICK_VOLATILITY * Math.sqrt(intervalMs / TICK_MS);
+        const quoteVolumePerCandle = (market.dailyQuoteVolume / DAY_MS) * intervalMs;
+        let openTime = Math.floor(now / intervalMs) * intervalMs;
+        const candles = [{ openTime, open: market.price, high: market.price, low: market.price, close: market.price, volume: 0, quoteVolume: 0 }];
+
+        let close = market.price;
+        for (let i = 1; i < HISTORY_LENGTH; i++) {
+            openTime -= intervalMs;
+            const open = close * Math.exp(-sigma * this._gaussian());
+            const quoteVolume = quoteVolumePerCandle * (0.5 + this.random());
+            candles.push({
+                openTime, open, close, quoteVolume,
+                high: Math.max(open, close) * (1 + Math.abs(this._gaussian()) * sigma / 2),
+                low: Math.min(open, close) * (1 - Math.abs(this._gaussian()) * sigma / 2),
+                volume: quoteVolume / close,
+            });
+            close = open;
+        }
+        return candles.reverse();
+    }
+
+    // Moves every market one step, rolls the candles, matches the resting orders and pushes the streams.
+    tick(now = this.clock()) {
+        this.markets.forEach(market => {
+            market.price *= Math.exp(TICK_VOLATILITY * this._gaussian());
+            const quoteVolume = (market.dailyQuoteVolume / DAY_MS) * TICK_MS * (0.5 + this.random());
+            Object.keys(market.candles).forEach(interval => this._updateCandle(market, interval, now, quoteVolume));
+        });
+        this._matchOpenOrders();
+        this._emit('!ticker@arr', [...this.markets.values()].map(market => this._toStreamTicker(market, now)));
+    }
+
+    _updateCandle(market, interval, now, quoteVolume) {
+        const candles = market.candles[interval];
+        const intervalMs = INTERVAL_MS[interval];
+        let current = candles[candles.length - 1];
+        if (now >= current.openTime + intervalMs) {
+            this._emit(`${market.symbol.toLowerCase()}@kline_${interval}`, this._toKlineEvent(market, interval, current, now));
+            current = { openTime: Math.floor(now / intervalMs) * intervalMs, open: current.close, high: current.close, low: current.close, close: current.close, volume: 0, quoteVolume: 0 };
+            candles.push(current);
+            if (candles.length > HISTORY_LENGTH) candles.shift();
+        }
+        current.close = market.price;
+        current.high = Math.max(current.high, market.price);
+        current.low = Math.min(current.low, market.price);
+        current.volume += quoteVolume / market.price;
+        current.quoteVolume += quoteVolume;
+    }
+
+    _getMarket(symbol) {
+        const market = this.markets.get(symbol);
+        if (!market) throw exchangeError('Invalid symbol.');
+        return market;
+    }
+
+    _getTopOfBook(market) {
+        const halfSpread = market.price * (SPREAD_PCT / 200);
+        return { bid: market.price - halfSpread, ask: market.price + halfSpread };
+    }
+
+    // Synthetic liquidity around the current price, without the account's own orders.
+    _getBookSide(market, side) {
+        const { bid, ask } = this._getTopOfBook(market);
+        const levelQuantity = ((market.dailyQuoteVolume / 1440) * BOOK_LEVEL_SHARE) / market.price;
+        return Array.from({ length: BOOK_LEVELS }, (_, i) => {
+            const price = side === 'asks' ? ask * (1 + (i * BOOK_LEVEL_STEP_PCT) / 100) : bid * (1 - (i * BOOK_LEVEL_STEP_PCT) / 100);
+            return [price, levelQuantity * (1 + i * 0.2)];
+        });
+    }
+
+    _get24hStats(market, now) {
+        const candles = market.candles['1m'].filter(c => c.openTime >= now - DAY_MS);
+        const open = candles[0]?.open ?? market.price;
+        return {
+            open,
+            high: Math.max(...candles.map(c => c.high), market.price),
+            low: Math.min(...candles.map(c => c.low), market.price),
+            volume: candles.reduce((sum, c) => sum + c.volume, 0),
+            quoteVolume: candles.reduce((sum, c) => sum + c.quoteVolume, 0),
+            changePct: ((market.price - open) / open) * 100,
+        };
+    }
+
+    _toStreamTicker(market, now) {
+        const stats = this._get24hStats(market, now);
+        const { bid, ask } = this._getTopOfBook(market);
+        const price = (value) => formatStep(value, market.tickSize);
+        return {
+            e: '24hrTicker', E: now, s: market.symbol, c: price(market.price), b: price(bid), a: price(ask),
+            o: price(stats.open), h: price(stats.high), l: price(stats.low), v: String(stats.volume), q: String(stats.quoteVolume), P: stats.changePct.toFixed(3),
+        };
+    }
+
+    _toRestTicker(market, now) {
+        const t = this._toStreamTicker(market, now);
+        return {
+            symbol: t.s, lastPrice: t.c, bidPrice: t.b, askPrice: t.a, openPrice: t.o, highPrice: t.h, lowPrice: t.l,
+            volume: t.v, quoteVolume: t.q, priceChangePercent: t.P,
+        };
+    }
+
+    _toKline(market, interval, candle) {
+        const price = (value) => formatStep(value, market.tickSize);
+        return [candle.openTime, price(candle.open), price(candle.high), price(candle.low), price(candle.close), String(candle.volume),
+            candle.openTime + INTERVAL_MS[interval] - 1, String(candle.quoteVolume), 0, '0', '0', '0'];
+    }
+
+    _toKlineEvent(market, interval, candle, now) {
+        const [t, o, h, l, c, v, T, q] = this._toKline(market, interval, candle);
+        return { e: 'kline', E: now, s: market.symbol, k: { t, T, s: market.symbol, i: interval, o, c, h, l, v, q, n: 0, x: true } };
+    }
+
+    _emit(streamName, data) {
+        if (this.streams.size === 0) return;
+        const message = JSON.stringify({ stream: streamName, data });
+        this.streams.forEach(stream => {
+            if (stream.streams.has(streamName)) stream.emit('message', message);
+        });
+    }
+
+    // --- Market data ---
+    async getTickers24h() {
+        const now = this.clock();
+        return [...this.markets.values()].map(market => this._toRestTicker(market, now));
+    }
+
+    async getTicker24h(symbol) {
+        return this._toRestTicker(this._getMarket(symbol), this.clock());
+    }
+
+    async getTickerPrices() {
+        return [...this.markets.values()].map(market => ({ symbol: market.symbol, price: formatStep(market.price, market.tickSize) }));
+    }
+
+    async getDepth(symbol, limit = 100) {
+        const market = this._getMarket(symbol);
+        const restingOrders = [...this.orders.values()].filter(o => o.symbol === symbol && o.status === 'NEW' && o.type !== 'STOP_LOSS_LIMIT');
+        const side = (name, orderSide) => {
+            const levels = this._getBookSide(market, name).concat(restingOrders.filter(o => o.side === orderSide).map(o => [o.price, o.origQty]));
+            levels.sort((a, b) => name === 'asks' ? a[0] - b[0] : b[0] - a[0]);
+            return levels.slice(0, limit).map(([p, q]) => [formatStep(p, market.tickSize), formatStep(q, market.stepSize)]);
+        };
+        return { lastUpdateId: this.nextTradeId, bids: side('bids', 'BUY'), asks: side('asks', 'SELL') };
+    }
+
+    async getKlines(symbol, interval, { startTime = 0, limit = 500 } = {}) {
+        const market = this._getMarket(symbol);
+        if (!INTERVAL_MS[interval]) throw exchangeError('Invalid interval.');
+        const candles = market.candles[interval];
+        const selected = startTime > 0 ? candles.filter(c => c.openTime >= startTime).slice(0, limit) : candles.slice(-limit);
+        return selected.map(candle => this._toKline(market, interval, candle));
+    }
+
+    async getExchangeInfo() {
+        return {
+            timezone: 'UTC',
+            serverTime: this.clock(),
+            symbols: [...this.markets.values()].map(market => ({
+                symbol: market.symbol,
+                status: 'TRADING',
+                baseAsset: market.baseAsset,
+                quoteAsset: market.quoteAsset,
+                filters: [
+                    { filterType: 'PRICE_FILTER', minPrice: formatSize(market.tickSize), maxPrice: '1000000', tickSize: formatSize(market.tickSize) },
+                    { filterType: 'LOT_SIZE', minQty: formatSize(market.stepSize), maxQty: '9000000', stepSize: formatSize(market.stepSize) },
+                    { filterType: 'MARKET_LOT_SIZE', minQty: '0', maxQty: '9000000', stepSize: '0' },
+                    { filterType: 'NOTIONAL', minNotional: String(market.minNotional), applyMinToMarket: true, maxNotional: '9000000', applyMaxToMarket: false },
+                ],
+            })),
+        };
+    }
+
+    // --- Streams ---
+    openStream(streams) {
+        const stream = new SimulatedStream(this, streams);
+        this.streams.add(stream);
+        setImmediate(() => stream.emit('open'));
+        return stream;
+    }
+
+    // --- Account & orders ---
+    _getBalance(asset) {
+        if (!this.balances.has(asset)) this.balances.set(asset, { free: 0, locked: 0 });
+        return this.balances.get(asset);
+    }
+
+    _lock(asset, amount) {
+        const balance = this._getBalance(asset);
+        if (balance.free < amount) throw exchangeError('Account has insufficient balance for requested action.');
+        balance.free -= amount;
+        balance.locked += amount;
+        return { asset, amount };
+    }
+
+    _release(lock) {
+        if (!lock || lock.amount <= 0) return;
+        const balance = this._getBalance(lock.asset);
+        balance.locked -= lock.amount;
+        balance.free += lock.amount;
+        lock.amount = 0;
+    }
+
+    _validateOrder({ symbol, side, type, quantity, price, stopPrice }) {
+        const market = this._getMarket(symbol);
+        const qty = parseFloat(quantity);
+        if (!['BUY', 'SELL'].includes(side)) throw exchangeError('Invalid side.');
+        if (!['MARKET', 'LIMIT', 'LIMIT_MAKER', 'STOP_LOSS_LIMIT'].includes(type)) throw exchangeError('Unsupported order type.');
+        if (!(qty > 0)) throw exchangeError('Invalid quantity.');
+        if (type !== 'MARKET' && !(parseFloat(price) > 0)) throw exchangeError('Invalid price.');
+        if (type === 'STOP_LOSS_LIMIT' && (side !== 'SELL' || !(parseFloat(stopPrice) > 0))) throw exchangeError('Only SELL stop orders with a stop price are supported.');
+        const notional = qty * (type === 'MARKET' ? market.price : parseFloat(price));
+        if (notional < market.minNotional) throw exchangeError('Filter failure: NOTIONAL');
+        return market;
+    }
+
+    _createOrderRecord(params, orderListId = -1) {
+        const now = this.clock();
+        const order = {
+            symbol: params.symbol,
+            orderId: this.nextOrderId++,
+            orderListId,
+            clientOrderId: params.newClientOrderId || `sim_${this.nextOrderId}`,
+            price: parseFloat(params.price) || 0,
+            origQty: parseFloat(params.quantity),
+            executedQty: 0,
+            cummulativeQuoteQty: 0,
+            status: 'NEW',
+            timeInForce: params.timeInForce || 'GTC',
+            type: params.type,
+            side: params.side,
+            stopPrice: parseFloat(params.stopPrice) || 0,
+            triggered: false,
+            lock: null,
+            time: now,
+            updateTime: now,
+        };
+        this.orders.set(order.orderId, order);
+        return order;
+    }
+
+    // Settles a complete fill. Locked funds are used for resting orders, free funds for takers.
+    _fillOrder(order, fills, isMaker) {
+        const market = this.markets.get(order.symbol);
+        const now = this.clock();
+        const isBuy = order.side === 'BUY';
+        const lock = order.orderListId !== -1 ? this.orderLists.get(order.orderListId).lock : order.lock;
+        const reports = fills.map(({ price, qty }) => {
+            const quoteQty = price * qty;
+            const commission = (isBuy ? qty : quoteQty) * (this.feePct / 100);
+            const [paidAsset, paidAmount] = isBuy ? [market.quoteAsset, quoteQty] : [market.baseAsset, qty];
+            const paidFrom = this._getBalance(paidAsset);
+            if (lock?.amount > 0) {
+                const fromLock = Math.min(lock.amount, paidAmount);
+                lock.amount -= fromLock;
+                paidFrom.locked -= fromLock;
+                paidFrom.free -= paidAmount - fromLock;
+            } else {
+                paidFrom.free -= paidAmount;
+            }
+            this._getBalance(isBuy ? market.baseAsset : market.quoteAsset).free += (isBuy ? qty : quoteQty) - commission;
+
+            const trade = {
+                symbol: order.symbol, id: this.nextTradeId++, orderId: order.orderId, orderListId: order.orderListId,
+                price: formatStep(price, market.tickSize), qty: String(qty), quoteQty: String(quoteQty),
+                commission: String(commission), commissionAsset: isBuy ? market.baseAsset : market.quoteAsset,
+                time: now, isBuyer: isBuy, isMaker, isBestMatch: true,
+            };
+            this.trades.push(trade);
+            order.executedQty += qty;
+            order.cummulativeQuoteQty += quoteQty;
+            return { price: trade.price, qty: trade.qty, commission: trade.commission, commissionAsset: trade.commissionAsset, tradeId: trade.id };
+        });
+        this._release(lock); // A limit buy filled below its price leaves part of the lock behind
+        order.status = 'FILLED';
+        order.updateTime = now;
+
+        if (order.orderListId !== -1) {
+            this.orderLists.get(order.orderListId).orderIds
+                .map(id => this.orders.get(id))
+                .filter(o => o !== order && o.status === 'NEW')
+                .forEach(o => { o.status = 'EXPIRED'; o.updateTime = now; });
+        }
+        return reports;
+    }
+
+    // Walks the synthetic book; the whole quantity must fit in it.
+    _executeMarket(order, market) {
+        const levels = this._getBookSide(market, order.side === 'BUY' ? 'asks' : 'bids');
+        const fills = [];
+        let remaining = order.origQty;
+        for (const [price, qty] of levels) {
+            const filled = Math.min(remaining, qty);
+            fills.push({ price, qty: filled });
+            remaining -= filled;
+            if (remaining <= 0) break;
+        }
+        if (remaining > 0) throw exchangeError('Insufficient liquidity in the order book.');
+
+        const [asset, needed] = order.side === 'BUY'
+            ? [market.quoteAsset, fills.reduce((sum, f) => sum + f.price * f.qty, 0)]
+            : [market.baseAsset, order.origQty];
+        if (this._getBalance(asset).free < needed) throw exchangeError('Account has insufficient balance for requested action.');
+        return this._fillOrder(order, fills, false);
+    }
+
+    _formatOrder(order) {
+        const market = this.markets.get(order.symbol);
+        return {
+            symbol: order.symbol, orderId: order.orderId, orderListId: order.orderListId, clientOrderId: order.clientOrderId,
+            transactTime: order.updateTime, price: formatStep(order.price, market.tickSize), origQty: String(order.origQty),
+            executedQty: String(order.executedQty), cummulativeQuoteQty: String(order.cummulativeQuoteQty), status: order.status,
+            timeInForce: order.timeInForce, type: order.type, side: order.side, stopPrice: formatStep(order.stopPrice, market.tickSize),
+            time: order.time, updateTime: order.updateTime, isWorking: order.status === 'NEW' && (order.type !== 'STOP_LOSS_LIMIT' || order.triggered),
+        };
+    }
+
+    // Checks whether a resting order can execute now. Returns { price, isMaker } or null.
+    _getRestingFill(order, market) {
+        const { bid, ask } = this._getTopOfBook(market);
+        if (order.type === 'STOP_LOSS_LIMIT') {
+            if (!order.triggered && market.price <= order.stopPrice) order.triggered = true;
+            return order.triggered && bid >= order.price ? { price: bid, isMaker: false } : null;
+        }
+        if (order.side === 'BUY') return ask <= order.price ? { price: order.price, isMaker: true } : null;
+        return bid >= order.price ? { price: order.price, isMaker: true } : null;
+    }
+
+    _matchOpenOrders() {
+        this.orders.forEach(order => {
+            if (order.status !== 'NEW') return;
+            const market = this.markets.get(order.symbol);
+            const fill = this._getRestingFill(order, market);
+            if (fill) this._fillOrder(order, [{ price: fill.price, qty: order.origQty }], fill.isMaker);
+        });
+    }
+
+    async getAccountInfo() {
+        return {
+            accountType: 'SPOT', canTrade: true, canWithdraw: false, canDeposit: false, updateTime: this.clock(),
+            balances: [...this.balances.entries()].map(([asset, b]) => ({ asset, free: String(b.free), locked: String(b.locked) })),
+        };
+    }
+
+    async testOrder(params) {
+        this._validateOrder(params);
+        return {};
+    }
+
+    async createOrder(params) {
+        const market = this._validateOrder(params);
+        const order = this._createOrderRecord(params);
+        const isBuy = order.side === 'BUY';
+
+        if (order.type === 'MARKET') {
+            try {
+                const fills = this._executeMarket(order, market);
+                return { ...this._formatOrder(order), fills };
+            } catch (e) {
+                this.orders.delete(order.orderId);
+                throw e;
+            }
+        }
+
+        const { bid, ask } = this._getTopOfBook(market);
+        const wouldTake = order.type !== 'STOP_LOSS_LIMIT' && (isBuy ? order.price >= ask : order.price <= bid);
+        const stopTriggered = order.type === 'STOP_LOSS_LIMIT' && market.price <= order.stopPrice;
+        if ((order.type === 'LIMIT_MAKER' && wouldTake) || stopTriggered) {
+            this.orders.delete(order.orderId);
+            throw exchangeError(stopTriggered ? 'Stop price would trigger immediately.' : 'Order would immediately match and take.');
+        }
+
+        try {
+            order.lock = isBuy ? this._lock(market.quoteAsset, order.price * order.origQty) : this._lock(market.baseAsset, order.origQty);
+        } catch (e) {
+            this.orders.delete(order.orderId);
+            throw e;
+        }
+        // A marketable LIMIT takes the best price right away.
+        const fills = wouldTake ? this._fillOrder(order, [{ price: isBuy ? ask : bid, qty: order.origQty }], false) : [];
+        return { ...this._formatOrder(order), fills };
+    }
+
+    _findOrder({ symbol, orderId }) {
+        const order = this.orders.get(parseInt(orderId, 10));
+        if (!order || order.symbol !== symbol) throw exchangeError('Order does not exist.');
+        return order;
+    }
+
+    async getOrder(params) {
+        return this._formatOrder(this._findOrder(params));
+    }
+
+    async cancelOrder(params) {
+        const order = this._findOrder(params);
+        if (order.status !== 'NEW') throw exchangeError('Unknown order sent.');
+        if (order.orderListId !== -1) {
+            await this.cancelOrderList({ symbol: order.symbol, orderListId: order.orderListId });
+            return this._formatOrder(order);
+        }
+        this._release(order.lock);
+        order.status = 'CANCELED';
+        order.updateTime = this.clock();
+        return this._formatOrder(order);
+    }
+
+    async getMyTrades({ symbol, orderId }) {
+        return this.trades.filter(t => t.symbol === symbol && (orderId === undefined || t.orderId === parseInt(orderId, 10)));
+    }
+
+    // Only the SELL OCO used by the protective orders: LIMIT_MAKER above the market, STOP_LOSS_LIMIT below.
+    async createOcoOrder({ symbol, side, quantity, aboveType, abovePrice, belowType, belowStopPrice, belowPrice, belowTimeInForce }) {
+        if (side !== 'SELL' || aboveType !== 'LIMIT_MAKER' || belowType !== 'STOP_LOSS_LIMIT') throw exchangeError('Unsupported OCO order.');
+        const market = this._validateOrder({ symbol, side, type: 'LIMIT_MAKER', quantity, price: abovePrice });
+        this._validateOrder({ symbol, side, type: belowType, quantity, price: belowPrice, stopPrice: belowStopPrice });
+        const { bid } = this._getTopOfBook(market);
+        if (parseFloat(abovePrice) <= bid || parseFloat(belowStopPrice) >= market.price) throw exchangeError('The relationship of the prices for the orders is not correct.');
+
+        const orderListId = this.nextOrderListId++;
+        const lock = this._lock(market.baseAsset, parseFloat(quantity));
+        const below = this._createOrderRecord({ symbol, side, type: belowType, quantity, price: belowPrice, stopPrice: belowStopPrice, timeInForce: belowTimeInForce }, orderListId);
+        const above = this._createOrderRecord({ symbol, side, type: aboveType, quantity, price: abovePrice }, orderListId);
+        this.orderLists.set(orderListId, { symbol, orderIds: [below.orderId, above.orderId], lock });
+        return this._formatOrderList(orderListId);
+    }
+
+    _formatOrderList(orderListId) {
+        const list = this.orderLists.get(orderListId);
+        const orders = list.orderIds.map(id => this.orders.get(id));
+        const isDone = orders.every(o => o.status !== 'NEW');
+        return {
+            orderListId, contingencyType: 'OCO', symbol: list.symbol,
+            listStatusType: isDone ? 'ALL_DONE' : 'EXEC_STARTED',
+            listOrderStatus: isDone ? 'ALL_DONE' : 'EXECUTING',
+            orders: orders.map(o => ({ symbol: o.symbol, orderId: o.orderId, clientOrderId: o.clientOrderId })),
+            orderReports: orders.map(o => this._formatOrder(o)),
+        };
+    }
+
+    async getOrderList({ orderListId }) {
+        if (!this.orderLists.has(parseInt(orderListId, 10))) throw exchangeError('Order list does not exist.');
+        return this._formatOrderList(parseInt(orderListId, 10));
+    }
+
+    async cancelOrderList({ symbol, orderListId }) {
+        const list = this.orderLists.get(parseInt(orderListId, 10));
+        if (!list || list.symbol !== symbol) throw exchangeError('Order list does not exist.');
+        const openOrders = list.orderIds.map(id => this.orders.get(id)).filter(o => o.status === 'NEW');
+        if (openOrders.length === 0) throw exchangeError('Unknown order sent.');
+        const now = this.clock();
+        openOrders.forEach(o => { o.status = 'CANCELED'; o.updateTime = now; });
+        this._release(list.lock);
+        return this._formatOrderList(parseInt(orderListId, 10));
+    }
+}
@@ -0,0 +1,46 @@
+import { StreamingSMA, StreamingEMA, StreamingRSI, StreamingATR, StreamingADX, StreamingBollingerBands, StreamingOBV, RollingPercentile } from './streaming.js';
+
+export { StreamingSMA, StreamingEMA, StreamingRSI, StreamingATR, StreamingADX, StreamingBollingerBands, StreamingOBV, RollingPercentile };
+
+// Indicators kept for each analyzer timeframe, read by RealtimeAnalyzerService.analyzeTimeframe.
+const TIMEFRAME_INDICATORS = {
+    '1m': () => ({ ema9: new StreamingEMA(9), volumeSma20: new StreamingSMA(20, 'volume'), obv: new StreamingOBV() }),
+    '5m': () => ({ volumeSma20: new StreamingSMA(20, 'volume'), obv: new StreamingOBV() }),
+    '15m': () => ({
+        bollinger: new StreamingBollingerBands(20, 2), rsi14: new StreamingRSI(14), adx14: new StreamingADX(14),
+        atr14: new StreamingATR(14), volumeSma20: new StreamingSMA(20, 'volume'),
+    }),
+    '1h': () => ({ rsi14: new StreamingRSI(14) }),
+    '4h': () => ({ ema50: new StreamingEMA(50) }),
+};
+
+// Indicator state of one symbol and timeframe, updated once per closed candle instead of recomputing the series.
+// Values equal the technicalindicators series over every candle fed, not just the sliding window (test/indicators.test.js).
+export class TimeframeIndicatorState {
+    constructor(interval, historyLength) {
+        this.interval = interval;
+        this.indicators = TIMEFRAME_INDICATORS[interval]?.() || {};
+        const { bollinger } = this.indicators;
+        this.bollingerWidths = bollinger ? new RollingPercentile(historyLength - bollinger.period + 1) : null;
+        this.bollingerWidthPct = undefined;
+        this.lastKline = undefined;
+    }
+
+    static fromKlines(interval, klines, historyLength) {
+        const state = new TimeframeIndicatorState(interval, historyLength);
+        klines.forEach(kline => state.update(kline));
+        return state;
+    }
+
+    update(kline) {
+        for (const [name, indicator] of Object.entries(this.indicators)) {
+            const value = indicator.update(kline);
+            if (name === 'bollinger' && value) {
+                const width = ((value.upper - value.lower) / value.middle) * 100;
+                this.bollingerWidths.update(width);
+                if (!isNaN(width)) this.bollingerWidthPct = width;
+            }
+        }
+        this.lastKline = kline;
+    }
+}
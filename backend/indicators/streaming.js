@@ -0,0 +1,260 @@
+// Streaming versions of the technicalindicators series used by the analyzer. Each one is fed a closed candle
+// with update(kline) and returns its latest value (undefined during warm-up), following the library's
+// formulas and seeding step by step so that the value equals the last element of the batch series.
+
+export class StreamingSMA {
+    constructor(period, field = 'close') {
+        this.period = period;
+        this.field = field;
+        this.window = [];
+        this.sum = 0;
+        this.value = undefined;
+    }
+
+    update(kline) {
+        const value = kline[this.field];
+        this.window.push(value);
+        if (this.window.length <= this.period) {
+            this.sum += value;
+            if (this.window.length < this.period) return undefined;
+        } else {
+            this.sum = this.sum - this.window.shift() + value;
+        }
+        this.value = this.sum / this.period;
+        return this.value;
+    }
+}
+
+// Seeded with the SMA of the first `period` values. `smoothing` is 2 / (period + 1), or 1 / period for Wilder's average (WEMA).
+export class StreamingEMA {
+    constructor(period, field = 'close', smoothing = 2 / (period + 1)) {
+        this.field = field;
+        this.smoothing = smoothing;
+        this.seed = new StreamingSMA(period, 'value');
+        this.value = undefined;
+    }
+
+    update(kline) {
+        return this.next(kline[this.field]);
+    }
+
+    next(value) {
+        if (this.value === undefined) {
+            this.value = this.seed.update({ value });
+            return this.value;
+        }
+        this.value = (value - this.value) * this.smoothing + this.value;
+        return this.value;
+    }
+}
+
+// Wilder's RSI, rounded to two decimals like technicalindicators.
+export class StreamingRSI {
+    constructor(period = 14, field = 'close') {
+        this.period = period;
+        this.field = field;
+        this.lastValue = undefined;
+        this.count = 0;
+        this.gainSum = 0;
+        this.lossSum = 0;
+        this.avgGain = undefined;
+        this.avgLoss = undefined;
+        this.value = undefined;
+    }
+
+    update(kline) {
+        const current = kline[this.field];
+        const previous = this.lastValue;
+        this.lastValue = current;
+        if (previous === undefined) return undefined;
+
+        const gain = Math.max(current - previous, 0);
+        const loss = Math.max(previous - current, 0);
+        this.count++;
+        if (this.count < this.period) {
+            this.gainSum += gain;
+            this.lossSum += loss;
+            return undefined;
+        }
+        if (this.count === this.period) {
+            this.avgGain = (this.gainSum + gain) / this.period;
+            this.avgLoss = (this.lossSum + loss) / this.period;
+        } else {
+            this.avgGain = (this.avgGain * (this.period - 1) + gain) / this.period;
+            this.avgLoss = (this.avgLoss * (this.period - 1) + loss) / this.period;
+        }
+
+        if (this.avgLoss === 0) this.value = 100;
+        else if (this.avgGain === 0) this.value = 0;
+        else {
+            const rs = this.avgGain / this.avgLoss;
+            this.value = parseFloat((100 - 100 / (1 + (isNaN(rs) ? 0 : rs))).toFixed(2));
+        }
+        return this.value;
+    }
+}
+
+// True range from the second candle on.
+const trueRange = (kline, previous) => Math.max(
+    kline.high - kline.low,
+    Math.abs(kline.high - previous.close) || 0,
+    Math.abs(kline.low - previous.close) || 0,
+);
+
+export class StreamingATR {
+    constructor(period = 14) {
+        this.average = new StreamingEMA(period, 'value', 1 / period);
+        this.previous = undefined;
+        this.value = undefined;
+    }
+
+    update(kline) {
+        const previous = this.previous;
+        this.previous = kline;
+        if (!previous) return undefined;
+        this.value = this.average.next(trueRange(kline, previous));
+        return this.value;
+    }
+}
+
+// Sum of the first `period` values, then sum - sum / period + value.
+class WilderSum {
+    constructor(period) {
+        this.period = period;
+        this.count = 0;
+        this.value = undefined;
+        this.sum = 0;
+    }
+
+    next(value) {
+        this.count++;
+        if (this.count < this.period) {
+            this.sum += value;
+            return undefined;
+        }
+        if (this.count === this.period) {
+            this.value = this.sum + value;
+            return this.value;
+        }
+        this.value = this.value - this.value / this.period + value;
+        return this.value;
+    }
+}
+
+// { adx, pdi, mdi }, adx staying undefined until 2 * period candles have been seen.
+export class StreamingADX {
+    constructor(period = 14) {
+        this.trueRange = new WilderSum(period);
+        this.plusDM = new WilderSum(period);
+        this.minusDM = new WilderSum(period);
+        this.dx = new StreamingEMA(period, 'value', 1 / period);
+        this.previous = undefined;
+        this.value = undefined;
+    }
+
+    update(kline) {
+        const previous = this.previous;
+        this.previous = kline;
+        if (!previous) return undefined;
+
+        const upMove = kline.high - previous.high;
+        const downMove = previous.low - kline.low;
+        const atr = this.trueRange.next(trueRange(kline, previous));
+        const plusDM = this.plusDM.next(upMove > downMove && upMove > 0 ? upMove : 0);
+        const minusDM = this.minusDM.next(downMove > upMove && downMove > 0 ? downMove : 0);
+        if (atr === undefined || plusDM === undefined || minusDM === undefined) return undefined;
+
+        const pdi = plusDM * 100 / atr;
+        const mdi = minusDM * 100 / atr;
+        const adx = this.dx.next(Math.abs(pdi - mdi) / (pdi + mdi) * 100);
+        if (adx === undefined) return undefined;
+        this.value = { adx, pdi, mdi };
+        return this.value;
+    }
+}
+
+// Population standard deviation over the window, as technicalindicators' SD.
+export class StreamingBollingerBands {
+    constructor(period = 20, stdDev = 2, field = 'close') {
+        this.period = period;
+        this.stdDev = stdDev;
+        this.field = field;
+        this.sma = new StreamingSMA(period, 'value');
+        this.window = [];
+        this.value = undefined;
+    }
+
+    update(kline) {
+        const close = kline[this.field];
+        this.window.push(close);
+        if (this.window.length > this.period) this.window.shift();
+        const middle = this.sma.update({ value: close });
+        if (!middle) return undefined;
+
+        const sd = Math.sqrt(this.window.reduce((sum, x) => sum + Math.pow(x - middle, 2), 0) / this.period);
+        const upper = middle + sd * this.stdDev;
+        const lower = middle - sd * this.stdDev;
+        this.value = { middle, upper, lower, pb: (close - lower) / (upper - lower) };
+        return this.value;
+    }
+}
+
+export class StreamingOBV {
+    constructor() {
+        this.lastClose = undefined;
+        this.value = undefined;
+        this.previousValue = undefined;
+    }
+
+    update(kline) {
+        if (this.lastClose === undefined) {
+            this.lastClose = kline.close;
+            return undefined;
+        }
+        this.previousValue = this.value;
+        let obv = this.value || 0;
+        if (this.lastClose < kline.close) obv += kline.volume;
+        else if (kline.close < this.lastClose) obv -= kline.volume;
+        this.lastClose = kline.close;
+        this.value = obv;
+        return this.value;
+    }
+
+    // Change of the last value, 0 until there are two of them.
+    get slope() {
+        return this.previousValue === undefined ? 0 : this.value - this.previousValue;
+    }
+}
+
+// Last `size` values, kept sorted for percentile lookups. NaN values hold their place in the window but are not ranked.
+export class RollingPercentile {
+    constructor(size) {
+        this.size = size;
+        this.window = [];
+        this.sorted = [];
+    }
+
+    update(value) {
+        this.window.push(value);
+        if (!isNaN(value)) this.sorted.splice(this._rank(value), 0, value);
+        if (this.window.length > this.size) {
+            const removed = this.window.shift();
+            if (!isNaN(removed)) this.sorted.splice(this._rank(removed), 1);
+        }
+    }
+
+    // Same pick as sorting the window and taking index floor(length * fraction).
+    percentile(fraction) {
+        return this.sorted[Math.floor(this.sorted.length * fraction)];
+    }
+
+    _rank(value) {
+        let low = 0, high = this.sorted.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.sorted[mid] < value) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+}
@@ -11,9 +11,20 @@ import WebSocket from 'ws';
 import http from 'http';
 import fetch from 'node-fetch';
 import { ScannerService } from './ScannerService.js';
+import { KlineRepository } from './KlineRepository.js';
 import { RealtimeAnalyzerService } from './RealtimeAnalyzerService.js';
 import { TradingEngineService } from './TradingEngineService.js';
-import { BollingerBands } from 'technicalindicators';
+import { RiskGuardService } from './RiskGuardService.js';
+import { CorrelationService, DEFAULT_SECTOR_MAP } from './CorrelationService.js';
+import { OrderBookService } from './OrderBookService.js';
+import { ReconciliationService } from './ReconciliationService.js';
+import { MarketRegimeService } from './MarketRegimeService.js';
+import { TradeProfileService } from './TradeProfileService.js';
+import { QuoteAssetService, parseQuoteBalances } from './QuoteAssetService.js';
+import { getEnabledStrategies, applyStrategyDefaults } from './strategies/index.js';
+import { getExchange, setExchange, createExchange } from './exchanges/index.js';
+import { createMarketMessageHandler, KLINE_STREAM_INTERVALS } from './MarketStreamHandler.js';
+import { ReplayService } from './ReplayService.js';
 
 
 // --- Basic Setup ---
@@ -32,7 +43,7 @@ app.use(bodyParser.json());
 app.set('trust proxy', 1); // For Nginx
 
 // --- Session Management ---
-app.use(session({
+const sessionParser = session({
     secret: process.env.SESSION_SECRET || 'a_much_more_secure_and_random_secret_string_32_chars_long',
     resave: false,
     saveUninitialized: true,
@@ -41,7 +52,8 @@ app.use(session({
         httpOnly: true,
         maxAge: 1000 * 60 * 60 * 24
     }
-}));
+});
+app.use(sessionParser);
 
 // --- WebSocket Server for Frontend Communication ---
 const wss = new WebSocketServer({ noServer: true });
@@ -50,20 +62,33 @@ server.on('upgrade', (request, socket, head) => {
     const url = new URL(request.url, `http://${request.headers.host}`);
     
     if (url.pathname === '/ws') {
-        wss.handleUpgrade(request, socket, head, (ws) => {
-            wss.emit('connection', ws, request);
+        // The session tells which clients may send the replay controls
+        sessionParser(request, {}, () => {
+            wss.handleUpgrade(request, socket, head, (ws) => {
+                wss.emit('connection', ws, request);
+            });
         });
     } else {
         socket.destroy();
     }
 });
-wss.on('connection', (ws) => {
+wss.on('connection', (ws, request) => {
     clients.add(ws);
     log('WEBSOCKET', 'Frontend client connected.');
 
     if (botState.fearAndGreed) {
         ws.send(JSON.stringify({ type: 'FEAR_AND_GREED_UPDATE', payload: botState.fearAndGreed }));
     }
+    ws.send(JSON.stringify({ type: 'CIRCUIT_BREAKER_UPDATE', payload: { status: botState.circuitBreakerStatus } }));
+    if (botState.reconciliation?.status === 'PENDING_ACK') {
+        ws.send(JSON.stringify({ type: 'RECONCILIATION_UPDATE', payload: botState.reconciliation }));
+    }
+    if (botState.marketRegime) {
+        ws.send(JSON.stringify({ type: 'MARKET_REGIME_UPDATE', payload: botState.marketRegime }));
+    }
+    if (replay.status !== 'IDLE') {
+        ws.send(JSON.stringify({ type: 'REPLAY_STATUS', payload: replay.getStatus() }));
+    }
 
     ws.on('message', (message) => {
         try {
@@ -89,6 +114,8 @@ wss.on('connection', (ws) => {
                         }
                     }, 1000);
                 }
+            } else if (REPLAY_COMMANDS[data.type]) {
+                handleReplayCommand(ws, request, data);
             }
         } catch (e) {
             log('ERROR', `Failed to parse message from client: ${message}`);
@@ -103,6 +130,27 @@ wss.on('connection', (ws) => {
         ws.close();
     });
 });
+// Replay controls. Errors go back to the sender only, as a trade alert.
+const REPLAY_COMMANDS = {
+    REPLAY_START: (payload) => replay.start(payload || {}),
+    REPLAY_PAUSE: () => replay.pause(),
+    REPLAY_RESUME: () => replay.resume(),
+    REPLAY_SEEK: (payload) => replay.seek(payload?.time),
+    REPLAY_SET_SPEED: (payload) => replay.setSpeed(payload?.speed),
+    REPLAY_STOP: () => replay.stop(),
+};
+async function handleReplayCommand(ws, request, { type, payload }) {
+    const sendError = (message) => {
+        if (ws.readyState !== WebSocket.OPEN) return;
+        ws.send(JSON.stringify({ type: 'TRADE_ALERT', payload: { level: 'error', title: 'Replay', message } }));
+    };
+    if (!request.session?.isAuthenticated) return sendError('Authentification requise.');
+    try {
+        await REPLAY_COMMANDS[type](payload);
+    } catch (e) {
+        sendError(e.message);
+    }
+}
 function broadcast(message) {
     const data = JSON.stringify(message);
     for (const client of clients) {
@@ -131,65 +179,65 @@ const log = (level, message) => {
     broadcast({ type: 'LOG_ENTRY', payload: logEntry});
 };
 
-// --- Binance API Client ---
-class BinanceApiClient {
-    constructor(apiKey, secretKey, log) {
-        this.apiKey = apiKey;
-        this.secretKey = secretKey;
-        this.baseUrl = 'https://api.binance.com';
-        this.log = log;
-    }
-
-    _getSignature(queryString) {
-        return crypto.createHmac('sha256', this.secretKey).update(queryString).digest('hex');
-    }
-
-    async _request(method, endpoint, params = {}) {
-        const timestamp = Date.now();
-        let queryString = new URLSearchParams({ ...params, timestamp }).toString();
-        const signature = this._getSignature(queryString);
-        queryString += `&signature=${signature}`;
-        const url = `${this.baseUrl}${endpoint}?${queryString}`;
+// --- Exchange ---
+// The adapter is picked once at startup from EXCHANGE. Account and order calls need an adapter with credentials.
+const buildExchange = (name, settings) => createExchange(name, {
+    apiKey: settings.BINANCE_API_KEY,
+    secretKey: settings.BINANCE_SECRET_KEY,
+    balances: { USDT: settings.INITIAL_VIRTUAL_BALANCE, ...parseQuoteBalances(settings.INITIAL_VIRTUAL_QUOTE_BALANCES) },
+    feePct: settings.TRANSACTION_FEE_PCT,
+    log,
+});
+const getTradingClient = () => getExchange().hasCredentials ? getExchange() : null;
+let symbolRules = new Map();
+const SYMBOL_RULES_REFRESH_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const MARKET_REGIME_REFRESH_INTERVAL_MS = 15 * 60 * 1000;
 
-        try {
-            const response = await fetch(url, {
-                method,
-                headers: { 'X-MBX-APIKEY': this.apiKey }
+// Keeps the exchange trading filters of every symbol. The Map is shared with the trading engine, so it is updated in place.
+const loadSymbolRules = async () => {
+    const client = getTradingClient();
+    if (!client) return;
+    try {
+        const exchangeInfo = await client.getExchangeInfo();
+        quoteAssets.setSymbols(exchangeInfo.symbols);
+        const rules = new Map();
+        exchangeInfo.symbols.forEach(s => {
+            const filter = (type) => s.filters.find(f => f.filterType === type) || {};
+            const lotSize = filter('LOT_SIZE');
+            const marketLotSize = filter('MARKET_LOT_SIZE');
+            const priceFilter = filter('PRICE_FILTER');
+            const notional = s.filters.find(f => f.filterType === 'NOTIONAL') || s.filters.find(f => f.filterType === 'MIN_NOTIONAL') || {};
+            rules.set(s.symbol, {
+                stepSize: parseFloat(lotSize.stepSize) || 0,
+                minQty: parseFloat(lotSize.minQty) || 0,
+                maxQty: parseFloat(lotSize.maxQty) || 0,
+                marketStepSize: parseFloat(marketLotSize.stepSize) || 0,
+                marketMinQty: parseFloat(marketLotSize.minQty) || 0,
+                marketMaxQty: parseFloat(marketLotSize.maxQty) || 0,
+                tickSize: parseFloat(priceFilter.tickSize) || 0,
+                minPrice: parseFloat(priceFilter.minPrice) || 0,
+                maxPrice: parseFloat(priceFilter.maxPrice) || 0,
+                minNotional: parseFloat(notional.minNotional) || 0,
+                maxNotional: parseFloat(notional.maxNotional) || 0,
+                applyMinToMarket: notional.applyMinToMarket ?? notional.applyToMarket ?? true,
+                applyMaxToMarket: notional.applyMaxToMarket ?? false,
             });
-            if (response.status === 204 || response.status === 200 && response.headers.get('content-length') === '0') return {};
-            const data = await response.json();
-            if (!response.ok) throw new Error(`Binance API Error: ${data.msg || `HTTP ${response.status}`}`);
-            this.log('BINANCE_API', `[${method}] ${endpoint} successful.`);
-            return data;
-        } catch (error) {
-            this.log('ERROR', `[BINANCE_API] [${method}] ${endpoint} failed: ${error.message}`);
-            throw error;
-        }
-    }
-    
-    async getAccountInfo() { return this._request('GET', '/api/v3/account'); }
-    async createOrder(params) { return this._request('POST', '/api/v3/order', params); }
-    
-    async getExchangeInfo() {
-        try {
-            const response = await fetch(`${this.baseUrl}/api/v3/exchangeInfo`);
-            const data = await response.json();
-            this.log('BINANCE_API', `Successfully fetched exchange info for ${data.symbols.length} symbols.`);
-            return data;
-        } catch (error) {
-             this.log('ERROR', `[BINANCE_API] Failed to fetch exchange info: ${error.message}`);
-             throw error;
-        }
+        });
+        symbolRules.clear();
+        rules.forEach((value, key) => symbolRules.set(key, value));
+        log('INFO', `${getExchange().name} symbol rules loaded for ${symbolRules.size} symbols.`);
+    } catch (error) {
+        log('ERROR', `Could not initialize exchange symbol rules: ${error.message}`);
     }
-}
-let binanceApiClient = null;
-let symbolRules = new Map();
+};
 
 // --- Persistence & Auth ---
 const DATA_DIR = path.join(process.cwd(), 'data');
 const SETTINGS_FILE_PATH = path.join(DATA_DIR, 'settings.json');
 const STATE_FILE_PATH = path.join(DATA_DIR, 'state.json');
 const AUTH_FILE_PATH = path.join(DATA_DIR, 'auth.json');
+const SECTORS_FILE_PATH = path.join(DATA_DIR, 'sectors.json');
+const FEAR_AND_GREED_FILE_PATH = path.join(DATA_DIR, 'fear_and_greed.json');
 const KLINE_DATA_DIR = path.join(DATA_DIR, 'klines');
 
 const ensureDataDirs = async () => {
@@ -219,12 +267,13 @@ const verifyPassword = (password, hash) => new Promise((resolve, reject) => {
 
 // --- Bot State & Core Logic ---
 let botState = {
-    settings: {}, balance: 10000, activePositions: [], tradeHistory: [], tradeIdCounter: 1,
+    settings: {}, balance: 10000, quoteBalances: {}, activePositions: [], pendingOrders: [], tradeHistory: [], tradeIdCounter: 1,
     scannerCache: [], isRunning: true, tradingMode: 'VIRTUAL', passwordHash: '',
     recentlyLostSymbols: new Map(), hotlist: new Set(), pendingConfirmation: new Map(),
     priceCache: new Map(), circuitBreakerStatus: 'NONE', dayStartBalance: 10000,
-    dailyPnl: 0, consecutiveLosses: 0, consecutiveWins: 0,
+    dailyPnl: 0, consecutiveLosses: 0, consecutiveWins: 0, lossStreakPausedUntil: null,
     currentTradingDay: new Date().toISOString().split('T')[0], fearAndGreed: null,
+    sectorMap: { ...DEFAULT_SECTOR_MAP },
 };
 
 const loadData = async () => {
@@ -237,18 +286,27 @@ const loadData = async () => {
         
         const isNotFalse = (envVar) => process.env[envVar] !== 'false';
         const isTrue = (envVar) => process.env[envVar] === 'true';
+        // For the settings where 0 is a valid value
+        const parseNumber = (envVar, fallback) => {
+            const value = parseFloat(process.env[envVar]);
+            return isNaN(value) ? fallback : value;
+        };
 
         botState.settings = {
             INITIAL_VIRTUAL_BALANCE: parseFloat(process.env.INITIAL_VIRTUAL_BALANCE) || 10000,
+            INITIAL_VIRTUAL_QUOTE_BALANCES: process.env.INITIAL_VIRTUAL_QUOTE_BALANCES || '',
             MAX_OPEN_POSITIONS: parseInt(process.env.MAX_OPEN_POSITIONS, 10) || 5,
             POSITION_SIZE_PCT: parseFloat(process.env.POSITION_SIZE_PCT) || 2.0,
             RISK_REWARD_RATIO: parseFloat(process.env.RISK_REWARD_RATIO) || 4.0,
             STOP_LOSS_PCT: parseFloat(process.env.STOP_LOSS_PCT) || 2.0,
             SLIPPAGE_PCT: parseFloat(process.env.SLIPPAGE_PCT) || 0.05,
+            USE_DYNAMIC_SLIPPAGE: isTrue('USE_DYNAMIC_SLIPPAGE'),
             MIN_VOLUME_USD: parseFloat(process.env.MIN_VOLUME_USD) || 40000000,
+            QUOTE_ASSETS: process.env.QUOTE_ASSETS || 'USDT',
             SCANNER_DISCOVERY_INTERVAL_SECONDS: parseInt(process.env.SCANNER_DISCOVERY_INTERVAL_SECONDS, 10) || 3600,
             EXCLUDED_PAIRS: process.env.EXCLUDED_PAIRS || "USDCUSDT,FDUSDUSDT,TUSDUSDT,BUSDUSDT",
             LOSS_COOLDOWN_HOURS: parseInt(process.env.LOSS_COOLDOWN_HOURS, 10) || 4,
+            EXCHANGE: process.env.EXCHANGE || 'BINANCE',
             BINANCE_API_KEY: process.env.BINANCE_API_KEY || '',
             BINANCE_SECRET_KEY: process.env.BINANCE_SECRET_KEY || '',
             USE_ATR_STOP_LOSS: isNotFalse('USE_ATR_STOP_LOSS'),
@@ -257,6 +315,7 @@ const loadData = async () => {
             BREAKEVEN_TRIGGER_R: parseFloat(process.env.BREAKEVEN_TRIGGER_R) || 1.0,
             ADJUST_BREAKEVEN_FOR_FEES: isNotFalse('ADJUST_BREAKEVEN_FOR_FEES'),
             TRANSACTION_FEE_PCT: parseFloat(process.env.TRANSACTION_FEE_PCT) || 0.1,
+            MAKER_FEE_PCT: parseFloat(process.env.MAKER_FEE_PCT) || 0.1,
             USE_RSI_SAFETY_FILTER: isNotFalse('USE_RSI_SAFETY_FILTER'),
             RSI_OVERBOUGHT_THRESHOLD: parseInt(process.env.RSI_OVERBOUGHT_THRESHOLD, 10) || 75,
             USE_PARABOLIC_FILTER: isNotFalse('USE_PARABOLIC_FILTER'),
@@ -264,11 +323,23 @@ const loadData = async () => {
             PARABOLIC_FILTER_THRESHOLD_PCT: parseFloat(process.env.PARABOLIC_FILTER_THRESHOLD_PCT) || 2.5,
             USE_VOLUME_CONFIRMATION: isNotFalse('USE_VOLUME_CONFIRMATION'),
             USE_MARKET_REGIME_FILTER: isNotFalse('USE_MARKET_REGIME_FILTER'),
+            MARKET_REGIME_BULL_BREADTH_PCT: parseFloat(process.env.MARKET_REGIME_BULL_BREADTH_PCT) || 50,
+            MARKET_REGIME_BEAR_BREADTH_PCT: parseFloat(process.env.MARKET_REGIME_BEAR_BREADTH_PCT) || 20,
+            MARKET_REGIME_RISK_OFF_ATR_PCT: parseFloat(process.env.MARKET_REGIME_RISK_OFF_ATR_PCT) || 3.0,
+            MARKET_REGIME_RANGE_SIZE_MULTIPLIER: parseFloat(process.env.MARKET_REGIME_RANGE_SIZE_MULTIPLIER) || 0.5,
             USE_PARTIAL_TAKE_PROFIT: isTrue('USE_PARTIAL_TAKE_PROFIT'),
             PARTIAL_TP_TRIGGER_PCT: parseFloat(process.env.PARTIAL_TP_TRIGGER_PCT) || 0.8,
             PARTIAL_TP_SELL_QTY_PCT: parseInt(process.env.PARTIAL_TP_SELL_QTY_PCT, 10) || 50,
             USE_DYNAMIC_POSITION_SIZING: isTrue('USE_DYNAMIC_POSITION_SIZING'),
             STRONG_BUY_POSITION_SIZE_PCT: parseFloat(process.env.STRONG_BUY_POSITION_SIZE_PCT) || 3.0,
+            USE_RISK_BASED_SIZING: isTrue('USE_RISK_BASED_SIZING'),
+            RISK_PER_TRADE_PCT: parseFloat(process.env.RISK_PER_TRADE_PCT) || 1.0,
+            MAX_TRADE_NOTIONAL_USD: parseFloat(process.env.MAX_TRADE_NOTIONAL_USD) || 0,
+            USE_LIMIT_ENTRY: isTrue('USE_LIMIT_ENTRY'),
+            LIMIT_ENTRY_OFFSET_PCT: parseFloat(process.env.LIMIT_ENTRY_OFFSET_PCT) || 0,
+            LIMIT_ENTRY_CHASE_PCT: parseFloat(process.env.LIMIT_ENTRY_CHASE_PCT) || 0.3,
+            LIMIT_ENTRY_CHASE_INTERVAL_SECONDS: parseInt(process.env.LIMIT_ENTRY_CHASE_INTERVAL_SECONDS, 10) || 10,
+            LIMIT_ENTRY_TIMEOUT_SECONDS: parseInt(process.env.LIMIT_ENTRY_TIMEOUT_SECONDS, 10) || 60,
             REQUIRE_STRONG_BUY: isTrue('REQUIRE_STRONG_BUY'),
             USE_DYNAMIC_PROFILE_SELECTOR: isNotFalse('USE_DYNAMIC_PROFILE_SELECTOR'),
             ADX_THRESHOLD_RANGE: parseInt(process.env.ADX_THRESHOLD_RANGE, 10) || 20,
@@ -277,10 +348,17 @@ const loadData = async () => {
             USE_ADAPTIVE_TRAILING_STOP: isNotFalse('USE_ADAPTIVE_TRAILING_STOP'),
             TRAILING_STOP_TIGHTEN_THRESHOLD_R: parseFloat(process.env.TRAILING_STOP_TIGHTEN_THRESHOLD_R) || 1.0,
             TRAILING_STOP_TIGHTEN_MULTIPLIER_REDUCTION: parseFloat(process.env.TRAILING_STOP_TIGHTEN_MULTIPLIER_REDUCTION) || 0.3,
+            MAX_HOLDING_HOURS: parseFloat(process.env.MAX_HOLDING_HOURS) || 0,
+            NO_PROGRESS_EXIT_CANDLES: parseInt(process.env.NO_PROGRESS_EXIT_CANDLES, 10) || 0,
+            NO_PROGRESS_MIN_R: parseFloat(process.env.NO_PROGRESS_MIN_R) || 0.5,
+            USE_TREND_INVALIDATION_EXIT: isTrue('USE_TREND_INVALIDATION_EXIT'),
             CIRCUIT_BREAKER_WARN_THRESHOLD_PCT: parseFloat(process.env.CIRCUIT_BREAKER_WARN_THRESHOLD_PCT) || 1.5,
             CIRCUIT_BREAKER_HALT_THRESHOLD_PCT: parseFloat(process.env.CIRCUIT_BREAKER_HALT_THRESHOLD_PCT) || 2.5,
+            CLOSE_POSITIONS_ON_BTC_HALT: isTrue('CLOSE_POSITIONS_ON_BTC_HALT'),
             DAILY_DRAWDOWN_LIMIT_PCT: parseFloat(process.env.DAILY_DRAWDOWN_LIMIT_PCT) || 3.0,
             CONSECUTIVE_LOSS_LIMIT: parseInt(process.env.CONSECUTIVE_LOSS_LIMIT, 10) || 5,
+            LOSS_STREAK_PAUSE_HOURS: parseFloat(process.env.LOSS_STREAK_PAUSE_HOURS) || 4,
+            RECONCILIATION_IGNORED_ASSETS: process.env.RECONCILIATION_IGNORED_ASSETS ?? 'BNB',
             USE_MTF_VALIDATION: isTrue('USE_MTF_VALIDATION'),
             USE_OBV_VALIDATION: isNotFalse('USE_OBV_VALIDATION'),
             USE_CVD_FILTER: isTrue('USE_CVD_FILTER'),
@@ -290,29 +368,46 @@ const loadData = async () => {
             MAX_UPPER_WICK_PCT: parseFloat(process.env.MAX_UPPER_WICK_PCT) || 50,
             USE_OBV_5M_VALIDATION: isTrue('USE_OBV_5M_VALIDATION'),
             SCALING_IN_CONFIG: process.env.SCALING_IN_CONFIG || "50,50",
+            SCALING_IN_TRIGGER_R: parseNumber('SCALING_IN_TRIGGER_R', 0.5),
             MAX_CORRELATED_TRADES: parseInt(process.env.MAX_CORRELATED_TRADES, 10) || 2,
+            CORRELATION_THRESHOLD: parseFloat(process.env.CORRELATION_THRESHOLD) || 0.7,
+            CORRELATION_LOOKBACK_CANDLES: parseInt(process.env.CORRELATION_LOOKBACK_CANDLES, 10) || 96,
             USE_FEAR_AND_GREED_FILTER: isTrue('USE_FEAR_AND_GREED_FILTER'),
+            FEAR_GREED_EXTREME_FEAR_THRESHOLD: parseInt(process.env.FEAR_GREED_EXTREME_FEAR_THRESHOLD, 10) || 20,
+            FEAR_GREED_EXTREME_GREED_THRESHOLD: parseInt(process.env.FEAR_GREED_EXTREME_GREED_THRESHOLD, 10) || 80,
+            USE_FEAR_AND_GREED_POSITION_SCALING: isTrue('USE_FEAR_AND_GREED_POSITION_SCALING'),
+            FEAR_GREED_MIN_SIZE_MULTIPLIER: parseFloat(process.env.FEAR_GREED_MIN_SIZE_MULTIPLIER) || 0.5,
             USE_ORDER_BOOK_LIQUIDITY_FILTER: isTrue('USE_ORDER_BOOK_LIQUIDITY_FILTER'),
             MIN_ORDER_BOOK_LIQUIDITY_USD: parseInt(process.env.MIN_ORDER_BOOK_LIQUIDITY_USD, 10) || 200000,
+            ORDER_BOOK_DEPTH_RANGE_PCT: parseFloat(process.env.ORDER_BOOK_DEPTH_RANGE_PCT) || 0.5,
+            MAX_ENTRY_SLIPPAGE_PCT: parseFloat(process.env.MAX_ENTRY_SLIPPAGE_PCT) || 0.3,
             USE_SECTOR_CORRELATION_FILTER: isTrue('USE_SECTOR_CORRELATION_FILTER'),
             USE_WHALE_MANIPULATION_FILTER: isTrue('USE_WHALE_MANIPULATION_FILTER'),
             WHALE_SPIKE_THRESHOLD_PCT: parseFloat(process.env.WHALE_SPIKE_THRESHOLD_PCT) || 5.0,
+            WHALE_WICK_THRESHOLD_PCT: parseFloat(process.env.WHALE_WICK_THRESHOLD_PCT) || 3.0,
+            WHALE_COOLDOWN_MINUTES: parseInt(process.env.WHALE_COOLDOWN_MINUTES, 10) || 30,
+            USE_PRECISION_STRATEGY: isNotFalse('USE_PRECISION_STRATEGY'),
+            USE_MOMENTUM_STRATEGY: isNotFalse('USE_MOMENTUM_STRATEGY'),
             USE_IGNITION_STRATEGY: isTrue('USE_IGNITION_STRATEGY'),
             IGNITION_PRICE_SPIKE_PCT: parseFloat(process.env.IGNITION_PRICE_SPIKE_PCT) || 5.0,
             IGNITION_VOLUME_MULTIPLE: parseInt(process.env.IGNITION_VOLUME_MULTIPLE, 10) || 10,
+            IGNITION_BYPASS_PARABOLIC_FILTER: isNotFalse('IGNITION_BYPASS_PARABOLIC_FILTER'),
         };
         await saveData('settings');
     }
+    if (applyStrategyDefaults(botState.settings)) await saveData('settings');
+    await tradeProfiles.ensureDefaults();
     try {
         const stateContent = await fs.readFile(STATE_FILE_PATH, 'utf-8');
         const persistedState = JSON.parse(stateContent);
         Object.assign(botState, persistedState);
         if (!botState.balance) botState.balance = botState.settings.INITIAL_VIRTUAL_BALANCE;
-        if (!botState.dayStartBalance) botState.dayStartBalance = botState.balance;
+        if (!botState.quoteBalances) botState.quoteBalances = parseQuoteBalances(botState.settings.INITIAL_VIRTUAL_QUOTE_BALANCES);
+        if (!botState.dayStartBalance) botState.dayStartBalance = quoteAssets.getTotalBalanceUsd();
     } catch {
         log("WARN", "state.json not found. Initializing default state.");
-        botState.balance = botState.settings.INITIAL_VIRTUAL_BALANCE;
-        botState.dayStartBalance = botState.settings.INITIAL_VIRTUAL_BALANCE;
+        quoteAssets.resetVirtualBalances();
+        botState.dayStartBalance = quoteAssets.getTotalBalanceUsd();
         await saveData('state');
     }
     try {
@@ -328,20 +423,25 @@ const loadData = async () => {
         botState.passwordHash = await hashPassword(initialPassword);
         await saveData('auth');
     }
+    try {
+        const sectorsContent = await fs.readFile(SECTORS_FILE_PATH, 'utf-8');
+        botState.sectorMap = JSON.parse(sectorsContent);
+    } catch {
+        log("WARN", "sectors.json not found. Using default sector map.");
+        await saveData('sectors');
+    }
+    try {
+        const fearAndGreedContent = await fs.readFile(FEAR_AND_GREED_FILE_PATH, 'utf-8');
+        botState.fearAndGreed = JSON.parse(fearAndGreedContent);
+    } catch {
+        log("WARN", "fear_and_greed.json not found. Sentiment will be fetched at startup.");
+    }
 
-    if (botState.settings.BINANCE_API_KEY && botState.settings.BINANCE_SECRET_KEY) {
-        binanceApiClient = new BinanceApiClient(botState.settings.BINANCE_API_KEY, botState.settings.BINANCE_SECRET_KEY, log);
-        try {
-            const exchangeInfo = await binanceApiClient.getExchangeInfo();
-            exchangeInfo.symbols.forEach(s => {
-                const stepSizeFilter = s.filters.find(f => f.filterType === 'LOT_SIZE');
-                if (stepSizeFilter) {
-                    symbolRules.set(s.symbol, { stepSize: parseFloat(stepSizeFilter.stepSize) });
-                }
-            });
-        } catch (error) {
-            log('ERROR', `Could not initialize Binance symbol rules: ${error.message}`);
-        }
+    setExchange(buildExchange(botState.settings.EXCHANGE, botState.settings));
+    log('INFO', `Exchange adapter: ${getExchange().name}.`);
+    if (getTradingClient()) {
+        await loadSymbolRules();
+        tradingEngine.updateApiClient(getTradingClient());
     }
     realtimeAnalyzer.updateSettings(botState.settings);
     tradingEngine.updateSettings(botState.settings);
@@ -352,16 +452,29 @@ const saveData = async (type) => {
     if (type === 'settings') {
         await fs.writeFile(SETTINGS_FILE_PATH, JSON.stringify(botState.settings, null, 2));
     } else if (type === 'state') {
-        const { settings, passwordHash, scannerCache, ...stateToSave } = botState;
+        const { settings, passwordHash, scannerCache, sectorMap, fearAndGreed, marketRegime, ...stateToSave } = botState;
         await fs.writeFile(STATE_FILE_PATH, JSON.stringify(stateToSave, null, 2));
     } else if (type === 'auth') {
         await fs.writeFile(AUTH_FILE_PATH, JSON.stringify({ passwordHash: botState.passwordHash }, null, 2));
+    } else if (type === 'sectors') {
+        await fs.writeFile(SECTORS_FILE_PATH, JSON.stringify(botState.sectorMap, null, 2));
+    } else if (type === 'fearAndGreed') {
+        await fs.writeFile(FEAR_AND_GREED_FILE_PATH, JSON.stringify(botState.fearAndGreed, null, 2));
     }
 };
 
-const scanner = new ScannerService(log, KLINE_DATA_DIR);
-const realtimeAnalyzer = new RealtimeAnalyzerService(log, () => botState);
-const tradingEngine = new TradingEngineService(botState, log, broadcast, saveData, binanceApiClient, symbolRules);
+const quoteAssets = new QuoteAssetService(botState, log);
+const klineRepository = new KlineRepository(log, KLINE_DATA_DIR);
+const scanner = new ScannerService(log, klineRepository, quoteAssets);
+const realtimeAnalyzer = new RealtimeAnalyzerService(log, () => botState, Date.now, klineRepository);
+const riskGuard = new RiskGuardService(botState, log, broadcast, saveData, () => tradingEngine.closeAllPositions('Disjoncteur BTC'), quoteAssets);
+const correlationService = new CorrelationService(log, (symbol, interval) => realtimeAnalyzer.klineData.get(`${symbol}_${interval}`), () => botState.sectorMap);
+const orderBookService = new OrderBookService(log, quoteAssets);
+const tradeProfiles = new TradeProfileService(botState, log, saveData);
+const marketRegime = new MarketRegimeService(botState, log, broadcast, (symbol, interval, limit) => scanner.fetchKlines(symbol, interval, 0, limit));
+const tradingEngine = new TradingEngineService(botState, log, broadcast, saveData, null, symbolRules, riskGuard, correlationService, orderBookService, marketRegime, quoteAssets);
+const reconciliation = new ReconciliationService(botState, log, broadcast, saveData, tradingEngine);
+const replay = new ReplayService(botState, log, broadcast, symbolRules, quoteAssets);
 let scannerInterval = null;
 
 const runScannerCycle = async () => {
@@ -374,22 +487,23 @@ const runScannerCycle = async () => {
         botState.scannerCache = hydratedPairs.filter(Boolean);
         log('SCANNER', `Scanner cache updated with ${botState.scannerCache.length} pairs.`);
         updateBinanceSubscriptions(botState.scannerCache.map(p => p.symbol));
+        marketRegime.update(); // Breadth follows the new scanner cache
     } catch (error) {
         log('ERROR', `Scanner cycle failed: ${error.message}`);
     }
 };
 
-// --- [REFACTORED] Binance WebSocket ---
+// --- [REFACTORED] Exchange WebSocket ---
 let binanceWs = null;
 let reconnectBinanceTimer = null;
 let isUpdatingSubscriptions = false;
 let currentSubscribedSymbols = new Set();
 
-function connectToBinance(symbolsToSubscribe) {
+function connectToExchange(symbolsToSubscribe) {
     if (reconnectBinanceTimer) clearTimeout(reconnectBinanceTimer);
     
     const streams = ['!ticker@arr'];
-    const klineStreams = ['1m', '5m', '15m'].map(tf => `@kline_${tf}`);
+    const klineStreams = KLINE_STREAM_INTERVALS.map(tf => `@kline_${tf}`);
     const symbolStreams = Array.from(symbolsToSubscribe).flatMap(s => klineStreams.map(k => `${s.toLowerCase()}${k}`));
     const allStreams = streams.concat(symbolStreams);
 
@@ -397,12 +511,11 @@ function connectToBinance(symbolsToSubscribe) {
         log('WARN', 'No symbols in scanner cache, connecting to tickers only.');
     }
     
-    const url = `wss://stream.binance.com:9443/stream?streams=${allStreams.join('/')}`;
-    binanceWs = new WebSocket(url);
+    binanceWs = getExchange().openStream(allStreams);
     log('BINANCE_WS', `Connecting to ${allStreams.length} streams...`);
 
     binanceWs.on('open', () => {
-        log('BINANCE_WS', 'Connection to Binance streams established.');
+        log('BINANCE_WS', `Connection to ${getExchange().name} streams established.`);
         currentSubscribedSymbols = new Set(symbolsToSubscribe);
     });
 
@@ -411,7 +524,7 @@ function connectToBinance(symbolsToSubscribe) {
     binanceWs.on('close', () => {
         log('WARN', 'Binance WebSocket disconnected. Reconnecting in 5 seconds...');
         binanceWs = null;
-        reconnectBinanceTimer = setTimeout(() => connectToBinance(currentSubscribedSymbols), 5000);
+        reconnectBinanceTimer = setTimeout(() => connectToExchange(currentSubscribedSymbols), 5000);
     });
 
     binanceWs.on('error', (err) => {
@@ -443,62 +556,29 @@ async function updateBinanceSubscriptions(newSymbols) {
         if (reconnectBinanceTimer) clearTimeout(reconnectBinanceTimer);
         currentSubscribedSymbols = newSymbolsSet;
         
-        binanceWs.onclose = () => { // Override the default close handler
+        binanceWs.removeAllListeners('close'); // Replace the default close handler
+        binanceWs.on('close', () => {
              log('BINANCE_WS', 'Old connection closed. Establishing new connection.');
              binanceWs = null;
-             connectToBinance(currentSubscribedSymbols); // Connect with the updated list
-        };
+             connectToExchange(currentSubscribedSymbols); // Connect with the updated list
+        });
         binanceWs.terminate();
     } else {
         // No active connection, just connect with the new list
-        connectToBinance(newSymbolsSet);
+        connectToExchange(newSymbolsSet);
     }
     
     // Use a timeout to reset the lock, allowing for future updates
     setTimeout(() => { isUpdatingSubscriptions = false; }, 2000); 
 }
 
-const handleBinanceMessage = (data) => {
-    try {
-        const { stream, data: payload } = JSON.parse(data);
-        if (stream === '!ticker@arr') {
-            payload.forEach(ticker => {
-                botState.priceCache.set(ticker.s, { price: parseFloat(ticker.c) });
-                broadcast({ type: 'PRICE_UPDATE', payload: { symbol: ticker.s, price: parseFloat(ticker.c) } });
-            });
-            tradingEngine.checkAllPositions();
-        } else if (payload.e === 'kline') {
-            const { s: symbol, k: kline } = payload;
-            const isClosed = kline.x;
-            if(isClosed) {
-                realtimeAnalyzer.handleNewKline(symbol, kline.i, kline).then(updatedPair => {
-                    if(updatedPair) {
-                        const cacheIndex = botState.scannerCache.findIndex(p => p.symbol === symbol);
-                        if (cacheIndex !== -1) botState.scannerCache[cacheIndex] = updatedPair;
-                        else botState.scannerCache.push(updatedPair);
-                        
-                        broadcast({ type: 'SCANNER_UPDATE', payload: updatedPair });
-                        // Let the trading engine decide what to do with the new analysis
-                        tradingEngine.processAnalyzedPair(updatedPair);
-                    }
-                });
-                // If a 5m kline closes, check for pending confirmations
-                if (kline.i === '5m') {
-                    tradingEngine.checkConfirmationsOn5mClose(symbol, kline);
-                }
-            }
-        }
-    } catch(e) {
-        log('ERROR', `Failed to process Binance WS message: ${e.message}`);
-    }
-};
+const handleBinanceMessage = createMarketMessageHandler({ botState, log, broadcast, riskGuard, realtimeAnalyzer, tradingEngine });
 
 // --- Backtesting Engine ---
-function performStrategyBacktest(klines) {
-    const bbLen = 20;
-    const bbMult = 2.0;
-    const slPct = 3.0;
+// Replays a registry strategy's entry signal on one timeframe. Exits use the manual STOP_LOSS_PCT and RISK_REWARD_RATIO.
+function performStrategyBacktest(klines, strategy, settings) {
     const initialCapital = 10000;
+    const warmup = 20;
 
     let capital = initialCapital;
     let position = null;
@@ -507,37 +587,19 @@ function performStrategyBacktest(klines) {
     let peakEquity = initialCapital;
     let maxDrawdown = 0;
 
-    const closes = klines.map(k => k.close);
-    const bb = BollingerBands.calculate({ period: bbLen, values: closes, stdDev: bbMult });
+    const isEntrySignal = strategy.createBacktestSignal(klines, settings);
 
-    for (let i = bbLen; i < klines.length; i++) {
+    for (let i = warmup; i < klines.length; i++) {
         const currentCandle = klines[i];
-        const prevCandle = klines[i-1];
-        const currentBBIndex = i - bbLen + 1;
-        const prevBBIndex = currentBBIndex - 1;
-        
-        if (prevBBIndex < 0 || currentBBIndex >= bb.length) continue;
-
-        const currentBB = bb[currentBBIndex];
-        const prevBB = bb[prevBBIndex];
-
         let currentEquity = capital + (position ? position.quantity * currentCandle.close : 0);
 
         if (position) {
-            let exit = false;
-            let exitPrice = 0;
-
-            if (currentCandle.high >= currentBB.upper) {
-                exit = true;
-                exitPrice = currentBB.upper;
-            }
+            let exitPrice = null;
+            // Assume the worst when a candle touches both levels
+            if (currentCandle.low <= position.stopLossPrice) exitPrice = position.stopLossPrice;
+            else if (currentCandle.high >= position.takeProfitPrice) exitPrice = position.takeProfitPrice;
 
-            if (currentCandle.low <= position.stopLossPrice) {
-                if (!exit || position.stopLossPrice < exitPrice) exitPrice = position.stopLossPrice;
-                exit = true;
-            }
-
-            if (exit) {
+            if (exitPrice !== null) {
                 capital += position.quantity * exitPrice;
                 const pnl = (exitPrice - position.entryPrice) * position.quantity;
                 trades.push({ pnl });
@@ -546,17 +608,17 @@ function performStrategyBacktest(klines) {
             }
         }
 
-        if (!position) {
-            const candle_broke_lower = (currentCandle.close < currentBB.lower) && (prevCandle.close >= prevBB.lower);
-            if (candle_broke_lower && currentCandle.close > 0) {
-                const positionSize = currentEquity * 0.10;
-                const quantity = positionSize / currentCandle.close;
-                position = {
-                    entryPrice: currentCandle.close,
-                    quantity: quantity,
-                    stopLossPrice: currentCandle.close * (1 - slPct / 100.0)
-                };
-            }
+        if (!position && currentCandle.close > 0 && isEntrySignal(i)) {
+            const positionSize = currentEquity * (settings.POSITION_SIZE_PCT / 100);
+            const quantity = positionSize / currentCandle.close;
+            const stopDistance = currentCandle.close * (settings.STOP_LOSS_PCT / 100);
+            capital -= positionSize;
+            position = {
+                entryPrice: currentCandle.close,
+                quantity: quantity,
+                stopLossPrice: currentCandle.close - stopDistance,
+                takeProfitPrice: currentCandle.close + stopDistance * settings.RISK_REWARD_RATIO,
+            };
         }
         
         equityCurve.push(currentEquity);
@@ -623,11 +685,19 @@ app.get('/api/check-session', (req, res) => {
 
 app.get('/api/settings', isAuthenticated, (req, res) => res.json(botState.settings));
 app.post('/api/settings', isAuthenticated, async (req, res) => {
-    botState.settings = { ...botState.settings, ...req.body };
+    // Profiles and their selection rules are only changed through the validated /api/profiles endpoints
+    const { TRADE_PROFILES, PROFILE_SELECTION_RULES, ...changes } = req.body;
+    botState.settings = { ...botState.settings, ...changes };
     realtimeAnalyzer.updateSettings(botState.settings);
     tradingEngine.updateSettings(botState.settings);
-    if(botState.settings.BINANCE_API_KEY && botState.settings.BINANCE_SECRET_KEY) {
-        tradingEngine.updateApiClient(new BinanceApiClient(botState.settings.BINANCE_API_KEY, botState.settings.BINANCE_SECRET_KEY, log));
+    if (changes.EXCHANGE && changes.EXCHANGE !== getExchange().name) {
+        log('WARN', `Le changement de plateforme (${changes.EXCHANGE}) sera appliqué au prochain redémarrage.`);
+    }
+    // The simulated account keeps its balances and orders; only the Binance adapter depends on the keys
+    if (getExchange().name === 'BINANCE' && botState.settings.BINANCE_API_KEY && botState.settings.BINANCE_SECRET_KEY) {
+        setExchange(buildExchange('BINANCE', botState.settings));
+        tradingEngine.updateApiClient(getTradingClient());
+        if (symbolRules.size === 0) await loadSymbolRules();
     }
     await saveData('settings');
     res.json({ success: true });
@@ -636,21 +706,92 @@ app.post('/api/settings', isAuthenticated, async (req, res) => {
 app.get('/api/status', isAuthenticated, (req, res) => res.json({
     mode: botState.tradingMode,
     balance: botState.balance,
+    quote_balances: botState.quoteBalances || {},
     positions: botState.activePositions.length,
     monitored_pairs: botState.scannerCache.length,
     top_pairs: botState.scannerCache.slice(0, 10).map(p => p.symbol),
     max_open_positions: botState.settings.MAX_OPEN_POSITIONS,
+    circuit_breaker_status: botState.circuitBreakerStatus,
+    daily_pnl: botState.dailyPnl,
+    consecutive_losses: botState.consecutiveLosses,
+    reconciliation_status: botState.reconciliation?.status || null,
+    market_regime: botState.marketRegime || null,
 }));
 
-app.get('/api/positions', isAuthenticated, (req, res) => res.json(botState.activePositions));
+app.get('/api/sectors', isAuthenticated, (req, res) => res.json(botState.sectorMap));
+app.post('/api/sectors', isAuthenticated, async (req, res) => {
+    const sectorMap = req.body;
+    if (!sectorMap || typeof sectorMap !== 'object' || Array.isArray(sectorMap) || Object.values(sectorMap).some(v => typeof v !== 'string')) {
+        return res.status(400).json({ success: false, message: 'Sector map must be an object of base asset -> sector name.' });
+    }
+    botState.sectorMap = Object.fromEntries(Object.entries(sectorMap).map(([asset, sector]) => [asset.toUpperCase(), sector.trim().toUpperCase()]));
+    await saveData('sectors');
+    res.json({ success: true });
+});
+
+app.get('/api/profiles', isAuthenticated, (req, res) => res.json({ profiles: tradeProfiles.profiles, rules: tradeProfiles.rules }));
+app.post('/api/profiles', isAuthenticated, async (req, res) => {
+    const result = await tradeProfiles.createProfile(req.body);
+    if (!result.success) return res.status(400).json(result);
+    res.json(result);
+});
+app.put('/api/profiles/:name', isAuthenticated, async (req, res) => {
+    const result = await tradeProfiles.updateProfile(req.params.name, req.body);
+    if (!result.success) return res.status(result.notFound ? 404 : 400).json({ success: false, message: result.message });
+    res.json(result);
+});
+app.delete('/api/profiles/:name', isAuthenticated, async (req, res) => {
+    const result = await tradeProfiles.deleteProfile(req.params.name);
+    if (!result.success) return res.status(result.notFound ? 404 : 400).json({ success: false, message: result.message });
+    res.json(result);
+});
+app.put('/api/profile-rules', isAuthenticated, async (req, res) => {
+    const result = await tradeProfiles.setRules(req.body.rules);
+    if (!result.success) return res.status(400).json(result);
+    res.json(result);
+});
+
+app.get('/api/positions', isAuthenticated, (req, res) => res.json([...botState.activePositions, ...botState.pendingOrders]));
+
+// Optional numeric fields of the manual position endpoints: undefined when absent, NaN when invalid.
+const parseOptionalNumber = (value) => (value === undefined || value === null || value === '') ? undefined : Number(value);
+
+app.post('/api/positions', isAuthenticated, async (req, res) => {
+    const { symbol } = req.body || {};
+    if (typeof symbol !== 'string' || !symbol.trim()) return res.status(400).json({ message: 'Symbole manquant.' });
+    const fields = ['stopLoss', 'takeProfit', 'quantity', 'sizeUsd'].map(key => [key, parseOptionalNumber(req.body[key])]);
+    const invalid = fields.find(([, value]) => Number.isNaN(value));
+    if (invalid) return res.status(400).json({ message: `Valeur invalide pour ${invalid[0]}.` });
+
+    const result = await tradingEngine.openManualPosition({ symbol: symbol.trim(), ...Object.fromEntries(fields) });
+    if (result.success) res.json(result.trade);
+    else res.status(400).json({ message: result.message });
+});
+
+app.patch('/api/positions/:id', isAuthenticated, async (req, res) => {
+    const tradeId = parseInt(req.params.id, 10);
+    if (!botState.activePositions.some(p => p.id === tradeId)) return res.status(404).json({ message: 'Position non trouvée.' });
+    const body = req.body || {};
+    const fields = ['stopLoss', 'takeProfit', 'closeQuantity'].map(key => [key, parseOptionalNumber(body[key])]);
+    const invalid = fields.find(([, value]) => Number.isNaN(value));
+    if (invalid) return res.status(400).json({ message: `Valeur invalide pour ${invalid[0]}.` });
+    const toggles = ['useAutoBreakeven', 'useAdaptiveTs'].filter(key => body[key] !== undefined);
+    if (toggles.some(key => typeof body[key] !== 'boolean')) return res.status(400).json({ message: 'useAutoBreakeven et useAdaptiveTs doivent être des booléens.' });
+
+    const result = await tradingEngine.updatePosition(tradeId, { ...Object.fromEntries(fields), ...Object.fromEntries(toggles.map(key => [key, body[key]])) });
+    if (result.success) res.json(result.trade);
+    else res.status(400).json({ message: result.message });
+});
 app.get('/api/history', isAuthenticated, (req, res) => res.json(botState.tradeHistory));
 app.get('/api/scanner', isAuthenticated, (req, res) => res.json(botState.scannerCache));
+app.get('/api/replay', isAuthenticated, (req, res) => res.json(replay.getLedger()));
 app.get('/api/logs', isAuthenticated, (req, res) => res.json(logBuffer));
 
 
 app.get('/api/performance-stats', isAuthenticated, (req, res) => {
     const closedTrades = botState.tradeHistory.filter(t => t.status === 'CLOSED');
-    const total_pnl = closedTrades.reduce((sum, t) => sum + (t.pnl || 0), 0);
+    // pnl is in the quote asset of each trade; trades closed before multi-quote support only have the USDT pnl.
+    const total_pnl = closedTrades.reduce((sum, t) => sum + (t.pnl_usd ?? t.pnl ?? 0), 0);
     const winning_trades = closedTrades.filter(t => (t.pnl || 0) > 0).length;
     const total_trades = closedTrades.length;
     res.json({
@@ -673,9 +814,13 @@ app.post('/api/close-trade/:id', isAuthenticated, async (req, res) => {
 
 app.post('/api/clear-data', isAuthenticated, async (req, res) => {
     botState.activePositions = [];
+    botState.pendingOrders = [];
     botState.tradeHistory = [];
-    botState.balance = botState.settings.INITIAL_VIRTUAL_BALANCE;
-    botState.dayStartBalance = botState.settings.INITIAL_VIRTUAL_BALANCE;
+    quoteAssets.resetVirtualBalances();
+    botState.dayStartBalance = quoteAssets.getTotalBalanceUsd();
+    botState.dailyPnl = 0;
+    botState.consecutiveLosses = 0;
+    botState.consecutiveWins = 0;
     botState.tradeIdCounter = 1;
     await saveData('state');
     broadcast({ type: 'POSITIONS_UPDATED' });
@@ -684,10 +829,10 @@ app.post('/api/clear-data', isAuthenticated, async (req, res) => {
 
 app.post('/api/test-connection', isAuthenticated, async (req, res) => {
     const { apiKey, secretKey } = req.body;
-    const testClient = new BinanceApiClient(apiKey, secretKey, ()=>{});
+    const testClient = createExchange(getExchange().name, { apiKey, secretKey });
     try {
         await testClient.getAccountInfo();
-        res.json({ success: true, message: "Connexion à Binance réussie."});
+        res.json({ success: true, message: `Connexion à ${testClient.name} réussie.`});
     } catch(e) {
         res.status(400).json({ success: false, message: `Échec de la connexion : ${e.message}`});
     }
@@ -696,10 +841,29 @@ app.post('/api/test-connection', isAuthenticated, async (req, res) => {
 app.get('/api/bot/status', isAuthenticated, (req, res) => res.json({ isRunning: botState.isRunning }));
 app.post('/api/bot/start', isAuthenticated, (req, res) => { botState.isRunning = true; res.json({ success: true }); });
 app.post('/api/bot/stop', isAuthenticated, (req, res) => { botState.isRunning = false; res.json({ success: true }); });
+app.post('/api/circuit-breaker/resume', isAuthenticated, async (req, res) => {
+    riskGuard.resumeFromLossStreak();
+    await saveData('state');
+    res.json({ success: true, status: botState.circuitBreakerStatus });
+});
+app.get('/api/reconciliation', isAuthenticated, (req, res) => res.json(reconciliation.report));
+app.post('/api/reconciliation/run', isAuthenticated, async (req, res) => {
+    const client = getTradingClient();
+    if (!client) return res.status(400).json({ success: false, message: 'Clés API Binance non configurées.' });
+    res.json(await reconciliation.run(client));
+});
+app.post('/api/reconciliation/acknowledge', isAuthenticated, async (req, res) => {
+    if (reconciliation.report?.status !== 'PENDING_ACK') return res.status(400).json({ success: false, message: 'Aucun écart en attente de validation.' });
+    res.json(await reconciliation.acknowledge({ adoptOrphans: req.body?.adoptOrphans === true }));
+});
 app.get('/api/mode', isAuthenticated, (req, res) => res.json({ mode: botState.tradingMode }));
-app.post('/api/mode', isAuthenticated, (req, res) => {
+app.post('/api/mode', isAuthenticated, async (req, res) => {
     const { mode } = req.body;
     if (['VIRTUAL', 'REAL_PAPER', 'REAL_LIVE'].includes(mode)) {
+        // Same check as at startup: live entries wait until the positions match the account.
+        if (mode === 'REAL_LIVE' && botState.tradingMode !== 'REAL_LIVE' && getTradingClient()) {
+            await reconciliation.run(getTradingClient());
+        }
         botState.tradingMode = mode;
         res.json({ success: true, mode });
     } else {
@@ -714,13 +878,17 @@ app.post('/api/backtest', isAuthenticated, async (req, res) => {
     }
 
     const timeframes = ['5m', '15m', '30m', '1h', '2h', '4h'];
+    const strategies = getEnabledStrategies(botState.settings);
+    if (strategies.length === 0) {
+        return res.status(400).json({ message: 'No strategy enabled.' });
+    }
     const allResults = [];
-    log('INFO', `Starting backtest for ${symbols.length} symbols.`);
+    log('INFO', `Starting backtest for ${symbols.length} symbols with strategies: ${strategies.map(s => s.name).join(', ')}.`);
 
     for (const symbol of symbols) {
         for (const timeframe of timeframes) {
             try {
-                const klines = await scanner.fetchKlinesFromBinance(symbol, timeframe, 0, 200);
+                const klines = await scanner.fetchKlines(symbol, timeframe, 0, 200);
                 if (klines.length < 21) throw new Error(`Not enough data (${klines.length} candles).`);
                 
                 const formattedKlines = klines.map(k => ({
@@ -729,11 +897,13 @@ app.post('/api/backtest', isAuthenticated, async (req, res) => {
                     volume: parseFloat(k[5]),
                 }));
 
-                const result = performStrategyBacktest(formattedKlines);
-                allResults.push({ symbol, timeframe, ...result });
+                for (const strategy of strategies) {
+                    const result = performStrategyBacktest(formattedKlines, strategy, botState.settings);
+                    allResults.push({ symbol, timeframe, strategy: strategy.name, ...result });
+                }
             } catch (error) {
                 log('ERROR', `Backtest failed for ${symbol} on ${timeframe}: ${error.message}`);
-                allResults.push({ symbol, timeframe, netProfitPct: 0, totalTrades: 0, winRate: 0, profitFactor: 0, maxDrawdownPct: 0, error: error.message });
+                allResults.push(...strategies.map(strategy => ({ symbol, timeframe, strategy: strategy.name, netProfitPct: 0, totalTrades: 0, winRate: 0, profitFactor: 0, maxDrawdownPct: 0, error: error.message })));
             }
         }
     }
@@ -749,23 +919,38 @@ if (process.env.NODE_ENV === 'production') {
     });
 }
 
+// --- Market Sentiment ---
+const updateFearAndGreed = async () => {
+    try {
+        const response = await fetch('https://api.alternative.me/fng/?limit=1');
+        const data = await response.json();
+        botState.fearAndGreed = {
+            value: parseInt(data.data[0].value),
+            classification: data.data[0].value_classification,
+            timestamp: new Date(parseInt(data.data[0].timestamp, 10) * 1000).toISOString(),
+        };
+        broadcast({ type: 'FEAR_AND_GREED_UPDATE', payload: botState.fearAndGreed });
+        await saveData('fearAndGreed');
+        riskGuard.refreshStatus();
+    } catch(e) {
+        log('WARN', `Could not fetch Fear & Greed index: ${e.message}`);
+    }
+};
+
 // --- Server Initialization ---
 const main = async () => {
     await loadData();
+    if (botState.tradingMode === 'REAL_LIVE' && getTradingClient()) {
+        await reconciliation.run(getTradingClient());
+    }
+    setInterval(loadSymbolRules, SYMBOL_RULES_REFRESH_INTERVAL_MS);
+    setInterval(() => marketRegime.update(), MARKET_REGIME_REFRESH_INTERVAL_MS);
+    updateFearAndGreed(); // Initial fetch, the cached value covers the gap until it resolves
+    setInterval(updateFearAndGreed, 1000 * 60 * 60); // Fetch every hour
+
     scannerInterval = setInterval(runScannerCycle, botState.settings.SCANNER_DISCOVERY_INTERVAL_SECONDS * 1000);
     runScannerCycle(); // Initial run
 
-    setInterval(async () => {
-        try {
-            const response = await fetch('https://api.alternative.me/fng/?limit=1');
-            const data = await response.json();
-            botState.fearAndGreed = { value: parseInt(data.data[0].value), classification: data.data[0].value_classification };
-            broadcast({ type: 'FEAR_AND_GREED_UPDATE', payload: botState.fearAndGreed });
-        } catch(e) {
-            log('WARN', `Could not fetch Fear & Greed index: ${e.message}`);
-        }
-    }, 1000 * 60 * 60); // Fetch every hour
-
     server.listen(port, () => {
         log('INFO', `Server listening on http://localhost:${port}`);
     });
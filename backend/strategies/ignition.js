@@ -0,0 +1,52 @@
+import { SMA } from 'technicalindicators';
+import { alignToKlines } from './utils.js';
+
+// Sudden 1m price and volume explosion. High risk: most safety filters are skipped and the IGNITION profile manages the exit.
+export const ignitionStrategy = {
+    name: 'IGNITION',
+    label: 'Ignition',
+    enabledSetting: 'USE_IGNITION_STRATEGY',
+    enabledByDefault: false,
+    timeframes: ['1m'],
+    indicators: [],
+    entryScores: ['IGNITION_DETECTED'],
+    confirmationScores: [],
+    defaultProfile: 'IGNITION',
+    allowedRegimes: ['BULL'],
+
+    getConditions(settings) {
+        return settings.IGNITION_BYPASS_PARABOLIC_FILTER ? ['trend'] : ['trend', 'parabolic'];
+    },
+
+    evaluate({ pair, conditions, klines, settings, log }) {
+        const result = { score: 'HOLD', score_value: 0, conditions };
+        // Ignition chases vertical moves by design, so it only honours the parabolic filter when told to.
+        const parabolicOk = settings.IGNITION_BYPASS_PARABOLIC_FILTER || conditions.parabolic;
+        if (!conditions.trend || !parabolicOk) return result;
+
+        const klines1m = klines['1m'];
+        const lastCandle1m = klines1m[klines1m.length - 1];
+        const prevCandle1m = klines1m[klines1m.length - 2];
+        const avgVolume1m = SMA.calculate({ period: 20, values: klines1m.map(k => k.volume) }).pop();
+        if (lastCandle1m && prevCandle1m && avgVolume1m > 0) {
+            const priceSpikePct = ((lastCandle1m.close - prevCandle1m.close) / prevCandle1m.close) * 100;
+            const volumeMultiple = lastCandle1m.volume / avgVolume1m;
+            if (priceSpikePct >= settings.IGNITION_PRICE_SPIKE_PCT && volumeMultiple >= settings.IGNITION_VOLUME_MULTIPLE) {
+                result.score = 'IGNITION_DETECTED';
+                result.score_value = 100;
+                log('SCANNER', `🚀 IGNITION DETECTED for ${pair.symbol}: Price Spike: ${priceSpikePct.toFixed(2)}%, Volume x${volumeMultiple.toFixed(1)}`);
+            }
+        }
+        return result;
+    },
+
+    createBacktestSignal(klines, settings) {
+        const volumeAvg = alignToKlines(SMA.calculate({ period: 20, values: klines.map(k => k.volume) }), klines.length);
+        return (i) => {
+            const avgVolume = volumeAvg[i - 1];
+            if (!(avgVolume > 0)) return false;
+            const priceSpikePct = ((klines[i].close - klines[i - 1].close) / klines[i - 1].close) * 100;
+            return priceSpikePct >= settings.IGNITION_PRICE_SPIKE_PCT && klines[i].volume / avgVolume >= settings.IGNITION_VOLUME_MULTIPLE;
+        };
+    },
+};
@@ -0,0 +1,42 @@
+import { precisionStrategy } from './precision.js';
+import { momentumStrategy } from './momentum.js';
+import { ignitionStrategy } from './ignition.js';
+
+// Registry shared by the analyzer, the trading engine and the backtester.
+//
+// A strategy module exports an object with:
+//   name, label            identifier stored as `strategy_type` on pairs and trades, and display name
+//   enabledSetting         boolean setting that switches the strategy on or off
+//   enabledByDefault       value of that setting when the saved settings predate it
+//   timeframes             kline intervals the strategy reads (fetched in addition to the base analysis)
+//   indicators             analysis fields the strategy relies on
+//   entryScores            scores that open a position
+//   confirmationScores     scores that wait for the 5m confirmation before opening (USE_MTF_VALIDATION)
+//   defaultProfile         trade profile forced on its trades, or null to let the profile selector decide
+//   allowedRegimes         market regimes in which it may open positions
+//   getConditions(settings)             condition keys counted in the scanner's "conditions met"
+//   evaluate(context)                   -> { score, score_value, conditions, is_on_hotlist? }
+//   createBacktestSignal(klines, settings) -> (index) => boolean, entry signal on a single timeframe
+//
+// On equal score_value the strategy listed first wins.
+export const STRATEGIES = [precisionStrategy, momentumStrategy, ignitionStrategy];
+
+export function getStrategy(name) {
+    return STRATEGIES.find(s => s.name === name) || null;
+}
+
+export function getEnabledStrategies(settings) {
+    return STRATEGIES.filter(s => Boolean(settings[s.enabledSetting]));
+}
+
+// Settings saved before a strategy had its switch get the strategy's default instead of reading as disabled.
+// Returns true when a switch was added.
+export function applyStrategyDefaults(settings) {
+    const missing = STRATEGIES.filter(s => settings[s.enabledSetting] === undefined);
+    missing.forEach(s => { settings[s.enabledSetting] = s.enabledByDefault; });
+    return missing.length > 0;
+}
+
+export function getRequiredTimeframes(settings, baseTimeframes) {
+    return [...new Set([...baseTimeframes, ...getEnabledStrategies(settings).flatMap(s => s.timeframes)])];
+}
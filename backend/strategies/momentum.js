@@ -0,0 +1,44 @@
+import { SMA } from 'technicalindicators';
+import { alignToKlines } from './utils.js';
+
+// Strong 15m impulse candle followed through on 5m.
+export const momentumStrategy = {
+    name: 'MOMENTUM',
+    label: 'Momentum',
+    enabledSetting: 'USE_MOMENTUM_STRATEGY',
+    enabledByDefault: true,
+    timeframes: ['5m', '15m'],
+    indicators: ['momentum_impulse_15m', 'momentum_confirmation_5m'],
+    entryScores: ['MOMENTUM_BUY'],
+    confirmationScores: [],
+    defaultProfile: null,
+    allowedRegimes: ['BULL'],
+
+    getConditions() {
+        return ['trend', 'safety', 'rsi_mtf', 'momentum_impulse', 'momentum_confirmation', 'whale_detection', 'parabolic'];
+    },
+
+    evaluate({ pair, conditions: shared, analysis }) {
+        const result = { score: 'HOLD', score_value: 0, conditions: { ...shared } };
+        result.conditions.momentum_impulse = pair.momentum_impulse_15m;
+        result.conditions.momentum_confirmation = analysis.momentum_confirmation_5m;
+
+        if (shared.trend && result.conditions.momentum_impulse && result.conditions.momentum_confirmation && shared.safety && shared.rsi_mtf && shared.whale_detection && shared.parabolic) {
+            result.score = 'MOMENTUM_BUY';
+            result.score_value = 90;
+        }
+        return result;
+    },
+
+    // Impulse candle (large bullish body on twice the average volume) followed by a bullish candle.
+    createBacktestSignal(klines) {
+        const volumeAvg = alignToKlines(SMA.calculate({ period: 20, values: klines.map(k => k.volume) }), klines.length);
+        const isImpulse = (j) => {
+            const candle = klines[j];
+            const range = candle.high - candle.low;
+            return volumeAvg[j] !== undefined && range > 0 && candle.close > candle.open
+                && Math.abs(candle.close - candle.open) / range > 0.7 && candle.volume > volumeAvg[j] * 2;
+        };
+        return (i) => isImpulse(i - 1) && klines[i].close > klines[i].open;
+    },
+};
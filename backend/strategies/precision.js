@@ -0,0 +1,67 @@
+import { BollingerBands, EMA, SMA } from 'technicalindicators';
+import { alignToKlines } from './utils.js';
+
+// 15m volatility squeeze, then a 1m breakout confirmed by volume, OBV and CVD. Waits for a 5m confirmation when USE_MTF_VALIDATION is on.
+export const precisionStrategy = {
+    name: 'PRECISION',
+    label: 'Précision',
+    enabledSetting: 'USE_PRECISION_STRATEGY',
+    enabledByDefault: true,
+    timeframes: ['1m', '5m', '15m'],
+    indicators: ['is_in_squeeze_15m', 'ema9_1m', 'volume_avg_1m', 'obv_1m_slope', 'cvd_5m_trending_up', 'obv_5m_slope'],
+    entryScores: ['STRONG BUY'],
+    confirmationScores: ['PENDING_CONFIRMATION'],
+    defaultProfile: null, // Picked by the dynamic profile selector
+    allowedRegimes: ['BULL', 'RANGE'],
+
+    getConditions() {
+        return ['trend', 'squeeze', 'breakout', 'volume', 'safety', 'obv', 'rsi_mtf', 'cvd_5m_trending_up', 'wick_detection', 'obv_5m', 'whale_detection', 'parabolic'];
+    },
+
+    evaluate({ pair, conditions: shared, analysis, klines, settings }) {
+        const result = { score: 'HOLD', score_value: 50, conditions: { ...shared }, is_on_hotlist: false };
+        const conditions = result.conditions;
+        conditions.squeeze = pair.is_in_squeeze_15m;
+        if (!(shared.trend && conditions.squeeze)) return result;
+
+        result.is_on_hotlist = true;
+        result.score = 'COMPRESSION';
+        result.score_value = 70;
+        const lastCandle1m = klines['1m'][klines['1m'].length - 1];
+        if (!lastCandle1m) return result;
+
+        const candleRange = lastCandle1m.high - lastCandle1m.low;
+        const upperWick = lastCandle1m.high - Math.max(lastCandle1m.open, lastCandle1m.close);
+        const wickPct = candleRange > 0 ? (upperWick / candleRange) * 100 : 100;
+
+        conditions.breakout = lastCandle1m.close > (analysis.ema9_1m || 0);
+        conditions.volume = settings.USE_VOLUME_CONFIRMATION ? lastCandle1m.volume > ((analysis.volume_avg_1m || 0) * 1.5) : true;
+        conditions.obv = settings.USE_OBV_VALIDATION ? (analysis.obv_1m_slope || 0) > 0 : true;
+        conditions.cvd_5m_trending_up = settings.USE_CVD_FILTER ? analysis.cvd_5m_trending_up : true;
+        conditions.wick_detection = settings.USE_WICK_DETECTION_FILTER ? wickPct <= settings.MAX_UPPER_WICK_PCT : true;
+        conditions.obv_5m = settings.USE_OBV_5M_VALIDATION ? (analysis.obv_5m_slope || 0) > 0 : true;
+
+        if (conditions.breakout && conditions.volume && conditions.obv && conditions.cvd_5m_trending_up && shared.safety && shared.rsi_mtf && conditions.wick_detection && conditions.obv_5m && shared.whale_detection && shared.parabolic) {
+            result.score = 'PENDING_CONFIRMATION';
+            result.score_value = 80;
+        }
+        return result;
+    },
+
+    // Single-timeframe approximation: squeeze on the tested timeframe, then a close above EMA9 on rising volume.
+    createBacktestSignal(klines, settings) {
+        const closes = klines.map(k => k.close);
+        const bbWidths = alignToKlines(BollingerBands.calculate({ period: 20, values: closes, stdDev: 2 }).map(b => ((b.upper - b.lower) / b.middle) * 100), klines.length);
+        const ema9 = alignToKlines(EMA.calculate({ period: 9, values: closes }), klines.length);
+        const volumeAvg = alignToKlines(SMA.calculate({ period: 20, values: klines.map(k => k.volume) }), klines.length);
+
+        return (i) => {
+            const widths = bbWidths.slice(0, i).filter(w => w !== undefined && !isNaN(w)).sort((a, b) => a - b);
+            if (widths.length < 20 || ema9[i] === undefined || volumeAvg[i - 1] === undefined) return false;
+            const squeezeThreshold = widths[Math.floor(widths.length * 0.25)];
+            const wasInSqueeze = bbWidths[i - 1] < squeezeThreshold;
+            const volumeOk = settings.USE_VOLUME_CONFIRMATION ? klines[i].volume > volumeAvg[i - 1] * 1.5 : true;
+            return wasInSqueeze && klines[i].close > ema9[i] && volumeOk;
+        };
+    },
+};
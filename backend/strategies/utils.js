@@ -0,0 +1,4 @@
+// technicalindicators returns series shorter than their input; pads the front so that series[i] matches klines[i].
+export function alignToKlines(series, length) {
+    return Array(Math.max(0, length - series.length)).fill(undefined).concat(series);
+}
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SMA, EMA, RSI, ATR, ADX, BollingerBands, OBV } from 'technicalindicators';
+import { StreamingSMA, StreamingEMA, StreamingRSI, StreamingATR, StreamingADX, StreamingBollingerBands, StreamingOBV, TimeframeIndicatorState } from '../indicators/index.js';
+import { RealtimeAnalyzerService } from '../RealtimeAnalyzerService.js';
+
+const HISTORY_LENGTH = 201;
+
+// Seeded random walk with some unchanged closes, so that RSI and OBV see flat candles too.
+const createKlines = (count, seed = 7) => {
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    let price = 100;
+    return Array.from({ length: count }, (_, i) => {
+        const open = price;
+        price = Math.max(1, price * (1 + (random() - 0.5) * 0.02));
+        const high = Math.max(open, price) * (1 + random() * 0.005);
+        const low = Math.min(open, price) * (1 - random() * 0.005);
+        return { openTime: i * 60000, open, high, low, close: i % 37 === 0 ? open : price, volume: random() * 1000 };
+    });
+};
+
+const series = (klines) => ({
+    closes: klines.map(k => k.close), highs: klines.map(k => k.high), lows: klines.map(k => k.low), volumes: klines.map(k => k.volume),
+});
+
+const BATCH = {
+    sma: (klines) => SMA.calculate({ period: 20, values: series(klines).volumes }),
+    ema: (klines) => EMA.calculate({ period: 9, values: series(klines).closes }),
+    rsi: (klines) => RSI.calculate({ period: 14, values: series(klines).closes }),
+    atr: (klines) => { const { highs, lows, closes } = series(klines); return ATR.calculate({ period: 14, high: highs, low: lows, close: closes }); },
+    adx: (klines) => { const { highs, lows, closes } = series(klines); return ADX.calculate({ period: 14, high: highs, low: lows, close: closes }); },
+    bollinger: (klines) => BollingerBands.calculate({ period: 20, stdDev: 2, values: series(klines).closes }),
+    obv: (klines) => { const { closes, volumes } = series(klines); return OBV.calculate({ close: closes, volume: volumes }); },
+};
+
+const STREAMING = {
+    sma: () => new StreamingSMA(20, 'volume'),
+    ema: () => new StreamingEMA(9),
+    rsi: () => new StreamingRSI(14),
+    atr: () => new StreamingATR(14),
+    adx: () => new StreamingADX(14),
+    bollinger: () => new StreamingBollingerBands(20, 2),
+    obv: () => new StreamingOBV(),
+};
+
+test('streaming indicators equal the technicalindicators series at every candle', () => {
+    const klines = createKlines(400);
+    for (const [name, createIndicator] of Object.entries(STREAMING)) {
+        const batch = BATCH[name](klines);
+        const offset = klines.length - batch.length;
+        const indicator = createIndicator();
+        klines.forEach((kline, i) => {
+            assert.deepEqual(indicator.update(kline), i >= offset ? batch[i - offset] : undefined, `${name} at candle ${i}`);
+        });
+    }
+});
+
+test('the timeframe state follows the series of every candle fed while the analyzer window slides', () => {
+    const klines = createKlines(500);
+    const window = klines.slice(0, HISTORY_LENGTH);
+    const state = TimeframeIndicatorState.fromKlines('15m', window, HISTORY_LENGTH);
+
+    for (let i = HISTORY_LENGTH; i < klines.length; i++) {
+        state.update(klines[i]);
+        window.push(klines[i]);
+        window.shift();
+
+        const fed = klines.slice(0, i + 1);
+        const { bollinger, rsi14, adx14, atr14, volumeSma20 } = state.indicators;
+        assert.deepEqual(bollinger.value, BATCH.bollinger(fed).at(-1), `bollinger at candle ${i}`);
+        assert.equal(rsi14.value, BATCH.rsi(fed).at(-1), `rsi at candle ${i}`);
+        assert.deepEqual(adx14.value, BATCH.adx(fed).at(-1), `adx at candle ${i}`);
+        assert.equal(atr14.value, BATCH.atr(fed).at(-1), `atr at candle ${i}`);
+        assert.equal(volumeSma20.value, BATCH.sma(fed).at(-1), `volume sma at candle ${i}`);
+
+        const widths = BATCH.bollinger(fed).slice(-(HISTORY_LENGTH - 19)).map(b => ((b.upper - b.lower) / b.middle) * 100).sort((a, b) => a - b);
+        assert.equal(state.bollingerWidths.percentile(0.25), widths[Math.floor(widths.length * 0.25)], `squeeze percentile at candle ${i}`);
+    }
+    assert.equal(state.lastKline, window.at(-1));
+});
+
+test('the analyzer updates the indicator state in place for each closed kline', async () => {
+    const analyzer = new RealtimeAnalyzerService(() => {}, () => ({ priceCache: new Map() }));
+    const klines = createKlines(HISTORY_LENGTH);
+    analyzer.klineData.set('ETHUSDT_15m', klines);
+    const state = analyzer.getIndicatorState('ETHUSDT', '15m', klines);
+    analyzer.runFullAnalysis = async () => null;
+
+    await analyzer.handleNewKline('ETHUSDT', '15m', { t: HISTORY_LENGTH * 60000, o: '100', h: '102', l: '99', c: '101', v: '10' });
+    assert.equal(analyzer.indicatorStates.get('ETHUSDT_15m'), state);
+    assert.equal(state.lastKline, analyzer.klineData.get('ETHUSDT_15m').at(-1));
+    assert.equal(analyzer.klineData.get('ETHUSDT_15m').length, HISTORY_LENGTH);
+    assert.deepEqual(state.indicators.bollinger.value, BATCH.bollinger([...createKlines(HISTORY_LENGTH), state.lastKline]).at(-1));
+});
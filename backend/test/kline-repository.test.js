@@ -0,0 +1,136 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { setExchange } from '../exchanges/index.js';
+import { KlineRepository, INTERVAL_MS, KLINE_PAGE_LIMIT } from '../KlineRepository.js';
+import { RealtimeAnalyzerService } from '../RealtimeAnalyzerService.js';
+
+const MS_1M = INTERVAL_MS['1m'];
+const MS_15M = INTERVAL_MS['15m'];
+
+let now;
+let calls;
+let missing; // symbol -> open times the exchange has no candle for
+let dataDir;
+
+const createCandle = (interval, openTime) => {
+    const price = 100 + (openTime / INTERVAL_MS[interval]) % 7;
+    return [openTime, String(price), String(price + 1), String(price - 1), String(price + 0.5), '10', openTime + INTERVAL_MS[interval] - 1, '1000', 5, '5', '500', '0'];
+};
+
+const toKlineEvent = (interval, openTime) => {
+    const [t, o, h, l, c, v, T, q, n, V, Q] = createCandle(interval, openTime);
+    return { t, o, h, l, c, v, T, q, n, V, Q };
+};
+
+// Answers like Binance: at most `limit` candles from startTime, or the last `limit` ones, the current candle included.
+setExchange({
+    async getKlines(symbol, interval, { startTime = 0, limit = 500 } = {}) {
+        calls.push({ symbol, interval, startTime, limit });
+        const intervalMs = INTERVAL_MS[interval];
+        const current = Math.floor(now / intervalMs) * intervalMs;
+        const klines = [];
+        for (let t = startTime > 0 ? startTime : current - (limit - 1) * intervalMs; t <= current && klines.length < limit; t += intervalMs) {
+            if (!missing[symbol]?.has(t)) klines.push(createCandle(interval, t));
+        }
+        return klines;
+    },
+});
+
+const isContiguous = (klines, intervalMs) => klines.every((k, i) => i === 0 || k[0] - klines[i - 1][0] === intervalMs);
+const countLines = async (key) => (await fs.readFile(path.join(dataDir, `${key}.jsonl`), 'utf-8')).trim().split('\n').length;
+
+beforeEach(async () => {
+    now = Date.UTC(2026, 0, 10, 12, 7, 30);
+    calls = [];
+    missing = {};
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'klines-'));
+});
+
+afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+test('stored candles are not fetched again after a restart and only the new tail is asked for', async () => {
+    const repository = new KlineRepository(() => {}, dataDir, () => now);
+    let klines = await repository.getKlines('BTCUSDT', '15m', 201);
+    assert.equal(klines.length, 201);
+    assert.equal(calls.length, 1);
+    assert.ok(isContiguous(klines, MS_15M));
+    assert.ok(klines.at(-1)[6] < now, 'the open candle is not returned');
+    assert.equal(await countLines('BTCUSDT_15m'), 201);
+
+    calls = [];
+    klines = await new KlineRepository(() => {}, dataDir, () => now).getKlines('BTCUSDT', '15m', 201);
+    assert.equal(klines.length, 201);
+    assert.equal(calls.length, 0);
+
+    now += 5 * MS_15M;
+    klines = await repository.getKlines('BTCUSDT', '15m', 201);
+    assert.deepEqual(calls.map(c => c.limit), [5]);
+    assert.equal(klines.length, 201);
+    assert.ok(isContiguous(klines, MS_15M));
+});
+
+test('a candle missed by the stream is backfilled on the next read', async () => {
+    const repository = new KlineRepository(() => {}, dataDir, () => now);
+    const lastOpenTime = (await repository.getKlines('BTCUSDT', '15m', 201)).at(-1)[0];
+
+    now += 2 * MS_15M;
+    await repository.appendKline('BTCUSDT', '15m', toKlineEvent('15m', lastOpenTime + 2 * MS_15M));
+    await repository.appendKline('BTCUSDT', '15m', toKlineEvent('15m', lastOpenTime + 2 * MS_15M));
+    calls = [];
+    const klines = await repository.getKlines('BTCUSDT', '15m', 201);
+    assert.deepEqual(calls.map(({ startTime, limit }) => ({ startTime, limit })), [{ startTime: lastOpenTime + MS_15M, limit: 1 }]);
+    assert.equal(klines.at(-1)[0], lastOpenTime + 2 * MS_15M);
+    assert.ok(isContiguous(klines, MS_15M));
+});
+
+test('candles the exchange does not have are asked for once', async () => {
+    const base = Math.floor(now / MS_1M) * MS_1M;
+    missing.HOLEUSDT = new Set([base - 50 * MS_1M, base - 49 * MS_1M]);
+    const repository = new KlineRepository(() => {}, dataDir, () => now);
+    assert.equal((await repository.getKlines('HOLEUSDT', '1m', 100)).length, 98);
+
+    calls = [];
+    assert.equal((await repository.getKlines('HOLEUSDT', '1m', 100)).length, 98);
+    assert.equal(calls.length, 0);
+});
+
+test('long windows are fetched in pages of the exchange limit', async () => {
+    const repository = new KlineRepository(() => {}, dataDir, () => now);
+    const klines = await repository.getKlines('ETHUSDT', '1m', 2500);
+    assert.deepEqual(calls.map(c => c.limit), [KLINE_PAGE_LIMIT, KLINE_PAGE_LIMIT, 500]);
+    assert.ok(calls.every((c, i) => i === 0 || c.startTime === calls[i - 1].startTime + KLINE_PAGE_LIMIT * MS_1M));
+    assert.equal(klines.length, 2500);
+    assert.ok(isContiguous(klines, MS_1M));
+    assert.equal(await countLines('ETHUSDT_1m'), 2500);
+});
+
+test('concurrent reads of one series share a single fetch', async () => {
+    const repository = new KlineRepository(() => {}, dataDir, () => now);
+    await Promise.all([repository.getKlines('ADAUSDT', '5m', 201), repository.getKlines('ADAUSDT', '5m', 201)]);
+    assert.equal(calls.length, 1);
+});
+
+test('a gap in the stream reloads the analyzer series and its indicator state', async () => {
+    const repository = new KlineRepository(() => {}, dataDir, () => now);
+    const analyzer = new RealtimeAnalyzerService(() => {}, () => ({ priceCache: new Map() }), () => now, repository);
+    analyzer.runFullAnalysis = async () => null;
+
+    const history = await analyzer.fetchKlines('BTCUSDT', '15m');
+    analyzer.klineData.set('BTCUSDT_15m', history);
+    const state = analyzer.getIndicatorState('BTCUSDT', '15m', history);
+    const lastOpenTime = history.at(-1).openTime;
+
+    now = lastOpenTime + 3 * MS_15M + 1000;
+    await analyzer.handleNewKline('BTCUSDT', '15m', toKlineEvent('15m', lastOpenTime + 2 * MS_15M));
+    const klines = analyzer.klineData.get('BTCUSDT_15m');
+    assert.equal(klines.length, 201);
+    assert.equal(klines.at(-1).openTime, lastOpenTime + 2 * MS_15M);
+    assert.ok(klines.every((k, i) => i === 0 || k.openTime - klines[i - 1].openTime === MS_15M));
+    assert.equal(analyzer.indicatorStates.has('BTCUSDT_15m'), false);
+    assert.notEqual(analyzer.getIndicatorState('BTCUSDT', '15m', klines), state);
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReconciliationService } from '../ReconciliationService.js';
+
+const createApiClient = (balances, prices) => ({
+    async getAccountInfo() {
+        return { balances: Object.entries(balances).map(([asset, free]) => ({ asset, free: String(free), locked: '0' })) };
+    },
+    async getTickerPrices() {
+        return Object.entries(prices).map(([symbol, price]) => ({ symbol, price: String(price) }));
+    },
+});
+
+test('acknowledging lowers the recorded balances to the funds available on the exchange', async () => {
+    const botState = { settings: {}, activePositions: [], balance: 1000, quoteBalances: { BTC: 0.5 } };
+    const reconciliation = new ReconciliationService(botState, () => {}, () => {}, async () => {}, {});
+
+    const report = await reconciliation.run(createApiClient({ USDT: 600, BTC: 0.2 }, { BTCUSDT: 50000 }));
+    assert.equal(report.status, 'PENDING_ACK');
+    assert.deepEqual(report.discrepancies.map(d => [d.type, d.asset]), [['BALANCE_MISMATCH', 'USDT'], ['BALANCE_MISMATCH', 'BTC']]);
+
+    await reconciliation.acknowledge();
+    assert.equal(report.status, 'ACKNOWLEDGED');
+    assert.equal(botState.balance, 600);
+    assert.deepEqual(botState.quoteBalances, { BTC: 0.2 });
+    assert.equal((await reconciliation.run(createApiClient({ USDT: 600, BTC: 0.2 }, { BTCUSDT: 50000 }))).status, 'OK');
+});
@@ -0,0 +1,190 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createExchange, setExchange } from '../exchanges/index.js';
+import { TradingEngineService } from '../TradingEngineService.js';
+import { RiskGuardService } from '../RiskGuardService.js';
+import { CorrelationService } from '../CorrelationService.js';
+import { OrderBookService } from '../OrderBookService.js';
+import { MarketRegimeService } from '../MarketRegimeService.js';
+import { QuoteAssetService } from '../QuoteAssetService.js';
+import { ReplayService } from '../ReplayService.js';
+import { getStrategy } from '../strategies/index.js';
+
+const MINUTE_MS = 60000;
+
+const baseSettings = {
+    INITIAL_VIRTUAL_BALANCE: 10000, INITIAL_VIRTUAL_QUOTE_BALANCES: '', MAX_OPEN_POSITIONS: 5, POSITION_SIZE_PCT: 10,
+    STOP_LOSS_PCT: 2, RISK_REWARD_RATIO: 2, SCALING_IN_CONFIG: '', USE_DYNAMIC_PROFILE_SELECTOR: false,
+    TRANSACTION_FEE_PCT: 0.1, SLIPPAGE_PCT: 0.05, LOSS_COOLDOWN_HOURS: 1, DAILY_DRAWDOWN_LIMIT_PCT: 3, CONSECUTIVE_LOSS_LIMIT: 5,
+    CIRCUIT_BREAKER_WARN_THRESHOLD_PCT: 1.5, CIRCUIT_BREAKER_HALT_THRESHOLD_PCT: 2.5, USE_PRECISION_STRATEGY: true, USE_MOMENTUM_STRATEGY: true,
+};
+
+const getBalance = async (exchange, asset) => {
+    const balance = (await exchange.getAccountInfo()).balances.find(b => b.asset === asset);
+    return { free: parseFloat(balance?.free || 0), locked: parseFloat(balance?.locked || 0) };
+};
+
+const createLiveEngine = async (exchange, symbolRules = new Map()) => {
+    const botState = {
+        settings: { ...baseSettings }, balance: 10000, quoteBalances: {}, dayStartBalance: 10000, dailyPnl: 0,
+        currentTradingDay: new Date().toISOString().split('T')[0], circuitBreakerStatus: 'NONE',
+        activePositions: [], pendingOrders: [], tradeHistory: [], tradeIdCounter: 1, isRunning: true, tradingMode: 'REAL_LIVE',
+        recentlyLostSymbols: new Map(), pendingConfirmation: new Map(), priceCache: new Map(),
+    };
+    const log = () => {};
+    const broadcast = () => {};
+    const saveData = async () => {};
+    const quoteAssets = new QuoteAssetService(botState, log);
+    quoteAssets.setSymbols((await exchange.getExchangeInfo()).symbols);
+    (await exchange.getTickerPrices()).forEach(t => botState.priceCache.set(t.symbol, { price: parseFloat(t.price) }));
+
+    let engine;
+    const riskGuard = new RiskGuardService(botState, log, broadcast, saveData, () => engine.closeAllPositions('Disjoncteur BTC'), quoteAssets);
+    const correlationService = new CorrelationService(log, () => null, () => ({}));
+    const regime = new MarketRegimeService(botState, log, broadcast, async () => []);
+    engine = new TradingEngineService(botState, log, broadcast, saveData, exchange, symbolRules, riskGuard, correlationService, new OrderBookService(log, quoteAssets), regime, quoteAssets);
+    return { botState, engine };
+};
+
+test('the engine trades a live position on the simulated exchange', async () => {
+    const exchange = createExchange('SIMULATED', { balances: { USDT: 10000 }, seed: 42, feePct: 0.1, autoStart: false });
+    setExchange(exchange);
+    const { botState, engine } = await createLiveEngine(exchange);
+
+    const opened = await engine.openManualPosition({ symbol: 'ETHUSDT', quantity: 0.5 });
+    assert.equal(opened.success, true, opened.message);
+    const position = opened.trade;
+    // The buy commission is paid in ETH: the position holds what was received, locked by the protective OCO order.
+    const eth = await getBalance(exchange, 'ETH');
+    assert.equal(eth.free, 0);
+    assert.ok(Math.abs(eth.locked - position.quantity) < 1e-8);
+    assert.equal(position.protective_order.order_ids.length, 2);
+    assert.ok(Math.abs(botState.balance - (await getBalance(exchange, 'USDT')).free) < 1e-6);
+
+    const exitPrice = parseFloat((await exchange.getTickerPrices()).find(t => t.symbol === 'ETHUSDT').price);
+    const closed = await engine.manualClose(position.id, exitPrice);
+    assert.equal(closed.success, true);
+    assert.equal(botState.activePositions.length, 0);
+    assert.equal(botState.tradeHistory.length, 1);
+
+    const [trade] = botState.tradeHistory;
+    assert.equal(trade.status, 'CLOSED');
+    assert.equal(trade.exit_reason, 'MANUAL');
+    assert.ok(trade.fees_usd > 0);
+    assert.ok(Math.abs(trade.pnl - (trade.gross_pnl - trade.fees_usd)) < 1e-9);
+    const ethAfter = await getBalance(exchange, 'ETH');
+    assert.ok(ethAfter.free + ethAfter.locked < 1e-8);
+    // The recorded balance follows the exchange account leg by leg.
+    assert.ok(Math.abs(botState.balance - (await getBalance(exchange, 'USDT')).free) < 1e-6);
+});
+
+test('a remainder under the exchange minimums is written off instead of retried', async () => {
+    const exchange = createExchange('SIMULATED', { balances: { USDT: 10000 }, seed: 42, feePct: 0.1, autoStart: false });
+    setExchange(exchange);
+    const rules = { stepSize: 0.0001, minQty: 0.0001, tickSize: 0.01, minNotional: 5, applyMinToMarket: true };
+    const { botState, engine } = await createLiveEngine(exchange, new Map([['ETHUSDT', rules]]));
+    const position = (await engine.openManualPosition({ symbol: 'ETHUSDT', quantity: 0.5 })).trade;
+    const balanceAfterEntry = botState.balance;
+
+    // The price fell: what is left is now worth less than the minimum order value.
+    rules.minNotional = position.quantity * position.entry_price * 2;
+    const closed = await engine.manualClose(position.id, position.entry_price);
+    assert.equal(closed.success, true);
+    assert.equal(botState.activePositions.length, 0);
+    const [trade] = botState.tradeHistory;
+    assert.equal(trade.exit_reason, 'DUST');
+    assert.equal(trade.dust_quantity, position.quantity);
+    assert.ok(Math.abs(trade.pnl + trade.total_cost_usd + trade.fees_usd) < 1e-9);
+    assert.equal(botState.balance, balanceAfterEntry);
+    // The protective order was cancelled and the quantity stays on the account.
+    const eth = await getBalance(exchange, 'ETH');
+    assert.ok(Math.abs(eth.free - position.quantity) < 1e-8);
+    assert.equal(eth.locked, 0);
+});
+
+test('a take profit chosen by the user is kept when the next tranches fill', async () => {
+    const exchange = createExchange('SIMULATED', { balances: { USDT: 10000 }, seed: 42, feePct: 0.1, autoStart: false });
+    setExchange(exchange);
+    const { botState, engine } = await createLiveEngine(exchange);
+    Object.assign(botState.settings, { SCALING_IN_CONFIG: '34,33,33', SCALING_IN_TRIGGER_R: 0 });
+    const price = botState.priceCache.get('ETHUSDT').price;
+    const closeAbove = (position) => ({ o: String(position.entry_price), c: String(position.entry_price * 1.001) });
+
+    const manual = (await engine.openManualPosition({ symbol: 'ETHUSDT', quantity: 0.5, stopLoss: price * 0.98, takeProfit: price * 1.1 })).trade;
+    assert.equal(manual.is_scaling_in, true);
+    await engine.checkScalingInOnKlineClose('ETHUSDT', closeAbove(manual));
+    assert.equal(manual.current_entry_count, 2);
+    assert.equal(manual.take_profit, price * 1.1);
+
+    // Without a user level the target follows the average entry until the user moves it.
+    const automatic = (await engine.openManualPosition({ symbol: 'SOLUSDT', quantity: 5 })).trade;
+    const initialTakeProfit = automatic.take_profit;
+    await engine.checkScalingInOnKlineClose('SOLUSDT', closeAbove(automatic));
+    const riskPerUnit = automatic.average_entry_price - automatic.initial_stop_loss;
+    assert.notEqual(automatic.take_profit, initialTakeProfit);
+    assert.ok(Math.abs(automatic.take_profit - (automatic.average_entry_price + riskPerUnit * baseSettings.RISK_REWARD_RATIO)) < 1e-9);
+
+    assert.equal((await engine.updatePosition(automatic.id, { takeProfit: automatic.entry_price * 1.2 })).success, true);
+    await engine.checkScalingInOnKlineClose('SOLUSDT', closeAbove(automatic));
+    assert.equal(automatic.current_entry_count, 3);
+    assert.equal(automatic.take_profit, automatic.entry_price * 1.2);
+});
+
+test('an IGNITION target keeps the reward ratio of its entry when the next tranches fill', async () => {
+    const exchange = createExchange('SIMULATED', { balances: { USDT: 10000 }, seed: 42, feePct: 0.1, autoStart: false });
+    setExchange(exchange);
+    const { botState, engine } = await createLiveEngine(exchange);
+    // Without its trailing stop, IGNITION targets RISK_REWARD_RATIO whatever the R:R of its profile.
+    Object.assign(botState.settings, {
+        SCALING_IN_CONFIG: '50,50', SCALING_IN_TRIGGER_R: 0, USE_IGNITION_TRAILING_STOP: false,
+        TRADE_PROFILES: [{ name: 'IGNITION', riskRewardRatio: 6, useAtrSl: false, stopLossPct: 2 }],
+    });
+    const price = botState.priceCache.get('ETHUSDT').price;
+    await engine.evaluateSignal({ symbol: 'ETHUSDT', price, score: getStrategy('IGNITION').entryScores[0], strategy_type: 'IGNITION' });
+    const [position] = botState.activePositions;
+    assert.equal(position.take_profit, price + (price - position.initial_stop_loss) * baseSettings.RISK_REWARD_RATIO);
+
+    await engine.checkScalingInOnKlineClose('ETHUSDT', { o: String(position.entry_price), c: String(position.entry_price * 1.001) });
+    assert.equal(position.current_entry_count, 2);
+    const riskPerUnit = position.average_entry_price - position.initial_stop_loss;
+    assert.ok(Math.abs(position.take_profit - (position.average_entry_price + riskPerUnit * baseSettings.RISK_REWARD_RATIO)) < 1e-9);
+});
+
+test('a replay runs on the simulated exchange and restarts its ledger after a seek', async () => {
+    setExchange(createExchange('SIMULATED', { seed: 11, autoStart: false }));
+    const settings = { ...baseSettings, STOP_LOSS_PCT: 0.3, RISK_REWARD_RATIO: 1, LOSS_COOLDOWN_HOURS: 0, CONSECUTIVE_LOSS_LIMIT: 100, USE_MARKET_REGIME_FILTER: false };
+    const botState = { settings, sectorMap: {}, priceCache: new Map(), balance: 5, tradeHistory: [] };
+    const replay = new ReplayService(botState, () => {}, () => {}, new Map(), new QuoteAssetService(botState, () => {}));
+
+    const now = Math.floor(Date.now() / MINUTE_MS) * MINUTE_MS;
+    const startTime = now - 180 * MINUTE_MS;
+    const endTime = now - 30 * MINUTE_MS;
+    await replay.start({ symbols: ['ETHUSDT', 'SOLUSDT'], startTime, endTime, speed: 0.0001 });
+    replay.pause();
+    // Every analysis becomes an entry signal, so that the ledger sees trades on a short period.
+    replay.pipeline.realtimeAnalyzer.evaluateStrategy = (pair) => Object.assign(pair, { score: 'STRONG BUY', strategy_type: 'PRECISION', score_value: 100 });
+    replay.setSpeed(0);
+    replay.resume();
+    while (replay.status === 'RUNNING') await new Promise(resolve => setTimeout(resolve, 20));
+
+    assert.equal(replay.status, 'FINISHED');
+    const ledger = replay.getLedger();
+    assert.equal(ledger.progress_pct, 100);
+    assert.ok(ledger.history.length > 0);
+    assert.ok(ledger.history.every(t => new Date(t.entry_time).getTime() >= startTime && new Date(t.exit_time).getTime() <= endTime));
+    const pnl = ledger.history.reduce((sum, t) => sum + t.pnl_usd, 0);
+    assert.ok(Math.abs(ledger.total_pnl_usd - pnl) < 1e-9);
+    // The live state is left untouched.
+    assert.equal(botState.balance, 5);
+    assert.equal(botState.tradeHistory.length, 0);
+
+    const seekTime = startTime + 60 * MINUTE_MS;
+    await replay.seek(seekTime);
+    const afterSeek = replay.getLedger();
+    assert.equal(afterSeek.current_time, seekTime);
+    assert.ok(Math.abs(afterSeek.progress_pct - 40) < 1e-9);
+    assert.equal(afterSeek.history.length, 0);
+    assert.equal(afterSeek.positions.length, 0);
+    assert.equal(afterSeek.balance, settings.INITIAL_VIRTUAL_BALANCE);
+    await replay.stop();
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyStrategyDefaults, getEnabledStrategies } from '../strategies/index.js';
+
+// Saved by a version where PRECISION and MOMENTUM were always on and only IGNITION had a switch.
+const createPreRegistrySettings = () => ({
+    INITIAL_VIRTUAL_BALANCE: 10000, MAX_OPEN_POSITIONS: 5, POSITION_SIZE_PCT: 2, RISK_REWARD_RATIO: 4, STOP_LOSS_PCT: 2,
+    USE_MTF_VALIDATION: false, USE_IGNITION_STRATEGY: false, IGNITION_PRICE_SPIKE_PCT: 5, IGNITION_VOLUME_MULTIPLE: 10,
+});
+
+test('settings saved before the strategy switches keep PRECISION and MOMENTUM enabled', () => {
+    const settings = createPreRegistrySettings();
+    assert.equal(applyStrategyDefaults(settings), true);
+    assert.deepEqual(getEnabledStrategies(settings).map(s => s.name), ['PRECISION', 'MOMENTUM']);
+    assert.equal(settings.USE_PRECISION_STRATEGY, true);
+    assert.equal(settings.USE_MOMENTUM_STRATEGY, true);
+    assert.equal(applyStrategyDefaults(settings), false);
+});
+
+test('saved strategy switches are left as they are', () => {
+    const settings = { ...createPreRegistrySettings(), USE_PRECISION_STRATEGY: false, USE_MOMENTUM_STRATEGY: true, USE_IGNITION_STRATEGY: true };
+    assert.equal(applyStrategyDefaults(settings), false);
+    assert.deepEqual(getEnabledStrategies(settings).map(s => s.name), ['MOMENTUM', 'IGNITION']);
+});
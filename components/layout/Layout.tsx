@@ -17,7 +17,7 @@ import { positionService } from '../../services/positionService';
 const Layout: React.FC<{ children: React.ReactNode }> = ({ children }) => {
   const { setConnectionStatus } = useWebSocket();
   const { isAuthenticated } = useAuth();
-  const { settingsActivityCounter, refreshData, setSettings, setCircuitBreakerStatus, setFearAndGreed } = useAppContext();
+  const { settingsActivityCounter, refreshData, setSettings, setCircuitBreakerStatus, setFearAndGreed, setMarketRegime } = useAppContext();
   const { isCollapsed, isMobileOpen, setMobileOpen } = useSidebar();
   const { addNotification } = useNotifier();
   const stalePriceAlerts = useRef(new Set<string>());
@@ -31,6 +31,7 @@ const Layout: React.FC<{ children: React.ReactNode }> = ({ children }) => {
         websocketService.onDataRefresh(refreshData);
         websocketService.onCircuitBreakerUpdate((payload) => setCircuitBreakerStatus(payload.status));
         websocketService.onFearAndGreedUpdate(setFearAndGreed);
+        websocketService.onMarketRegimeUpdate(setMarketRegime);
         websocketService.onTradeAlert(({level, title, message}) => {
             addNotification(level, title, message);
         });
@@ -82,9 +83,10 @@ const Layout: React.FC<{ children: React.ReactNode }> = ({ children }) => {
       websocketService.onDataRefresh(null);
       websocketService.onCircuitBreakerUpdate(null);
       websocketService.onFearAndGreedUpdate(null);
+      websocketService.onMarketRegimeUpdate(null);
       websocketService.onTradeAlert(null);
     };
-  }, [isAuthenticated, setConnectionStatus, settingsActivityCounter, refreshData, setSettings, setCircuitBreakerStatus, setFearAndGreed, addNotification]);
+  }, [isAuthenticated, setConnectionStatus, settingsActivityCounter, refreshData, setSettings, setCircuitBreakerStatus, setFearAndGreed, setMarketRegime, addNotification]);
 
   return (
     <div className="flex h-screen bg-[#0c0e12] overflow-hidden">
@@ -2,7 +2,7 @@
 import React from 'react';
 import { NavLink } from 'react-router-dom';
 import { useSidebar } from '../../contexts/SidebarContext';
-import { DashboardIcon, ScannerIcon, HistoryIcon, SettingsIcon, ConsoleIcon, SidebarToggleIcon, BacktestIcon } from '../icons/Icons';
+import { DashboardIcon, ScannerIcon, HistoryIcon, SettingsIcon, ConsoleIcon, SidebarToggleIcon, BacktestIcon, ReplayIcon } from '../icons/Icons';
 
 interface NavItemProps {
   to: string;
@@ -69,6 +69,10 @@ const Sidebar: React.FC = () => {
           <BacktestIcon />
           <span className={navItemTextClass}>Backtesting</span>
         </NavItem>
+        <NavItem to="/replay" isCollapsed={isCollapsed}>
+          <ReplayIcon />
+          <span className={navItemTextClass}>Replay</span>
+        </NavItem>
         <NavItem to="/settings" isCollapsed={isCollapsed}>
           <SettingsIcon />
           <span className={navItemTextClass}>Paramètres</span>
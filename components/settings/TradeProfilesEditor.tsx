@@ -0,0 +1,268 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { api } from '../../services/mockApi';
+import { TradeProfile, ProfileSelectionRule, StrategyType, MarketRegime } from '../../types';
+import Spinner from '../common/Spinner';
+import ToggleSwitch from '../common/ToggleSwitch';
+
+const inputClass = "mt-1 block w-full rounded-md border-[#3e4451] bg-[#0c0e12] shadow-sm focus:border-[#f0b90b] focus:ring-[#f0b90b] sm:text-sm text-white";
+const buttonClass = "inline-flex items-center justify-center rounded-md px-3 py-1.5 text-sm font-semibold disabled:opacity-50";
+
+const numberFields: { key: keyof TradeProfile; label: string; step: string }[] = [
+    { key: 'riskRewardRatio', label: 'Ratio Risque/Récompense', step: '0.1' },
+    { key: 'stopLossPct', label: 'Stop Loss (%)', step: '0.1' },
+    { key: 'atrMultiplier', label: 'Multiplicateur ATR', step: '0.1' },
+    { key: 'breakevenTriggerR', label: 'Déclencheur Breakeven (R)', step: '0.1' },
+    { key: 'partialTpTriggerPct', label: 'Déclencheur TP Partiel (%)', step: '0.1' },
+    { key: 'partialTpSellQtyPct', label: 'Quantité TP Partiel (%)', step: '1' },
+    { key: 'trailingStopTightenThresholdR', label: 'Seuil de Resserrement (R)', step: '0.1' },
+    { key: 'trailingStopTightenMultiplierReduction', label: 'Réduction du Multiplicateur', step: '0.1' },
+    { key: 'maxHoldingHours', label: 'Détention Max. (h, 0 = off)', step: '1' },
+    { key: 'noProgressCandles', label: 'Sortie Sans Progrès (bougies 15m)', step: '1' },
+    { key: 'noProgressMinR', label: 'Progrès Minimum (R)', step: '0.1' },
+];
+
+const booleanFields: { key: keyof TradeProfile; label: string }[] = [
+    { key: 'useAtrSl', label: 'Stop Loss basé sur l\'ATR' },
+    { key: 'usePartialTp', label: 'Prise de Profit Partielle' },
+    { key: 'useAutoBreakeven', label: 'Mise à Zéro du Risque' },
+    { key: 'useAdaptiveTs', label: 'Trailing Stop Adaptatif' },
+    { key: 'exitOnTrendFlip', label: 'Sortie sur Inversion de Tendance 4h' },
+];
+
+const STRATEGY_TYPES: StrategyType[] = ['PRECISION', 'MOMENTUM', 'IGNITION'];
+const REGIMES: MarketRegime[] = ['BULL', 'RANGE', 'BEAR', 'RISK_OFF'];
+const ruleBounds: { key: 'adxMin' | 'adxMax' | 'atrPctMin' | 'atrPctMax'; label: string }[] = [
+    { key: 'adxMin', label: 'ADX ≥' },
+    { key: 'adxMax', label: 'ADX <' },
+    { key: 'atrPctMin', label: 'ATR % ≥' },
+    { key: 'atrPctMax', label: 'ATR % <' },
+];
+
+const toggleInList = <T,>(list: T[], value: T): T[] => list.includes(value) ? list.filter(v => v !== value) : [...list, value];
+
+const TradeProfilesEditor: React.FC = () => {
+    const [profiles, setProfiles] = useState<TradeProfile[]>([]);
+    const [rules, setRules] = useState<ProfileSelectionRule[]>([]);
+    const [selectedName, setSelectedName] = useState<string | null>(null);
+    const [draft, setDraft] = useState<TradeProfile | null>(null);
+    const [newName, setNewName] = useState('');
+    const [isLoading, setIsLoading] = useState(true);
+    const [isSaving, setIsSaving] = useState(false);
+    const [message, setMessage] = useState<{ text: string, type: 'success' | 'error' } | null>(null);
+
+    const showMessage = (text: string, type: 'success' | 'error' = 'success') => {
+        setMessage({ text, type });
+        setTimeout(() => setMessage(null), 4000);
+    };
+
+    const load = useCallback(async (select?: string) => {
+        try {
+            const data = await api.fetchTradeProfiles();
+            setProfiles(data.profiles);
+            setRules(data.rules);
+            const current = data.profiles.find(p => p.name === select) || data.profiles[0] || null;
+            setSelectedName(current?.name ?? null);
+            setDraft(current ? { ...current } : null);
+        } catch (error: any) {
+            showMessage(`Échec du chargement des profils : ${error.message}`, 'error');
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+
+    useEffect(() => { load(); }, [load]);
+
+    const selectProfile = (profile: TradeProfile) => {
+        setSelectedName(profile.name);
+        setDraft({ ...profile });
+    };
+
+    const runAction = async (action: () => Promise<void>, successText: string) => {
+        setIsSaving(true);
+        try {
+            await action();
+            showMessage(successText);
+        } catch (error: any) {
+            showMessage(error.message, 'error');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleSaveProfile = () => draft && runAction(async () => {
+        const { name, ...changes } = draft;
+        await api.updateTradeProfile(name, changes);
+        await load(name);
+    }, `Profil ${draft.name} sauvegardé.`);
+
+    const handleCreateProfile = () => draft && runAction(async () => {
+        const { profile } = await api.createTradeProfile({ ...draft, name: newName });
+        setNewName('');
+        await load(profile.name);
+    }, `Profil ${newName.toUpperCase()} créé.`);
+
+    const handleDeleteProfile = () => selectedName && runAction(async () => {
+        await api.deleteTradeProfile(selectedName);
+        await load();
+    }, `Profil ${selectedName} supprimé.`);
+
+    const handleSaveRules = () => runAction(async () => {
+        const result = await api.updateProfileRules(rules);
+        setRules(result.rules);
+    }, 'Règles de sélection sauvegardées.');
+
+    const updateRule = (index: number, changes: Partial<ProfileSelectionRule>) => {
+        setRules(rules.map((rule, i) => i === index ? { ...rule, ...changes } : rule));
+    };
+
+    const moveRule = (index: number, offset: number) => {
+        const target = index + offset;
+        if (target < 0 || target >= rules.length) return;
+        const reordered = [...rules];
+        [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+        setRules(reordered);
+    };
+
+    const addRule = () => {
+        if (profiles.length === 0) return;
+        setRules([...rules, { profile: profiles[0].name, strategyTypes: [], regimes: [], adxMin: null, adxMax: null, atrPctMin: null, atrPctMax: null }]);
+    };
+
+    if (isLoading) {
+        return <div className="flex justify-center py-8"><Spinner /></div>;
+    }
+
+    return (
+        <div className="bg-[#14181f]/50 border border-[#2b2f38] rounded-lg p-6 shadow-lg space-y-6">
+            <div className="flex justify-between items-start">
+                <div>
+                    <h3 className="text-lg font-semibold text-white mb-1">Profils de Trade & Règles de Sélection</h3>
+                    <p className="text-sm text-gray-400">Chaque profil définit la gestion complète d'un trade. Lorsque le sélecteur dynamique est actif, la première règle correspondant au marché choisit le profil ; sans règle correspondante, les paramètres manuels sont utilisés.</p>
+                </div>
+                {message && (
+                    <div className={`text-xs px-3 py-1 rounded-md whitespace-nowrap ml-4 ${message.type === 'success' ? 'bg-green-800 text-green-200' : 'bg-red-800 text-red-200'}`}>
+                        {message.text}
+                    </div>
+                )}
+            </div>
+
+            {/* Profiles */}
+            <div className="flex flex-wrap gap-2">
+                {profiles.map(profile => (
+                    <button
+                        key={profile.name}
+                        type="button"
+                        onClick={() => selectProfile(profile)}
+                        className={`${buttonClass} ring-1 ring-inset ring-[#3e4451] ${selectedName === profile.name ? 'bg-[#f0b90b] text-black' : 'bg-[#14181f] text-gray-300 hover:bg-[#2b2f38]'}`}
+                    >
+                        {profile.name}
+                    </button>
+                ))}
+            </div>
+
+            {draft && (
+                <div className="space-y-4">
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                        {numberFields.map(({ key, label, step }) => (
+                            <div key={key}>
+                                <label className="text-sm font-medium text-gray-300">{label}</label>
+                                <input
+                                    type="number"
+                                    step={step}
+                                    value={draft[key] as number}
+                                    onChange={(e) => setDraft({ ...draft, [key]: parseFloat(e.target.value) || 0 })}
+                                    className={inputClass}
+                                />
+                            </div>
+                        ))}
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                        {booleanFields.map(({ key, label }) => (
+                            <div key={key} className="flex justify-between items-center bg-[#0c0e12]/30 p-3 rounded-lg">
+                                <span className="text-sm font-medium text-gray-300">{label}</span>
+                                <ToggleSwitch checked={draft[key] as boolean} onChange={(checked) => setDraft({ ...draft, [key]: checked })} leftLabel="ON" rightLabel="OFF" />
+                            </div>
+                        ))}
+                    </div>
+                    <div className="flex flex-wrap items-center gap-3">
+                        <button type="button" onClick={handleSaveProfile} disabled={isSaving} className={`${buttonClass} bg-[#f0b90b] text-black hover:bg-yellow-500`}>
+                            Sauvegarder {draft.name}
+                        </button>
+                        <button type="button" onClick={handleDeleteProfile} disabled={isSaving} className={`${buttonClass} bg-red-700 text-white hover:bg-red-600`}>
+                            Supprimer
+                        </button>
+                        <div className="flex items-center gap-2 ml-auto">
+                            <input
+                                type="text"
+                                placeholder="NOM_DU_PROFIL"
+                                value={newName}
+                                onChange={(e) => setNewName(e.target.value.toUpperCase())}
+                                className={`${inputClass} mt-0 w-48`}
+                            />
+                            <button type="button" onClick={handleCreateProfile} disabled={isSaving || !newName} className={`${buttonClass} bg-sky-700 text-white hover:bg-sky-600`}>
+                                Créer à partir de ce profil
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Selection rules */}
+            <div className="space-y-3">
+                <h4 className="text-md font-semibold text-white">Règles de Sélection (évaluées dans l'ordre)</h4>
+                {rules.length === 0 && <p className="text-sm text-gray-500">Aucune règle : les paramètres manuels seront utilisés.</p>}
+                {rules.map((rule, index) => (
+                    <div key={index} className="bg-[#0c0e12]/30 p-3 rounded-lg space-y-3">
+                        <div className="flex flex-wrap items-center gap-3">
+                            <span className="text-sm font-semibold text-gray-400">#{index + 1}</span>
+                            <select value={rule.profile} onChange={(e) => updateRule(index, { profile: e.target.value })} className={`${inputClass} mt-0 w-48`}>
+                                {profiles.map(p => <option key={p.name} value={p.name}>{p.name}</option>)}
+                            </select>
+                            {ruleBounds.map(({ key, label }) => (
+                                <label key={key} className="flex items-center gap-1 text-sm text-gray-300">
+                                    {label}
+                                    <input
+                                        type="number"
+                                        step="0.1"
+                                        value={rule[key] ?? ''}
+                                        onChange={(e) => updateRule(index, { [key]: e.target.value === '' ? null : parseFloat(e.target.value) })}
+                                        className={`${inputClass} mt-0 w-20`}
+                                    />
+                                </label>
+                            ))}
+                            <div className="flex gap-1 ml-auto">
+                                <button type="button" onClick={() => moveRule(index, -1)} className={`${buttonClass} bg-[#2b2f38] text-gray-300`}>▲</button>
+                                <button type="button" onClick={() => moveRule(index, 1)} className={`${buttonClass} bg-[#2b2f38] text-gray-300`}>▼</button>
+                                <button type="button" onClick={() => setRules(rules.filter((_, i) => i !== index))} className={`${buttonClass} bg-red-700 text-white`}>&times;</button>
+                            </div>
+                        </div>
+                        <div className="flex flex-wrap gap-4 text-sm text-gray-300">
+                            <span className="text-gray-500">Stratégies (toutes si aucune) :</span>
+                            {STRATEGY_TYPES.map(type => (
+                                <label key={type} className="flex items-center gap-1">
+                                    <input type="checkbox" checked={rule.strategyTypes.includes(type)} onChange={() => updateRule(index, { strategyTypes: toggleInList(rule.strategyTypes, type) })} />
+                                    {type}
+                                </label>
+                            ))}
+                            <span className="text-gray-500 ml-4">Régimes (tous si aucun) :</span>
+                            {REGIMES.map(regime => (
+                                <label key={regime} className="flex items-center gap-1">
+                                    <input type="checkbox" checked={rule.regimes.includes(regime)} onChange={() => updateRule(index, { regimes: toggleInList(rule.regimes, regime) })} />
+                                    {regime}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                ))}
+                <div className="flex gap-3">
+                    <button type="button" onClick={addRule} className={`${buttonClass} bg-[#2b2f38] text-gray-200 hover:bg-[#3e4451]`}>Ajouter une règle</button>
+                    <button type="button" onClick={handleSaveRules} disabled={isSaving} className={`${buttonClass} bg-[#f0b90b] text-black hover:bg-yellow-500`}>
+                        {isSaving ? <Spinner size="sm" /> : 'Sauvegarder les règles'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default TradeProfilesEditor;
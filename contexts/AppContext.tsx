@@ -2,7 +2,7 @@ import React, { createContext, useState, useContext, ReactNode, useCallback } fr
 import { api } from '../services/mockApi';
 import { positionService } from '../services/positionService';
 import { logService } from '../services/logService';
-import { BotSettings, CircuitBreakerStatus, FearAndGreed } from '../types';
+import { BotSettings, CircuitBreakerStatus, FearAndGreed, MarketRegimeReport } from '../types';
 
 interface AppContextType {
   tradeActivityCounter: number;
@@ -15,6 +15,8 @@ interface AppContextType {
   setCircuitBreakerStatus: React.Dispatch<React.SetStateAction<CircuitBreakerStatus>>;
   fearAndGreed: FearAndGreed | null;
   setFearAndGreed: React.Dispatch<React.SetStateAction<FearAndGreed | null>>;
+  marketRegime: MarketRegimeReport | null;
+  setMarketRegime: React.Dispatch<React.SetStateAction<MarketRegimeReport | null>>;
 }
 
 const AppContext = createContext<AppContextType | undefined>(undefined);
@@ -25,6 +27,7 @@ export const AppProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
   const [settings, setSettings] = useState<BotSettings | null>(null);
   const [circuitBreakerStatus, setCircuitBreakerStatus] = useState<CircuitBreakerStatus>('NONE');
   const [fearAndGreed, setFearAndGreed] = useState<FearAndGreed | null>(null);
+  const [marketRegime, setMarketRegime] = useState<MarketRegimeReport | null>(null);
 
   const refreshData = useCallback(async () => {
     logService.log('INFO', 'WebSocket triggered position refresh. Fetching fresh data...');
@@ -47,7 +50,8 @@ export const AppProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
         settingsActivityCounter, incrementSettingsActivity, 
         settings, setSettings, 
         circuitBreakerStatus, setCircuitBreakerStatus,
-        fearAndGreed, setFearAndGreed
+        fearAndGreed, setFearAndGreed,
+        marketRegime, setMarketRegime
     }}>
       {children}
     </AppContext.Provider>
@@ -90,7 +90,7 @@ const BacktestingPage: React.FC = () => {
         <div>
           <h2 className="text-2xl font-bold text-white">Backtesting de Stratégie</h2>
           <p className="text-sm text-gray-400 mt-1">
-            Testez la stratégie "BB Breakdown → Exit @ Upper BB" sur les paires du scanner et plusieurs unités de temps.
+            Testez les stratégies actives sur les paires du scanner et plusieurs unités de temps (sortie au Stop Loss ou au Take Profit des paramètres manuels).
           </p>
         </div>
         <button
@@ -111,6 +111,7 @@ const BacktestingPage: React.FC = () => {
               <tr>
                 <SortableHeader sortKey="symbol">Symbole</SortableHeader>
                 <SortableHeader sortKey="timeframe">Timeframe</SortableHeader>
+                <SortableHeader sortKey="strategy">Stratégie</SortableHeader>
                 <SortableHeader sortKey="netProfitPct">Profit Net (%)</SortableHeader>
                 <SortableHeader sortKey="totalTrades">Trades</SortableHeader>
                 <SortableHeader sortKey="winRate">Taux de Victoire (%)</SortableHeader>
@@ -121,7 +122,7 @@ const BacktestingPage: React.FC = () => {
             <tbody className="bg-[#14181f]/50 divide-y divide-[#2b2f38]">
               {isLoading && (
                 <tr>
-                  <td colSpan={7} className="text-center py-16">
+                  <td colSpan={8} className="text-center py-16">
                     <div className="flex flex-col items-center justify-center gap-4">
                       <Spinner />
                       <span className="text-gray-400">Backtesting en cours...</span>
@@ -131,15 +132,16 @@ const BacktestingPage: React.FC = () => {
               )}
               {!isLoading && results.length === 0 && (
                 <tr>
-                  <td colSpan={7} className="text-center py-16 text-gray-500">
+                  <td colSpan={8} className="text-center py-16 text-gray-500">
                     Cliquez sur "Lancer le Backtest" pour commencer.
                   </td>
                 </tr>
               )}
               {sortedResults.map((res, index) => (
-                <tr key={`${res.symbol}-${res.timeframe}-${index}`} className="hover:bg-[#2b2f38]/50 transition-colors">
+                <tr key={`${res.symbol}-${res.timeframe}-${res.strategy}-${index}`} className="hover:bg-[#2b2f38]/50 transition-colors">
                   <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-white">{res.symbol}</td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">{res.timeframe}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">{res.strategy}</td>
                   <td className={`px-6 py-4 whitespace-nowrap text-sm font-semibold ${getPnlClass(res.netProfitPct)}`}>
                     {res.netProfitPct.toFixed(2)}%
                   </td>
@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { ResponsiveContainer, AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip } from 'recharts';
 import { api } from '../services/mockApi';
-import { BotStatus, Trade, PerformanceStats, OrderSide, TradingMode, BotSettings, OrderStatus, ScannedPair, ActiveProfile } from '../types';
+import { BotStatus, Trade, PerformanceStats, OrderSide, TradingMode, BotSettings, OrderStatus, ScannedPair, ActiveProfile, MarketRegime } from '../types';
 import StatCard from '../components/common/StatCard';
 import Spinner from '../components/common/Spinner';
 import Modal from '../components/common/Modal';
@@ -34,7 +34,7 @@ const getScoreBadgeClass = (score: ScannedPair['score'] | undefined) => {
 
 const getProfileIcon = (profile: ActiveProfile | undefined) => {
     if (!profile) return null;
-    const map: Record<ActiveProfile, { icon: string, title: string }> = {
+    const map: Record<string, { icon: string, title: string }> = {
         'SNIPER': { icon: '🎯', title: 'Profil Sniper : Vise des gains élevés avec un trailing stop adaptatif.' },
         'SCALPER': { icon: '🔪', title: 'Profil Scalpeur : Vise des gains rapides et fixes dans un marché en range.' },
         'VOLATILITY_HUNTER': { icon: '⚡️', title: 'Profil Chasseur de Volatilité : Gestion agressive pour les marchés explosifs.' },
@@ -42,8 +42,8 @@ const getProfileIcon = (profile: ActiveProfile | undefined) => {
         'MANUAL': { icon: '✍️', title: 'Profil Manuel : Utilise les paramètres globaux actuellement sauvegardés.' },
         'CUSTOM': { icon: '⚙️', title: 'Profil Personnalisé : Paramètres manuels non alignés sur un profil standard.' },
     };
-    const item = map[profile];
-    return item ? <span title={item.title} className="text-xl">{item.icon}</span> : null;
+    const item = map[profile] ?? { icon: '🧩', title: `Profil ${profile} : profil de trade défini par l'utilisateur.` };
+    return <span title={item.title} className="text-xl">{item.icon}</span>;
 };
 
 const ActivePositionsTable: React.FC<{ positions: Trade[], onManualClose: (trade: Trade) => void, onSymbolClick: (symbol: string) => void, settings: BotSettings | null }> = ({ positions, onManualClose, onSymbolClick, settings }) => {
@@ -87,7 +87,12 @@ const ActivePositionsTable: React.FC<{ positions: Trade[], onManualClose: (trade
                                     <div className="flex items-center">
                                         <span className="mr-2">{pos.symbol}</span>
                                         {pos.strategy_type === 'IGNITION' && <span title="Trade Ignition">🚀</span>}
-                                        {pos.is_scaling_in && (
+                                        {pos.status === OrderStatus.PENDING && (
+                                            <span className="ml-2 text-xs font-semibold bg-amber-700 text-amber-200 px-2 py-0.5 rounded-full animate-pulse" title={`Ordre LIMIT en attente @ $${formatPrice(pos.limit_order?.price)}`}>
+                                                En attente
+                                            </span>
+                                        )}
+                                        {pos.status !== OrderStatus.PENDING && pos.is_scaling_in && (
                                             <span className="ml-2 text-xs font-semibold bg-sky-700 text-sky-200 px-2 py-0.5 rounded-full animate-pulse">
                                                 Scaling In...
                                             </span>
@@ -152,7 +157,7 @@ const DashboardPage: React.FC = () => {
     const [loading, setLoading] = useState(true);
     const [isCloseModalOpen, setIsCloseModalOpen] = useState(false);
     const [tradeToClose, setTradeToClose] = useState<Trade | null>(null);
-    const { tradeActivityCounter, fearAndGreed } = useAppContext();
+    const { tradeActivityCounter, fearAndGreed, marketRegime } = useAppContext();
     const { tradingMode } = useBotState();
     const [selectedSymbol, setSelectedSymbol] = useState<string | null>(null);
 
@@ -249,7 +254,7 @@ const DashboardPage: React.FC = () => {
 
         let cumulativePnl = 0;
         const data = sortedTrades.map((trade, index) => {
-            cumulativePnl += trade.pnl || 0;
+            cumulativePnl += trade.pnl_usd ?? trade.pnl ?? 0;
             return {
                 name: `T${index + 1}`,
                 pnl: cumulativePnl,
@@ -284,13 +289,29 @@ const DashboardPage: React.FC = () => {
         return 'text-emerald-400';
     };
 
+    const regimeLabels: Record<MarketRegime, { label: string; className: string }> = {
+        BULL: { label: 'Haussier', className: 'text-green-400' },
+        RANGE: { label: 'Range', className: 'text-yellow-400' },
+        BEAR: { label: 'Baissier', className: 'text-orange-400' },
+        RISK_OFF: { label: 'Risk-Off', className: 'text-red-400' },
+    };
+    const regime = marketRegime ?? status.market_regime;
+    const regimeSubtitle = !regime ? 'Chargement...'
+        : regime.breadth_pct === null ? 'Largeur de marché indisponible'
+        : `${regime.breadth_pct.toFixed(0)}% des paires > EMA50 4h`;
+
+    const otherBalances = Object.entries(status.quote_balances || {})
+        .filter(([, amount]) => amount > 0)
+        .map(([asset, amount]) => `${parseFloat(amount.toPrecision(6))} ${asset}`)
+        .join(' · ');
+
     const totalPnlClass = stats.total_pnl > 0 ? 'text-green-400' : stats.total_pnl < 0 ? 'text-red-400' : 'text-gray-100';
 
     return (
         <>
         <div className="space-y-6">
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-6">
-                <StatCard title="Solde" value={`$${status.balance.toFixed(2)}`} subtitle={getModeLabel(status.mode)} />
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-6 gap-6">
+                <StatCard title="Solde" value={`$${status.balance.toFixed(2)}`} subtitle={otherBalances ? `${getModeLabel(status.mode)} · ${otherBalances}` : getModeLabel(status.mode)} />
                 <StatCard title="Positions Ouvertes" value={status.positions} subtitle={`Max: ${status.max_open_positions}`} />
                 <StatCard title="PnL Total" value={`$${stats.total_pnl.toFixed(2)}`} subtitle={`Taux de Victoire: ${stats.win_rate.toFixed(1)}%`} valueClassName={totalPnlClass} />
                 <StatCard title="Paires Suivies" value={status.monitored_pairs} subtitle={`Volume > $${(settings.MIN_VOLUME_USD / 1000000).toFixed(0)}M`} />
@@ -300,6 +321,12 @@ const DashboardPage: React.FC = () => {
                     subtitle={fearAndGreed?.classification ?? 'Chargement...'} 
                     valueClassName={fearAndGreed ? getSentimentColor(fearAndGreed.value) : ''} 
                 />
+                <StatCard
+                    title="Régime de Marché"
+                    value={regime ? regimeLabels[regime.regime].label : '...'}
+                    subtitle={settings.USE_MARKET_REGIME_FILTER ? regimeSubtitle : 'Filtre désactivé'}
+                    valueClassName={regime ? regimeLabels[regime.regime].className : ''}
+                />
             </div>
 
             {selectedSymbol && (
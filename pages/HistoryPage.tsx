@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { api } from '../services/mockApi';
-import { Trade, OrderSide, TradingMode, ScannedPair, ActiveProfile } from '../types';
+import { Trade, OrderSide, TradingMode, ScannedPair, ActiveProfile, ExitReason } from '../types';
 import Spinner from '../components/common/Spinner';
 import StatCard from '../components/common/StatCard';
 import { useAppContext } from '../contexts/AppContext';
@@ -9,7 +9,7 @@ import TradingViewWidget from '../components/common/TradingViewWidget';
 
 
 // --- TYPE DEFINITIONS ---
-type SortableKeys = 'symbol' | 'entry_time' | 'exit_time' | 'pnl' | 'pnl_pct' | 'entry_price' | 'exit_price' | 'stop_loss' | 'take_profit' | 'strategy_type' | 'active_profile';
+type SortableKeys = 'symbol' | 'entry_time' | 'exit_time' | 'pnl' | 'pnl_pct' | 'entry_price' | 'exit_price' | 'exit_reason' | 'stop_loss' | 'take_profit' | 'strategy_type' | 'active_profile';
 type SortDirection = 'asc' | 'desc';
 
 interface SortConfig {
@@ -48,7 +48,7 @@ const getScoreBadgeClass = (score: ScannedPair['score'] | undefined) => {
 
 const getProfileIcon = (profile: ActiveProfile | undefined) => {
     if (!profile) return null;
-    const map: Record<ActiveProfile, { icon: string, title: string }> = {
+    const map: Record<string, { icon: string, title: string }> = {
         'SNIPER': { icon: '🎯', title: 'Profil Sniper : Vise des gains élevés avec un trailing stop adaptatif.' },
         'SCALPER': { icon: '🔪', title: 'Profil Scalpeur : Vise des gains rapides et fixes dans un marché en range.' },
         'VOLATILITY_HUNTER': { icon: '⚡️', title: 'Profil Chasseur de Volatilité : Gestion agressive pour les marchés explosifs.' },
@@ -56,8 +56,21 @@ const getProfileIcon = (profile: ActiveProfile | undefined) => {
         'MANUAL': { icon: '✍️', title: 'Profil Manuel : Utilise les paramètres globaux actuellement sauvegardés.' },
         'CUSTOM': { icon: '⚙️', title: 'Profil Personnalisé : Paramètres manuels non alignés sur un profil standard.' },
     };
-    const item = map[profile];
-    return item ? <span title={item.title} className="text-xl">{item.icon}</span> : null;
+    const item = map[profile] ?? { icon: '🧩', title: `Profil ${profile} : profil de trade défini par l'utilisateur.` };
+    return <span title={item.title} className="text-xl">{item.icon}</span>;
+};
+
+const exitReasonLabels: Record<ExitReason, string> = {
+    STOP_LOSS: 'Stop Loss',
+    TAKE_PROFIT: 'Take Profit',
+    MAX_HOLDING_TIME: 'Durée Max',
+    NO_PROGRESS: 'Sans Progression',
+    TREND_INVALIDATED: 'Tendance 4h Inversée',
+    PROTECTIVE_ORDER: 'Ordre Binance (OCO)',
+    MANUAL: 'Manuelle',
+    EMERGENCY: 'Urgence',
+    CLOSED_EXTERNALLY: 'Hors du Bot',
+    DUST: 'Reliquat Invendable',
 };
 
 // --- SUB-COMPONENTS ---
@@ -140,7 +153,8 @@ const HistoryPage: React.FC = () => {
     const totalTrades = sortedTrades.length;
     const winningTrades = sortedTrades.filter(t => (t.pnl || 0) > 0).length;
     const losingTrades = sortedTrades.filter(t => (t.pnl || 0) < 0).length;
-    const totalPnl = sortedTrades.reduce((sum, t) => sum + (t.pnl || 0), 0);
+    // pnl is in the trade's quote asset; pnl_usd makes trades of every quote comparable.
+    const totalPnl = sortedTrades.reduce((sum, t) => sum + (t.pnl_usd ?? t.pnl ?? 0), 0);
     const winRate = totalTrades > 0 ? (winningTrades / totalTrades) * 100 : 0;
 
     return { 
@@ -163,7 +177,7 @@ const HistoryPage: React.FC = () => {
         return;
     }
 
-    const headers = ['ID', 'Symbole', 'Stratégie', 'Profil', 'Côté', 'Mode', 'Heure d\'Entrée', 'Heure de Sortie', 'Prix d\'Entrée', 'Prix de Sortie', 'Stop Loss', 'Take Profit', 'Quantité', 'PnL ($)', 'PnL %', 'Score Entrée', 'Tendance 4h (EMA50)', 'RSI 1h Entrée'];
+    const headers = ['ID', 'Symbole', 'Stratégie', 'Profil', 'Côté', 'Mode', 'Heure d\'Entrée', 'Heure de Sortie', 'Prix d\'Entrée', 'Prix de Sortie', 'Raison de Sortie', 'Stop Loss', 'Take Profit', 'Quantité', 'Devise de Cotation', 'PnL', 'PnL ($)', 'PnL %', 'PnL Brut', 'Frais', 'Score Entrée', 'Tendance 4h (EMA50)', 'RSI 1h Entrée'];
     
     const rows = filteredAndSortedTrades.map(trade => [
         trade.id,
@@ -176,11 +190,16 @@ const HistoryPage: React.FC = () => {
         `"${trade.exit_time || 'N/A'}"`,
         trade.entry_price,
         trade.exit_price || 'N/A',
+        trade.exit_reason || 'N/A',
         trade.stop_loss,
         trade.take_profit,
         trade.quantity,
+        trade.quote_asset || 'USDT',
         trade.pnl?.toFixed(4) || 'N/A',
+        (trade.pnl_usd ?? trade.pnl)?.toFixed(4) || 'N/A',
         trade.pnl_pct?.toFixed(2) || 'N/A',
+        trade.gross_pnl?.toFixed(4) || 'N/A',
+        trade.fees_usd?.toFixed(4) || 'N/A',
         trade.entry_snapshot?.score || 'N/A',
         trade.entry_snapshot?.price_above_ema50_4h ? 'HAUSSIER' : 'BAISSIER',
         trade.entry_snapshot?.rsi_1h?.toFixed(2) || 'N/A'
@@ -246,11 +265,15 @@ const HistoryPage: React.FC = () => {
                 </div>
                  <div className="bg-[#0c0e12]/50 p-2 rounded-md">
                     <div className="text-gray-400 text-xs">PnL ($)</div>
-                    <div className={`font-semibold ${getPnlClass(selectedTradeForChart.pnl || 0)}`}>${selectedTradeForChart.pnl?.toFixed(2) ?? 'N/A'}</div>
+                    <div className={`font-semibold ${getPnlClass(selectedTradeForChart.pnl || 0)}`}>${(selectedTradeForChart.pnl_usd ?? selectedTradeForChart.pnl)?.toFixed(2) ?? 'N/A'}</div>
                 </div>
                  <div className="bg-[#0c0e12]/50 p-2 rounded-md">
                     <div className="text-gray-400 text-xs">PnL (%)</div>
                     <div className={`font-semibold ${getPnlClass(selectedTradeForChart.pnl_pct || 0)}`}>{selectedTradeForChart.pnl_pct?.toFixed(2) ?? 'N/A'}%</div>
+                </div>
+                 <div className="bg-[#0c0e12]/50 p-2 rounded-md">
+                    <div className="text-gray-400 text-xs">Frais ($)</div>
+                    <div className="font-semibold">${selectedTradeForChart.fees_usd?.toFixed(2) ?? 'N/A'}</div>
                 </div>
                  <div className="bg-[#0c0e12]/50 p-2 rounded-md">
                     <div className="text-gray-400 text-xs">Heure Entrée</div>
@@ -307,6 +330,7 @@ const HistoryPage: React.FC = () => {
                         <SortableHeader sortConfig={sortConfig} requestSort={requestSort} sortKey="exit_time">Heure de Sortie</SortableHeader>
                         <SortableHeader sortConfig={sortConfig} requestSort={requestSort} sortKey="entry_price">Prix d'Entrée</SortableHeader>
                         <SortableHeader sortConfig={sortConfig} requestSort={requestSort} sortKey="exit_price">Prix de Sortie</SortableHeader>
+                        <SortableHeader sortConfig={sortConfig} requestSort={requestSort} sortKey="exit_reason">Raison de Sortie</SortableHeader>
                         <SortableHeader sortConfig={sortConfig} requestSort={requestSort} sortKey="stop_loss">Stop Loss</SortableHeader>
                         <SortableHeader sortConfig={sortConfig} requestSort={requestSort} sortKey="take_profit">Take Profit</SortableHeader>
                         <SortableHeader sortConfig={sortConfig} requestSort={requestSort} sortKey="pnl">PnL ($)</SortableHeader>
@@ -347,9 +371,10 @@ const HistoryPage: React.FC = () => {
                             <td className="px-3 lg:px-6 py-4 whitespace-nowrap text-sm text-gray-400">{trade.exit_time ? new Date(trade.exit_time).toLocaleString(undefined, dateTimeFormatOptions) : 'N/A'}</td>
                             <td className="px-3 lg:px-6 py-4 whitespace-nowrap text-sm text-gray-300">${formatPrice(trade.entry_price)}</td>
                             <td className="px-3 lg:px-6 py-4 whitespace-nowrap text-sm text-gray-300">${formatPrice(trade.exit_price)}</td>
+                            <td className="px-3 lg:px-6 py-4 whitespace-nowrap text-sm text-gray-400">{trade.exit_reason ? exitReasonLabels[trade.exit_reason] : 'N/A'}</td>
                             <td className="px-3 lg:px-6 py-4 whitespace-nowrap text-sm text-gray-300">${formatPrice(trade.stop_loss)}</td>
                             <td className="px-3 lg:px-6 py-4 whitespace-nowrap text-sm text-gray-300">${formatPrice(trade.take_profit)}</td>
-                            <td className={`px-3 lg:px-6 py-4 whitespace-nowrap text-sm font-medium ${getPnlClass(trade.pnl)}`}>${trade.pnl?.toFixed(2) || 'N/A'}</td>
+                            <td className={`px-3 lg:px-6 py-4 whitespace-nowrap text-sm font-medium ${getPnlClass(trade.pnl)}`}>${(trade.pnl_usd ?? trade.pnl)?.toFixed(2) || 'N/A'}</td>
                             <td className={`px-3 lg:px-6 py-4 whitespace-nowrap text-sm font-medium ${getPnlClass(trade.pnl_pct)}`}>${trade.pnl_pct?.toFixed(2) || 'N/A'}%</td>
                         </tr>
                     ))}
@@ -0,0 +1,232 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { api } from '../services/mockApi';
+import { websocketService, ReplayCommand } from '../services/websocketService';
+import { scannerStore } from '../services/scannerStore';
+import { ReplayLedger, ReplayStatus } from '../types';
+import { useNotifier } from '../contexts/NotificationContext';
+import Spinner from '../components/common/Spinner';
+
+const SPEED_OPTIONS = [
+  { value: 60, label: 'x60 (1 bougie 1m / s)' },
+  { value: 300, label: 'x300' },
+  { value: 1800, label: 'x1800' },
+  { value: 0, label: 'Maximum' },
+];
+
+const dateTimeFormatOptions: Intl.DateTimeFormatOptions = {
+  year: 'numeric', month: '2-digit', day: '2-digit',
+  hour: '2-digit', minute: '2-digit', hour12: false,
+};
+
+// <input type="datetime-local"> works in local time without a timezone suffix
+const toLocalInput = (time: number) => {
+  const date = new Date(time);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const getDefaultPeriod = () => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return { start: toLocalInput(today.getTime() - 24 * 60 * 60 * 1000), end: toLocalInput(today.getTime()) };
+};
+
+const getPnlClass = (pnl: number = 0) => {
+  if (pnl > 0) return 'text-green-400';
+  if (pnl < 0) return 'text-red-400';
+  return 'text-gray-300';
+};
+
+const STATUS_LABELS: Record<ReplayStatus['status'], string> = {
+  IDLE: 'Inactif', LOADING: 'Chargement des données', RUNNING: 'En cours', PAUSED: 'En pause',
+  FINISHED: 'Terminé', STOPPED: 'Arrêté', ERROR: 'Erreur',
+};
+
+const ReplayPage: React.FC = () => {
+  const [ledger, setLedger] = useState<ReplayLedger | null>(null);
+  const [status, setStatus] = useState<ReplayStatus | null>(null);
+  const [symbols, setSymbols] = useState(() => scannerStore.getScannedPairs().slice(0, 5).map(p => p.symbol).join(','));
+  const [period, setPeriod] = useState(getDefaultPeriod);
+  const [speed, setSpeed] = useState(60);
+  const [seekTime, setSeekTime] = useState<number | null>(null);
+  const { addNotification } = useNotifier();
+  const tradeCountRef = useRef<string>('');
+
+  const refreshLedger = async () => {
+    try {
+      const data = await api.getReplay();
+      setLedger(data);
+      setStatus(data);
+    } catch (err: any) {
+      addNotification('error', 'Replay', err.message || 'Impossible de charger le replay.');
+    }
+  };
+
+  useEffect(() => {
+    refreshLedger();
+    websocketService.onReplayStatus(setStatus);
+    return () => websocketService.onReplayStatus(null);
+  }, []);
+
+  // The ledger is only refetched when positions open or close
+  useEffect(() => {
+    if (!status) return;
+    const key = `${status.start_time}-${status.open_positions}-${status.closed_trades}-${status.status}`;
+    if (key !== tradeCountRef.current) {
+      tradeCountRef.current = key;
+      refreshLedger();
+    }
+  }, [status]);
+
+  const send = (command: ReplayCommand) => {
+    if (!websocketService.sendReplayCommand(command)) {
+      addNotification('error', 'Replay', 'Connexion au serveur indisponible.');
+    }
+  };
+
+  const handleStart = () => {
+    const symbolList = symbols.split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+    send({
+      type: 'REPLAY_START',
+      payload: { symbols: symbolList, startTime: new Date(period.start).getTime(), endTime: new Date(period.end).getTime(), speed },
+    });
+  };
+
+  const handleSpeedChange = (value: number) => {
+    setSpeed(value);
+    if (status && ['RUNNING', 'PAUSED'].includes(status.status)) send({ type: 'REPLAY_SET_SPEED', payload: { speed: value } });
+  };
+
+  const commitSeek = () => {
+    if (seekTime === null) return;
+    send({ type: 'REPLAY_SEEK', payload: { time: seekTime } });
+    setSeekTime(null);
+  };
+
+  const state = status?.status || 'IDLE';
+  const isActive = ['RUNNING', 'PAUSED'].includes(state);
+  const canSeek = isActive || state === 'FINISHED';
+  const inputClass = "mt-1 block w-full rounded-md border-[#3e4451] bg-[#0c0e12] shadow-sm focus:border-[#f0b90b] focus:ring-[#f0b90b] sm:text-sm text-white";
+  const buttonClass = "inline-flex items-center justify-center rounded-md px-4 py-2 text-sm font-semibold shadow-sm disabled:opacity-50";
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-white">Replay de Marché</h2>
+        <p className="text-sm text-gray-400 mt-1">
+          Rejoue une période passée dans le pipeline temps réel (analyse, signaux, gestion des positions) avec une horloge simulée. Les trades du replay sont tenus dans un registre séparé, en mode virtuel.
+        </p>
+      </div>
+
+      <div className="bg-[#14181f]/50 border border-[#2b2f38] rounded-lg p-6 shadow-lg space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div className="md:col-span-2">
+            <label htmlFor="replay-symbols" className="text-sm font-medium text-gray-300">Symboles (séparés par des virgules)</label>
+            <input id="replay-symbols" type="text" value={symbols} onChange={e => setSymbols(e.target.value)} disabled={isActive || state === 'LOADING'} className={inputClass} />
+          </div>
+          <div>
+            <label htmlFor="replay-start" className="text-sm font-medium text-gray-300">Début</label>
+            <input id="replay-start" type="datetime-local" value={period.start} onChange={e => setPeriod({ ...period, start: e.target.value })} disabled={isActive || state === 'LOADING'} className={inputClass} />
+          </div>
+          <div>
+            <label htmlFor="replay-end" className="text-sm font-medium text-gray-300">Fin</label>
+            <input id="replay-end" type="datetime-local" value={period.end} onChange={e => setPeriod({ ...period, end: e.target.value })} disabled={isActive || state === 'LOADING'} className={inputClass} />
+          </div>
+        </div>
+
+        <div className="flex flex-col md:flex-row md:items-end gap-4">
+          <div className="md:w-56">
+            <label htmlFor="replay-speed" className="text-sm font-medium text-gray-300">Vitesse</label>
+            <select id="replay-speed" value={speed} onChange={e => handleSpeedChange(Number(e.target.value))} className={inputClass}>
+              {SPEED_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </select>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <button onClick={handleStart} disabled={state === 'LOADING'} className={`${buttonClass} bg-[#f0b90b] text-black hover:bg-yellow-500`}>
+              {state === 'LOADING' ? <Spinner size="sm" /> : 'Lancer le Replay'}
+            </button>
+            {state === 'RUNNING' && <button onClick={() => send({ type: 'REPLAY_PAUSE' })} className={`${buttonClass} bg-gray-600 text-white hover:bg-gray-700`}>Pause</button>}
+            {state === 'PAUSED' && <button onClick={() => send({ type: 'REPLAY_RESUME' })} className={`${buttonClass} bg-gray-600 text-white hover:bg-gray-700`}>Reprendre</button>}
+            {isActive && <button onClick={() => send({ type: 'REPLAY_STOP' })} className={`${buttonClass} bg-red-700 text-white hover:bg-red-800`}>Arrêter</button>}
+          </div>
+        </div>
+
+        {status && status.start_time !== null && status.end_time !== null && (
+          <div className="space-y-2">
+            <div className="flex justify-between text-xs text-gray-400">
+              <span>{new Date(status.start_time).toLocaleString(undefined, dateTimeFormatOptions)}</span>
+              <span className="text-white font-semibold">
+                {new Date(seekTime ?? status.current_time ?? status.start_time).toLocaleString(undefined, dateTimeFormatOptions)}
+              </span>
+              <span>{new Date(status.end_time).toLocaleString(undefined, dateTimeFormatOptions)}</span>
+            </div>
+            <input
+              type="range"
+              min={status.start_time}
+              max={status.end_time}
+              step={60000}
+              value={seekTime ?? status.current_time ?? status.start_time}
+              disabled={!canSeek}
+              onChange={e => setSeekTime(Number(e.target.value))}
+              onMouseUp={commitSeek}
+              onTouchEnd={commitSeek}
+              onKeyUp={commitSeek}
+              className="w-full accent-[#f0b90b]"
+            />
+          </div>
+        )}
+      </div>
+
+      {status && status.status !== 'IDLE' && (
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+          {[
+            { label: 'Statut', value: state === 'LOADING' && status.loading_pct !== undefined ? `${STATUS_LABELS[state]} (${status.loading_pct.toFixed(0)}%)` : STATUS_LABELS[state] },
+            { label: 'Progression', value: `${status.progress_pct.toFixed(1)}%` },
+            { label: 'Solde', value: status.balance !== null ? `$${status.balance.toFixed(2)}` : 'N/A' },
+            { label: 'PnL Total', value: `$${status.total_pnl_usd.toFixed(2)}`, className: getPnlClass(status.total_pnl_usd) },
+            { label: 'Positions / Trades', value: `${status.open_positions} / ${status.closed_trades}` },
+          ].map(card => (
+            <div key={card.label} className="bg-[#14181f]/50 border border-[#2b2f38] rounded-lg p-4">
+              <div className="text-xs text-gray-400 uppercase">{card.label}</div>
+              <div className={`text-lg font-semibold ${card.className || 'text-white'}`}>{card.value}</div>
+            </div>
+          ))}
+        </div>
+      )}
+      {status?.error && <div className="bg-red-900/50 border border-red-700 text-red-200 px-4 py-3 rounded-lg">{status.error}</div>}
+
+      <div className="bg-[#14181f]/50 border border-[#2b2f38] rounded-lg shadow-lg overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-[#2b2f38]">
+            <thead className="bg-[#14181f]">
+              <tr>
+                {['Symbole', 'Stratégie', 'Entrée', 'Sortie', 'Raison', 'PnL ($)', 'PnL (%)'].map(header => (
+                  <th key={header} scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">{header}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-[#14181f]/50 divide-y divide-[#2b2f38]">
+              {(!ledger || ledger.positions.length + ledger.history.length === 0) && (
+                <tr>
+                  <td colSpan={7} className="text-center py-16 text-gray-500">Aucun trade dans ce replay.</td>
+                </tr>
+              )}
+              {ledger && [...ledger.positions, ...[...ledger.history].reverse()].map(trade => (
+                <tr key={trade.id} className="hover:bg-[#2b2f38]/50 transition-colors">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-white">{trade.symbol}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">{trade.strategy_type || 'N/A'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-400">{new Date(trade.entry_time).toLocaleString(undefined, dateTimeFormatOptions)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-400">{trade.exit_time ? new Date(trade.exit_time).toLocaleString(undefined, dateTimeFormatOptions) : 'Ouverte'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">{trade.exit_reason || '-'}</td>
+                  <td className={`px-6 py-4 whitespace-nowrap text-sm font-semibold ${getPnlClass(trade.pnl_usd ?? trade.pnl)}`}>{(trade.pnl_usd ?? trade.pnl ?? 0).toFixed(2)}</td>
+                  <td className={`px-6 py-4 whitespace-nowrap text-sm ${getPnlClass(trade.pnl_pct)}`}>{(trade.pnl_pct ?? 0).toFixed(2)}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReplayPage;
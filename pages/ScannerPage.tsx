@@ -91,6 +91,8 @@ const ConditionDots: React.FC<{ conditions?: StrategyConditions }> = ({ conditio
         structure: 'Précision: Confirmation Structurelle 15m (Non utilisé actuellement)',
         momentum_impulse: 'Momentum: Bougie d\'impulsion 15m',
         momentum_confirmation: 'Momentum: Suivi 5m',
+        whale_detection: 'Sécurité Partagée: Aucune manipulation (Baleine) détectée récemment',
+        parabolic: 'Sécurité Partagée: Hausse récente 1m < Seuil (Anti-Parabolique)',
     };
 
     return (
@@ -105,6 +107,8 @@ const ConditionDots: React.FC<{ conditions?: StrategyConditions }> = ({ conditio
             <Dot active={conditions?.safety ?? false} tooltip={conditionTooltips.safety} />
             <Dot active={conditions?.rsi_mtf ?? false} tooltip={conditionTooltips.rsi_mtf} />
             <Dot active={conditions?.momentum_impulse ?? false} tooltip={conditionTooltips.momentum_impulse} />
+            <Dot active={conditions?.whale_detection ?? false} tooltip={conditionTooltips.whale_detection} />
+            <Dot active={conditions?.parabolic ?? false} tooltip={conditionTooltips.parabolic} />
         </div>
     );
 };
@@ -6,6 +6,7 @@ import { useAppContext } from '../contexts/AppContext';
 import ToggleSwitch from '../components/common/ToggleSwitch';
 import Tooltip from '../components/common/Tooltip';
 import Modal from '../components/common/Modal';
+import TradeProfilesEditor from '../components/settings/TradeProfilesEditor';
 
 // --- TYPES & PROFILES ---
 type ProfileName = 'Le Sniper' | 'Le Scalpeur' | 'Le Chasseur de Volatilité';
@@ -41,6 +42,7 @@ const settingProfiles: Record<ProfileName, Partial<BotSettings>> = {
         TRAILING_STOP_TIGHTEN_MULTIPLIER_REDUCTION: 0.5,
         RISK_REWARD_RATIO: 5.0,
         USE_AGGRESSIVE_ENTRY_LOGIC: false,
+        USE_TREND_INVALIDATION_EXIT: true,
     },
     'Le Scalpeur': { // EQUILIBRE
         POSITION_SIZE_PCT: 3.0,
@@ -60,6 +62,8 @@ const settingProfiles: Record<ProfileName, Partial<BotSettings>> = {
         TRANSACTION_FEE_PCT: 0.1,
         USE_ADAPTIVE_TRAILING_STOP: false,
         USE_AGGRESSIVE_ENTRY_LOGIC: false,
+        MAX_HOLDING_HOURS: 4,
+        NO_PROGRESS_EXIT_CANDLES: 8,
     },
     'Le Chasseur de Volatilité': { // AGRESSIF
         POSITION_SIZE_PCT: 4.0,
@@ -97,10 +101,17 @@ const tooltips: Record<string, string> = {
     MIN_VOLUME_USD: "Le volume de trading minimum sur 24 heures qu'une paire doit avoir pour être prise en compte par le scanner. Filtre les marchés illiquides.",
     SCANNER_DISCOVERY_INTERVAL_SECONDS: "La fréquence (en secondes) à laquelle le bot doit effectuer un scan complet du marché pour découvrir et analyser les paires en fonction de leurs données graphiques sur 4h.",
     USE_VOLUME_CONFIRMATION: "Si activé, une cassure (breakout) n'est valide que si le volume est significativement supérieur à sa moyenne récente, confirmant l'intérêt du marché.",
-    USE_MARKET_REGIME_FILTER: "Un filtre maître. Si activé, le bot ne tradera que si la structure du marché à long terme (basée sur les MA 50/200 sur le graphique 4h) est dans une TENDANCE HAUSSIÈRE confirmée.",
+    USE_MARKET_REGIME_FILTER: "Un filtre maître. Classe le marché (HAUSSIER, RANGE, BAISSIER ou RISK-OFF) à partir de la tendance de BTC (EMA50 4h et 1j), de sa volatilité et de la part des paires suivies au-dessus de leur EMA50 4h. En RANGE seules les stratégies PRECISION sont autorisées avec une taille réduite ; en BAISSIER et RISK-OFF aucune nouvelle entrée n'est prise.",
+    MARKET_REGIME_BULL_BREADTH_PCT: "Part minimum des paires suivies au-dessus de leur EMA50 4h pour que le marché soit considéré HAUSSIER (avec BTC au-dessus de ses EMA50 4h et 1j).",
+    MARKET_REGIME_BEAR_BREADTH_PCT: "Si la part des paires au-dessus de leur EMA50 4h tombe sous ce seuil alors que BTC est sous son EMA50 4h, le marché passe en RISK-OFF.",
+    MARKET_REGIME_RISK_OFF_ATR_PCT: "Volatilité de BTC (ATR 4h en % du prix) au-dessus de laquelle une baisse de BTC sous son EMA50 4h place le marché en RISK-OFF.",
+    MARKET_REGIME_RANGE_SIZE_MULTIPLIER: "Multiplicateur appliqué à la taille des positions ouvertes lorsque le marché est en RANGE (ex: 0.5 = moitié de la taille normale).",
     REQUIRE_STRONG_BUY: "Si activé, le bot n'ouvrira de nouvelles transactions que pour les paires avec un score 'STRONG BUY'. Il ignorera les paires avec un score 'BUY' régulier, rendant la stratégie plus sélective.",
     LOSS_COOLDOWN_HOURS: "Anti-Churn : Si une transaction sur un symbole est clôturée à perte, le bot sera empêché de trader ce même symbole pendant ce nombre d'heures.",
+    QUOTE_ASSETS: "Les devises de cotation scannées, séparées par des virgules (ex: USDT,USDC,FDUSD,BTC,EUR). Les volumes de chaque marché sont convertis en USD avant d'être comparés au volume minimum.",
+    INITIAL_VIRTUAL_QUOTE_BALANCES: "Les soldes virtuels de départ des autres devises de cotation, au format 'USDC:5000,BTC:0.1'. Le solde USDT est défini par le Solde Virtuel Initial. Appliqués lorsque vous effacez toutes les données de trading.",
     EXCLUDED_PAIRS: "Une liste de paires séparées par des virgules à ignorer complètement, quel que soit leur volume (par exemple, USDCUSDT,FDUSDUSDT).",
+    EXCHANGE: "La plateforme utilisée pour les données de marché et les ordres. SIMULATED fournit un marché et un compte entièrement simulés (solde initial issu des soldes virtuels), utile pour tester les modes paper et live sans clés API. Appliqué au prochain redémarrage du serveur.",
     BINANCE_API_KEY: "Votre clé API publique Binance. Requise pour les modes de trading live et paper.",
     BINANCE_SECRET_KEY: "Votre clé API secrète Binance. Elle est stockée en toute sécurité sur le serveur et n'est jamais exposée au frontend.",
     USE_ATR_STOP_LOSS: "Utiliser un Stop Loss dynamique basé sur l'Average True Range (ATR), qui s'adapte à la volatilité du marché au lieu d'un pourcentage fixe.",
@@ -108,7 +119,9 @@ const tooltips: Record<string, string> = {
     USE_AUTO_BREAKEVEN: "Déplacer automatiquement le Stop Loss au prix d'entrée une fois qu'un trade est en profit, éliminant le risque de perte.",
     BREAKEVEN_TRIGGER_R: "Le multiple de risque (R) à atteindre pour déclencher le passage au seuil de rentabilité (ex: 1.0 signifie que lorsque le profit atteint 1x le risque initial, le SL est déplacé au prix d'entrée).",
     ADJUST_BREAKEVEN_FOR_FEES: "Si activé, le 'Break-Even' sera légèrement au-dessus du prix d'entrée pour couvrir les frais de transaction de l'achat et de la vente, assurant une sortie à 0$ P&L net.",
-    TRANSACTION_FEE_PCT: "Le pourcentage de frais de transaction par ordre sur votre exchange (ex: 0.1 pour 0.1%). Utilisé pour calculer le point de Break-Even réel.",
+    TRANSACTION_FEE_PCT: "Le pourcentage de frais de transaction par ordre au marché (taker) sur votre exchange (ex: 0.1 pour 0.1%). Appliqué aux trades simulés (Virtuel et Papier) et utilisé pour calculer le point de Break-Even réel.",
+    MAKER_FEE_PCT: "Le pourcentage de frais pour les ordres limites exécutés en maker (ex: 0.1 pour 0.1%).",
+    USE_DYNAMIC_SLIPPAGE: "Si activé, le slippage simulé est dérivé du spread actuel et de la taille de l'ordre par rapport au volume, au lieu du pourcentage fixe. Le slippage fixe sert alors de coût d'impact pour un ordre égal à une minute de volume moyen.",
     USE_RSI_SAFETY_FILTER: "Empêcher l'ouverture de nouveaux trades si le RSI est dans la zone de 'surachat', évitant d'acheter à un potentiel sommet local.",
     RSI_OVERBOUGHT_THRESHOLD: "Le niveau RSI au-dessus duquel un signal de trade sera ignoré (ex: 70).",
     USE_PARTIAL_TAKE_PROFIT: "Vendre une partie de la position à un objectif de profit préliminaire et laisser le reste courir avec le trailing stop loss.",
@@ -116,38 +129,67 @@ const tooltips: Record<string, string> = {
     PARTIAL_TP_SELL_QTY_PCT: "Le pourcentage (%) de la quantité de position initiale à vendre pour la prise de profit partielle.",
     USE_DYNAMIC_POSITION_SIZING: "Allouer une taille de position plus importante pour les signaux 'STRONG BUY' de la plus haute qualité par rapport aux signaux 'BUY' réguliers.",
     STRONG_BUY_POSITION_SIZE_PCT: "Le pourcentage de votre solde à utiliser pour un signal 'STRONG BUY' si le dimensionnement dynamique est activé.",
+    USE_RISK_BASED_SIZING: "Si activé, la taille de chaque position est calculée à partir de la distance au stop loss, de sorte qu'un stop touché coûte toujours le même pourcentage du capital. Remplace la taille de position en %.",
+    RISK_PER_TRADE_PCT: "Le pourcentage du capital (solde + valeur des positions ouvertes) perdu si le stop loss est atteint (ex: 1% sur 10 000 $ = 100 $ de risque par trade).",
+    MAX_TRADE_NOTIONAL_USD: "La valeur maximale d'une position en USD, quel que soit le risque calculé. 0 = limité uniquement par le solde disponible.",
+    USE_LIMIT_ENTRY: "Si activé, les entrées sont placées en ordre LIMIT au prix du signal (frais maker) au lieu d'un ordre au marché. L'ordre reste 'En attente' jusqu'à son exécution, suit le prix jusqu'à la limite de poursuite et est annulé après le délai d'expiration.",
+    LIMIT_ENTRY_OFFSET_PCT: "L'écart en % sous le prix du signal auquel l'ordre LIMIT est placé initialement. 0 = au prix du signal.",
+    LIMIT_ENTRY_CHASE_PCT: "Si le prix s'éloigne, l'ordre LIMIT est remonté vers le prix actuel, sans jamais dépasser ce pourcentage au-dessus du prix du signal.",
+    LIMIT_ENTRY_CHASE_INTERVAL_SECONDS: "Le délai minimum en secondes entre deux réajustements de l'ordre LIMIT.",
+    LIMIT_ENTRY_TIMEOUT_SECONDS: "Le délai en secondes après lequel un ordre LIMIT non exécuté est annulé. Une exécution partielle est conservée comme position.",
     USE_PARABOLIC_FILTER: "Active un filtre de sécurité pour éviter d'ouvrir des trades sur des mouvements de prix soudains et verticaux (paraboliques), qui sont souvent des pièges de liquidité.",
     PARABOLIC_FILTER_PERIOD_MINUTES: "La période (en minutes) sur laquelle vérifier une hausse de prix parabolique avant d'entrer dans un trade.",
     PARABOLIC_FILTER_THRESHOLD_PCT: "Le pourcentage maximum d'augmentation de prix autorisé sur la période de vérification. Si le prix a augmenté plus que ce seuil, le trade est ignoré pour éviter d'entrer sur un pic insoutenable.",
-    USE_DYNAMIC_PROFILE_SELECTOR: "Si activé, le bot choisira automatiquement le meilleur profil (Sniper, Scalpeur, Chasseur) pour chaque trade en fonction des conditions de marché (tendance, volatilité) au moment de l'entrée.",
-    ADX_THRESHOLD_RANGE: "Le seuil ADX (15m) en dessous duquel un marché est considéré comme étant en 'range' (faible tendance), déclenchant le profil 'Scalpeur'.",
-    ATR_PCT_THRESHOLD_VOLATILE: "Le seuil de l'ATR (en % du prix) au-dessus duquel un marché est considéré comme hyper-volatil, déclenchant le profil 'Chasseur de Volatilité'.",
+    USE_DYNAMIC_PROFILE_SELECTOR: "Si activé, le bot choisira automatiquement le profil de chaque trade grâce aux règles de sélection (ADX, ATR %, stratégie, régime de marché) évaluées au moment de l'entrée.",
+    ADX_THRESHOLD_RANGE: "Le seuil ADX (15m) en dessous duquel un marché est considéré comme étant en 'range' (faible tendance), utilisé pour la coloration du scanner et comme borne ADX de la règle 'Scalpeur' par défaut.",
+    ATR_PCT_THRESHOLD_VOLATILE: "Le seuil de l'ATR (en % du prix) au-dessus duquel un marché est considéré comme hyper-volatil, utilisé pour la coloration du scanner et comme borne ATR de la règle 'Chasseur de Volatilité' par défaut.",
     USE_AGGRESSIVE_ENTRY_LOGIC: "Permet une entrée plus rapide basée uniquement sur le momentum 1m (EMA9 + Volume), sans attendre la confirmation structurelle 15m. Utilisé par le profil 'Chasseur de Volatilité'.",
     USE_ADAPTIVE_TRAILING_STOP: "Rend le stop suiveur plus intelligent en le resserrant à mesure que le trade devient plus profitable, pour sécuriser les gains de manière plus agressive.",
     TRAILING_STOP_TIGHTEN_THRESHOLD_R: "Le multiple de risque (R) à atteindre pour que le stop suiveur se resserre. Ex: 1.5 signifie que lorsque le trade atteint +1.5R de profit, le stop se resserre.",
     TRAILING_STOP_TIGHTEN_MULTIPLIER_REDUCTION: "La valeur de réduction du multiplicateur ATR une fois le seuil de resserrement atteint. Ex: 0.5 réduira un multiplicateur de 1.5 à 1.0.",
+    MAX_HOLDING_HOURS: "La durée maximale (en heures) pendant laquelle une position peut rester ouverte avant d'être clôturée au marché. 0 = désactivé. Les profils de trading la reprennent à leur création et peuvent la modifier.",
+    NO_PROGRESS_EXIT_CANDLES: "Clôture une position qui n'a pas atteint la progression minimum après ce nombre de bougies de 15 minutes, pour libérer la place. 0 = désactivé. Les profils de trading le reprennent à leur création et peuvent le modifier.",
+    NO_PROGRESS_MIN_R: "La progression minimum (en multiple du risque initial R) que le plus haut depuis l'entrée doit avoir atteinte. Ex: 0.5 = le prix doit être monté d'au moins la moitié de la distance au stop.",
+    USE_TREND_INVALIDATION_EXIT: "Clôture une position dès que l'analyse en temps réel montre que le prix est repassé sous l'EMA50 4h, alors qu'il était au-dessus à l'entrée. Les profils de trading la reprennent à leur création et peuvent la modifier.",
     CIRCUIT_BREAKER_WARN_THRESHOLD_PCT: "Le pourcentage de chute de BTC sur 5 minutes qui déclenche une alerte. Le bot réduira la taille des nouvelles positions.",
-    CIRCUIT_BREAKER_HALT_THRESHOLD_PCT: "Le pourcentage de chute de BTC sur 5 minutes qui déclenche un arrêt complet. Le bot clôturera toutes les positions et arrêtera le trading.",
+    CIRCUIT_BREAKER_HALT_THRESHOLD_PCT: "Le pourcentage de chute de BTC sur 5 minutes qui déclenche un arrêt complet. Aucune nouvelle position n'est ouverte; les positions en cours gardent leurs stops, sauf si la clôture d'urgence est activée.",
+    RECONCILIATION_IGNORED_ASSETS: "Les actifs détenus volontairement sur Binance, séparés par des virgules (ex: BNB pour les frais, placements long terme). La réconciliation (au démarrage et au passage en trading réel) ne les signale pas comme avoirs orphelins.",
+    CLOSE_POSITIONS_ON_BTC_HALT: "Clôturer au prix du marché toutes les positions ouvertes (y compris en mode RÉEL) quand l'arrêt sur chute BTC se déclenche. Désactivé par défaut: les positions restent protégées par leurs stop loss.",
     DAILY_DRAWDOWN_LIMIT_PCT: "Le risque maximum sur le capital par jour. Si les pertes de la journée dépassent ce pourcentage du solde initial, le bot s'arrête jusqu'au lendemain.",
     CONSECUTIVE_LOSS_LIMIT: "Le nombre maximum de pertes consécutives autorisées. Si cette limite est atteinte, le bot se met en pause pour éviter de trader dans de mauvaises conditions de marché.",
+    LOSS_STREAK_PAUSE_HOURS: "La durée (en heures) de la pause automatique une fois la limite de pertes consécutives atteinte.",
     USE_MTF_VALIDATION: "Validation Multi-Temporelle : Après un signal 1m, attendre la clôture d'une bougie 5m haussière pour confirmer le breakout avant d'entrer. Réduit considérablement les fausses cassures.",
     USE_OBV_VALIDATION: "Confirmation par Volume (OBV) : Exiger que l'indicateur On-Balance Volume (1m) soit en hausse lors du signal de breakout. Confirme que le volume acheteur réel soutient le mouvement.",
     USE_CVD_FILTER: "Confirmation par Delta de Volume Cumulé (CVD) : Exige que la pression nette acheteuse (CVD) soit en augmentation sur le graphique 5 minutes, confirmant que le breakout est soutenu par un flux d'ordres entrants.",
     SCALING_IN_CONFIG: "Définit la stratégie d'entrées fractionnées. Ex: '50,50' pour 2 entrées de 50% chacune, ou '40,30,30' pour 3 entrées. Laissez vide pour désactiver.",
+    SCALING_IN_TRIGGER_R: "La progression (en multiple de R) requise depuis la première entrée avant chaque entrée supplémentaire. Ex: 0.5 ajoute la 2e tranche à +0.5R et la 3e à +1R, sur clôture d'une bougie 1m haussière.",
     MAX_CORRELATED_TRADES: "Le nombre maximum de trades sur des altcoins (corrélés à BTC) autorisés à être ouverts simultanément pour éviter une surexposition.",
+    CORRELATION_THRESHOLD: "La corrélation minimale (de -1 à 1) des rendements 15m entre deux paires pour qu'elles soient considérées comme corrélées. Ex: 0.7.",
+    CORRELATION_LOOKBACK_CANDLES: "Le nombre de bougies 15m utilisées pour calculer la corrélation entre une nouvelle paire et les positions ouvertes (96 = 24h).",
     USE_FEAR_AND_GREED_FILTER: "Activer le mode 'Risk-Off' automatique. Le bot se mettra en pause si le sentiment du marché devient extrême (peur ou euphorie), selon l'indice Fear & Greed.",
+    FEAR_GREED_EXTREME_FEAR_THRESHOLD: "La valeur de l'indice Fear & Greed (0-100) en dessous de laquelle le marché est en 'Peur Extrême' et les nouvelles entrées sont suspendues.",
+    FEAR_GREED_EXTREME_GREED_THRESHOLD: "La valeur de l'indice Fear & Greed (0-100) au-dessus de laquelle le marché est en 'Euphorie Extrême' et les nouvelles entrées sont suspendues.",
+    USE_FEAR_AND_GREED_POSITION_SCALING: "Réduire progressivement la taille des nouvelles positions à mesure que le sentiment s'éloigne de la neutralité (50) vers les extrêmes.",
+    FEAR_GREED_MIN_SIZE_MULTIPLIER: "Le multiplicateur de taille appliqué lorsque le sentiment atteint les bornes extrêmes. Ex: 0.5 divise la taille des positions par deux.",
     USE_ORDER_BOOK_LIQUIDITY_FILTER: "Vérifier la profondeur du carnet d'ordres pour une liquidité suffisante avant d'entrer dans un trade afin d'éviter le slippage.",
-    MIN_ORDER_BOOK_LIQUIDITY_USD: "La quantité minimale de liquidité (en USD) qui doit être disponible dans ±0.5% du prix actuel pour que le trade soit autorisé.",
-    USE_SECTOR_CORRELATION_FILTER: "Empêcher d'ouvrir des trades sur plusieurs actifs du même secteur (ex: L1, L2, DeFi) simultanément pour améliorer la diversification.",
+    MIN_ORDER_BOOK_LIQUIDITY_USD: "La quantité minimale de liquidité (en USD) qui doit être disponible de chaque côté du carnet, dans la plage de profondeur définie, pour que le trade soit autorisé.",
+    ORDER_BOOK_DEPTH_RANGE_PCT: "La plage (en % autour du prix médian) dans laquelle la liquidité du carnet d'ordres est additionnée, côté achat comme côté vente.",
+    MAX_ENTRY_SLIPPAGE_PCT: "Le slippage estimé maximum (%) pour la taille de position prévue. Au-delà, la position est réduite pour respecter ce seuil, ou refusée si le carnet est trop mince.",
+    USE_SECTOR_CORRELATION_FILTER: "Limiter le nombre de trades ouverts simultanément sur des actifs du même secteur (ex: L1, L2, DeFi) au 'Max Trades Corrélés Simultanés' pour améliorer la diversification.",
     USE_WHALE_MANIPULATION_FILTER: "Détecter et ignorer les signaux d'entrée causés par des pics de volume anormaux sur une seule bougie, qui sont souvent des pièges.",
-    WHALE_SPIKE_THRESHOLD_PCT: "Le pourcentage du volume horaire moyen. Si une bougie de 1 minute dépasse ce seuil (ex: 5%), le signal est considéré comme une manipulation.",
+    WHALE_SPIKE_THRESHOLD_PCT: "Le volume d'une bougie de 1 minute, en % du volume total de l'heure précédente (60 bougies 1m). Si un pic de prix dépasse ce seuil (ex: 5%, soit 3 fois le volume moyen d'une bougie) puis se retourne, le signal est considéré comme une manipulation.",
+    WHALE_WICK_THRESHOLD_PCT: "La taille de mèche (en % du prix) sur une seule bougie 1m ou 5m au-delà de laquelle la paire est signalée comme manipulée.",
+    WHALE_COOLDOWN_MINUTES: "La durée (en minutes) pendant laquelle une paire signalée par le filtre anti-baleine ne peut pas déclencher d'entrée Précision ou Momentum.",
     USE_RSI_MTF_FILTER: "Filtre de Sécurité RSI Multi-Temporel : Vérifie que le RSI sur 15 minutes n'est pas déjà en zone de surchauffe, pour éviter les entrées tardives.",
     RSI_15M_OVERBOUGHT_THRESHOLD: "Le seuil RSI sur 15 minutes au-delà duquel un signal d'achat sera ignoré.",
     USE_WICK_DETECTION_FILTER: "Filtre Anti-Piège : rejette les signaux d'entrée si la bougie de déclenchement a une mèche supérieure anormalement grande, indiquant un rejet du prix.",
     MAX_UPPER_WICK_PCT: "Le pourcentage maximum de la mèche supérieure par rapport à la taille totale de la bougie. Au-delà de ce seuil, le signal est ignoré.",
     USE_OBV_5M_VALIDATION: "Confirmation de Volume Multi-Échelles : Exige que la tendance de l'OBV soit également haussière sur l'unité de temps de 5 minutes après la confirmation, pour éviter les divergences.",
+    USE_PRECISION_STRATEGY: "Active la stratégie de Précision 🎯 : compression de volatilité en 15m (Bollinger Squeeze) suivie d'une cassure 1m confirmée par le volume, l'OBV et le CVD.",
+    USE_MOMENTUM_STRATEGY: "Active la stratégie Momentum 🔥 : bougie d'impulsion 15m (gros corps haussier sur un volume double) confirmée par une bougie 5m haussière.",
     USE_IGNITION_STRATEGY: "STRATÉGIE À HAUT RISQUE : Active le mode 'Ignition' 🚀, qui recherche des explosions soudaines de prix et de volume sur 1 minute, en contournant la plupart des filtres de sécurité.",
     IGNITION_PRICE_SPIKE_PCT: "Pour la stratégie Ignition, le pourcentage minimum d'augmentation du prix sur une bougie de 1 minute pour déclencher un signal.",
+    IGNITION_BYPASS_PARABOLIC_FILTER: "Si activé, la stratégie Ignition ignore le filtre anti-parabolique, puisqu'elle cherche justement à entrer sur des hausses verticales. Désactivez-le pour lui appliquer le même seuil qu'aux autres stratégies.",
     IGNITION_VOLUME_MULTIPLE: "Pour la stratégie Ignition, le multiplicateur de volume par rapport à la moyenne récente requis sur une bougie de 1 minute pour déclencher un signal (ex: 10 pour 10x).",
     USE_IGNITION_TRAILING_STOP: "Active un stop loss suiveur en pourcentage, très agressif et réactif, spécifiquement pour les trades Ignition. Ignore le TP fixe.",
     IGNITION_TRAILING_STOP_PCT: "Le pourcentage en dessous du prix le plus élevé auquel le stop suiveur Ignition se placera. Une valeur faible (ex: 1.5) est très serrée."
@@ -417,6 +459,8 @@ const SettingsPage: React.FC = () => {
                 </div>
             </div>
 
+            <TradeProfilesEditor />
+
             {/* Main Settings Grid */}
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-x-8 gap-y-6">
 
@@ -431,7 +475,13 @@ const SettingsPage: React.FC = () => {
                              <InputField id="STOP_LOSS_PCT" label="Stop Loss (%)" step="0.1" children={<span className="text-gray-400 text-sm">%</span>}/>
                              <InputField id="RISK_REWARD_RATIO" label="Ratio Risque/Récompense" step="0.1" children={<span className="text-gray-400 text-sm">:1</span>}/>
                              <InputField id="INITIAL_VIRTUAL_BALANCE" label="Solde Virtuel Initial" step="100" children={<span className="text-gray-400 text-sm">$</span>}/>
+                             <InputField id="INITIAL_VIRTUAL_QUOTE_BALANCES" label="Soldes Virtuels (autres devises)" type="text"/>
                              <InputField id="SLIPPAGE_PCT" label="Slippage Simulé (%)" step="0.01" children={<span className="text-gray-400 text-sm">%</span>}/>
+                             <InputField id="TRANSACTION_FEE_PCT" label="Frais Taker (%)" step="0.01" children={<span className="text-gray-400 text-sm">%</span>}/>
+                             <InputField id="MAKER_FEE_PCT" label="Frais Maker (%)" step="0.01" children={<span className="text-gray-400 text-sm">%</span>}/>
+                        </div>
+                        <div className="mt-4">
+                            <ToggleField id="USE_DYNAMIC_SLIPPAGE" label="Slippage Dynamique (Spread & Volume)" />
                         </div>
                     </div>
                      {/* Experimental Strategies */}
@@ -453,6 +503,7 @@ const SettingsPage: React.FC = () => {
                                     <InputField id="IGNITION_VOLUME_MULTIPLE" label="Multiplicateur de Volume (x)" step="1" />
                                 </div>
                                 <hr className="border-gray-700/50"/>
+                                <ToggleField id="IGNITION_BYPASS_PARABOLIC_FILTER" label="Ignorer le Filtre Anti-Parabolique" />
                                 <ToggleField id="USE_IGNITION_TRAILING_STOP" label="Activer le Stop Loss Suiveur Éclair ⚡" />
                                 <div className={`transition-opacity ${settings.USE_IGNITION_TRAILING_STOP ? 'opacity-100' : 'opacity-50 pointer-events-none'}`}>
                                      <InputField id="IGNITION_TRAILING_STOP_PCT" label="Pourcentage du Suiveur Éclair" step="0.1" children={<span className="text-gray-400 text-sm">%</span>}/>
@@ -464,7 +515,16 @@ const SettingsPage: React.FC = () => {
                     <div className="bg-[#14181f]/50 border border-[#2b2f38] rounded-lg p-6 shadow-lg">
                         <h3 className="text-lg font-semibold text-white mb-4">Stratégie Avancée</h3>
                         <div className="space-y-4">
-                            <ToggleField id="USE_MARKET_REGIME_FILTER" label="Filtre de Tendance Maître (4h)" />
+                            <ToggleField id="USE_PRECISION_STRATEGY" label="Activer la Stratégie de Précision 🎯" />
+                            <ToggleField id="USE_MOMENTUM_STRATEGY" label="Activer la Stratégie Momentum 🔥" />
+                            <hr className="border-gray-700/50"/>
+                            <ToggleField id="USE_MARKET_REGIME_FILTER" label="Filtre de Régime de Marché (BTC & Largeur)" />
+                            <div className={`grid grid-cols-1 md:grid-cols-2 gap-4 transition-opacity ${settings.USE_MARKET_REGIME_FILTER ? 'opacity-100' : 'opacity-50 pointer-events-none'}`}>
+                                <InputField id="MARKET_REGIME_BULL_BREADTH_PCT" label="Largeur Min. Haussier" children={<span className="text-gray-400 text-sm">%</span>}/>
+                                <InputField id="MARKET_REGIME_BEAR_BREADTH_PCT" label="Largeur Risk-Off" children={<span className="text-gray-400 text-sm">%</span>}/>
+                                <InputField id="MARKET_REGIME_RISK_OFF_ATR_PCT" label="ATR 4h BTC Risk-Off" step="0.1" children={<span className="text-gray-400 text-sm">%</span>}/>
+                                <InputField id="MARKET_REGIME_RANGE_SIZE_MULTIPLIER" label="Multiplicateur Taille (Range)" step="0.1" children={<span className="text-gray-400 text-sm">x</span>}/>
+                            </div>
                             <ToggleField id="USE_VOLUME_CONFIRMATION" label="Confirmation par Volume (1m)" />
                             <ToggleField id="USE_RSI_SAFETY_FILTER" label="Filtre de Sécurité RSI (1h)" />
                              <div className={`transition-opacity ${settings.USE_RSI_SAFETY_FILTER ? 'opacity-100' : 'opacity-50 pointer-events-none'}`}>
@@ -501,8 +561,13 @@ const SettingsPage: React.FC = () => {
                         <h3 className="text-lg font-semibold text-white mb-4">Intelligence de Portefeuille</h3>
                         <div className="space-y-4">
                            <InputField id="SCALING_IN_CONFIG" label="Configuration des Entrées Fractionnées" type="text"/>
+                           <InputField id="SCALING_IN_TRIGGER_R" label="Déclencheur d'Entrée Suivante (R)" step="0.1"/>
                            <hr className="border-gray-700"/>
                            <InputField id="MAX_CORRELATED_TRADES" label="Max Trades Corrélés Simultanés"/>
+                           <div className="grid grid-cols-2 gap-4">
+                               <InputField id="CORRELATION_THRESHOLD" label="Seuil de Corrélation" step="0.05"/>
+                               <InputField id="CORRELATION_LOOKBACK_CANDLES" label="Période (bougies 15m)"/>
+                           </div>
                         </div>
                     </div>
                 </div>
@@ -515,6 +580,7 @@ const SettingsPage: React.FC = () => {
                         <div className="grid grid-cols-1 gap-4">
                             <InputField id="MIN_VOLUME_USD" label="Volume 24h Minimum" step="1000000" children={<span className="text-gray-400 text-sm">$</span>}/>
                             <InputField id="SCANNER_DISCOVERY_INTERVAL_SECONDS" label="Intervalle de Scan (secondes)" children={<span className="text-gray-400 text-sm">s</span>}/>
+                            <InputField id="QUOTE_ASSETS" label="Devises de Cotation" type="text"/>
                             <div>
                                 <label htmlFor="EXCLUDED_PAIRS" className="flex items-center text-sm font-medium text-gray-300">
                                     Paires Exclues (séparées par des virgules)
@@ -560,11 +626,19 @@ const SettingsPage: React.FC = () => {
                             <ToggleField id="USE_ORDER_BOOK_LIQUIDITY_FILTER" label="Filtre de Liquidité (Carnet d'Ordres)" />
                             <div className={`transition-opacity ${settings.USE_ORDER_BOOK_LIQUIDITY_FILTER ? 'opacity-100' : 'opacity-50 pointer-events-none'}`}>
                                 <InputField id="MIN_ORDER_BOOK_LIQUIDITY_USD" label="Liquidité Minimale Requise ($)" />
+                                <div className="grid grid-cols-2 gap-4 mt-4">
+                                    <InputField id="ORDER_BOOK_DEPTH_RANGE_PCT" label="Plage de Profondeur (%)" step="0.1" />
+                                    <InputField id="MAX_ENTRY_SLIPPAGE_PCT" label="Slippage Estimé Max (%)" step="0.05" />
+                                </div>
                             </div>
                             <hr className="border-gray-700"/>
                             <ToggleField id="USE_WHALE_MANIPULATION_FILTER" label="Filtre Anti-Manipulation (Baleine)" />
                              <div className={`transition-opacity ${settings.USE_WHALE_MANIPULATION_FILTER ? 'opacity-100' : 'opacity-50 pointer-events-none'}`}>
                                 <InputField id="WHALE_SPIKE_THRESHOLD_PCT" label="Seuil Pic de Volume (%)" />
+                                <div className="grid grid-cols-2 gap-4 mt-4">
+                                    <InputField id="WHALE_WICK_THRESHOLD_PCT" label="Seuil de Mèche (%)" step="0.5" />
+                                    <InputField id="WHALE_COOLDOWN_MINUTES" label="Blocage (min)" />
+                                </div>
                             </div>
                             <hr className="border-gray-700"/>
                             <ToggleField id="USE_SECTOR_CORRELATION_FILTER" label="Filtre de Corrélation par Secteur" />
@@ -584,9 +658,6 @@ const SettingsPage: React.FC = () => {
                              <div className={`pl-4 space-y-4 mt-2 transition-opacity ${settings.USE_AUTO_BREAKEVEN ? 'opacity-100' : 'opacity-50 pointer-events-none'}`}>
                                 <InputField id="BREAKEVEN_TRIGGER_R" label="Déclencheur Break-Even (R)" step="0.1" />
                                 <ToggleField id="ADJUST_BREAKEVEN_FOR_FEES" label="Ajuster pour les Frais" />
-                                <div className={`transition-opacity ${settings.ADJUST_BREAKEVEN_FOR_FEES ? 'opacity-100' : 'opacity-50 pointer-events-none'}`}>
-                                    <InputField id="TRANSACTION_FEE_PCT" label="Frais de Transaction (%)" step="0.01" />
-                                </div>
                             </div>
                             <hr className="border-gray-700"/>
                             <ToggleField id="USE_PARTIAL_TAKE_PROFIT" label="Prise de Profit Partielle" />
@@ -600,11 +671,32 @@ const SettingsPage: React.FC = () => {
                                 <InputField id="TRAILING_STOP_TIGHTEN_THRESHOLD_R" label="Seuil de Resserrage (R)" step="0.1" />
                                 <InputField id="TRAILING_STOP_TIGHTEN_MULTIPLIER_REDUCTION" label="Réduction du Multiplicateur" step="0.1" />
                             </div>
+                            <hr className="border-gray-700"/>
+                            <div className="grid grid-cols-3 gap-4">
+                                <InputField id="MAX_HOLDING_HOURS" label="Détention Max (h)" step="0.5" />
+                                <InputField id="NO_PROGRESS_EXIT_CANDLES" label="Sans Progression (bougies 15m)" />
+                                <InputField id="NO_PROGRESS_MIN_R" label="Progression Min (R)" step="0.1" />
+                            </div>
+                            <ToggleField id="USE_TREND_INVALIDATION_EXIT" label="Sortie sur Inversion de Tendance 4h" />
                              <hr className="border-gray-700"/>
                             <ToggleField id="USE_DYNAMIC_POSITION_SIZING" label="Dimensionnement Dynamique de Position" />
                             <div className={`transition-opacity ${settings.USE_DYNAMIC_POSITION_SIZING ? 'opacity-100' : 'opacity-50 pointer-events-none'}`}>
                                 <InputField id="STRONG_BUY_POSITION_SIZE_PCT" label="Taille Position 'STRONG BUY' (%)" step="0.1" />
                             </div>
+                             <hr className="border-gray-700"/>
+                            <ToggleField id="USE_RISK_BASED_SIZING" label="Dimensionnement par le Risque" />
+                            <div className={`grid grid-cols-2 gap-4 transition-opacity ${settings.USE_RISK_BASED_SIZING ? 'opacity-100' : 'opacity-50 pointer-events-none'}`}>
+                                <InputField id="RISK_PER_TRADE_PCT" label="Risque par Trade (%)" step="0.1" />
+                                <InputField id="MAX_TRADE_NOTIONAL_USD" label="Valeur Max par Trade ($)" step="100" />
+                            </div>
+                             <hr className="border-gray-700"/>
+                            <ToggleField id="USE_LIMIT_ENTRY" label="Entrée par Ordre LIMIT" />
+                            <div className={`grid grid-cols-2 gap-4 transition-opacity ${settings.USE_LIMIT_ENTRY ? 'opacity-100' : 'opacity-50 pointer-events-none'}`}>
+                                <InputField id="LIMIT_ENTRY_OFFSET_PCT" label="Écart sous le Signal (%)" step="0.05" />
+                                <InputField id="LIMIT_ENTRY_CHASE_PCT" label="Poursuite Max (%)" step="0.05" />
+                                <InputField id="LIMIT_ENTRY_CHASE_INTERVAL_SECONDS" label="Intervalle de Réajustement (s)" />
+                                <InputField id="LIMIT_ENTRY_TIMEOUT_SECONDS" label="Expiration (s)" />
+                            </div>
                         </div>
                     </div>
                 </div>
@@ -615,6 +707,15 @@ const SettingsPage: React.FC = () => {
                  <div className="bg-[#14181f]/50 border border-[#2b2f38] rounded-lg p-6 shadow-lg">
                      <h3 className="text-lg font-semibold text-white mb-4">Clés API</h3>
                      <div className="space-y-4">
+                        <div>
+                            <label htmlFor="EXCHANGE" className="flex items-center text-sm font-medium text-gray-300">
+                                Plateforme <Tooltip text={tooltips.EXCHANGE} />
+                            </label>
+                            <select id="EXCHANGE" value={settings.EXCHANGE || 'BINANCE'} onChange={(e) => handleChange('EXCHANGE', e.target.value)} className={inputClass}>
+                                <option value="BINANCE">Binance</option>
+                                <option value="SIMULATED">Simulée</option>
+                            </select>
+                        </div>
                         <div>
                             <label htmlFor="BINANCE_API_KEY" className="flex items-center text-sm font-medium text-gray-300">
                                 Clé API Binance <Tooltip text={tooltips.BINANCE_API_KEY} />
@@ -642,9 +743,20 @@ const SettingsPage: React.FC = () => {
                                 <InputField id="CIRCUIT_BREAKER_HALT_THRESHOLD_PCT" label="Arrêt Chute BTC (%)" step="0.1" />
                                 <InputField id="DAILY_DRAWDOWN_LIMIT_PCT" label="Limite Drawdown Journalier (%)" step="0.1" />
                                 <InputField id="CONSECUTIVE_LOSS_LIMIT" label="Limite Pertes Consécutives" />
+                                <InputField id="LOSS_STREAK_PAUSE_HOURS" label="Durée de Pause (Heures)" step="0.5" />
                              </div>
+                             <ToggleField id="CLOSE_POSITIONS_ON_BTC_HALT" label="Clôture d'urgence sur Arrêt Chute BTC" />
+                             <InputField id="RECONCILIATION_IGNORED_ASSETS" label="Actifs Ignorés par la Réconciliation" type="text"/>
                              <hr className="border-gray-700 my-2"/>
                               <ToggleField id="USE_FEAR_AND_GREED_FILTER" label="Filtre Risk-Off (Fear & Greed)" />
+                              <div className={`grid grid-cols-2 gap-4 transition-opacity ${settings.USE_FEAR_AND_GREED_FILTER ? 'opacity-100' : 'opacity-50 pointer-events-none'}`}>
+                                 <InputField id="FEAR_GREED_EXTREME_FEAR_THRESHOLD" label="Seuil Peur Extrême" />
+                                 <InputField id="FEAR_GREED_EXTREME_GREED_THRESHOLD" label="Seuil Euphorie Extrême" />
+                              </div>
+                              <ToggleField id="USE_FEAR_AND_GREED_POSITION_SCALING" label="Taille de Position selon le Sentiment" />
+                              <div className={`transition-opacity ${settings.USE_FEAR_AND_GREED_POSITION_SCALING ? 'opacity-100' : 'opacity-50 pointer-events-none'}`}>
+                                 <InputField id="FEAR_GREED_MIN_SIZE_MULTIPLIER" label="Multiplicateur Min. aux Extrêmes" step="0.05" />
+                              </div>
                              <hr className="border-gray-700 my-2"/>
                              <div>
                                  <label htmlFor="newPassword" className="text-sm font-medium text-gray-300">Nouveau Mot de Passe</label>
@@ -1,4 +1,4 @@
-import { BotSettings, Trade, TradingMode, BacktestResult, LogEntry } from '../types';
+import { BotSettings, Trade, TradingMode, BacktestResult, LogEntry, ManualPositionRequest, PositionUpdateRequest, TradeProfile, ProfileSelectionRule, ReplayLedger } from '../types';
 import { logService } from './logService';
 
 const API_BASE_URL = '/api';
@@ -91,10 +91,16 @@ export const api = {
     },
 
     // Actions
-    openTrade: async (symbol: string, price: number, mode: TradingMode): Promise<Trade> => {
-        return apiFetch('/open-trade', {
+    openPosition: async (request: ManualPositionRequest): Promise<Trade> => {
+        return apiFetch('/positions', {
             method: 'POST',
-            body: JSON.stringify({ symbol, price, mode })
+            body: JSON.stringify(request)
+        });
+    },
+    updatePosition: async (tradeId: number, changes: PositionUpdateRequest): Promise<Trade> => {
+        return apiFetch(`/positions/${tradeId}`, {
+            method: 'PATCH',
+            body: JSON.stringify(changes)
         });
     },
     closeTrade: async (tradeId: number): Promise<Trade> => {
@@ -129,6 +135,33 @@ export const api = {
             body: JSON.stringify({ mode })
         });
     },
+
+
+    // Trade Profiles
+    fetchTradeProfiles: async (): Promise<{ profiles: TradeProfile[], rules: ProfileSelectionRule[] }> => {
+        return apiFetch('/profiles');
+    },
+    createTradeProfile: async (profile: TradeProfile): Promise<{ success: boolean, profile: TradeProfile }> => {
+        return apiFetch('/profiles', {
+            method: 'POST',
+            body: JSON.stringify(profile)
+        });
+    },
+    updateTradeProfile: async (name: string, changes: Partial<TradeProfile>): Promise<{ success: boolean, profile: TradeProfile }> => {
+        return apiFetch(`/profiles/${encodeURIComponent(name)}`, {
+            method: 'PUT',
+            body: JSON.stringify(changes)
+        });
+    },
+    deleteTradeProfile: async (name: string): Promise<{ success: boolean }> => {
+        return apiFetch(`/profiles/${encodeURIComponent(name)}`, { method: 'DELETE' });
+    },
+    updateProfileRules: async (rules: ProfileSelectionRule[]): Promise<{ success: boolean, rules: ProfileSelectionRule[] }> => {
+        return apiFetch('/profile-rules', {
+            method: 'PUT',
+            body: JSON.stringify({ rules })
+        });
+    },
     
     // Backtesting
     runBacktest: async (symbols: string[]): Promise<BacktestResult[]> => {
@@ -137,4 +170,9 @@ export const api = {
             body: JSON.stringify({ symbols })
         });
     },
+
+    // Replay (controlled over the WebSocket, see websocketService.sendReplayCommand)
+    getReplay: async (): Promise<ReplayLedger> => {
+        return apiFetch('/replay');
+    },
 };
\ No newline at end of file
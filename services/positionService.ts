@@ -1,5 +1,5 @@
 
-import { Trade, OrderSide } from '../types';
+import { Trade, OrderSide, OrderStatus } from '../types';
 import { priceStore } from './priceStore';
 import { PriceUpdate } from './websocketService';
 
@@ -32,7 +32,8 @@ class PositionService {
                 const oldPrice = pos.current_price || pos.entry_price;
 
                 const priceDirection = newPrice > oldPrice ? 'up' : (newPrice < oldPrice ? 'down' : pos.priceDirection || 'neutral');
-                const pnl = (newPrice - pos.entry_price) * pos.quantity * (pos.side === OrderSide.BUY ? 1 : -1);
+                // A pending limit entry holds nothing yet.
+                const pnl = pos.status === OrderStatus.PENDING ? 0 : (newPrice - pos.entry_price) * pos.quantity * (pos.side === OrderSide.BUY ? 1 : -1);
                 const entryValue = pos.entry_price * pos.quantity;
                 const pnl_pct = entryValue !== 0 ? (pnl / entryValue) * 100 : 0;
                 
@@ -1,5 +1,5 @@
 
-import { WebSocketStatus, LogEntry, CircuitBreakerStatus, FearAndGreed } from '../types';
+import { WebSocketStatus, LogEntry, CircuitBreakerStatus, FearAndGreed, MarketRegimeReport, ReplayStatus } from '../types';
 import { logService } from './logService';
 import { priceStore } from './priceStore';
 import { scannerStore } from './scannerStore';
@@ -20,14 +20,24 @@ type StatusChangeCallback = (status: WebSocketStatus) => void;
 type DataRefreshCallback = () => void;
 type CircuitBreakerCallback = (payload: { status: CircuitBreakerStatus }) => void;
 type FearAndGreedCallback = (payload: FearAndGreed) => void;
+type MarketRegimeCallback = (payload: MarketRegimeReport) => void;
 type TradeAlertCallback = (payload: TradeAlert) => void;
+type ReplayStatusCallback = (payload: ReplayStatus) => void;
+
+export type ReplayCommand =
+    | { type: 'REPLAY_START'; payload: { symbols: string[]; startTime: number; endTime: number; speed: number } }
+    | { type: 'REPLAY_PAUSE' | 'REPLAY_RESUME' | 'REPLAY_STOP' }
+    | { type: 'REPLAY_SEEK'; payload: { time: number } }
+    | { type: 'REPLAY_SET_SPEED'; payload: { speed: number } };
 
 let socket: WebSocket | null = null;
 let statusCallback: StatusChangeCallback | null = null;
 let dataRefreshCallback: DataRefreshCallback | null = null;
 let circuitBreakerCallback: CircuitBreakerCallback | null = null;
 let fearAndGreedCallback: FearAndGreedCallback | null = null;
+let marketRegimeCallback: MarketRegimeCallback | null = null;
 let tradeAlertCallback: TradeAlertCallback | null = null;
+let replayStatusCallback: ReplayStatusCallback | null = null;
 let reconnectTimeout: number | null = null;
 let isManualDisconnect = false;
 
@@ -82,9 +92,20 @@ const connect = () => {
                     logService.log('WARN', `Circuit breaker status updated: ${JSON.stringify(message.payload)}`);
                     circuitBreakerCallback?.(message.payload);
                     break;
+                case 'RECONCILIATION_UPDATE':
+                    if (message.payload.status === 'PENDING_ACK') {
+                        logService.log('WARN', `Reconciliation with Binance found ${message.payload.discrepancies.length} discrepancy(ies). Live trading is paused until they are acknowledged.`);
+                    }
+                    break;
                 case 'FEAR_AND_GREED_UPDATE':
                     fearAndGreedCallback?.(message.payload);
                     break;
+                case 'MARKET_REGIME_UPDATE':
+                    marketRegimeCallback?.(message.payload);
+                    break;
+                case 'REPLAY_STATUS':
+                    replayStatusCallback?.(message.payload);
+                    break;
                 case 'BOT_STATUS_UPDATE':
                     logService.log('INFO', `Bot running state is now: ${message.payload.isRunning}`);
                     break;
@@ -125,6 +146,13 @@ const connect = () => {
     };
 };
 
+// Returns false when the socket is not connected, so the caller can tell the user.
+const sendReplayCommand = (command: ReplayCommand): boolean => {
+    if (!socket || socket.readyState !== WebSocket.OPEN) return false;
+    socket.send(JSON.stringify(command));
+    return true;
+};
+
 const disconnect = () => {
     isManualDisconnect = true;
     if (reconnectTimeout) clearTimeout(reconnectTimeout);
@@ -137,6 +165,7 @@ const disconnect = () => {
 export const websocketService = {
     connect,
     disconnect,
+    sendReplayCommand,
     onStatusChange: (callback: StatusChangeCallback | null) => {
         statusCallback = callback;
     },
@@ -149,7 +178,13 @@ export const websocketService = {
     onFearAndGreedUpdate: (callback: FearAndGreedCallback | null) => {
         fearAndGreedCallback = callback;
     },
+    onMarketRegimeUpdate: (callback: MarketRegimeCallback | null) => {
+        marketRegimeCallback = callback;
+    },
     onTradeAlert: (callback: TradeAlertCallback | null) => {
         tradeAlertCallback = callback;
     },
+    onReplayStatus: (callback: ReplayStatusCallback | null) => {
+        replayStatusCallback = callback;
+    },
 };
@@ -27,12 +27,30 @@ export type CircuitBreakerStatus = 'NONE' | 'WARNING_BTC_DROP' | 'HALTED_BTC_DRO
 export interface FearAndGreed {
     value: number;
     classification: string;
+    timestamp?: string;
 }
 
-export type StrategyType = 'PRECISION' | 'MOMENTUM' | 'IGNITION';
-export type ActiveProfile = 'SNIPER' | 'SCALPER' | 'VOLATILITY_HUNTER' | 'MANUAL' | 'IGNITION' | 'CUSTOM';
+export type MarketRegime = 'BULL' | 'BEAR' | 'RANGE' | 'RISK_OFF';
+
+export interface MarketRegimeReport {
+    regime: MarketRegime;
+    btc_above_ema50_4h: boolean;
+    btc_above_ema50_1d: boolean;
+    btc_atr_pct_4h: number;
+    breadth_pct: number | null; // % of monitored pairs above their 4h EMA50
+    timestamp: string;
+}
+
+export type StrategyType = 'PRECISION' | 'MOMENTUM' | 'IGNITION' | 'MANUAL';
+// Built-in names, plus any user-defined trade profile
+export type ActiveProfile = 'SNIPER' | 'SCALPER' | 'VOLATILITY_HUNTER' | 'MANUAL' | 'IGNITION' | 'CUSTOM' | (string & {});
 
 export interface TradeParams {
+    name: ActiveProfile;
+    riskRewardRatio: number;
+    useAtrSl: boolean;
+    atrMultiplier: number;
+    stopLossPct: number;
     usePartialTp: boolean;
     useAutoBreakeven: boolean;
     useAdaptiveTs: boolean;
@@ -41,12 +59,39 @@ export interface TradeParams {
     partialTpSellQtyPct: number;
     trailingStopTightenThresholdR: number;
     trailingStopTightenMultiplierReduction: number;
+    maxHoldingHours?: number;
+    noProgressCandles?: number;
+    noProgressMinR?: number;
+    exitOnTrendFlip?: boolean;
+}
+
+// A named set of trade_params, snapshotted onto each trade it opens
+export interface TradeProfile extends TradeParams {
+    maxHoldingHours: number;
+    noProgressCandles: number;
+    noProgressMinR: number;
+    exitOnTrendFlip: boolean;
+}
+
+// Maps market conditions to a profile. The first matching rule wins; empty lists and null bounds match anything.
+export interface ProfileSelectionRule {
+    profile: string;
+    strategyTypes: StrategyType[];
+    regimes: MarketRegime[];
+    adxMin: number | null; // Inclusive
+    adxMax: number | null; // Exclusive
+    atrPctMin: number | null;
+    atrPctMax: number | null;
 }
 
+export type ExitReason = 'STOP_LOSS' | 'TAKE_PROFIT' | 'MAX_HOLDING_TIME' | 'NO_PROGRESS' | 'TREND_INVALIDATED' | 'PROTECTIVE_ORDER' | 'MANUAL' | 'EMERGENCY' | 'CLOSED_EXTERNALLY' | 'DUST';
+
 export interface Trade {
   id: number;
   mode: TradingMode;
   symbol: string;
+  base_asset?: string;
+  quote_asset?: string; // Amounts (pnl, total_cost_usd, fees_usd...) are expressed in this asset; USDT when missing
   side: OrderSide;
   entry_price: number; // For display, the first entry price
   average_entry_price: number; // For PnL calculation
@@ -59,13 +104,16 @@ export interface Trade {
   stop_loss: number;
   initial_stop_loss?: number; // For adaptive R-based trailing stop
   take_profit: number;
+  take_profit_rr?: number | null; // Reward ratio the take profit follows as tranches fill, null when set by the user
   highest_price_since_entry: number; // For Trailing Stop Loss
   entry_time: string;
   exit_time?: string;
+  exit_reason?: ExitReason;
   pnl?: number;
   pnl_pct?: number;
   status: OrderStatus;
   initial_risk_usd?: number; // The initial $ amount at risk
+  r_multiple?: number; // Net PnL divided by initial_risk_usd
   is_at_breakeven?: boolean;
   partial_tp_hit?: boolean;
   realized_pnl?: number; // For tracking profit from partial sells
@@ -73,6 +121,9 @@ export interface Trade {
   trailing_stop_tightened?: boolean; // For adaptive trailing stop logic
   entry_atr?: number; // ATR at the time of entry for adaptive TSL
   total_cost_usd: number;
+  fees_usd?: number; // Fees paid on all legs (real commissions in REAL_LIVE)
+  gross_pnl?: number; // PnL before fees; pnl is net
+  pnl_usd?: number; // Net PnL converted to USD at exit
   is_scaling_in?: boolean;
   current_entry_count?: number;
   total_entries?: number;
@@ -80,6 +131,48 @@ export interface Trade {
   strategy_type?: StrategyType; 
   active_profile?: ActiveProfile;
   trade_params?: TradeParams;
+  protective_order?: ProtectiveOrder | null; // REAL_LIVE: resting exchange-side OCO / stop order
+  closed_externally?: boolean; // Closed outside the bot, detected by the startup reconciliation
+  dust_quantity?: number; // Remainder under the Binance minimums, left on the account and written off at the close
+  limit_order?: LimitOrder; // Set while the entry is a PENDING limit order
+}
+
+export interface LimitOrder {
+  order_id: number | null; // Only REAL_LIVE orders rest on Binance
+  price: number;
+  signal_price: number;
+  max_price: number; // Chase limit
+  placed_at: number;
+  last_reprice_at: number;
+  last_check_at: number;
+  reprices: number;
+}
+
+// POST /api/positions: omitted fields are derived from the manual settings
+export interface ManualPositionRequest {
+  symbol: string;
+  stopLoss?: number;
+  takeProfit?: number;
+  quantity?: number;
+  sizeUsd?: number; // Used when quantity is omitted
+}
+
+// PATCH /api/positions/:id
+export interface PositionUpdateRequest {
+  stopLoss?: number;
+  takeProfit?: number;
+  useAutoBreakeven?: boolean;
+  useAdaptiveTs?: boolean;
+  closeQuantity?: number; // Sells part of the position; the full quantity closes it
+}
+
+export interface ProtectiveOrder {
+  order_list_id: number | null;
+  order_ids: number[];
+  stop_price: number;
+  take_profit_price: number | null;
+  quantity: number;
+  updated_at: number;
 }
 
 export interface StrategyConditions {
@@ -97,11 +190,27 @@ export interface StrategyConditions {
     // --- Momentum Strategy Specific ---
     momentum_impulse?: boolean; // 15m impulse candle
     momentum_confirmation?: boolean; // 5m follow-through
+    whale_detection?: boolean; // No pump-and-reversal or abnormal wick flagged recently
+    parabolic?: boolean; // 1m price extension over PARABOLIC_FILTER_PERIOD_MINUTES below the threshold
+}
+
+export interface OrderBookLiquidity {
+    timestamp: string;
+    mid_price: number;
+    spread_pct: number;
+    range_pct: number;
+    bid_liquidity_usd: number;
+    ask_liquidity_usd: number;
+    estimated_fill_price: number | null;
+    estimated_slippage_pct: number;
+    downsized_from_quantity?: number;
 }
 
 export interface ScannedPair {
     symbol: string;
-    volume: number;
+    base_asset?: string;
+    quote_asset?: string;
+    volume: number; // 24h volume in USD
     price: number;
     priceDirection: 'up' | 'down' | 'neutral';
     
@@ -125,6 +234,9 @@ export interface ScannedPair {
     conditions_total_count?: number;
     is_on_hotlist?: boolean; // New: True if conditions are met for 1m precision entry
     strategy_type?: StrategyType; // New: Which strategy is flagging this pair
+    manipulation_score?: number; // 0-100, > 0 while the symbol is flagged by the whale detector
+    price_extension_pct_1m?: number; // Rise over the parabolic filter period, from 1m closes
+    order_book?: OrderBookLiquidity; // Depth reading taken just before entry (only on entry snapshots)
 }
 
 
@@ -139,11 +251,40 @@ export interface PerformanceStats {
 
 export interface BotStatus {
     mode: TradingMode;
-    balance: number;
+    balance: number; // USDT
+    quote_balances: Record<string, number>; // Other quote assets, in their own units
     positions: number;
     monitored_pairs: number;
     top_pairs: string[];
     max_open_positions: number;
+    circuit_breaker_status: CircuitBreakerStatus;
+    daily_pnl: number;
+    consecutive_losses: number;
+    reconciliation_status: ReconciliationStatus | null;
+    market_regime: MarketRegimeReport | null;
+}
+
+export type ReconciliationStatus = 'OK' | 'PENDING_ACK' | 'ACKNOWLEDGED';
+
+export interface ReconciliationDiscrepancy {
+    type: 'CLOSED_EXTERNALLY' | 'RESIZED' | 'SURPLUS' | 'ORPHAN_HOLDING' | 'BALANCE_MISMATCH';
+    symbol: string | null;
+    asset: string;
+    position_id: number | null;
+    recorded_quantity: number;
+    exchange_quantity: number;
+    price: number;
+    message: string;
+}
+
+export interface ReconciliationReport {
+    timestamp: string;
+    status: ReconciliationStatus;
+    error?: string;
+    discrepancies: ReconciliationDiscrepancy[];
+    quote_balance: { recorded: number; exchange_free: number } | null;
+    acknowledged_at?: string;
+    orphans_adopted?: boolean;
 }
 
 export interface LogEntry {
@@ -155,9 +296,35 @@ export interface LogEntry {
 export const LOG_LEVELS: Readonly<Array<LogEntry['level']>> = ['INFO', 'API_CLIENT', 'WARN', 'ERROR', 'TRADE', 'WEBSOCKET', 'SCANNER', 'BINANCE_API', 'BINANCE_WS'];
 export type LogTab = 'ALL' | LogEntry['level'];
 
+export type ReplayState = 'IDLE' | 'LOADING' | 'RUNNING' | 'PAUSED' | 'FINISHED' | 'STOPPED' | 'ERROR';
+
+export interface ReplayStatus {
+  status: ReplayState;
+  symbols: string[];
+  start_time: number | null;
+  end_time: number | null;
+  current_time: number | null; // Simulated clock (ms)
+  speed: number; // Simulated time per real time, 0 = as fast as possible
+  progress_pct: number;
+  loading_pct?: number;
+  balance: number | null;
+  quote_balances: Record<string, number>;
+  total_pnl_usd: number;
+  open_positions: number;
+  closed_trades: number;
+  error: string | null;
+}
+
+// Separate ledger of the replay: never mixed with the live positions and history
+export interface ReplayLedger extends ReplayStatus {
+  positions: Trade[];
+  history: Trade[];
+}
+
 export interface BacktestResult {
   symbol: string;
   timeframe: string;
+  strategy: StrategyType;
   netProfitPct: number;
   totalTrades: number;
   winRate: number;
@@ -170,24 +337,32 @@ export interface BacktestResult {
 export interface BotSettings {
     // Trading Parameters
     INITIAL_VIRTUAL_BALANCE: number;
+    INITIAL_VIRTUAL_QUOTE_BALANCES: string; // "USDC:5000,BTC:0.1"
     MAX_OPEN_POSITIONS: number;
     POSITION_SIZE_PCT: number;
     RISK_REWARD_RATIO: number;
     STOP_LOSS_PCT: number;
     SLIPPAGE_PCT: number;
+    USE_DYNAMIC_SLIPPAGE: boolean; // Simulated slippage from spread and volume instead of the fixed SLIPPAGE_PCT
     USE_TRAILING_STOP_LOSS: boolean;
     TRAILING_STOP_LOSS_PCT: number;
     
     // Market Scanner & Strategy Filters
     MIN_VOLUME_USD: number;
+    QUOTE_ASSETS: string; // Comma-separated, e.g. "USDT,USDC,BTC"
     SCANNER_DISCOVERY_INTERVAL_SECONDS: number;
     EXCLUDED_PAIRS: string;
     USE_VOLUME_CONFIRMATION: boolean;
     USE_MARKET_REGIME_FILTER: boolean;
+    MARKET_REGIME_BULL_BREADTH_PCT: number;
+    MARKET_REGIME_BEAR_BREADTH_PCT: number;
+    MARKET_REGIME_RISK_OFF_ATR_PCT: number;
+    MARKET_REGIME_RANGE_SIZE_MULTIPLIER: number;
     REQUIRE_STRONG_BUY: boolean;
     LOSS_COOLDOWN_HOURS: number;
     
     // API Credentials
+    EXCHANGE: 'BINANCE' | 'SIMULATED'; // Applied at restart
     BINANCE_API_KEY: string;
     BINANCE_SECRET_KEY: string;
 
@@ -200,7 +375,8 @@ export interface BotSettings {
     USE_AUTO_BREAKEVEN: boolean;
     BREAKEVEN_TRIGGER_R: number; // R-multiple to trigger break-even
     ADJUST_BREAKEVEN_FOR_FEES: boolean;
-    TRANSACTION_FEE_PCT: number;
+    TRANSACTION_FEE_PCT: number; // Taker fee, also applied to simulated fills
+    MAKER_FEE_PCT: number;
 
     // RSI Overbought Filter
     RSI_OVERBOUGHT_THRESHOLD: number;
@@ -214,6 +390,18 @@ export interface BotSettings {
     USE_DYNAMIC_POSITION_SIZING: boolean;
     STRONG_BUY_POSITION_SIZE_PCT: number;
 
+    // Risk-Based Position Sizing
+    USE_RISK_BASED_SIZING: boolean;
+    RISK_PER_TRADE_PCT: number; // % of equity lost if the stop loss is hit
+    MAX_TRADE_NOTIONAL_USD: number; // 0 = only capped by the available balance
+
+    // Limit-Order Entries
+    USE_LIMIT_ENTRY: boolean;
+    LIMIT_ENTRY_OFFSET_PCT: number; // % below the signal price for the initial limit
+    LIMIT_ENTRY_CHASE_PCT: number; // Max % above the signal price the limit can be moved to
+    LIMIT_ENTRY_CHASE_INTERVAL_SECONDS: number;
+    LIMIT_ENTRY_TIMEOUT_SECONDS: number;
+
     // Parabolic Move Filter
     USE_PARABOLIC_FILTER: boolean;
     PARABOLIC_FILTER_PERIOD_MINUTES: number;
@@ -224,6 +412,8 @@ export interface BotSettings {
 
     // --- ADAPTIVE BEHAVIOR ---
     USE_DYNAMIC_PROFILE_SELECTOR: boolean;
+    TRADE_PROFILES: TradeProfile[]; // Managed through /api/profiles
+    PROFILE_SELECTION_RULES: ProfileSelectionRule[];
     ADX_THRESHOLD_RANGE: number; // e.g., below 20 indicates a ranging market
     ATR_PCT_THRESHOLD_VOLATILE: number; // e.g., above 5% indicates a volatile market
     USE_AGGRESSIVE_ENTRY_LOGIC: boolean; // For specific profiles like Volatility Hunter
@@ -233,11 +423,20 @@ export interface BotSettings {
     TRAILING_STOP_TIGHTEN_THRESHOLD_R: number; // e.g., 1.5 (for 1.5R)
     TRAILING_STOP_TIGHTEN_MULTIPLIER_REDUCTION: number; // e.g., 0.5 (to reduce ATR multiplier)
 
+    // Time-Based & Invalidation Exits (defaults, the Scalper and Sniper profiles set their own)
+    MAX_HOLDING_HOURS: number; // 0 = disabled
+    NO_PROGRESS_EXIT_CANDLES: number; // 15m candles, 0 = disabled
+    NO_PROGRESS_MIN_R: number;
+    USE_TREND_INVALIDATION_EXIT: boolean;
+
     // Graduated Circuit Breaker
     CIRCUIT_BREAKER_WARN_THRESHOLD_PCT: number; // e.g. 2.0 for -2%
     CIRCUIT_BREAKER_HALT_THRESHOLD_PCT: number; // e.g. 4.0 for -4%
+    CLOSE_POSITIONS_ON_BTC_HALT: boolean; // Market-sells every open position when the BTC drop halt triggers
     DAILY_DRAWDOWN_LIMIT_PCT: number; // e.g. 3.0 for -3%
     CONSECUTIVE_LOSS_LIMIT: number; // e.g. 5
+    LOSS_STREAK_PAUSE_HOURS: number; // How long the bot pauses after hitting the loss streak limit
+    RECONCILIATION_IGNORED_ASSETS: string; // Comma-separated assets never reported as orphan holdings, e.g. "BNB"
 
     // --- ADVANCED ENTRY CONFIRMATION ---
     USE_MTF_VALIDATION: boolean;
@@ -253,20 +452,34 @@ export interface BotSettings {
 
     // --- PORTFOLIO INTELLIGENCE ---
     SCALING_IN_CONFIG: string; // New: Flexible scaling in, e.g., "50,50" or "40,30,30"
+    SCALING_IN_TRIGGER_R: number; // R-multiple progress required before each additional tranche
     MAX_CORRELATED_TRADES: number;
+    CORRELATION_THRESHOLD: number; // Pearson correlation of 15m returns above which two pairs count as correlated
+    CORRELATION_LOOKBACK_CANDLES: number;
     USE_FEAR_AND_GREED_FILTER: boolean;
+    FEAR_GREED_EXTREME_FEAR_THRESHOLD: number; // Index value at or below which entries are paused
+    FEAR_GREED_EXTREME_GREED_THRESHOLD: number; // Index value at or above which entries are paused
+    USE_FEAR_AND_GREED_POSITION_SCALING: boolean;
+    FEAR_GREED_MIN_SIZE_MULTIPLIER: number; // Size multiplier applied at the extreme bands
 
     // --- ADVANCED PORTFOLIO FILTERS ---
     USE_ORDER_BOOK_LIQUIDITY_FILTER: boolean;
     MIN_ORDER_BOOK_LIQUIDITY_USD: number;
+    ORDER_BOOK_DEPTH_RANGE_PCT: number; // Band around mid price in which liquidity is counted
+    MAX_ENTRY_SLIPPAGE_PCT: number; // Estimated slippage above which the trade is downsized or rejected
     USE_SECTOR_CORRELATION_FILTER: boolean;
     USE_WHALE_MANIPULATION_FILTER: boolean;
-    WHALE_SPIKE_THRESHOLD_PCT: number; // e.g., 5 for 5% of hourly volume
+    WHALE_SPIKE_THRESHOLD_PCT: number; // 1m candle volume as a % of the total volume of the previous 60 candles, e.g. 5 (= 3x the average candle)
+    WHALE_WICK_THRESHOLD_PCT: number; // Single-candle wick size (% of price) treated as manipulation
+    WHALE_COOLDOWN_MINUTES: number; // How long a flagged symbol stays blocked
 
     // --- EXPERIMENTAL STRATEGIES ---
+    USE_PRECISION_STRATEGY: boolean;
+    USE_MOMENTUM_STRATEGY: boolean;
     USE_IGNITION_STRATEGY: boolean;
     IGNITION_PRICE_SPIKE_PCT: number;
     IGNITION_VOLUME_MULTIPLE: number;
+    IGNITION_BYPASS_PARABOLIC_FILTER: boolean;
     USE_IGNITION_TRAILING_STOP: boolean;
     IGNITION_TRAILING_STOP_PCT: number;
 }
\ No newline at end of file